@@ -2,6 +2,8 @@ import Assignment from '../models/Assignment.js';
 import Class from '../models/Class.js';
 import Quiz from '../models/Quiz.js';
 import User from '../models/User.js';
+import { getAssignmentQuestions } from '../utils/quizVersions.js';
+import { getPolicyResults } from '../utils/scoringPolicy.js';
 
 /**
  * Get comprehensive analytics for admin
@@ -58,14 +60,15 @@ export const getAnalyticsOverview = async (req, res) => {
       
       totalQuizzes++;
       
-      assignment.submissions.forEach(submission => {
+      // One counted score per candidate; retakes are folded in by the scoring policy
+      getPolicyResults(assignment.submissions, assignment.scoringPolicy).forEach(({ score, attemptCount, submission }) => {
         // Skip submissions without candidate data
-        if (!submission.candidateId) {
+        if (!submission.candidateId?._id) {
           return;
         }
         
-        totalSubmissions++;
-        allScores.push(submission.score);
+        totalSubmissions += attemptCount;
+        allScores.push(score);
 
         // Track student performance
         const studentId = submission.candidateId._id.toString();
@@ -79,7 +82,7 @@ export const getAnalyticsOverview = async (req, res) => {
             averageScore: 0,
           };
         }
-        studentScores[studentId].scores.push(submission.score);
+        studentScores[studentId].scores.push(score);
         studentScores[studentId].totalQuizzes++;
 
         // Analyze question-level performance (only for submissions with answers)
@@ -231,6 +234,7 @@ export const getQuestionAnalytics = async (req, res) => {
     // Get all assignments with submissions
     const assignments = await Assignment.find({ adminId })
       .populate('quizId', 'title questions')
+      .populate('quizVersionId', 'questions')
       .populate('classId', 'title');
 
     const questionDetails = [];
@@ -242,7 +246,8 @@ export const getQuestionAnalytics = async (req, res) => {
         return;
       }
       
-      assignment.quizId.questions.forEach(question => {
+      // Use the version candidates actually answered
+      getAssignmentQuestions(assignment).forEach(question => {
         const questionId = question._id.toString();
         
         // Count performance for this question
@@ -348,8 +353,8 @@ export const getClassAnalytics = async (req, res) => {
     let totalSubmissions = 0;
 
     assignments.forEach(assignment => {
-      assignment.submissions.forEach(submission => {
-        totalSubmissions++;
+      getPolicyResults(assignment.submissions, assignment.scoringPolicy).forEach(({ score, attemptCount, submission }) => {
+        totalSubmissions += attemptCount;
         const studentId = submission.candidateId._id.toString();
         
         if (!studentPerformance[studentId]) {
@@ -363,7 +368,7 @@ export const getClassAnalytics = async (req, res) => {
           };
         }
 
-        studentPerformance[studentId].scores.push(submission.score);
+        studentPerformance[studentId].scores.push(score);
         studentPerformance[studentId].quizzesTaken++;
       });
     });
@@ -432,19 +437,28 @@ export const getStudentAnalytics = async (req, res) => {
       classId 
     })
       .populate('quizId', 'title questions')
+      .populate('quizVersionId', 'questions')
       .populate('submissions.candidateId', 'name email registrationNumber');
 
     // Filter submissions for this student
     const studentSubmissions = [];
+    const countedScores = []; // One score per quiz, chosen by the assignment's scoring policy
     const questionPerformance = {}; // Track performance per question
 
     assignments.forEach(assignment => {
       if (!assignment.quizId || !assignment.submissions) return;
+      const questions = getAssignmentQuestions(assignment);
+
+      const policyResult = getPolicyResults(assignment.submissions, assignment.scoringPolicy)
+        .find(result => result.submission.candidateId?._id?.toString() === studentId);
+      if (policyResult) {
+        countedScores.push(policyResult.score);
+      }
 
       assignment.submissions.forEach(submission => {
         if (submission.candidateId && submission.candidateId._id.toString() === studentId) {
           // Add to submissions list
-          const totalQuestions = assignment.quizId.questions?.length || 0;
+          const totalQuestions = questions.length;
           let correctAnswers = 0;
           let incorrectAnswers = 0;
 
@@ -465,6 +479,7 @@ export const getStudentAnalytics = async (req, res) => {
           studentSubmissions.push({
             quizTitle: assignment.quizId.title,
             score: submission.score,
+            attemptNumber: submission.attemptNumber || 1,
             correctAnswers,
             incorrectAnswers,
             submittedAt: submission.submittedAt,
@@ -476,7 +491,7 @@ export const getStudentAnalytics = async (req, res) => {
               const questionId = answer.questionId;
               
               // Find the question details
-              const question = assignment.quizId.questions.find(
+              const question = questions.find(
                 q => q._id.toString() === questionId
               );
 
@@ -501,8 +516,8 @@ export const getStudentAnalytics = async (req, res) => {
     });
 
     // Calculate average score
-    const averageScore = studentSubmissions.length > 0
-      ? studentSubmissions.reduce((sum, sub) => sum + sub.score, 0) / studentSubmissions.length
+    const averageScore = countedScores.length > 0
+      ? countedScores.reduce((sum, score) => sum + score, 0) / countedScores.length
       : 0;
 
     // Identify weak points (questions with < 60% success rate)
@@ -521,7 +536,7 @@ export const getStudentAnalytics = async (req, res) => {
     studentSubmissions.sort((a, b) => new Date(b.submittedAt) - new Date(a.submittedAt));
 
     console.log('✅ Student analytics generated:', {
-      totalQuizzes: studentSubmissions.length,
+      totalQuizzes: countedScores.length,
       averageScore: averageScore.toFixed(2),
       weakPoints: weakPoints.length,
     });
@@ -531,7 +546,7 @@ export const getStudentAnalytics = async (req, res) => {
       data: {
         studentName: student.name,
         studentEmail: student.email,
-        totalQuizzes: studentSubmissions.length,
+        totalQuizzes: countedScores.length,
         averageScore,
         weakPoints,
         attempts: studentSubmissions,
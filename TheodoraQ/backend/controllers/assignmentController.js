@@ -3,9 +3,107 @@
  * Handles assignment creation and management
  */
 
-import Assignment from '../models/Assignment.js';
-import Quiz from '../models/Quiz.js';
+import Assignment, { ANSWER_REVIEW_SETTINGS } from '../models/Assignment.js';
+import Quiz, { getOpenReviewFlags } from '../models/Quiz.js';
 import Class from '../models/Class.js';
+import {
+  SUBMISSION_GRACE_SECONDS,
+  findAttemptSession,
+  finalizeAttemptSession,
+  getOrStartAttemptSession,
+  isSessionExpired,
+  refreshSessionDeadlines,
+} from '../utils/attemptSessions.js';
+import {
+  formatCorrectAnswer,
+  gradeAnswers,
+  getQuestionPoints,
+  recalculateSubmissionScore,
+  stripAnswerKey,
+} from '../utils/grading.js';
+import { SCORING_POLICIES, applyScoringPolicy, getCandidateSubmissions, getPolicyResults } from '../utils/scoringPolicy.js';
+import { regradeToCurrentVersion } from '../utils/regrade.js';
+import { getAssignmentQuestions, getAttemptQuestions, getCurrentQuizVersion } from '../utils/quizVersions.js';
+import { describeShortfalls, resolveQuestionPools, validateQuestionPools } from '../utils/questionPools.js';
+import { applyOptionOrder, getOptionOrder } from '../utils/optionOrder.js';
+import { buildAnswerReview, getAnswerReviewRelease, resolveAnswerReview } from '../utils/answerReview.js';
+import { isInSubgroup } from '../utils/subgroups.js';
+import { getAssignmentWindow, getCandidateSchedule, getClosingTime, getLatePenalty, validateAssignmentWindow } from '../utils/assignmentWindows.js';
+import { checkAssignmentAccess, logAccessDenial, normalizeAccessCode, parseAllowedNetworks, validateAccessSettings } from '../utils/assignmentAccess.js';
+
+// Window dates and late penalty from a request body (null when not sent)
+const parseWindowSettings = ({ availableFrom, closesAt, latePenalty }) => ({
+  availableFrom: availableFrom ? new Date(availableFrom) : null,
+  closesAt: closesAt ? new Date(closesAt) : null,
+  latePenalty: latePenalty ? { perDay: Number(latePenalty.perDay ?? 0), max: Number(latePenalty.max ?? 100) } : null,
+});
+
+// Access code and allowed networks from a request body (undefined when not sent)
+const parseAccessSettings = ({ accessCode, allowedNetworks }) => ({
+  accessCode: accessCode === undefined ? undefined : normalizeAccessCode(accessCode),
+  allowedNetworks: allowedNetworks === undefined ? undefined : parseAllowedNetworks(allowedNetworks),
+});
+
+// Check a candidate's request against the assignment's access restrictions, logging refusals
+// Opening the quiz without a code is how the code prompt gets shown, so that alone isn't logged
+const checkRestrictedAccess = async (req, assignment, candidateId, action) => {
+  const denial = checkAssignmentAccess(assignment, { accessCode: req.get('X-Access-Code'), ip: req.ip });
+  if (denial && !(action === 'open' && denial.reason === 'code_required')) {
+    await logAccessDenial(assignment._id, { candidateId, reason: denial.reason, action, ipAddress: req.ip });
+  }
+  return denial;
+};
+
+// Attempts a candidate can still make - none once their window (with any extension) has closed
+const getAttemptsRemaining = (assignment, classData, candidateId, submissionCount, now) => {
+  const schedule = getCandidateSchedule(assignment, classData, candidateId);
+  if (!getAssignmentWindow(schedule, classData, now).canSubmit) return 0;
+  return Math.max((assignment.maxAttempts || 1) - submissionCount, 0);
+};
+
+// Whether everyone an assignment is for is done with it: out of attempts, or unable to submit any more
+// The candidate asking counts `submissionCount` submissions, which may include one not saved yet
+const haveAllFinished = async (assignment, classData, { candidateId, submissionCount }, now) => {
+  let studentIds = classData.students;
+  if (assignment.subgroup) {
+    const User = (await import('../models/User.js')).default;
+    const students = await User.find({ _id: { $in: classData.students } }).select('registrationNumber');
+    studentIds = students
+      .filter(student => isInSubgroup(student.registrationNumber, assignment.subgroup))
+      .map(student => student._id);
+  }
+  return studentIds.every(id => {
+    const count = id.toString() === candidateId.toString()
+      ? submissionCount
+      : getCandidateSubmissions(assignment.submissions, id).length;
+    return getAttemptsRemaining(assignment, classData, id, count, now) === 0;
+  });
+};
+
+// When a candidate can review their answers, by the assignment's (or class's) release rule
+const getReviewRelease = async (assignment, classData, candidateId, candidateSubmissions, now = new Date()) => {
+  const answerReview = resolveAnswerReview(assignment, classData);
+  // Attempts left don't hold review back once the quiz can't be taken any more
+  const attemptsRemaining = getAttemptsRemaining(assignment, classData, candidateId, candidateSubmissions.length, now);
+  // "After the due date" waits until nobody can submit any more - late submissions and extensions
+  // included - so nobody sees answers someone else can still use (null = never closes)
+  const closingTimes = [
+    getClosingTime(assignment, classData),
+    ...(assignment.extensions || []).map(ext => getCandidateSchedule(assignment, classData, ext.candidateId).closesAt),
+  ];
+  const lastClosesAt = closingTimes.includes(null)
+    ? null
+    : new Date(Math.max(...closingTimes.map(time => time.getTime())));
+
+  return getAnswerReviewRelease({
+    answerReview,
+    closesAt: lastClosesAt,
+    attemptsRemaining,
+    allFinished: answerReview === 'after_all_submitted' &&
+      await haveAllFinished(assignment, classData, { candidateId, submissionCount: candidateSubmissions.length }, now),
+    now,
+  });
+};
 
 /**
  * Create a new assignment (assign a quiz to a class)
@@ -13,7 +111,8 @@ import Class from '../models/Class.js';
  */
 export const createAssignment = async (req, res) => {
   try {
-  const { quizId, classId, dueDate, timeLimit, weightage, weightageType, subgroup, subclasses } = req.body;
+  const { quizId, classId, dueDate, timeLimit, weightage, weightageType, subgroup, subclasses, maxAttempts, scoringPolicy, questionPools = [], shuffleOptions, answerReview } = req.body;
+    const windowSettings = parseWindowSettings(req.body);
     const adminId = req.user?.id || req.user?._id;
 
     console.log('Creating assignment:', { quizId, classId, dueDate, timeLimit, weightage, weightageType, adminId });
@@ -33,6 +132,52 @@ export const createAssignment = async (req, res) => {
       });
     }
 
+    if (maxAttempts !== undefined && (isNaN(parseInt(maxAttempts)) || parseInt(maxAttempts) < 1)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Maximum attempts must be at least 1',
+      });
+    }
+
+    if (scoringPolicy !== undefined && !SCORING_POLICIES.includes(scoringPolicy)) {
+      return res.status(400).json({
+        success: false,
+        message: `Scoring policy must be one of: ${SCORING_POLICIES.join(', ')}`,
+      });
+    }
+
+    if (answerReview !== undefined && !ANSWER_REVIEW_SETTINGS.includes(answerReview)) {
+      return res.status(400).json({
+        success: false,
+        message: `Answer review must be one of: ${ANSWER_REVIEW_SETTINGS.join(', ')}`,
+      });
+    }
+
+    const windowError = validateAssignmentWindow({ ...windowSettings, dueDate: new Date(dueDate) });
+    if (windowError) {
+      return res.status(400).json({
+        success: false,
+        message: windowError,
+      });
+    }
+
+    const accessSettings = parseAccessSettings(req.body);
+    const accessError = validateAccessSettings(accessSettings);
+    if (accessError) {
+      return res.status(400).json({
+        success: false,
+        message: accessError,
+      });
+    }
+
+    const poolError = validateQuestionPools(questionPools);
+    if (poolError) {
+      return res.status(400).json({
+        success: false,
+        message: poolError,
+      });
+    }
+
     // --- Security Checks ---
     // Check if the admin owns the quiz
     const quiz = await Quiz.findOne({ _id: quizId, adminId: adminId });
@@ -44,6 +189,19 @@ export const createAssignment = async (req, res) => {
       });
     }
 
+    // AI-generated quizzes must pass their answer-key and duplicate check first
+    const openFlags = getOpenReviewFlags(quiz);
+    if (quiz.review?.status === 'pending' || openFlags.length > 0) {
+      console.log('❌ Quiz has an unfinished review:', quizId);
+      return res.status(400).json({
+        success: false,
+        message: quiz.review.status === 'pending'
+          ? 'This quiz was generated by AI and its answers haven\'t been checked yet. Open it in the editor and run the check before assigning it.'
+          : `This quiz has ${openFlags.length} unresolved review warning${openFlags.length === 1 ? '' : 's'}. Fix or dismiss them in the quiz editor before assigning it.`,
+        reviewFlags: openFlags.length,
+      });
+    }
+
     // Check if the admin owns the class
     const classData = await Class.findOne({ _id: classId, adminId: adminId });
     if (!classData) {
@@ -76,17 +234,45 @@ export const createAssignment = async (req, res) => {
       filteredStudents = filteredStudents.map(u => u._id);
     }
 
+    // Pin the quiz as it is right now; later edits create new versions
+    const quizVersion = await getCurrentQuizVersion(quiz, adminId);
+
+    // Work out what each question pool can draw from
+    const pools = await resolveQuestionPools(questionPools, { quizQuestions: quizVersion.questions, adminId });
+    if (pools.shortfalls.length > 0) {
+      console.log('❌ Not enough questions for the pools:', pools.shortfalls);
+      return res.status(400).json({
+        success: false,
+        message: `Not enough questions to fill the pools: ${describeShortfalls(pools.shortfalls)}`,
+        shortfalls: pools.shortfalls,
+      });
+    }
+
     // Create the new assignment
     const newAssignment = new Assignment({
       quizId,
+      quizVersionId: quizVersion._id,
+      quizVersion: quizVersion.version,
       classId,
       adminId,
       dueDate: new Date(dueDate),
+      // Without a closing date, the quiz closes when it is due (no late work)
+      availableFrom: windowSettings.availableFrom,
+      closesAt: windowSettings.closesAt || new Date(dueDate),
+      latePenalty: windowSettings.latePenalty || undefined,
       timeLimit: parseInt(timeLimit),
       weightage: weightage !== undefined ? Number(weightage) : 0,
       weightageType: weightageType || 'percentage',
       subgroup: subgroup || '',
       subclasses: subclasses || [],
+      maxAttempts: maxAttempts !== undefined ? parseInt(maxAttempts) : 1,
+      scoringPolicy: scoringPolicy || 'highest',
+      shuffleOptions: shuffleOptions === true,
+      answerReview: answerReview || 'class',
+      accessCode: accessSettings.accessCode || '',
+      allowedNetworks: accessSettings.allowedNetworks || [],
+      questionPools: pools.pools,
+      poolQuestions: pools.poolQuestions,
       submissions: [], // Start with an empty list
     });
 
@@ -113,6 +299,53 @@ export const createAssignment = async (req, res) => {
   }
 };
 
+/**
+ * Check how many questions each pool could draw from, before assigning
+ * POST /api/assignments/pool-preview
+ * Body: { quizId, questionPools }
+ */
+export const previewQuestionPools = async (req, res) => {
+  try {
+    const { quizId, questionPools = [] } = req.body;
+    const adminId = req.user?.id || req.user?._id;
+
+    const poolError = validateQuestionPools(questionPools);
+    if (poolError) {
+      return res.status(400).json({
+        success: false,
+        message: poolError,
+      });
+    }
+
+    const quiz = await Quiz.findOne({ _id: quizId, adminId });
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found or you are not the owner',
+      });
+    }
+
+    // The live quiz is what a new assignment would pin
+    const { pools, shortfalls } = await resolveQuestionPools(questionPools, { quizQuestions: quiz.questions, adminId });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        pools: pools.map(pool => ({ requested: pool.count, available: pool.questionIds.length })),
+        shortfalls,
+      },
+    });
+
+  } catch (error) {
+    console.error('❌ Error previewing question pools:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview question pools',
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Get all assignments created by the authenticated admin
  * GET /api/assignments
@@ -171,6 +404,7 @@ export const getSingleAssignment = async (req, res) => {
         path: 'quizId',
         select: 'title questions',
       })
+      .populate('quizVersionId')
       .populate('classId', 'title');
 
     if (!assignment) {
@@ -196,82 +430,90 @@ export const getSingleAssignment = async (req, res) => {
         message: 'You are not enrolled in the class for this assignment',
       });
     }
-    // Restrict access by subgroup (with multi-branch support)
+    // Restrict access by subgroup (with multi-branch support), the same check the assignment list uses
     if (assignment.subgroup) {
       const User = (await import('../models/User.js')).default;
       const candidate = await User.findById(candidateId).select('registrationNumber');
-      
-      if (!candidate || !candidate.registrationNumber) {
-        console.log('❌ Candidate has no registration number');
+
+      if (!isInSubgroup(candidate?.registrationNumber, assignment.subgroup)) {
+        console.log('❌ Candidate not in subgroup:', candidate?.registrationNumber, '| Allowed:', assignment.subgroup);
         return res.status(403).json({
           success: false,
           message: 'You are not authorized to access this quiz (subgroup mismatch)',
         });
       }
+      console.log('✅ Candidate branch matches assignment subgroup');
+    }
 
-      // Extract branch from registration number
-      const extractBranch = (registrationNumber) => {
-        if (!registrationNumber) return null;
-        const regNum = registrationNumber.toString().trim();
-        
-        // Pattern 1: 22BCE10100 → BCE
-        let match = regNum.match(/^\d{2}([A-Z]{2,4})\d+$/);
-        if (match) return match[1];
-        
-        // Pattern 2: 2024BCE001 → BCE
-        match = regNum.match(/^\d{4}([A-Z]{2,4})\d+$/);
-        if (match) return match[1];
-        
-        // Pattern 3: BCE001 → BCE
-        match = regNum.match(/^([A-Z]{2,4})\d+$/);
-        if (match) return match[1];
-        
-        // Pattern 4: General - extract alphabetic part
-        match = regNum.match(/[A-Z]{2,4}/);
-        return match ? match[0] : null;
-      };
+    const quizData = assignment.quizId.toObject();
 
-      const candidateBranch = extractBranch(candidate.registrationNumber);
-      
-      if (!candidateBranch) {
-        console.log('❌ Could not extract branch from registration:', candidate.registrationNumber);
-        return res.status(403).json({
-          success: false,
-          message: 'You are not authorized to access this quiz (subgroup mismatch)',
-        });
-      }
+    // Check how many attempts the candidate has already submitted
+    const candidateSubmissions = getCandidateSubmissions(assignment.submissions, candidateId);
+    const maxAttempts = assignment.maxAttempts || 1;
 
-      const subgroup = assignment.subgroup.trim().toUpperCase();
-      
-      // Handle comma-separated branches (e.g., "BCE,MIM,BAI")
-      if (subgroup.includes(',')) {
-        const allowedBranches = subgroup.split(',').map(b => b.trim());
-        console.log('🔍 Multi-branch check - Allowed:', allowedBranches, '| Candidate:', candidateBranch);
-        
-        if (!allowedBranches.includes(candidateBranch.toUpperCase())) {
-          console.log('❌ Candidate branch not in allowed list');
-          return res.status(403).json({
-            success: false,
-            message: 'You are not authorized to access this quiz (subgroup mismatch)',
-          });
-        }
-        console.log('✅ Candidate branch matches multi-branch assignment');
-      } else {
-        // Single branch - exact match
-        if (candidateBranch.toUpperCase() !== subgroup) {
-          console.log('❌ Candidate branch does not match:', candidateBranch, '!==', subgroup);
-          return res.status(403).json({
-            success: false,
-            message: 'You are not authorized to access this quiz (subgroup mismatch)',
-          });
+    // Where the assignment is in its release window, with any extension or extra time for this candidate
+    const schedule = getCandidateSchedule(assignment, classData, candidateId);
+    const assignmentWindow = getAssignmentWindow(schedule, classData);
+    const isPastDue = assignmentWindow.status === 'late' || assignmentWindow.status === 'closed';
+    if (assignmentWindow.status === 'upcoming') {
+      console.log('❌ Assignment not open until', assignmentWindow.opensAt);
+      return res.status(403).json({
+        success: false,
+        message: assignmentWindow.message,
+        opensAt: assignmentWindow.opensAt,
+      });
+    }
+
+    // Exam hall restrictions: access code and allowed networks
+    const accessDenial = await checkRestrictedAccess(req, assignment, candidateId, 'open');
+    if (accessDenial) {
+      console.log('❌ Access refused:', accessDenial.reason);
+      return res.status(403).json({
+        success: false,
+        message: accessDenial.message,
+        accessDenied: accessDenial.reason,
+      });
+    }
+
+    // Start (or resume) the server-side attempt session
+    // The deadline is fixed here, so refreshing or changing the clock buys no extra time
+    // A retake only starts when asked for (?retake=true), so reloading the page after submitting doesn't open one
+    let attemptSession = null;
+    let currentSession = findAttemptSession(assignment, candidateId);
+    const hasOpenSession = currentSession?.status === 'in_progress';
+    const canStartAttempt = candidateSubmissions.length === 0 ||
+      (req.query.retake === 'true' && candidateSubmissions.length < maxAttempts);
+    if (hasOpenSession || (canStartAttempt && assignmentWindow.canSubmit)) {
+      const session = await getOrStartAttemptSession(assignment, candidateId, schedule);
+      currentSession = session;
+
+      // Time ran out while the candidate was away - submit their last saved draft
+      if (session.status === 'in_progress' && isSessionExpired(session)) {
+        console.log('⏱️ Attempt session expired - auto-submitting saved draft');
+        const autoSubmission = finalizeAttemptSession(assignment, session, { autoGrading: classData.autoGrading });
+        if (autoSubmission) {
+          candidateSubmissions.push(autoSubmission);
         }
-        console.log('✅ Candidate branch matches single-branch assignment');
+        await assignment.save();
       }
+
+      attemptSession = {
+        attemptNumber: session.attemptNumber,
+        startedAt: session.startedAt,
+        deadline: session.deadline,
+        status: session.status,
+        lastSavedAt: session.lastSavedAt,
+      };
+      console.log('⏱️ Attempt session:', attemptSession.attemptNumber, attemptSession.status, '| Deadline:', attemptSession.deadline);
     }
 
+    const attemptsUsed = candidateSubmissions.length;
+    const { score: submissionScore } = applyScoringPolicy(candidateSubmissions, assignment.scoringPolicy);
+
     // *** SECURITY: Remove answers before sending to frontend ***
-    const quizData = assignment.quizId.toObject();
-    // Shuffle questions for anti-cheating
+    // Pool assignments show the questions drawn for the attempt, in the order drawn
+    const attemptQuestions = getAttemptQuestions(assignment, currentSession);
+    // Shuffle questions for anti-cheating (a pool draw is already random, and keeps its pools together)
     function shuffle(array) {
       for (let i = array.length - 1; i > 0; i--) {
         const j = Math.floor(Math.random() * (i + 1));
@@ -279,30 +521,22 @@ export const getSingleAssignment = async (req, res) => {
       }
       return array;
     }
-    const shuffledQuestions = shuffle([...quizData.questions]);
-    const questionsForCandidate = shuffledQuestions.map(q => {
-      const { answer, ...questionWithoutAnswer } = q.toObject ? q.toObject() : q;
-      return questionWithoutAnswer;
-    });
-
-    // Check if candidate has already submitted
-    const existingSubmission = assignment.submissions.find(
-      sub => sub.candidateId.toString() === candidateId.toString()
-    );
-
-    // Get class data to check late submission settings
-    const ClassModel = (await import('../models/Class.js')).default;
-    const classInfo = await ClassModel.findById(assignment.classId);
-
-    // Check if assignment is past due date
-    const isPastDue = new Date(assignment.dueDate) < new Date();
-    const allowLateSubmissions = classInfo ? classInfo.allowLateSubmissions : false;
+    const shuffledQuestions = currentSession?.questionIds?.length > 0 ? attemptQuestions : shuffle([...attemptQuestions]);
+    // Options appear in the order recorded for this attempt when shuffling is on
+    const questionsForCandidate = shuffledQuestions.map(q => stripAnswerKey(
+      applyOptionOrder(q.toObject ? q.toObject() : q, getOptionOrder(q, currentSession?.optionOrders))
+    ));
+
+    // Answers autosaved earlier in this attempt (restored after a crash or refresh)
+    // Read from the session just resumed or started - the in-memory assignment can't see a new retake's session
+    const draftAnswers = currentSession?.status === 'in_progress' && currentSession.draftAnswers
+      ? Object.fromEntries(currentSession.draftAnswers)
+      : {};
 
     console.log('✅ Sending quiz with', questionsForCandidate.length, 'questions (answers removed)');
-    console.log('⏱️ Time limit being sent:', assignment.timeLimit, 'minutes');
-    console.log('📊 Has submitted:', !!existingSubmission);
-    console.log('📅 Is past due:', isPastDue);
-    console.log('🔓 Allow late submissions:', allowLateSubmissions);
+    console.log('⏱️ Time limit being sent:', schedule.timeLimit, 'minutes', schedule.timeMultiplier > 1 ? `(${schedule.timeMultiplier}x extra time)` : '');
+    console.log('📊 Attempts used:', attemptsUsed, '/', maxAttempts);
+    console.log('📅 Window:', assignmentWindow.status, '| Closes:', assignmentWindow.closesAt);
     console.log('🎥 Proctoring enabled:', assignment.proctoringEnabled || false);
 
     // Send the safe data to the candidate
@@ -313,18 +547,33 @@ export const getSingleAssignment = async (req, res) => {
         classId: assignment.classId._id,
         className: assignment.classId.title,
         title: quizData.title,
-        timeLimit: assignment.timeLimit,
-        dueDate: assignment.dueDate,
+        // This candidate's time limit and due date (extra time and extensions applied)
+        timeLimit: schedule.timeLimit,
+        dueDate: schedule.dueDate,
+        hasExtension: Boolean(schedule.extension),
         questions: questionsForCandidate,
         // Include updatedAt to help detect if assignment was modified
         updatedAt: assignment.updatedAt,
         // Include submission status
-        hasSubmitted: !!existingSubmission,
-        submissionScore: existingSubmission ? existingSubmission.score : null,
+        hasSubmitted: attemptsUsed > 0,
+        submissionScore,
+        // Include attempt limits
+        attemptsUsed,
+        maxAttempts,
+        attemptsRemaining: Math.max(maxAttempts - attemptsUsed, 0),
+        scoringPolicy: assignment.scoringPolicy || 'highest',
         isPastDue: isPastDue,
-        allowLateSubmissions: allowLateSubmissions,
+        // Release window: late work is accepted until closesAt (null = no closing time)
+        isClosed: assignmentWindow.status === 'closed',
+        closesAt: assignmentWindow.closesAt,
+        latePenalty: assignment.latePenalty,
         // Include proctoring settings
         proctoringEnabled: assignment.proctoringEnabled || false,
+        // Server-authoritative timer
+        attemptSession,
+        serverTime: new Date(),
+        // Autosaved answers to restore
+        draftAnswers,
       },
     });
 
@@ -386,10 +635,10 @@ export const getAssignmentsByClass = async (req, res) => {
 export const updateAssignment = async (req, res) => {
   try {
     const { id } = req.params;
-    const { dueDate, timeLimit, weightage, weightageType, allowRetake, subgroup, proctoringEnabled } = req.body;
+    const { dueDate, timeLimit, weightage, weightageType, allowRetake, subgroup, proctoringEnabled, maxAttempts, scoringPolicy, shuffleOptions, answerReview } = req.body;
     const adminId = req.user?.id || req.user?._id;
 
-    console.log('Attempting to update assignment:', id, { dueDate, timeLimit, weightage, weightageType, allowRetake, subgroup, proctoringEnabled });
+    console.log('Attempting to update assignment:', id, { dueDate, timeLimit, weightage, weightageType, allowRetake, subgroup, proctoringEnabled, maxAttempts, scoringPolicy, shuffleOptions, answerReview });
 
     // Find the assignment
     const assignment = await Assignment.findById(id);
@@ -432,6 +681,39 @@ export const updateAssignment = async (req, res) => {
       assignment.timeLimit = timeLimitNum;
     }
 
+    // Update the release window and late penalty if provided
+    const windowSettings = parseWindowSettings(req.body);
+    if (req.body.availableFrom !== undefined) {
+      assignment.availableFrom = windowSettings.availableFrom;
+    }
+    if (req.body.closesAt !== undefined) {
+      assignment.closesAt = windowSettings.closesAt || assignment.dueDate;
+    } else if (assignment.closesAt && assignment.closesAt < assignment.dueDate) {
+      // The due date moved past the closing date (e.g. the quiz was reopened), so it closes when due
+      assignment.closesAt = assignment.dueDate;
+    }
+    if (windowSettings.latePenalty) {
+      assignment.latePenalty = windowSettings.latePenalty;
+    }
+    const windowError = validateAssignmentWindow({
+      availableFrom: assignment.availableFrom,
+      dueDate: assignment.dueDate,
+      closesAt: assignment.closesAt,
+      latePenalty: windowSettings.latePenalty,
+    });
+    if (windowError) {
+      return res.status(400).json({
+        success: false,
+        message: windowError,
+      });
+    }
+
+    // Move the deadline of attempts still in progress to match the new limit and closing time
+    if (timeLimit !== undefined || req.body.closesAt !== undefined || dueDate) {
+      const classData = await Class.findById(assignment.classId).select('accommodations allowLateSubmissions');
+      refreshSessionDeadlines(assignment, classData);
+    }
+
     // Update weightage if provided
     if (weightage !== undefined) {
       const weightageNum = parseFloat(weightage);
@@ -477,10 +759,69 @@ export const updateAssignment = async (req, res) => {
       console.log(`🎥 Updated proctoring enabled: ${proctoringEnabled}`);
     }
 
+    // Update attempt settings if provided
+    if (maxAttempts !== undefined) {
+      const maxAttemptsNum = parseInt(maxAttempts);
+      if (isNaN(maxAttemptsNum) || maxAttemptsNum < 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Maximum attempts must be at least 1',
+        });
+      }
+      assignment.maxAttempts = maxAttemptsNum;
+      console.log(`🔁 Updated max attempts: ${maxAttemptsNum}`);
+    }
+
+    if (scoringPolicy !== undefined) {
+      if (!SCORING_POLICIES.includes(scoringPolicy)) {
+        return res.status(400).json({
+          success: false,
+          message: `Scoring policy must be one of: ${SCORING_POLICIES.join(', ')}`,
+        });
+      }
+      assignment.scoringPolicy = scoringPolicy;
+      console.log(`🏆 Updated scoring policy: ${scoringPolicy}`);
+    }
+
+    // Only attempts started from now on pick up the new setting
+    if (shuffleOptions !== undefined) {
+      assignment.shuffleOptions = shuffleOptions === true;
+      console.log(`🔀 Updated option shuffling: ${assignment.shuffleOptions}`);
+    }
+
+    if (answerReview !== undefined) {
+      if (!ANSWER_REVIEW_SETTINGS.includes(answerReview)) {
+        return res.status(400).json({
+          success: false,
+          message: `Answer review must be one of: ${ANSWER_REVIEW_SETTINGS.join(', ')}`,
+        });
+      }
+      assignment.answerReview = answerReview;
+      console.log(`📖 Updated answer review: ${answerReview}`);
+    }
+
+    // Update exam hall restrictions if provided
+    const accessSettings = parseAccessSettings(req.body);
+    const accessError = validateAccessSettings(accessSettings);
+    if (accessError) {
+      return res.status(400).json({
+        success: false,
+        message: accessError,
+      });
+    }
+    if (accessSettings.accessCode !== undefined) {
+      assignment.accessCode = accessSettings.accessCode;
+    }
+    if (accessSettings.allowedNetworks !== undefined) {
+      assignment.allowedNetworks = accessSettings.allowedNetworks;
+      console.log(`🌐 Updated allowed networks: ${assignment.allowedNetworks.join(', ') || 'any'}`);
+    }
+
     // If allowRetake is explicitly set to true, clear all submissions
     if (allowRetake === true) {
       console.log('🔄 Clearing all submissions to allow retakes');
       assignment.submissions = [];
+      assignment.attemptSessions = [];
     }
 
     await assignment.save();
@@ -506,6 +847,130 @@ export const updateAssignment = async (req, res) => {
   }
 };
 
+/**
+ * Give one candidate a later due date
+ * PUT /api/assignments/:id/extensions/:candidateId
+ */
+export const setAssignmentExtension = async (req, res) => {
+  try {
+    const { id, candidateId } = req.params;
+    const { dueDate, note } = req.body;
+    const adminId = req.user?.id || req.user?._id;
+
+    const assignment = await Assignment.findById(id);
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found',
+      });
+    }
+
+    if (assignment.adminId.toString() !== adminId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this assignment',
+      });
+    }
+
+    const dueDateObj = new Date(dueDate);
+    if (!dueDate || isNaN(dueDateObj.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid extended due date is required',
+      });
+    }
+    if (dueDateObj <= assignment.dueDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'The extended due date must be after the assignment\'s due date',
+      });
+    }
+
+    const classData = await Class.findById(assignment.classId).select('students accommodations allowLateSubmissions');
+    if (!classData?.students.some(sid => sid.toString() === candidateId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Candidate is not enrolled in this class',
+      });
+    }
+
+    const extension = { candidateId, dueDate: dueDateObj, note: note?.trim() || '', grantedBy: adminId, grantedAt: new Date() };
+    const existing = assignment.extensions.find(ext => ext.candidateId.toString() === candidateId);
+    if (existing) {
+      existing.set(extension);
+    } else {
+      assignment.extensions.push(extension);
+    }
+    refreshSessionDeadlines(assignment, classData);
+
+    await assignment.save();
+    console.log(`📅 Extension for candidate ${candidateId} on assignment ${id}: due ${dueDateObj.toISOString()}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Extension saved',
+      data: assignment.extensions,
+    });
+
+  } catch (error) {
+    console.error('❌ Error saving extension:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save extension',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Remove a candidate's extension
+ * DELETE /api/assignments/:id/extensions/:candidateId
+ */
+export const removeAssignmentExtension = async (req, res) => {
+  try {
+    const { id, candidateId } = req.params;
+    const adminId = req.user?.id || req.user?._id;
+
+    const assignment = await Assignment.findById(id);
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found',
+      });
+    }
+
+    if (assignment.adminId.toString() !== adminId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this assignment',
+      });
+    }
+
+    assignment.extensions = assignment.extensions.filter(ext => ext.candidateId.toString() !== candidateId);
+    const classData = await Class.findById(assignment.classId).select('accommodations allowLateSubmissions');
+    refreshSessionDeadlines(assignment, classData);
+
+    await assignment.save();
+    console.log(`📅 Extension removed for candidate ${candidateId} on assignment ${id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Extension removed',
+      data: assignment.extensions,
+    });
+
+  } catch (error) {
+    console.error('❌ Error removing extension:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove extension',
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Delete an assignment
  * DELETE /api/assignments/:id
@@ -587,9 +1052,10 @@ export const getCandidateAssignments = async (req, res) => {
     }
 
     // Find all assignments for that class
+    // Only the question IDs, for the count - the questions themselves carry the answer key
     const assignments = await Assignment.find({ classId: classId })
-      .select('dueDate timeLimit quizId submissions subgroup')
-      .populate('quizId', 'title questions')
+      .select('dueDate availableFrom closesAt latePenalty timeLimit quizId submissions extensions accessCode subgroup maxAttempts scoringPolicy answerReview')
+      .populate('quizId', 'title questions._id')
       .sort({ dueDate: 1 }); // Sort by due date (earliest first)
 
     // Get candidate registration number
@@ -599,79 +1065,57 @@ export const getCandidateAssignments = async (req, res) => {
 
     console.log('📋 Candidate registration number:', candidateReg);
 
-    // Helper function to extract branch from registration number
-    const extractBranch = (registrationNumber) => {
-      if (!registrationNumber) return null;
-      const regNum = registrationNumber.toString().toUpperCase().trim();
-      
-      // Try multiple patterns
-      let match = regNum.match(/^\d{2}([A-Z]{2,4})\d+$/); // 22BCE10100
-      if (match) return match[1];
-      
-      match = regNum.match(/^\d{4}([A-Z]{2,4})\d+$/); // 2024BCE001
-      if (match) return match[1];
-      
-      match = regNum.match(/^([A-Z]{2,4})\d+$/); // BCE001
-      if (match) return match[1];
-      
-      match = regNum.match(/([A-Z]{2,4})/); // Any 2-4 capital letters
-      if (match) return match[1];
-      
-      return null;
-    };
-
-    const candidateBranch = extractBranch(candidateReg);
-    console.log('🎓 Extracted candidate branch:', candidateBranch);
-
-    // Filter assignments by subgroup
+    // Filter assignments by subgroup, leaving out ones that haven't opened yet
     const filteredAssignments = assignments.filter(assignment => {
-      // If no subgroup restriction, everyone can see it
-      if (!assignment.subgroup) {
-        console.log(`✅ Assignment ${assignment.quizId?.title} - No restriction (ALL)`);
-        return true;
-      }
-      
-      // If candidate has no branch, they can't take restricted quizzes
-      if (!candidateBranch) {
-        console.log(`❌ Assignment ${assignment.quizId?.title} - Candidate has no branch`);
+      if (getAssignmentWindow(assignment, classData).status === 'upcoming') {
+        console.log(`⏳ Assignment ${assignment.quizId?.title} - Not open until ${assignment.availableFrom}`);
         return false;
       }
-      
-      const subgroup = assignment.subgroup.toUpperCase();
-      
-      // Handle multiple branches (comma-separated)
-      if (subgroup.includes(',')) {
-        const allowedBranches = subgroup.split(',').map(b => b.trim());
-        const isEligible = allowedBranches.includes(candidateBranch.toUpperCase());
-        console.log(`${isEligible ? '✅' : '❌'} Assignment ${assignment.quizId?.title} - Multi-branch [${allowedBranches.join(', ')}] - Candidate: ${candidateBranch}`);
-        return isEligible;
-      }
-      
-      // Single branch - exact match
-      const isEligible = candidateBranch.toUpperCase() === subgroup;
-      console.log(`${isEligible ? '✅' : '❌'} Assignment ${assignment.quizId?.title} - Single branch [${subgroup}] - Candidate: ${candidateBranch}`);
+      const isEligible = isInSubgroup(candidateReg, assignment.subgroup);
+      console.log(`${isEligible ? '✅' : '❌'} Assignment ${assignment.quizId?.title} - ${assignment.subgroup ? `Branch [${assignment.subgroup}]` : 'No restriction (ALL)'}`);
       return isEligible;
     });
 
     // Add submission status for this candidate to each assignment
-    const assignmentsWithStatus = filteredAssignments.map(assignment => {
+    const assignmentsWithStatus = await Promise.all(filteredAssignments.map(async assignment => {
       const assignmentObj = assignment.toObject();
-      const candidateSubmission = assignmentObj.submissions.find(
-        sub => sub.candidateId.toString() === candidateId.toString()
-      );
+      const candidateSubmissions = getCandidateSubmissions(assignmentObj.submissions, candidateId);
+      const latestSubmission = candidateSubmissions[candidateSubmissions.length - 1];
+      const { score: policyScore } = applyScoringPolicy(candidateSubmissions, assignmentObj.scoringPolicy);
+      const maxAttempts = assignmentObj.maxAttempts || 1;
       
       // Check if class allows showing results to candidates
-      const showScore = classData.showResults && candidateSubmission;
+      const showScore = classData.showResults && latestSubmission;
+      const schedule = getCandidateSchedule(assignment, classData, candidateId);
+      const assignmentWindow = getAssignmentWindow(schedule, classData);
+      const reviewRelease = latestSubmission
+        ? await getReviewRelease(assignment, classData, candidateId, candidateSubmissions)
+        : null;
       
       return {
         ...assignmentObj,
-        hasSubmitted: !!candidateSubmission,
-        submissionScore: showScore ? candidateSubmission.score : null,
-        submittedAt: candidateSubmission ? candidateSubmission.submittedAt : null,
-        isLateSubmission: candidateSubmission ? candidateSubmission.isLateSubmission : false,
-        allowLateSubmissions: classData.allowLateSubmissions,
+        submissions: undefined, // Everyone's answers - never sent to candidates
+        extensions: undefined,
+        accessCode: undefined, // Revealed by the invigilator, not the app
+        requiresAccessCode: Boolean(assignment.accessCode),
+        // This candidate's due date and time limit (extension and extra time applied)
+        dueDate: schedule.dueDate,
+        timeLimit: schedule.timeLimit,
+        hasExtension: Boolean(schedule.extension),
+        hasSubmitted: !!latestSubmission,
+        submissionScore: showScore ? policyScore : null,
+        submittedAt: latestSubmission ? latestSubmission.submittedAt : null,
+        isLateSubmission: latestSubmission ? latestSubmission.isLateSubmission : false,
+        windowStatus: assignmentWindow.status,
+        closesAt: assignmentWindow.closesAt,
+        attemptsUsed: candidateSubmissions.length,
+        maxAttempts,
+        canRetake: candidateSubmissions.length > 0 && candidateSubmissions.length < maxAttempts,
+        reviewAvailable: Boolean(reviewRelease?.open),
+        reviewMessage: reviewRelease?.message || '',
+        reviewAvailableAt: reviewRelease?.availableAt || null,
       };
-    });
+    }));
 
     console.log('✅ Found', assignments.length, 'assignments, filtered to', assignmentsWithStatus.length);
 
@@ -711,7 +1155,8 @@ export const submitQuiz = async (req, res) => {
       .populate({
         path: 'quizId',
         model: 'Quiz', // Explicitly tell it which model
-      });
+      })
+      .populate('quizVersionId');
 
     if (!assignment) {
       console.log('❌ Assignment not found');
@@ -736,98 +1181,119 @@ export const submitQuiz = async (req, res) => {
       });
     }
 
-    // 3. Check if user has already submitted
-    const existingSubmission = assignment.submissions.find(
-      sub => sub.candidateId.toString() === candidateId.toString()
-    );
-    
-    if (existingSubmission) {
-      console.log('❌ Candidate has already submitted this quiz');
-      return res.status(400).json({
+    // 3.5. Check the release window
+    // Closing is enforced through the attempt deadline below, which never runs past closesAt,
+    // so an attempt started before the close still gets its grace window
+    const schedule = getCandidateSchedule(assignment, classData, candidateId);
+    const assignmentWindow = getAssignmentWindow(schedule, classData);
+    if (assignmentWindow.status === 'upcoming') {
+      console.log('❌ Assignment is not open yet');
+      return res.status(403).json({
         success: false,
-        message: 'You have already submitted this quiz',
+        message: assignmentWindow.message,
       });
     }
 
-    // 3.5. Check if submission is past due and late submissions are not allowed
-    const isPastDue = new Date() > new Date(assignment.dueDate);
-    const isLateSubmission = isPastDue;
-    
-    if (isPastDue && !classData.allowLateSubmissions) {
-      console.log('❌ Late submissions not allowed for this class');
+    // 3.6. Exam hall restrictions: access code and allowed networks
+    const accessDenial = await checkRestrictedAccess(req, assignment, candidateId, 'submit');
+    if (accessDenial) {
+      console.log('❌ Submission refused:', accessDenial.reason);
       return res.status(403).json({
         success: false,
-        message: 'This assignment is past due and late submissions are not allowed',
+        message: accessDenial.message,
+        accessDenied: accessDenial.reason,
       });
     }
-    
-    if (isLateSubmission) {
-      console.log('⚠️ This is a late submission');
-    }
-
-    // 4. --- GRADING LOGIC ---
-    const correctAnswers = assignment.quizId.questions;
-    let score = 0;
-    let totalQuestions = correctAnswers.length;
 
-    console.log('🔍 Grading quiz with', totalQuestions, 'questions');
+    // 3.7. Enforce the server-side timer
+    const attemptSession = findAttemptSession(assignment, candidateId);
+    const submittedAt = new Date();
 
-    // Array to store formatted answers with correctness
-    const formattedAnswers = [];
+    const candidateSubmissions = getCandidateSubmissions(assignment.submissions, candidateId);
+    const maxAttempts = assignment.maxAttempts || 1;
 
-    for (const question of correctAnswers) {
-      // Find the candidate's answer for this question
-      // We use question._id.toString() because the keys in 'answers' are strings
-      const candidateAnswer = answers[question._id.toString()];
-      
-      if (candidateAnswer) {
-        let isCorrect = false;
-        
-        // For short answer questions, do case-insensitive comparison
-        if (question.type === 'short_answer') {
-          isCorrect = candidateAnswer.trim().toLowerCase() === question.answer.trim().toLowerCase();
-          console.log(`📝 Short Answer - Question: "${question.text}"`);
-          console.log(`   Candidate: "${candidateAnswer}" | Correct: "${question.answer}" | Match: ${isCorrect}`);
-        } else {
-          // For MCQ and True/False, exact match (case-sensitive)
-          isCorrect = candidateAnswer === question.answer;
-        }
-        
-        if (isCorrect) {
-          score += 1;
-        }
-
-        // Store the answer with its correctness
-        formattedAnswers.push({
-          questionId: question._id.toString(),
-          selectedAnswer: candidateAnswer,
-          isCorrect: isCorrect,
+    if (!attemptSession || attemptSession.status !== 'in_progress') {
+      if (assignmentWindow.status === 'closed') {
+        console.log('❌ Assignment is closed');
+        return res.status(403).json({
+          success: false,
+          message: assignmentWindow.message,
         });
-      } else {
-        // If no answer provided, store as incorrect
-        formattedAnswers.push({
-          questionId: question._id.toString(),
-          selectedAnswer: '',
-          isCorrect: false,
+      }
+      if (candidateSubmissions.length > 0) {
+        console.log('❌ Candidate has no open attempt - already submitted', candidateSubmissions.length, 'of', maxAttempts);
+        return res.status(400).json({
+          success: false,
+          message: 'You have already submitted this quiz',
         });
       }
+      console.log('❌ No attempt session found for candidate');
+      return res.status(400).json({
+        success: false,
+        message: 'No active attempt found. Please open the quiz before submitting.',
+      });
     }
 
-    const percentageScore = (score / totalQuestions) * 100;
+    // Guard against a double submit of the same attempt
+    if (candidateSubmissions.some(sub => (sub.attemptNumber || 1) === attemptSession.attemptNumber)) {
+      console.log('❌ Attempt', attemptSession.attemptNumber, 'was already submitted');
+      return res.status(400).json({
+        success: false,
+        message: 'You have already submitted this quiz',
+      });
+    }
 
-    console.log('✅ Score calculated:', score, '/', totalQuestions, '=', percentageScore.toFixed(2) + '%');
+    const isLateSubmission = submittedAt > schedule.dueDate;
+    if (isLateSubmission) {
+      console.log('⚠️ This is a late submission');
+    }
+
+    if (isSessionExpired(attemptSession, submittedAt)) {
+      console.log('❌ Submission arrived after the deadline:', attemptSession.deadline, '(grace', SUBMISSION_GRACE_SECONDS, 's)');
+      // Grade what was autosaved before the deadline instead of the late answers
+      finalizeAttemptSession(assignment, attemptSession, { autoGrading: classData.autoGrading });
+      await assignment.save();
+      return res.status(403).json({
+        success: false,
+        message: 'The time limit for this quiz has expired. Your last saved answers were submitted instead.',
+      });
+    }
+
+    // 4. --- GRADING LOGIC ---
+    // Grade against the version the assignment was created with, not the live quiz,
+    // and only the questions drawn for this attempt on pool assignments
+    const questions = getAttemptQuestions(assignment, attemptSession);
+    console.log('🔍 Grading quiz version', assignment.quizVersion || '(unversioned)', 'with', questions.length, 'questions');
+    const { formattedAnswers, correctCount: score, totalQuestions, pointsEarned, pointsPossible, percentageScore: rawScore, gradingStatus } =
+      gradeAnswers(questions, answers, { autoGrading: classData.autoGrading });
+    const latePenalty = getLatePenalty(schedule, submittedAt);
+    const percentageScore = Math.max(rawScore - latePenalty, 0);
+    if (latePenalty > 0) {
+      console.log('⏰ Late penalty:', latePenalty, 'points off');
+    }
+
+    console.log('✅ Score calculated:', pointsEarned, '/', pointsPossible, 'points (', score, '/', totalQuestions, 'correct ) =', percentageScore.toFixed(2) + '%');
     console.log('📊 Saving', formattedAnswers.length, 'answers');
 
     // 5. Create the submission record with detailed answers and anti-cheat data
     const submission = {
       candidateId: candidateId,
       score: percentageScore,
-      submittedAt: new Date(),
+      pointsEarned,
+      pointsPossible,
+      attemptNumber: attemptSession.attemptNumber,
+      submittedAt: submittedAt,
+      startedAt: attemptSession.startedAt,
+      timeTakenSeconds: Math.round((submittedAt - attemptSession.startedAt) / 1000),
       isLateSubmission: isLateSubmission,
+      latePenalty,
       tabSwitchCount: tabSwitchCount,
       escCount: escCount,
       wasFullscreen: wasFullscreen,
       answers: formattedAnswers, // Include the formatted answers
+      gradingStatus,
+      questionIds: attemptSession.questionIds || [],
+      optionOrders: attemptSession.optionOrders,
     };
 
     // Add proctoring data if present
@@ -836,16 +1302,26 @@ export const submitQuiz = async (req, res) => {
       console.log('🎥 Proctoring violations saved:', proctoringData.totalViolations);
     }
 
-    // 6. Save the submission to the assignment
+    // 6. Save the submission to the assignment and close the attempt session
     assignment.submissions.push(submission);
+    attemptSession.status = 'submitted';
+    attemptSession.submittedAt = submittedAt;
+    attemptSession.draftAnswers?.clear();
     await assignment.save();
 
-    console.log('✅ Quiz submitted successfully!');
+    const attemptsRemaining = Math.max(maxAttempts - (candidateSubmissions.length + 1), 0);
+    console.log('✅ Quiz submitted successfully! Attempt', attemptSession.attemptNumber, 'of', maxAttempts);
+    if (gradingStatus === 'pending_review') {
+      console.log('📝 Some answers are waiting for manual grading');
+    }
 
     // 7. Check if results should be shown to candidates
     const showScore = classData.showResults;
     console.log('🔍 Show results to candidate:', showScore);
 
+    // 7.5. Answers and explanations, if they are released now
+    const reviewRelease = await getReviewRelease(assignment, classData, candidateId, [...candidateSubmissions, submission], submittedAt);
+
     // 8. Send the result back to the candidate (conditionally show score)
     res.status(200).json({
       success: true,
@@ -853,8 +1329,17 @@ export const submitQuiz = async (req, res) => {
       score: showScore ? percentageScore : null,
       totalQuestions: showScore ? totalQuestions : null,
       correctCount: showScore ? score : null,
+      pointsEarned: showScore ? pointsEarned : null,
+      pointsPossible: showScore ? pointsPossible : null,
       showResults: showScore,
       isLateSubmission: isLateSubmission,
+      latePenalty: showScore ? latePenalty : null,
+      attemptNumber: attemptSession.attemptNumber,
+      attemptsRemaining,
+      gradingStatus,
+      review: reviewRelease.open ? buildAnswerReview(questions, formattedAnswers) : null,
+      reviewMessage: reviewRelease.message,
+      reviewAvailableAt: reviewRelease.availableAt,
     });
 
   } catch (error) {
@@ -867,6 +1352,219 @@ export const submitQuiz = async (req, res) => {
   }
 };
 
+/**
+ * Autosave draft answers for an in-progress attempt
+ * POST /api/candidate/save-draft/:assignmentId
+ * Body: { answers: { questionId: answer }, tabSwitchCount, escCount }
+ * Only the answers sent are updated, so the client can send just what changed.
+ */
+export const saveDraftAnswers = async (req, res) => {
+  try {
+    const { assignmentId } = req.params;
+    const { answers = {}, tabSwitchCount, escCount } = req.body;
+    const candidateId = req.user?.id || req.user?._id;
+
+    if (req.user?.role !== 'candidate') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only candidates can save quiz answers',
+      });
+    }
+
+    if (typeof answers !== 'object' || Array.isArray(answers)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Answers must be an object keyed by question ID',
+      });
+    }
+
+    const assignment = await Assignment.findById(assignmentId)
+      .populate({
+        path: 'quizId',
+        model: 'Quiz',
+      })
+      .populate('quizVersionId');
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found',
+      });
+    }
+
+    // Answers saved from outside the exam venue would be graded if the timer runs out,
+    // so drafts face the same restrictions (not logged - autosave would flood the log)
+    const accessDenial = checkAssignmentAccess(assignment, { accessCode: req.get('X-Access-Code'), ip: req.ip });
+    if (accessDenial) {
+      return res.status(403).json({
+        success: false,
+        message: accessDenial.message,
+        accessDenied: accessDenial.reason,
+      });
+    }
+
+    const attemptSession = findAttemptSession(assignment, candidateId);
+
+    if (!attemptSession || attemptSession.status !== 'in_progress') {
+      return res.status(400).json({
+        success: false,
+        message: 'No active attempt found for this quiz',
+      });
+    }
+
+    // Timer ran out - finalize what we already have and refuse the late answers
+    if (isSessionExpired(attemptSession)) {
+      console.log('⏱️ Draft save after deadline - auto-submitting saved draft');
+      const classData = await Class.findById(assignment.classId).select('autoGrading');
+      finalizeAttemptSession(assignment, attemptSession, { autoGrading: classData ? classData.autoGrading : true });
+      await assignment.save();
+      return res.status(403).json({
+        success: false,
+        message: 'The time limit for this quiz has expired. Your last saved answers were submitted.',
+        autoSubmitted: true,
+      });
+    }
+
+    // Only accept answers for questions that are actually in this attempt
+    const questionIds = new Set(getAttemptQuestions(assignment, attemptSession).map(q => q._id.toString()));
+    let savedCount = 0;
+    for (const [questionId, answer] of Object.entries(answers)) {
+      if (questionIds.has(questionId)) {
+        attemptSession.draftAnswers.set(questionId, answer);
+        savedCount += 1;
+      }
+    }
+
+    // Counters only ever go up during an attempt
+    if (tabSwitchCount !== undefined) {
+      attemptSession.tabSwitchCount = Math.max(attemptSession.tabSwitchCount, Number(tabSwitchCount) || 0);
+    }
+    if (escCount !== undefined) {
+      attemptSession.escCount = Math.max(attemptSession.escCount, Number(escCount) || 0);
+    }
+
+    attemptSession.lastSavedAt = new Date();
+    await assignment.save();
+
+    res.status(200).json({
+      success: true,
+      savedCount,
+      lastSavedAt: attemptSession.lastSavedAt,
+      deadline: attemptSession.deadline,
+    });
+
+  } catch (error) {
+    console.error('❌ Error saving draft answers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save answers',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Review a submitted quiz: the candidate's answers with the correct answers and explanations
+ * GET /api/candidate/review/:assignmentId?attempt=2
+ * Defaults to the latest attempt. Refused until the answers are released.
+ */
+export const getSubmissionReview = async (req, res) => {
+  try {
+    const { assignmentId } = req.params;
+    const candidateId = req.user?.id || req.user?._id;
+
+    if (req.user?.role !== 'candidate') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only candidates can review their answers',
+      });
+    }
+
+    const assignment = await Assignment.findById(assignmentId)
+      .populate({
+        path: 'quizId',
+        model: 'Quiz',
+      })
+      .populate('quizVersionId');
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found',
+      });
+    }
+
+    const classData = await Class.findOne({ _id: assignment.classId, students: candidateId });
+    if (!classData) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not enrolled in this class',
+      });
+    }
+
+    const candidateSubmissions = getCandidateSubmissions(assignment.submissions, candidateId);
+    if (candidateSubmissions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'You have not submitted this quiz',
+      });
+    }
+
+    const reviewRelease = await getReviewRelease(assignment, classData, candidateId, candidateSubmissions);
+    if (!reviewRelease.open) {
+      console.log('🔒 Answer review not released yet for assignment', assignmentId);
+      return res.status(403).json({
+        success: false,
+        message: reviewRelease.message,
+        availableAt: reviewRelease.availableAt,
+      });
+    }
+
+    const attemptNumber = req.query.attempt !== undefined ? parseInt(req.query.attempt) : null;
+    const submission = attemptNumber === null
+      ? candidateSubmissions[candidateSubmissions.length - 1]
+      : candidateSubmissions.find(sub => (sub.attemptNumber || 1) === attemptNumber);
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attempt not found',
+      });
+    }
+
+    const showScore = classData.showResults;
+    const questions = getAttemptQuestions(assignment, submission);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        assignmentId: assignment._id,
+        classId: assignment.classId,
+        quizTitle: assignment.quizVersionId?.title || assignment.quizId?.title || 'Quiz',
+        attempts: candidateSubmissions.map(sub => ({
+          attemptNumber: sub.attemptNumber || 1,
+          submittedAt: sub.submittedAt,
+          score: showScore ? sub.score : null,
+        })),
+        attemptNumber: submission.attemptNumber || 1,
+        submittedAt: submission.submittedAt,
+        score: showScore ? submission.score : null,
+        pointsEarned: showScore ? submission.pointsEarned : null,
+        pointsPossible: showScore ? submission.pointsPossible : null,
+        gradingStatus: submission.gradingStatus,
+        review: buildAnswerReview(questions, submission.answers),
+      },
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching answer review:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load answer review',
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Get all submissions for a single assignment (for Admins)
  * GET /api/assignments/:assignmentId/submissions
@@ -895,6 +1593,11 @@ export const getAssignmentSubmissions = async (req, res) => {
         model: 'User',
         select: 'name email registrationNumber',
       })
+      .populate({
+        path: 'accessDenials.candidateId',
+        model: 'User',
+        select: 'name email registrationNumber',
+      })
       .populate('quizId', 'title')
       .populate('classId', 'title courseCode');
 
@@ -927,8 +1630,12 @@ export const getAssignmentSubmissions = async (req, res) => {
         courseCode: assignment.classId.courseCode,
         dueDate: assignment.dueDate,
         timeLimit: assignment.timeLimit,
+        maxAttempts: assignment.maxAttempts || 1,
+        scoringPolicy: assignment.scoringPolicy || 'highest',
         submissions: assignment.submissions,
         totalSubmissions: assignment.submissions.length,
+        // Refused attempts to open or submit a restricted assignment, newest first
+        accessDenials: [...assignment.accessDenials].reverse(),
       },
     });
 
@@ -970,11 +1677,17 @@ export const getSubmissionDetails = async (req, res) => {
         model: 'Quiz',
         select: 'title questions',
       })
+      .populate('quizVersionId')
       .populate({
         path: 'submissions.candidateId',
         model: 'User',
         select: 'name email registrationNumber',
       })
+      .populate({
+        path: 'submissions.gradingHistory.changedBy',
+        model: 'User',
+        select: 'name email',
+      })
       .populate('classId', 'title courseCode');
 
     if (!assignment) {
@@ -1007,21 +1720,38 @@ export const getSubmissionDetails = async (req, res) => {
 
     console.log('✅ Found submission with', submission.answers.length, 'answers');
 
-    // 5. Build detailed question breakdown
-    const questionsWithAnswers = assignment.quizId.questions.map((question) => {
+    // 5. Build detailed question breakdown (against the version and questions the candidate was given)
+    const questionsWithAnswers = getAttemptQuestions(assignment, submission).map((question) => {
       // Find the candidate's answer for this question
       const candidateAnswer = submission.answers.find(
         (ans) => ans.questionId === question._id.toString()
       );
 
+      // Answers graded before per-question points were stored: derive them from correctness
+      const pointsPossible = candidateAnswer?.pointsPossible ?? getQuestionPoints(question);
+      const pointsEarned = candidateAnswer?.pointsEarned ?? (candidateAnswer?.isCorrect ? pointsPossible : 0);
+
       return {
         questionId: question._id,
         questionText: question.text,
         questionType: question.type,
         options: question.options || [],
-        correctAnswer: question.answer,
+        // Authored option indices in the order this candidate saw them (null = authored order)
+        optionOrder: getOptionOrder(question, submission.optionOrders),
+        correctAnswer: formatCorrectAnswer(question),
+        correctAnswers: question.type === 'multi_select' ? question.correctAnswers : undefined,
         candidateAnswer: candidateAnswer ? candidateAnswer.selectedAnswer : '',
+        candidateAnswers: question.type === 'multi_select' ? (candidateAnswer?.selectedAnswers || []) : undefined,
         isCorrect: candidateAnswer ? candidateAnswer.isCorrect : false,
+        matchedRule: candidateAnswer?.matchedRule || null,
+        matchedAgainst: candidateAnswer?.matchedAgainst || null,
+        pointsEarned,
+        pointsPossible,
+        negativePoints: question.negativePoints || 0,
+        reviewStatus: candidateAnswer?.reviewStatus || null,
+        teacherComment: candidateAnswer?.teacherComment || '',
+        rubric: question.type === 'essay' ? question.rubric : undefined,
+        rubricScores: candidateAnswer?.rubricScores || [],
       };
     });
 
@@ -1029,15 +1759,17 @@ export const getSubmissionDetails = async (req, res) => {
     const totalQuestions = questionsWithAnswers.length;
     const correctAnswers = questionsWithAnswers.filter(q => q.isCorrect).length;
     const incorrectAnswers = totalQuestions - correctAnswers;
+    const pointsEarned = Math.round(questionsWithAnswers.reduce((sum, q) => sum + q.pointsEarned, 0) * 100) / 100;
+    const pointsPossible = questionsWithAnswers.reduce((sum, q) => sum + q.pointsPossible, 0);
 
-    // 7. Recalculate the actual percentage based on answers (for accuracy)
-    const recalculatedPercentage = totalQuestions > 0 ? (correctAnswers / totalQuestions) * 100 : 0;
+    // 7. Recalculate the actual percentage based on points (for accuracy)
+    const recalculatedPercentage = pointsPossible > 0 ? (Math.max(pointsEarned, 0) / pointsPossible) * 100 : 0;
     
     // If submission has no answers array (old submission), use the stored score
     // Otherwise use the recalculated score for accuracy
     const finalScore = submission.answers.length > 0 ? recalculatedPercentage : submission.score;
 
-    console.log('📊 Statistics - Correct:', correctAnswers, 'Incorrect:', incorrectAnswers, 'Score:', finalScore.toFixed(2) + '%');
+    console.log('📊 Statistics - Correct:', correctAnswers, 'Incorrect:', incorrectAnswers, 'Points:', pointsEarned, '/', pointsPossible, 'Score:', finalScore.toFixed(2) + '%');
 
     // 8. Send back detailed report
     res.status(200).json({
@@ -1052,6 +1784,7 @@ export const getSubmissionDetails = async (req, res) => {
         quiz: {
           id: assignment.quizId._id,
           title: assignment.quizId.title,
+          version: assignment.quizVersion || null,
         },
         class: {
           id: assignment.classId._id,
@@ -1060,10 +1793,15 @@ export const getSubmissionDetails = async (req, res) => {
         },
         score: finalScore,
         submittedAt: submission.submittedAt,
+        gradingStatus: submission.gradingStatus || 'graded',
+        gradingHistory: submission.gradingHistory || [],
+        scoreHistory: submission.scoreHistory || [],
         statistics: {
           totalQuestions,
           correctAnswers,
           incorrectAnswers,
+          pointsEarned,
+          pointsPossible,
           percentage: finalScore,
         },
         questions: questionsWithAnswers,
@@ -1080,6 +1818,388 @@ export const getSubmissionDetails = async (req, res) => {
   }
 };
 
+/**
+ * List answers waiting on a teacher (held for manual grading or flagged by the auto-grader)
+ * GET /api/assignments/:assignmentId/review-queue
+ * Query: ?status=pending|flagged to narrow the list
+ */
+export const getReviewQueue = async (req, res) => {
+  try {
+    const { assignmentId } = req.params;
+    const { status } = req.query;
+    const adminId = req.user?.id || req.user?._id;
+
+    if (req.user?.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized. Only admins can grade submissions.',
+      });
+    }
+
+    if (status && !['pending', 'flagged'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be "pending" or "flagged"',
+      });
+    }
+
+    const assignment = await Assignment.findById(assignmentId)
+      .populate({
+        path: 'quizId',
+        model: 'Quiz',
+        select: 'title questions',
+      })
+      .populate('quizVersionId')
+      .populate({
+        path: 'submissions.candidateId',
+        model: 'User',
+        select: 'name email registrationNumber',
+      });
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found',
+      });
+    }
+
+    if (assignment.adminId.toString() !== adminId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not own this assignment',
+      });
+    }
+
+    const questionsById = new Map(getAssignmentQuestions(assignment).map(q => [q._id.toString(), q]));
+    const statuses = status ? [status] : ['pending', 'flagged'];
+
+    const items = [];
+    assignment.submissions.forEach(submission => {
+      submission.answers
+        .filter(answer => statuses.includes(answer.reviewStatus))
+        .forEach(answer => {
+          const question = questionsById.get(answer.questionId);
+          if (!question) return;
+
+          items.push({
+            submissionId: submission._id,
+            candidate: submission.candidateId ? {
+              id: submission.candidateId._id,
+              name: submission.candidateId.name,
+              email: submission.candidateId.email,
+              registrationNumber: submission.candidateId.registrationNumber,
+            } : null,
+            attemptNumber: submission.attemptNumber || 1,
+            submittedAt: submission.submittedAt,
+            questionId: answer.questionId,
+            questionText: question.text,
+            questionType: question.type,
+            correctAnswer: formatCorrectAnswer(question),
+            candidateAnswer: answer.selectedAnswer,
+            reviewStatus: answer.reviewStatus,
+            isCorrect: answer.isCorrect,
+            matchedRule: answer.matchedRule || null,
+            matchedAgainst: answer.matchedAgainst || null,
+            pointsEarned: answer.pointsEarned,
+            pointsPossible: answer.pointsPossible,
+          });
+        });
+    });
+
+    // Held answers first (they block a final score), then oldest submissions first
+    items.sort((a, b) => (
+      (a.reviewStatus === 'pending' ? 0 : 1) - (b.reviewStatus === 'pending' ? 0 : 1) ||
+      new Date(a.submittedAt) - new Date(b.submittedAt)
+    ));
+
+    console.log('📝 Review queue for assignment', assignmentId, '-', items.length, 'answers');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        assignmentId: assignment._id,
+        quizTitle: assignment.quizId.title,
+        pendingCount: items.filter(item => item.reviewStatus === 'pending').length,
+        flaggedCount: items.filter(item => item.reviewStatus === 'flagged').length,
+        items,
+      },
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching review queue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Override (or confirm) the grade of one answer and recompute the submission score
+ * PUT /api/assignments/:assignmentId/submissions/:submissionId/answers/:questionId
+ * Body: { isCorrect?, pointsEarned?, rubricScores?, comment? }
+ * Essays with a rubric are graded with rubricScores: [{ criterionId, points }], one per criterion.
+ * Sending none of isCorrect, pointsEarned or rubricScores confirms the current grade.
+ */
+export const overrideAnswerGrade = async (req, res) => {
+  try {
+    const { assignmentId, submissionId, questionId } = req.params;
+    const { isCorrect, pointsEarned, rubricScores, comment = '' } = req.body;
+    const adminId = req.user?.id || req.user?._id;
+
+    if (req.user?.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized. Only admins can grade submissions.',
+      });
+    }
+
+    if (isCorrect !== undefined && typeof isCorrect !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'isCorrect must be true or false',
+      });
+    }
+
+    const assignment = await Assignment.findById(assignmentId)
+      .populate({
+        path: 'quizId',
+        model: 'Quiz',
+        select: 'questions',
+      })
+      .populate('quizVersionId');
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found',
+      });
+    }
+
+    if (assignment.adminId.toString() !== adminId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not own this assignment',
+      });
+    }
+
+    const submission = assignment.submissions.id(submissionId);
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        message: 'Submission not found',
+      });
+    }
+
+    // Only the questions this attempt was given - on pool assignments, the ones drawn for it
+    const question = getAttemptQuestions(assignment, submission).find(q => q._id.toString() === questionId);
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found in this attempt',
+      });
+    }
+
+    // Unanswered questions may have no stored answer (e.g. old submissions) - create one to grade
+    let answer = submission.answers.find(ans => ans.questionId === questionId);
+    if (!answer) {
+      submission.answers.push({ questionId, pointsPossible: getQuestionPoints(question) });
+      answer = submission.answers[submission.answers.length - 1];
+    }
+
+    const pointsPossible = answer.pointsPossible ?? getQuestionPoints(question);
+    let newPoints = answer.pointsEarned;
+    if (rubricScores !== undefined) {
+      // Rubric grading: every criterion gets one of its level's points
+      const rubric = question.rubric || [];
+      if (rubric.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'This question has no rubric',
+        });
+      }
+      if (!Array.isArray(rubricScores)) {
+        return res.status(400).json({
+          success: false,
+          message: 'rubricScores must be an array of { criterionId, points }',
+        });
+      }
+
+      const scored = [];
+      for (const criterion of rubric) {
+        const entry = rubricScores.find(score => score.criterionId === criterion._id.toString());
+        const levelPoints = criterion.levels.map(level => level.points);
+        if (!entry || !levelPoints.includes(Number(entry.points))) {
+          return res.status(400).json({
+            success: false,
+            message: `Choose a level for "${criterion.criterion}"`,
+          });
+        }
+        scored.push({ criterionId: criterion._id.toString(), points: Number(entry.points) });
+      }
+
+      answer.rubricScores = scored;
+      newPoints = Math.round(scored.reduce((sum, score) => sum + score.points, 0) * 100) / 100;
+    } else if (pointsEarned !== undefined) {
+      newPoints = parseFloat(pointsEarned);
+      const minPoints = -(question.negativePoints || 0);
+      if (isNaN(newPoints) || newPoints < minPoints || newPoints > pointsPossible) {
+        return res.status(400).json({
+          success: false,
+          message: `Points must be between ${minPoints} and ${pointsPossible}`,
+        });
+      }
+    } else if (isCorrect !== undefined) {
+      newPoints = isCorrect ? pointsPossible : 0;
+    }
+    const newIsCorrect = isCorrect !== undefined ? isCorrect : newPoints >= pointsPossible;
+
+    const previous = {
+      isCorrect: answer.isCorrect,
+      points: answer.pointsEarned,
+      score: submission.score,
+    };
+
+    answer.isCorrect = newIsCorrect;
+    answer.pointsEarned = newPoints;
+    answer.pointsPossible = pointsPossible;
+    answer.reviewStatus = 'reviewed';
+    answer.teacherComment = String(comment).trim();
+
+    recalculateSubmissionScore(submission);
+
+    submission.gradingHistory.push({
+      questionId,
+      changedBy: adminId,
+      changedAt: new Date(),
+      previousIsCorrect: previous.isCorrect,
+      previousPoints: previous.points,
+      newIsCorrect,
+      newPoints,
+      previousScore: previous.score,
+      newScore: submission.score,
+      comment: answer.teacherComment,
+    });
+
+    await assignment.save();
+
+    console.log('✅ Grade updated for question', questionId, ':', previous.points, '->', newPoints, 'points; score', previous.score.toFixed(2), '->', submission.score.toFixed(2) + '%');
+
+    res.status(200).json({
+      success: true,
+      message: 'Grade updated successfully',
+      data: {
+        submissionId: submission._id,
+        score: submission.score,
+        pointsEarned: submission.pointsEarned,
+        pointsPossible: submission.pointsPossible,
+        gradingStatus: submission.gradingStatus,
+        answer,
+      },
+    });
+
+  } catch (error) {
+    console.error('❌ Error overriding grade:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Regrade every submission against the quiz's current answer key
+ * POST /api/assignments/:assignmentId/regrade
+ * Teacher-graded answers keep their manual grade; changed scores are kept in scoreHistory.
+ */
+export const regradeAssignmentSubmissions = async (req, res) => {
+  try {
+    const { assignmentId } = req.params;
+    const adminId = req.user?.id || req.user?._id;
+
+    if (req.user?.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized. Only admins can regrade submissions.',
+      });
+    }
+
+    const assignment = await Assignment.findById(assignmentId)
+      .populate({
+        path: 'quizId',
+        model: 'Quiz',
+      })
+      .populate({
+        path: 'submissions.candidateId',
+        model: 'User',
+        select: 'name email registrationNumber',
+      });
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Assignment not found',
+      });
+    }
+
+    if (assignment.adminId.toString() !== adminId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not own this assignment',
+      });
+    }
+
+    if (!assignment.quizId) {
+      return res.status(400).json({
+        success: false,
+        message: 'The quiz for this assignment no longer exists',
+      });
+    }
+
+    console.log('🔁 Regrading', assignment.submissions.length, 'submissions for assignment:', assignmentId);
+
+    // Regrading moves the assignment onto the quiz's current version
+    const previousVersion = assignment.quizVersion || null;
+    const classData = await Class.findById(assignment.classId).select('autoGrading');
+    const changes = await regradeToCurrentVersion(assignment, assignment.quizId, {
+      autoGrading: classData ? classData.autoGrading : true,
+      changedBy: adminId,
+    });
+    await assignment.save();
+
+    console.log('✅ Regrade complete against quiz version', assignment.quizVersion, '-', changes.length, 'score(s) changed');
+
+    res.status(200).json({
+      success: true,
+      message: changes.length > 0
+        ? `Regraded against quiz version ${assignment.quizVersion}. ${changes.length} score(s) changed.`
+        : `Regraded against quiz version ${assignment.quizVersion}. No scores changed.`,
+      data: {
+        assignmentId: assignment._id,
+        previousQuizVersion: previousVersion,
+        quizVersion: assignment.quizVersion,
+        regradedCount: assignment.submissions.filter(sub => sub.answers.length > 0).length,
+        changes: changes.map(change => ({
+          ...change,
+          candidateId: change.candidateId?._id || change.candidateId,
+          candidateName: change.candidateId?.name || 'Unknown',
+          candidateEmail: change.candidateId?.email || '',
+        })),
+      },
+    });
+
+  } catch (error) {
+    console.error('❌ Error regrading assignment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Get all results for a class (for Results tab)
  * GET /api/assignments/class/:classId/results
@@ -1103,6 +2223,7 @@ export const getClassResults = async (req, res) => {
     // Get all assignments for this class
     const assignments = await Assignment.find({ classId })
       .populate('quizId', 'title questions')
+      .populate('quizVersionId', 'questions')
       .lean();
 
     console.log(`📝 Found ${assignments.length} assignments for class`);
@@ -1125,11 +2246,13 @@ export const getClassResults = async (req, res) => {
     submissions.forEach(assignment => {
       const assignmentData = assignments.find(a => a._id.toString() === assignment._id.toString());
       const quiz = assignmentData?.quizId;
+      const quizQuestions = assignmentData ? getAssignmentQuestions(assignmentData) : [];
       // CRITICAL FIX: Use assignmentData (fresh query) for current weightage, not assignment (submissions query)
       const weightage = assignmentData?.weightage || 0;
       const weightageType = assignmentData?.weightageType || 'percentage';
       
-      assignment.submissions.forEach(submission => {
+      // One result per candidate - the assignment's scoring policy picks which attempt counts
+      getPolicyResults(assignment.submissions, assignmentData?.scoringPolicy).forEach(({ score, attemptCount, submission, isPending }) => {
         // IMPORTANT: Only include submissions from candidates enrolled in THIS class
         // This prevents cross-class contamination if somehow a student has submissions in multiple classes
         const candidateId = submission.candidateId?._id || submission.candidateId;
@@ -1142,8 +2265,8 @@ export const getClassResults = async (req, res) => {
         
         // The submission.score is already a percentage (0-100), not the count of correct answers!
         // This was stored during quiz submission as: score = (correctAnswers / totalQuestions) * 100
-        const totalQuestions = quiz?.questions?.length || 0;
-        const quizPerformancePercentage = parseFloat(submission.score) || 0; // Already a percentage!
+        const totalQuestions = submission.questionIds?.length || quizQuestions.length;
+        const quizPerformancePercentage = parseFloat(score) || 0; // Already a percentage!
         
         // Calculate marks obtained based on weightage type
         let marksObtained = 0;
@@ -1160,6 +2283,11 @@ export const getClassResults = async (req, res) => {
         // Calculate correct answers count for display
         const correctAnswersCount = Math.round((quizPerformancePercentage / 100) * totalQuestions);
 
+        // Points behind the counted score (older submissions only stored the percentage)
+        const pointsPossible = submission.pointsPossible ??
+          quizQuestions.reduce((sum, question) => sum + getQuestionPoints(question), 0);
+        const pointsEarned = Math.round((quizPerformancePercentage / 100) * pointsPossible * 100) / 100;
+
         allSubmissions.push({
           assignmentId: assignment._id,
           quizTitle: quiz?.title || 'Unknown Quiz',
@@ -1167,10 +2295,14 @@ export const getClassResults = async (req, res) => {
           totalQuestions,
           score: correctAnswersCount, // Number of correct answers for display
           percentage: quizPerformancePercentage, // Quiz performance percentage (0-100)
+          pointsEarned,
+          pointsPossible,
           marksObtained: marksObtained,
           weightage: weightage,
           weightageType: weightageType,
           submittedAt: submission.submittedAt,
+          attemptCount,
+          isPending, // Provisional until a teacher finishes grading
         });
       });
     });
@@ -0,0 +1,243 @@
+/**
+ * Question Bank Controller
+ * Handles an admin's reusable questions, outside of any one quiz
+ */
+
+import mongoose from 'mongoose';
+import BankQuestion, { BLOOM_LEVELS, DIFFICULTY_LEVELS } from '../models/BankQuestion.js';
+import Quiz from '../models/Quiz.js';
+import { buildBankFilter, toBankQuestion } from '../utils/questionBank.js';
+
+// Content and metadata fields an admin may change on a bank question
+const EDITABLE_FIELDS = [
+  'text', 'type', 'options', 'answer', 'correctAnswers', 'acceptedAnswers', 'answerPatterns',
+  'typoTolerance', 'numericAnswer', 'tolerance', 'toleranceType', 'unit', 'explanation',
+  'points', 'negativePoints', 'partialCredit', 'rubric', 'questionImage', 'optionImages',
+  'tags', 'topic', 'difficulty', 'bloomLevel',
+];
+
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Count how many of the admin's quizzes use each bank question
+ * @param {String} adminId - Owner of the quizzes
+ * @param {Array} bankQuestionIds - Bank question IDs
+ * @returns {Map} bankQuestionId -> number of quizzes
+ */
+const getQuizUsage = async (adminId, bankQuestionIds) => {
+  const usage = await Quiz.aggregate([
+    { $match: { adminId: new mongoose.Types.ObjectId(adminId), 'questions.bankQuestionId': { $in: bankQuestionIds } } },
+    { $unwind: '$questions' },
+    { $match: { 'questions.bankQuestionId': { $in: bankQuestionIds } } },
+    { $group: { _id: '$questions.bankQuestionId', quizzes: { $addToSet: '$_id' } } },
+  ]);
+  return new Map(usage.map(entry => [entry._id.toString(), entry.quizzes.length]));
+};
+
+/**
+ * Search and filter the admin's question bank
+ * GET /api/bank?search=&tags=a,b&topic=&difficulty=&bloomLevel=&type=&page=1&limit=50
+ */
+export const getBankQuestions = async (req, res) => {
+  try {
+    const adminId = req.user?.id || req.user?._id;
+    const { difficulty, bloomLevel } = req.query;
+
+    // Repeated parameters arrive as arrays and bracketed ones as objects - only plain values can filter
+    const invalidFilter = ['search', 'topic', 'difficulty', 'bloomLevel', 'type']
+      .find(field => req.query[field] !== undefined && typeof req.query[field] !== 'string');
+    if (invalidFilter) {
+      return res.status(400).json({
+        success: false,
+        message: `${invalidFilter} must be a single value`,
+      });
+    }
+
+    if (difficulty && !DIFFICULTY_LEVELS.includes(difficulty)) {
+      return res.status(400).json({
+        success: false,
+        message: `Difficulty must be one of: ${DIFFICULTY_LEVELS.join(', ')}`,
+      });
+    }
+
+    if (bloomLevel && !BLOOM_LEVELS.includes(bloomLevel)) {
+      return res.status(400).json({
+        success: false,
+        message: `Bloom level must be one of: ${BLOOM_LEVELS.join(', ')}`,
+      });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.max(1, Math.min(MAX_PAGE_SIZE, parseInt(req.query.limit) || 50));
+    const filter = buildBankFilter(adminId, req.query);
+
+    const [questions, total, tags, topics] = await Promise.all([
+      BankQuestion.find(filter)
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      BankQuestion.countDocuments(filter),
+      BankQuestion.distinct('tags', { adminId }),
+      BankQuestion.distinct('topic', { adminId }),
+    ]);
+
+    const usage = await getQuizUsage(adminId, questions.map(q => q._id));
+
+    res.status(200).json({
+      success: true,
+      data: questions.map(question => ({
+        ...question.toObject(),
+        usedInQuizzes: usage.get(question._id.toString()) || 0,
+      })),
+      pagination: { page, limit, total },
+      // Every tag and topic in the bank, for the filter dropdowns
+      facets: {
+        tags: tags.sort(),
+        topics: topics.filter(Boolean).sort(),
+      },
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching question bank:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch question bank',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Add questions to the bank - from a quiz, a generated draft or written by hand
+ * POST /api/bank
+ * Body: { questions: [...], tags, topic, difficulty, bloomLevel, source } - the metadata
+ * fields are defaults for questions that don't carry their own
+ */
+export const createBankQuestions = async (req, res) => {
+  try {
+    const adminId = req.user?.id || req.user?._id;
+    const { questions, tags = [], topic = '', difficulty, bloomLevel = '', source = 'manual' } = req.body;
+
+    if (!Array.isArray(questions) || questions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one question is required',
+      });
+    }
+
+    const defaults = { tags, topic, difficulty, bloomLevel, source };
+    const docs = questions.map(question => new BankQuestion(toBankQuestion(question, defaults, adminId)));
+
+    // Validate everything first so one bad question doesn't leave half the batch saved
+    const errors = [];
+    for (const [index, doc] of docs.entries()) {
+      try {
+        await doc.validate();
+      } catch (validationError) {
+        errors.push({ index, message: validationError.message });
+      }
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${errors.length} question(s) could not be added to the bank`,
+        errors,
+      });
+    }
+
+    const saved = await BankQuestion.insertMany(docs);
+    console.log('✅ Added', saved.length, 'question(s) to the bank for admin:', adminId);
+
+    res.status(201).json({
+      success: true,
+      data: saved,
+      message: `${saved.length} question(s) added to the question bank`,
+    });
+
+  } catch (error) {
+    console.error('❌ Error adding questions to bank:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add questions to the bank',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Update a bank question
+ * Quizzes that already use it keep their own copy.
+ * PUT /api/bank/:id
+ */
+export const updateBankQuestion = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const adminId = req.user?.id || req.user?._id;
+
+    const question = await BankQuestion.findOne({ _id: id, adminId });
+
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found in your bank',
+      });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        question[field] = req.body[field];
+      }
+    });
+
+    await question.save();
+
+    res.status(200).json({
+      success: true,
+      data: question,
+      message: 'Question updated',
+    });
+
+  } catch (error) {
+    console.error('❌ Error updating bank question:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update question',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Delete a bank question
+ * Quizzes that already use it keep their own copy.
+ * DELETE /api/bank/:id
+ */
+export const deleteBankQuestion = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const adminId = req.user?.id || req.user?._id;
+
+    const deleted = await BankQuestion.findOneAndDelete({ _id: id, adminId });
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Question not found in your bank',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Question removed from the bank',
+    });
+
+  } catch (error) {
+    console.error('❌ Error deleting bank question:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete question',
+      error: error.message,
+    });
+  }
+};
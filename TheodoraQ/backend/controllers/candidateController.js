@@ -3,6 +3,7 @@ import fs from 'fs';
 import User from '../models/User.js';
 import Class from '../models/Class.js';
 import { sendClassInvitation } from '../utils/emailService.js';
+import { getPolicyResults } from '../utils/scoringPolicy.js';
 
 /**
  * Parse uploaded Excel/CSV file and return candidate list for preview
@@ -545,19 +546,25 @@ export const getClassLeaderboard = async (req, res) => {
         registrationNumber: student.registrationNumber,
         totalAssignments: assignments.length,
         completedAssignments: 0,
+        pendingAssignments: 0,
         totalScore: 0,
         averageScore: 0,
       };
     });
 
-    // Calculate scores from submissions
+    // Calculate scores from submissions (one counted score per assignment, per the scoring policy)
     assignments.forEach(assignment => {
-      assignment.submissions.forEach(submission => {
-        const studentId = submission.candidateId._id.toString();
-        if (studentStats[studentId]) {
-          studentStats[studentId].completedAssignments += 1;
-          studentStats[studentId].totalScore += submission.score || 0;
+      getPolicyResults(assignment.submissions, assignment.scoringPolicy).forEach(({ candidateId: student, score, isPending }) => {
+        const studentId = (student?._id || student).toString();
+        if (!studentStats[studentId]) return;
+
+        // Provisional scores stay out of the ranking until grading finishes
+        if (isPending) {
+          studentStats[studentId].pendingAssignments += 1;
+          return;
         }
+        studentStats[studentId].completedAssignments += 1;
+        studentStats[studentId].totalScore += score || 0;
       });
     });
 
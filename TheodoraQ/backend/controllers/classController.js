@@ -1,4 +1,20 @@
-import Class from '../models/Class.js';
+import Class, { ANSWER_REVIEW_OPTIONS, MAX_TIME_MULTIPLIER } from '../models/Class.js';
+import { refreshSessionDeadlines } from '../utils/attemptSessions.js';
+
+// Re-time a student's in-progress attempts after their extra time changes
+const refreshStudentDeadlines = async (classDoc, studentId) => {
+  const Assignment = (await import('../models/Assignment.js')).default;
+  const assignments = await Assignment.find({
+    classId: classDoc._id,
+    attemptSessions: { $elemMatch: { candidateId: studentId, status: 'in_progress' } },
+  });
+
+  for (const assignment of assignments) {
+    refreshSessionDeadlines(assignment, classDoc);
+    await assignment.save();
+  }
+  return assignments.length;
+};
 
 /**
  * Create a new class
@@ -176,10 +192,18 @@ export const updateClass = async (req, res) => {
       allowLateSubmissions,
       autoGrading,
       showResults,
+      answerReview,
       showRosterToCandidates,
       showLeaderboardToCandidates
     } = req.body;
 
+    if (answerReview !== undefined && !ANSWER_REVIEW_OPTIONS.includes(answerReview)) {
+      return res.status(400).json({
+        success: false,
+        message: `Answer review must be one of: ${ANSWER_REVIEW_OPTIONS.join(', ')}`,
+      });
+    }
+
     // First, find the class to check ownership
     const classToUpdate = await Class.findById(id);
 
@@ -209,6 +233,7 @@ export const updateClass = async (req, res) => {
     if (allowLateSubmissions !== undefined) updateData.allowLateSubmissions = allowLateSubmissions;
     if (autoGrading !== undefined) updateData.autoGrading = autoGrading;
     if (showResults !== undefined) updateData.showResults = showResults;
+    if (answerReview !== undefined) updateData.answerReview = answerReview;
     if (showRosterToCandidates !== undefined) updateData.showRosterToCandidates = showRosterToCandidates;
     if (showLeaderboardToCandidates !== undefined) updateData.showLeaderboardToCandidates = showLeaderboardToCandidates;
 
@@ -408,10 +433,13 @@ export const removeStudentFromClass = async (req, res) => {
       });
     }
 
-    // Remove the student from the class
+    // Remove the student from the class, along with any accommodation they had
     classDoc.students = classDoc.students.filter(
       (sid) => sid.toString() !== studentId.toString()
     );
+    classDoc.accommodations = classDoc.accommodations.filter(
+      (acc) => acc.candidateId.toString() !== studentId.toString()
+    );
     await classDoc.save();
 
     // Remove all submissions from this student in assignments for this class
@@ -450,6 +478,124 @@ export const removeStudentFromClass = async (req, res) => {
   }
 };
 
+/**
+ * Set a student's extra-time accommodation
+ * PUT /api/classes/:id/accommodations/:studentId
+ */
+export const setStudentAccommodation = async (req, res) => {
+  try {
+    const { id, studentId } = req.params;
+    const { timeMultiplier, note } = req.body;
+    const adminId = req.user?.id || req.user?._id;
+
+    const multiplier = Number(timeMultiplier);
+    if (isNaN(multiplier) || multiplier <= 1 || multiplier > MAX_TIME_MULTIPLIER) {
+      return res.status(400).json({
+        success: false,
+        message: `Extra time must be more than 1x and at most ${MAX_TIME_MULTIPLIER}x`,
+      });
+    }
+
+    const classDoc = await Class.findById(id);
+
+    if (!classDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found',
+      });
+    }
+
+    if (classDoc.adminId.toString() !== adminId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to modify this class',
+      });
+    }
+
+    if (!classDoc.students.some((sid) => sid.toString() === studentId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Student is not enrolled in this class',
+      });
+    }
+
+    const existing = classDoc.accommodations.find((acc) => acc.candidateId.toString() === studentId);
+    if (existing) {
+      existing.timeMultiplier = multiplier;
+      existing.note = note?.trim() || '';
+    } else {
+      classDoc.accommodations.push({ candidateId: studentId, timeMultiplier: multiplier, note: note?.trim() || '' });
+    }
+    await classDoc.save();
+    const refreshed = await refreshStudentDeadlines(classDoc, studentId);
+
+    console.log(`⏱️ Extra time set to ${multiplier}x for student ${studentId} in class ${id} (${refreshed} attempt(s) in progress re-timed)`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Accommodation saved',
+      data: classDoc.accommodations,
+    });
+
+  } catch (error) {
+    console.error('❌ Error saving accommodation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save accommodation',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Remove a student's extra-time accommodation
+ * DELETE /api/classes/:id/accommodations/:studentId
+ */
+export const removeStudentAccommodation = async (req, res) => {
+  try {
+    const { id, studentId } = req.params;
+    const adminId = req.user?.id || req.user?._id;
+
+    const classDoc = await Class.findById(id);
+
+    if (!classDoc) {
+      return res.status(404).json({
+        success: false,
+        message: 'Class not found',
+      });
+    }
+
+    if (classDoc.adminId.toString() !== adminId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to modify this class',
+      });
+    }
+
+    classDoc.accommodations = classDoc.accommodations.filter(
+      (acc) => acc.candidateId.toString() !== studentId
+    );
+    await classDoc.save();
+    const refreshed = await refreshStudentDeadlines(classDoc, studentId);
+
+    console.log(`⏱️ Extra time removed for student ${studentId} in class ${id} (${refreshed} attempt(s) in progress re-timed)`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Accommodation removed',
+      data: classDoc.accommodations,
+    });
+
+  } catch (error) {
+    console.error('❌ Error removing accommodation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove accommodation',
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Get all classes a candidate is enrolled in
  * GET /api/candidate/my-classes
@@ -0,0 +1,291 @@
+/**
+ * Generation Job Controller
+ * Runs AI quiz generation as background jobs: the admin starts a job, polls it for
+ * progress and the questions generated so far, and can cancel or retry it.
+ */
+
+import GenerationJob from '../models/GenerationJob.js';
+import { chunkDocuments, selectRelevantChunks } from '../utils/documentChunks.js';
+import { extractUploadedDocuments } from '../utils/documentText.js';
+import {
+  cancelGenerationJob as cancelJob,
+  failStaleGenerationJob,
+  serializeGenerationJob,
+  startGenerationJob,
+} from '../utils/generationJobs.js';
+import { getModelClient } from '../utils/modelClient.js';
+
+const parseQuestionCount = (numberOfQuestions) => Math.max(1, Math.min(50, parseInt(numberOfQuestions) || 5));
+
+// Kick the job off without holding the request open
+const launchJob = (job, client) => {
+  startGenerationJob(job, client).catch(error => {
+    console.error(`❌ Generation job ${job._id} crashed:`, error);
+  });
+};
+
+// Find a job owned by the requesting admin, or send the error response
+const findOwnJob = async (req, res) => {
+  const adminId = req.user?.id || req.user?._id;
+  const job = await GenerationJob.findById(req.params.jobId);
+
+  if (!job) {
+    res.status(404).json({
+      success: false,
+      message: 'Generation job not found',
+    });
+    return null;
+  }
+
+  if (job.adminId.toString() !== adminId.toString()) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this generation job',
+    });
+    return null;
+  }
+
+  return failStaleGenerationJob(job);
+};
+
+/**
+ * Start generating a quiz on a topic in the background
+ * POST /api/quiz/generate/jobs
+ * Body: { prompt, quizType, numberOfQuestions }
+ */
+export const createTopicGenerationJob = async (req, res) => {
+  try {
+    const { prompt, quizType = 'mcq', numberOfQuestions = 5 } = req.body;
+    const adminId = req.user?.id || req.user?._id;
+
+    if (!prompt || !prompt.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Prompt is required',
+      });
+    }
+
+    let client;
+    try {
+      client = getModelClient();
+    } catch (configError) {
+      return res.status(500).json({
+        success: false,
+        message: configError.message,
+      });
+    }
+
+    const job = await GenerationJob.create({
+      adminId,
+      kind: 'topic',
+      prompt: prompt.trim(),
+      quizType,
+      questionCount: parseQuestionCount(numberOfQuestions),
+    });
+
+    console.log(`🧵 Generation job ${job._id} queued: ${job.questionCount} ${quizType} questions on "${job.prompt}"`);
+    launchJob(job, client);
+
+    res.status(202).json({
+      success: true,
+      data: serializeGenerationJob(job),
+    });
+  } catch (error) {
+    console.error('❌ Error starting generation job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start quiz generation',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Start generating a quiz from uploaded course material in the background
+ * POST /api/quiz/generate/documents/jobs
+ * Multipart: files (up to 5), quizType, numberOfQuestions, focus (optional)
+ */
+export const createDocumentGenerationJob = async (req, res) => {
+  try {
+    const { quizType = 'mcq', numberOfQuestions = 5, focus = '' } = req.body;
+    const adminId = req.user?.id || req.user?._id;
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload at least one document',
+      });
+    }
+
+    let documents;
+    try {
+      documents = await extractUploadedDocuments(req.files);
+    } catch (extractError) {
+      console.error(extractError.message);
+      return res.status(400).json({
+        success: false,
+        message: extractError.message,
+      });
+    }
+
+    // The job keeps only the chunks it will send to the model, not the whole documents
+    const sources = selectRelevantChunks(chunkDocuments(documents), { focus: focus.trim() });
+    if (sources.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No text could be found in the uploaded documents. Scanned PDFs need OCR before they can be used.',
+      });
+    }
+
+    let client;
+    try {
+      client = getModelClient();
+    } catch (configError) {
+      return res.status(500).json({
+        success: false,
+        message: configError.message,
+      });
+    }
+
+    const job = await GenerationJob.create({
+      adminId,
+      kind: 'documents',
+      focus: focus.trim(),
+      quizType,
+      questionCount: parseQuestionCount(numberOfQuestions),
+      sources,
+      documents: documents.map(document => ({
+        name: document.name,
+        kind: document.kind,
+        sections: document.sections.length,
+      })),
+      warnings: documents.filter(document => document.sections.length === 0).map(document => `No text found in ${document.name}`),
+    });
+
+    console.log(`🧵 Generation job ${job._id} queued: ${job.questionCount} questions from ${documents.length} document(s)`);
+    launchJob(job, client);
+
+    res.status(202).json({
+      success: true,
+      data: serializeGenerationJob(job),
+    });
+  } catch (error) {
+    console.error('❌ Error starting document generation job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start quiz generation',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get a generation job's progress and the questions generated so far
+ * GET /api/quiz/generate/jobs/:jobId
+ */
+export const getGenerationJob = async (req, res) => {
+  try {
+    const job = await findOwnJob(req, res);
+    if (!job) return;
+
+    res.status(200).json({
+      success: true,
+      data: serializeGenerationJob(job),
+    });
+  } catch (error) {
+    console.error('❌ Error fetching generation job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch generation job',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Cancel a generation job, keeping the questions generated so far
+ * POST /api/quiz/generate/jobs/:jobId/cancel
+ */
+export const cancelGenerationJob = async (req, res) => {
+  try {
+    const job = await findOwnJob(req, res);
+    if (!job) return;
+
+    if (!(await cancelJob(job))) {
+      return res.status(400).json({
+        success: false,
+        message: `This job has already ${job.status === 'completed' ? 'completed' : 'stopped'}`,
+      });
+    }
+
+    console.log(`🛑 Generation job ${job._id} cancelled`);
+    const cancelled = await GenerationJob.findById(job._id);
+    res.status(200).json({
+      success: true,
+      message: 'Generation cancelled',
+      data: serializeGenerationJob(cancelled),
+    });
+  } catch (error) {
+    console.error('❌ Error cancelling generation job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel generation job',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Retry a failed or cancelled job, continuing from the questions generated so far
+ * POST /api/quiz/generate/jobs/:jobId/retry
+ */
+export const retryGenerationJob = async (req, res) => {
+  try {
+    const job = await findOwnJob(req, res);
+    if (!job) return;
+
+    if (job.status !== 'failed' && job.status !== 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: job.status === 'completed' ? 'This job has already completed' : 'This job is still running',
+      });
+    }
+
+    let client;
+    try {
+      client = getModelClient();
+    } catch (configError) {
+      return res.status(500).json({
+        success: false,
+        message: configError.message,
+      });
+    }
+
+    const queued = await GenerationJob.findOneAndUpdate(
+      { _id: job._id, status: job.status },
+      { $set: { status: 'queued', error: '', progressMessage: 'Waiting to retry...' } },
+      { new: true }
+    );
+    if (!queued) {
+      return res.status(409).json({
+        success: false,
+        message: 'The job changed while retrying. Refresh and try again.',
+      });
+    }
+
+    console.log(`🔁 Generation job ${job._id} retried with ${queued.questions.length} question(s) kept`);
+    launchJob(queued, client);
+
+    res.status(202).json({
+      success: true,
+      data: serializeGenerationJob(queued),
+    });
+  } catch (error) {
+    console.error('❌ Error retrying generation job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retry generation job',
+      error: error.message,
+    });
+  }
+};
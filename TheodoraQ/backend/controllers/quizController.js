@@ -3,8 +3,23 @@
  * Handles AI-powered quiz generation requests
  */
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import Assignment from '../models/Assignment.js';
+import BankQuestion from '../models/BankQuestion.js';
 import Quiz from '../models/Quiz.js';
+import QuizVersion from '../models/QuizVersion.js';
+import { regradeQuizAssignments } from '../utils/regrade.js';
+import {
+  createQuizVersion,
+  diffQuizVersions,
+  getCurrentQuizVersion,
+  pinUnversionedAssignments,
+} from '../utils/quizVersions.js';
+import { toQuizQuestion } from '../utils/questionBank.js';
+import { dropStaleReviewFlags } from '../utils/quizReview.js';
+import { extractUploadedDocuments } from '../utils/documentText.js';
+import { generateDocumentQuiz } from '../utils/documentQuiz.js';
+import { getModelClient } from '../utils/modelClient.js';
+import { describeQuestionCount, generateTopicQuestions } from '../utils/quizGeneration.js';
 
 /**
  * Generate quiz based on prompt and save to database
@@ -40,212 +55,46 @@ export const generateQuiz = async (req, res) => {
     console.log('Number of Questions:', questionCount);
     console.log('Admin ID:', adminId);
     
-    // Initialize Gemini AI with API key
-    const apiKey = process.env.GEMINI_API_KEY;
-    console.log('API Key exists:', !!apiKey);
-    
-    if (!apiKey) {
-      return res.status(500).json({
-        success: false,
-        message: 'Gemini API key is not configured',
-      });
-    }
-    
-    const genAI = new GoogleGenerativeAI(apiKey);
-    const model = genAI.getGenerativeModel({ 
-      model: 'gemini-2.5-flash',
-      generationConfig: {
-        maxOutputTokens: 8000, // Allow longer responses for more questions
-        temperature: 0.7, // Balance between creativity and consistency
-      }
-    });
-
-    // 2. Construct a detailed prompt for the AI with emphasis on correctness
-    // Build dynamic message based on count
-    let countMessage = '';
-    if (questionCount === 1) {
-      countMessage = 'That means ONE question only.';
-    } else if (questionCount === 2) {
-      countMessage = 'That means TWO questions only.';
-    } else if (questionCount >= 3 && questionCount <= 5) {
-      countMessage = `That means ${questionCount} questions - not 5, not 10, exactly ${questionCount}.`;
-    } else if (questionCount > 5 && questionCount <= 10) {
-      countMessage = `That means ${questionCount} questions total - count them carefully.`;
-    } else if (questionCount > 10) {
-      countMessage = `That means ${questionCount} questions - yes, ${questionCount} full questions. This is a comprehensive quiz.`;
-    }
-
-    const fullPrompt = `
-      You are an expert educator and quiz designer with deep knowledge across all subjects.
-      Generate a high-quality, academically accurate quiz based on the following request:
-      
-      Topic: "${prompt}"
-      Question Type: "${quizType}"
-      
-      ⚠️ CRITICAL: YOU MUST GENERATE EXACTLY ${questionCount} QUESTIONS ⚠️
-      
-      I need EXACTLY ${questionCount} questions in the JSON response.
-      ${countMessage}
-      
-      Return your response *only* as a valid JSON object in this exact format:
-      {
-        "title": "Quiz Title Here",
-        "questions": [
-          {
-            "text": "Your question text here?",
-            "type": "${quizType}",
-            "options": ["Option 1", "Option 2", "Option 3", "Option 4"],
-            "answer": "Option 1"
-          },
-          ... continue for all ${questionCount} questions
-        ]
-      }
-      
-      CRITICAL REQUIREMENTS:
-      1. EXACT COUNT: The "questions" array MUST contain EXACTLY ${questionCount} question objects. Not ${Math.max(1, questionCount - 1)}, not ${questionCount + 1}, but EXACTLY ${questionCount}.
-      2. CORRECTNESS: Every answer must be factually accurate and verifiable. Double-check all facts.
-      3. UNIQUENESS: Generate diverse questions covering different aspects of the topic. No repetitive questions.
-      4. CLARITY: Questions must be clear, unambiguous, and grammatically correct.
-      5. ANSWER ACCURACY: The "answer" field must match EXACTLY one of the options (including case and punctuation).
-      6. DISTRACTORS: For MCQ, provide plausible but clearly incorrect distractors. Avoid obvious wrong answers.
-      7. DIFFICULTY: Mix difficulty levels - include both fundamental and advanced questions.
-      
-      Format rules:
-      - Ensure the 'type' field in each question matches: "${quizType}"
-      - For "mcq": Provide exactly 4 unique, non-overlapping options
-      - For "true_false": Options must be exactly ["True", "False"]
-      - For "short_answer": Provide the most accepted correct answer, options can be empty array
-      - Do NOT include markdown, code blocks, or any text outside the JSON object.
-      - The entire response should be ONE JSON object, nothing else
-      
-      STEP-BY-STEP PROCESS:
-      1. Think of ${questionCount} different aspects of "${prompt}"
-      2. Create one question for each aspect
-      3. Verify you have EXACTLY ${questionCount} questions
-      4. Double-check: questions.length === ${questionCount}
-      5. Return the JSON
-      
-      FINAL VALIDATION - Count the questions in your response:
-      - Total questions in array: MUST BE ${questionCount}
-      - Each answer exists in its options array
-      - No duplicate questions
-      - All facts are correct
-      
-      START GENERATING ${questionCount} QUESTIONS NOW:
-    `;
-
-    // 3. Call the Gemini API
-    console.log(`🤖 Generating ${questionCount} questions for: ${prompt}...`);
-    
-    let text;
+    // Use whichever model provider this deployment is configured for
+    let client;
     try {
-      const result = await model.generateContent(fullPrompt);
-      const response = await result.response;
-      text = response.text();
-      console.log(text);
-      console.log('✅ Gemini API call successful');
-    } catch (apiError) {
-      console.error('❌ Gemini API Error:', apiError.message);
-      console.error('Full error:', apiError);
-      
-      // DO NOT use mock data - return real error
+      client = getModelClient();
+    } catch (configError) {
       return res.status(500).json({
         success: false,
-        message: 'Failed to connect to AI service. Please check your API key and try again.',
-        error: apiError.message,
+        message: configError.message,
       });
     }
 
-    console.log('--- Raw AI Response (first 500 chars) ---');
-    console.log(text.substring(0, 500) + (text.length > 500 ? '...(truncated)' : ''));
-    console.log('-----------------------');
-
-    // 4. Clean and parse the JSON response
-    // Sometimes the AI wraps the JSON in ```json ... ```, so we strip that.
-    text = text.replace(/```json/g, '').replace(/```/g, '').trim();
-    
-    // Find the actual JSON object
-    const firstBrace = text.indexOf('{');
-    const lastBrace = text.lastIndexOf('}');
-    
-    if (firstBrace === -1 || lastBrace === -1) {
-      console.error('No JSON object found in response');
-      return res.status(500).json({
-        success: false,
-        message: 'AI response did not contain valid JSON',
-        rawText: text.substring(0, 500),
-      });
-    }
-    
-    const jsonText = text.substring(firstBrace, lastBrace + 1);
+    // 2-3. Build the prompt and call the model; its JSON is checked against the quiz schema and repaired if needed
+    console.log(`🤖 Generating ${questionCount} questions for: ${prompt} with ${client.name}...`);
 
-    // 5. Safely parse the JSON
     let aiJson;
     try {
-      aiJson = JSON.parse(jsonText);
-      console.log(`✅ Parsed JSON successfully. Questions in response: ${aiJson.questions?.length || 0} (Requested: ${questionCount})`);
-    } catch (parseError) {
-      console.error('Failed to parse AI response as JSON:', jsonText.substring(0, 500));
+      aiJson = await generateTopicQuestions({ topic: prompt, quizType, questionCount, client });
+    } catch (generationError) {
+      // Unusable output carries the raw text so the admin can see what came back
+      if (generationError.rawText !== undefined) {
+        console.error('Failed to parse AI response as JSON:', generationError.rawText);
+        return res.status(500).json({
+          success: false,
+          message: generationError.message,
+          rawText: generationError.rawText,
+        });
+      }
+
+      console.error('❌ AI provider error:', generationError.message);
       // DO NOT use mock data - return real error
       return res.status(500).json({
         success: false,
-        message: 'AI response was not valid JSON.',
-        rawText: jsonText.substring(0, 500),
-        error: parseError.message,
+        message: 'Failed to connect to AI service. Please check your API key and try again.',
+        error: generationError.message,
       });
     }
 
-    // 5.5. VALIDATION: Ensure answers match options and are correct
-    console.log('Validating AI-generated questions...');
-    
-    // Check if we got the correct number of questions
-    if (aiJson.questions.length !== questionCount) {
-      console.warn(`⚠️ AI generated ${aiJson.questions.length} questions but ${questionCount} were requested.`);
-    }
-    
-    const validatedQuestions = aiJson.questions.map((q, index) => {
-      // Check if answer exists in options
-      if (q.type === 'mcq' || q.type === 'true_false') {
-        if (!q.options.includes(q.answer)) {
-          console.warn(`Question ${index + 1}: Answer "${q.answer}" not found in options. Using first option as fallback.`);
-          q.answer = q.options[0] || 'No answer provided';
-        }
-      }
-      
-      // Ensure MCQ has 4 options
-      if (q.type === 'mcq' && q.options.length < 4) {
-        console.warn(`Question ${index + 1}: MCQ has fewer than 4 options. Padding with generic options.`);
-        while (q.options.length < 4) {
-          q.options.push(`Option ${q.options.length + 1}`);
-        }
-      }
-      
-      // Ensure true_false has correct options
-      if (q.type === 'true_false' && !q.options.includes('True')) {
-        q.options = ['True', 'False'];
-        if (!['True', 'False'].includes(q.answer)) {
-          q.answer = 'True';
-        }
-      }
-      
-      return q;
-    });
-
-    aiJson.questions = validatedQuestions;
-
     // Check if question count matches request
     const actualCount = aiJson.questions.length;
-    let responseMessage = 'Quiz generated successfully. Review and save when ready.';
-    
-    if (actualCount < questionCount) {
-      const difference = questionCount - actualCount;
-      responseMessage = `AI generated ${actualCount} questions (requested ${questionCount}). ${difference} question${difference > 1 ? 's' : ''} short. You can add more questions manually or regenerate.`;
-      console.warn(`⚠️ Short by ${difference} questions. Consider regenerating or adding manually.`);
-    } else if (actualCount > questionCount) {
-      const extra = actualCount - questionCount;
-      responseMessage = `AI generated ${actualCount} questions (requested ${questionCount}). ${extra} extra question${extra > 1 ? 's' : ''}. You can remove extras if needed.`;
-      console.warn(`⚠️ Got ${extra} extra questions.`);
-    }
+    const responseMessage = describeQuestionCount(actualCount, questionCount);
 
     // 6. Return the generated quiz data WITHOUT saving to database
     // The frontend will open the edit modal, and save only when user confirms
@@ -256,6 +105,7 @@ export const generateQuiz = async (req, res) => {
         title: aiJson.title,
         questions: aiJson.questions,
         timeLimit: 10, // Default time limit
+        warnings: aiJson.warnings,
       },
       message: responseMessage,
       preview: true, // Flag to indicate this is a preview, not saved yet
@@ -273,6 +123,109 @@ export const generateQuiz = async (req, res) => {
   }
 };
 
+/**
+ * Generate a quiz from uploaded course material (PDF, DOCX, PPTX, text)
+ * POST /api/quiz/generate/documents
+ * Multipart: files (up to 5), quizType, numberOfQuestions, focus (optional topic to concentrate on)
+ */
+export const generateQuizFromDocuments = async (req, res) => {
+  try {
+    const { quizType = 'mcq', numberOfQuestions = 5, focus = '' } = req.body;
+    const adminId = req.user?.id || req.user?._id;
+
+    if (!adminId) {
+      return res.status(401).json({
+        success: false,
+        message: 'You must be logged in to create a quiz',
+      });
+    }
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload at least one document',
+      });
+    }
+
+    const questionCount = Math.max(1, Math.min(50, parseInt(numberOfQuestions) || 5));
+
+    // 1. Extract the text of every document
+    let documents;
+    try {
+      documents = await extractUploadedDocuments(req.files);
+    } catch (extractError) {
+      console.error(extractError.message);
+      return res.status(400).json({
+        success: false,
+        message: extractError.message,
+      });
+    }
+
+    const emptyDocuments = documents.filter(document => document.sections.length === 0).map(document => document.name);
+    if (emptyDocuments.length === documents.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'No text could be found in the uploaded documents. Scanned PDFs need OCR before they can be used.',
+      });
+    }
+
+    // 2. Generate questions from the most relevant parts
+    let client;
+    try {
+      client = getModelClient();
+    } catch (configError) {
+      return res.status(500).json({
+        success: false,
+        message: configError.message,
+      });
+    }
+
+    let generated;
+    try {
+      generated = await generateDocumentQuiz({ documents, focus: focus.trim(), quizType, questionCount, client });
+    } catch (generationError) {
+      console.error('❌ Document quiz generation failed:', generationError.message);
+      return res.status(500).json({
+        success: false,
+        message: generationError.rawText !== undefined ? generationError.message : 'Failed to connect to AI service. Please check your API key and try again.',
+        rawText: generationError.rawText,
+        error: generationError.message,
+      });
+    }
+
+    const warnings = [
+      ...emptyDocuments.map(name => `No text found in ${name}`),
+      ...generated.warnings,
+    ];
+
+    console.log(`✅ Generated ${generated.questions.length} questions from ${documents.length} document(s)`);
+    res.status(200).json({
+      success: true,
+      data: {
+        title: generated.title,
+        questions: generated.questions,
+        timeLimit: 10, // Default time limit
+        documents: documents.map(document => ({
+          name: document.name,
+          kind: document.kind,
+          sections: document.sections.length,
+        })),
+        warnings,
+      },
+      message: describeQuestionCount(generated.questions.length, questionCount),
+      preview: true,
+    });
+
+  } catch (error) {
+    console.error('❌ Error in document quiz generation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate quiz',
+      error: error.message,
+    });
+  }
+};
+
 /**
  * Get all quizzes created by the authenticated admin
  * GET /api/quiz
@@ -424,7 +377,7 @@ export const deleteQuiz = async (req, res) => {
 export const updateQuiz = async (req, res) => {
   try {
     const { id } = req.params;
-    const { title, questions, timeLimit } = req.body;
+    const { title, questions, timeLimit, regrade = false } = req.body;
     const adminId = req.user?.id || req.user?._id;
 
     console.log('Attempting to update quiz:', id);
@@ -446,27 +399,39 @@ export const updateQuiz = async (req, res) => {
       });
     }
 
-    // TODO: Add check to prevent editing assigned quizzes
-    // const Assignment = require('../models/Assignment');
-    // const assignmentCount = await Assignment.countDocuments({ quizId: id });
-    // if (assignmentCount > 0) {
-    //   return res.status(400).json({
-    //     success: false,
-    //     message: 'Cannot edit a quiz that has been assigned to students',
-    //   });
-    // }
+    // Assignments keep the version they were created with, so editing an assigned quiz is safe.
+    // Make sure the pre-edit content is on record first (older quizzes have no versions yet)
+    const previousVersion = await getCurrentQuizVersion(quiz, adminId);
+    await pinUnversionedAssignments(quiz._id, previousVersion);
 
     // Update the fields
     if (title !== undefined) quiz.title = title;
     if (questions !== undefined) quiz.questions = questions;
     if (timeLimit !== undefined) quiz.timeLimit = timeLimit;
 
+    const changes = diffQuizVersions(previousVersion, quiz);
+    dropStaleReviewFlags(quiz, changes);
+
     await quiz.save();
-    console.log('Quiz updated successfully');
+
+    // Only a real change starts a new version
+    if (changes.hasChanges) {
+      await createQuizVersion(quiz, { createdBy: adminId });
+    }
+    console.log('Quiz updated successfully (version', quiz.currentVersion + ')');
+
+    // Optionally re-score existing submissions against the new answer key
+    let regradeResults = null;
+    if (regrade) {
+      regradeResults = await regradeQuizAssignments(quiz._id, adminId);
+      const changedCount = regradeResults.reduce((sum, result) => sum + result.changes.length, 0);
+      console.log('Regraded', regradeResults.length, 'assignment(s);', changedCount, 'score(s) changed');
+    }
 
     res.status(200).json({
       success: true,
       data: quiz,
+      regrade: regradeResults,
       message: 'Quiz updated successfully',
     });
 
@@ -486,7 +451,7 @@ export const updateQuiz = async (req, res) => {
  */
 export const createManualQuiz = async (req, res) => {
   try {
-    const { title, questions, timeLimit } = req.body;
+    const { title, questions, timeLimit, generated = false } = req.body;
     const adminId = req.user?.id || req.user?._id;
 
     console.log('Creating manual quiz:', title);
@@ -512,9 +477,12 @@ export const createManualQuiz = async (req, res) => {
       questions,
       timeLimit: timeLimit || 10, // Default 10 minutes if not provided
       adminId,
+      // AI-written answer keys get checked before the quiz can be assigned
+      ...(generated && { review: { status: 'pending' } }),
     });
 
     await newQuiz.save();
+    await createQuizVersion(newQuiz, { createdBy: adminId });
     console.log('Manual quiz created successfully with ID:', newQuiz._id);
 
     res.status(201).json({
@@ -532,3 +500,224 @@ export const createManualQuiz = async (req, res) => {
     });
   }
 };
+
+/**
+ * Get a quiz's version history, newest first, with what changed in each version
+ * GET /api/quiz/:id/versions
+ */
+export const getQuizVersions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const adminId = req.user?.id || req.user?._id;
+
+    const quiz = await Quiz.findById(id);
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found',
+      });
+    }
+
+    if (quiz.adminId.toString() !== adminId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this quiz',
+      });
+    }
+
+    // Older quizzes get their first version here so the history is never empty
+    await getCurrentQuizVersion(quiz, adminId);
+
+    const versions = await QuizVersion.find({ quizId: quiz._id })
+      .populate('createdBy', 'name email')
+      .sort({ version: 1 });
+
+    // How many assignments are pinned to each version
+    const usage = await Assignment.aggregate([
+      { $match: { quizId: quiz._id } },
+      { $group: { _id: '$quizVersion', count: { $sum: 1 } } },
+    ]);
+    const assignmentCounts = new Map(usage.map(entry => [entry._id, entry.count]));
+
+    const history = versions.map((version, index) => ({
+      _id: version._id,
+      version: version.version,
+      title: version.title,
+      timeLimit: version.timeLimit,
+      questionCount: version.questions.length,
+      note: version.note,
+      createdAt: version.createdAt,
+      createdBy: version.createdBy ? { name: version.createdBy.name, email: version.createdBy.email } : null,
+      isCurrent: version.version === quiz.currentVersion,
+      assignmentCount: assignmentCounts.get(version.version) || 0,
+      // The first version has nothing to compare against
+      changes: index > 0 ? diffQuizVersions(versions[index - 1], version) : null,
+    })).reverse();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        currentVersion: quiz.currentVersion,
+        versions: history,
+      },
+    });
+
+  } catch (error) {
+    console.error('Error fetching quiz versions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch quiz versions',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Restore a quiz to an earlier version
+ * The restored content becomes a new version; existing assignments stay on theirs.
+ * POST /api/quiz/:id/versions/:version/rollback
+ */
+export const rollbackQuizVersion = async (req, res) => {
+  try {
+    const { id, version } = req.params;
+    const adminId = req.user?.id || req.user?._id;
+
+    const quiz = await Quiz.findById(id);
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found',
+      });
+    }
+
+    if (quiz.adminId.toString() !== adminId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to edit this quiz',
+      });
+    }
+
+    const target = await QuizVersion.findOne({ quizId: quiz._id, version: parseInt(version) });
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz version not found',
+      });
+    }
+
+    const currentVersion = await getCurrentQuizVersion(quiz, adminId);
+    await pinUnversionedAssignments(quiz._id, currentVersion);
+
+    const changes = diffQuizVersions(currentVersion, target);
+    if (!changes.hasChanges) {
+      return res.status(400).json({
+        success: false,
+        message: `The quiz already matches version ${target.version}`,
+      });
+    }
+
+    console.log('Rolling back quiz', id, 'to version', target.version);
+
+    quiz.title = target.title;
+    quiz.timeLimit = target.timeLimit;
+    quiz.questions = target.questions.map(question => question.toObject());
+    dropStaleReviewFlags(quiz, changes);
+    await quiz.save();
+
+    const newVersion = await createQuizVersion(quiz, {
+      createdBy: adminId,
+      note: `Rolled back to version ${target.version}`,
+    });
+    console.log('Quiz rolled back; now at version', newVersion.version);
+
+    res.status(200).json({
+      success: true,
+      data: quiz,
+      message: `Quiz restored to version ${target.version} (saved as version ${newVersion.version})`,
+    });
+
+  } catch (error) {
+    console.error('Error rolling back quiz:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to roll back quiz',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Copy questions from the admin's question bank into a quiz
+ * Each copy remembers its bank question; editing one doesn't change the other.
+ * POST /api/quiz/:id/bank-questions
+ */
+export const addBankQuestions = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { questionIds } = req.body;
+    const adminId = req.user?.id || req.user?._id;
+
+    if (!Array.isArray(questionIds) || questionIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Select at least one question from the bank',
+      });
+    }
+
+    const quiz = await Quiz.findById(id);
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found',
+      });
+    }
+
+    if (quiz.adminId.toString() !== adminId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to edit this quiz',
+      });
+    }
+
+    const bankQuestions = await BankQuestion.find({ _id: { $in: questionIds }, adminId });
+
+    if (bankQuestions.length !== questionIds.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Some of the selected questions are not in your bank',
+      });
+    }
+
+    const previousVersion = await getCurrentQuizVersion(quiz, adminId);
+    await pinUnversionedAssignments(quiz._id, previousVersion);
+
+    // Keep the order the admin picked them in
+    const byId = new Map(bankQuestions.map(question => [question._id.toString(), question]));
+    questionIds.forEach(questionId => quiz.questions.push(toQuizQuestion(byId.get(questionId.toString()))));
+
+    await quiz.save();
+    await createQuizVersion(quiz, {
+      createdBy: adminId,
+      note: `Added ${questionIds.length} question(s) from the question bank`,
+    });
+    console.log('Added', questionIds.length, 'bank question(s) to quiz', id);
+
+    res.status(200).json({
+      success: true,
+      data: quiz,
+      message: `${questionIds.length} question(s) added to "${quiz.title}"`,
+    });
+
+  } catch (error) {
+    console.error('Error adding bank questions to quiz:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add questions to quiz',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,89 @@
+/**
+ * Quiz Export Controller
+ * Lets admins take their quizzes out of the app: QTI 2.1, Moodle GIFT,
+ * versioned JSON, or a printable HTML paper (with or without the answer key).
+ * There is no server-side PDF: the HTML paper is printed or saved as PDF from the browser.
+ */
+
+import Quiz from '../models/Quiz.js';
+import {
+  EXPORT_FORMATS,
+  buildGift,
+  buildJsonExport,
+  buildPrintableQuiz,
+  buildQtiPackage,
+  exportFileName,
+} from '../utils/quizExport.js';
+
+/**
+ * Export a quiz in another format
+ * GET /api/quiz/:id/export/:format
+ * Query: answerKey=true (html format only) to include the answers
+ */
+export const exportQuiz = async (req, res) => {
+  try {
+    const { id, format } = req.params;
+    const adminId = req.user?.id || req.user?._id;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}`,
+      });
+    }
+
+    const quiz = await Quiz.findById(id);
+
+    if (!quiz) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quiz not found',
+      });
+    }
+
+    // Exports include the answer key, so only the creator may export
+    if (quiz.adminId.toString() !== adminId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to export this quiz',
+      });
+    }
+
+    console.log(`📤 Exporting quiz ${id} as ${format}`);
+
+    if (format === 'html') {
+      const withAnswers = req.query.answerKey === 'true';
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      return res.send(buildPrintableQuiz(quiz, { withAnswers }));
+    }
+
+    let body;
+    let fileName;
+    let contentType;
+    if (format === 'qti') {
+      body = buildQtiPackage(quiz);
+      fileName = exportFileName(quiz.title, 'zip');
+      contentType = 'application/zip';
+    } else if (format === 'gift') {
+      body = buildGift(quiz);
+      fileName = exportFileName(quiz.title, 'gift');
+      contentType = 'text/plain; charset=utf-8';
+    } else {
+      body = JSON.stringify(buildJsonExport(quiz), null, 2);
+      fileName = exportFileName(quiz.title, 'json');
+      contentType = 'application/json; charset=utf-8';
+    }
+
+    res.setHeader('Content-Disposition', `attachment; filename=${fileName}`);
+    res.setHeader('Content-Type', contentType);
+    res.send(body);
+
+  } catch (error) {
+    console.error('Error exporting quiz:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export quiz',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,96 @@
+/**
+ * Quiz Import Controller
+ * Reads question files from other platforms (QTI, GIFT, Aiken, CSV/XLSX) and our own
+ * JSON exports for preview.
+ * Nothing is saved here - the admin reviews the questions and saves them as a normal quiz.
+ */
+
+import XLSX from 'xlsx';
+import { IMPORT_FORMATS, IMPORT_TEMPLATE_ROWS, parseQuizImport } from '../utils/quizImport.js';
+
+/**
+ * Parse an uploaded file and return its questions with per-question errors
+ * POST /api/quiz/import/preview
+ */
+export const previewQuizImport = async (req, res) => {
+  try {
+    const { format = '' } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded',
+      });
+    }
+
+    if (format && !IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Format must be one of: ${IMPORT_FORMATS.join(', ')}`,
+      });
+    }
+
+    let parsed;
+    try {
+      parsed = parseQuizImport(req.file.buffer, req.file.originalname, format);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: `Could not read the file: ${error.message}`,
+      });
+    }
+
+    const questions = parsed.items.map((item, index) => ({ index, ...item }));
+    const errorCount = questions.filter(item => item.errors.length > 0).length;
+    console.log(`📥 Parsed ${questions.length} question(s) from ${req.file.originalname} (${parsed.format}), ${errorCount} with errors`);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        format: parsed.format,
+        title: parsed.title,
+        timeLimit: parsed.timeLimit,
+        questions,
+        validCount: questions.length - errorCount,
+        errorCount,
+      },
+    });
+
+  } catch (error) {
+    console.error('Error previewing quiz import:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to read the import file',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Download an Excel template showing the CSV/XLSX import layout
+ * GET /api/quiz/import/template
+ */
+export const downloadImportTemplate = (req, res) => {
+  try {
+    const wb = XLSX.utils.book_new();
+    const ws = XLSX.utils.json_to_sheet(IMPORT_TEMPLATE_ROWS, {
+      header: ['Type', 'Question', 'Option A', 'Option B', 'Option C', 'Option D', 'Answer', 'Points', 'Negative Points', 'Tolerance', 'Unit', 'Explanation'],
+    });
+    XLSX.utils.book_append_sheet(wb, ws, 'Questions');
+
+    const buffer = XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+
+    res.setHeader('Content-Disposition', 'attachment; filename=quiz-import-template.xlsx');
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+    res.send(buffer);
+
+  } catch (error) {
+    console.error('Import template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate template',
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,120 @@
+/**
+ * Quiz Review Controller
+ * Runs the pre-assignment check of a quiz's answer key and near-duplicate questions,
+ * and lets the admin dismiss the flags they've looked at.
+ */
+
+import Quiz from '../models/Quiz.js';
+import { getModelClient } from '../utils/modelClient.js';
+import { reviewQuiz } from '../utils/quizReview.js';
+
+// Find a quiz owned by the requesting admin, or send the error response
+const findOwnQuiz = async (req, res) => {
+  const adminId = req.user?.id || req.user?._id;
+  const quiz = await Quiz.findById(req.params.id);
+
+  if (!quiz) {
+    res.status(404).json({
+      success: false,
+      message: 'Quiz not found',
+    });
+    return null;
+  }
+
+  if (quiz.adminId.toString() !== adminId.toString()) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to review this quiz',
+    });
+    return null;
+  }
+
+  return quiz;
+};
+
+// Same question, same finding - so a re-run doesn't bring back what the admin already dismissed
+const flagKey = (flag) => [flag.questionId, flag.kind, flag.suggestedAnswer ?? flag.relatedQuizId ?? ''].join(':');
+
+/**
+ * Check a quiz's answer key with AI and look for near-duplicate questions
+ * POST /api/quiz/:id/review
+ */
+export const runQuizReview = async (req, res) => {
+  try {
+    const quiz = await findOwnQuiz(req, res);
+    if (!quiz) return;
+
+    let client = null;
+    let configError;
+    try {
+      client = getModelClient();
+    } catch (error) {
+      configError = error;
+    }
+
+    const otherQuizzes = await Quiz.find({ adminId: quiz.adminId, _id: { $ne: quiz._id } })
+      .select('title questions.text questions.options')
+      .lean();
+
+    console.log(`🔎 Reviewing quiz ${quiz._id} against ${otherQuizzes.length} other quiz(zes)`);
+    const { flags, answersChecked } = await reviewQuiz({ quiz, otherQuizzes, client, configError });
+
+    const dismissed = new Set(quiz.review.flags.filter(flag => flag.dismissed && flag.kind !== 'unverified').map(flagKey));
+    quiz.review = {
+      status: 'checked',
+      checkedAt: new Date(),
+      checkedVersion: quiz.currentVersion,
+      answersChecked,
+      flags: flags.map(flag => ({ ...flag, dismissed: dismissed.has(flagKey(flag)) })),
+    };
+    await quiz.save();
+
+    console.log(`✅ Quiz ${quiz._id} reviewed: ${flags.length} flag(s)`);
+    res.status(200).json({
+      success: true,
+      data: quiz.review,
+    });
+  } catch (error) {
+    console.error('❌ Error reviewing quiz:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review quiz',
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Dismiss (or restore) a review flag
+ * PATCH /api/quiz/:id/review/flags/:flagId
+ * Body: { dismissed }
+ */
+export const updateReviewFlag = async (req, res) => {
+  try {
+    const quiz = await findOwnQuiz(req, res);
+    if (!quiz) return;
+
+    const flag = quiz.review.flags.id(req.params.flagId);
+    if (!flag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review flag not found',
+      });
+    }
+
+    flag.dismissed = req.body.dismissed !== false;
+    await quiz.save();
+
+    res.status(200).json({
+      success: true,
+      data: quiz.review,
+    });
+  } catch (error) {
+    console.error('❌ Error updating review flag:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update review flag',
+      error: error.message,
+    });
+  }
+};
@@ -54,3 +54,40 @@ const upload = multer({
 });
 
 export default upload;
+
+// Quiz import files are parsed straight from memory, so nothing is left on disk
+const quizImportExtensions = ['.xml', '.zip', '.txt', '.gift', '.csv', '.xlsx', '.xls', '.json'];
+
+export const quizImportUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (quizImportExtensions.includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only QTI (.xml, .zip), GIFT/Aiken (.gift, .txt), CSV, Excel and JSON files are allowed'), false);
+    }
+  },
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  }
+});
+
+// Course material for document-based quiz generation, also parsed from memory
+const documentExtensions = ['.pdf', '.docx', '.pptx', '.txt', '.md'];
+
+export const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (documentExtensions.includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only PDF, Word (.docx), PowerPoint (.pptx) and text files are allowed'), false);
+    }
+  },
+  limits: {
+    fileSize: 20 * 1024 * 1024, // 20MB per file - slide decks with images get large
+    files: 5
+  }
+});
@@ -1,7 +1,12 @@
 // server/models/Assignment.js
 import mongoose from 'mongoose';
+import { questionSchema } from './Quiz.js';
+import { ANSWER_REVIEW_OPTIONS } from './Class.js';
 const { Schema } = mongoose;
 
+// An assignment's answer review setting: its own release rule, or 'class' to follow the class
+export const ANSWER_REVIEW_SETTINGS = ['class', ...ANSWER_REVIEW_OPTIONS];
+
 // Schema for storing a single answer
 const answerSchema = new Schema({
   questionId: {
@@ -10,14 +15,103 @@ const answerSchema = new Schema({
   },
   selectedAnswer: {
     type: String,
-    required: true,
+    default: '', // Empty when the question was left unanswered
+  },
+  // Every option ticked on a multi-select question (selectedAnswer holds them comma-joined for display)
+  selectedAnswers: {
+    type: [String],
+    default: undefined,
   },
   isCorrect: {
     type: Boolean,
     default: false,
   },
+  // Which short-answer rule accepted the answer ('exact' | 'accepted' | 'pattern' | 'fuzzy')
+  // and the answer or pattern it matched, so teachers can audit lenient grading
+  matchedRule: {
+    type: String,
+    enum: ['exact', 'accepted', 'pattern', 'fuzzy'],
+  },
+  matchedAgainst: {
+    type: String,
+  },
+  // Points awarded (negative when negative marking applied) out of the question's points
+  pointsEarned: {
+    type: Number,
+    default: 0,
+  },
+  pointsPossible: {
+    type: Number,
+    default: 1,
+  },
+  // Points the grader gave per rubric criterion (essay questions)
+  rubricScores: {
+    type: [{
+      _id: false,
+      criterionId: { type: String, required: true },
+      points: { type: Number, required: true },
+    }],
+    default: undefined,
+  },
+  // Manual grading: 'pending' answers score nothing until a teacher grades them,
+  // 'flagged' ones keep their automatic grade but should be checked
+  reviewStatus: {
+    type: String,
+    enum: ['pending', 'flagged', 'reviewed'],
+  },
+  teacherComment: {
+    type: String,
+    default: '',
+  },
 }, { _id: false }); // Don't create _id for each answer subdocument
 
+// Audit record of a teacher changing (or confirming) the grade of one answer
+const gradeChangeSchema = new Schema({
+  questionId: {
+    type: String,
+    required: true,
+  },
+  changedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  previousIsCorrect: Boolean,
+  previousPoints: Number,
+  newIsCorrect: Boolean,
+  newPoints: Number,
+  // Submission percentage before and after the change
+  previousScore: Number,
+  newScore: Number,
+  comment: {
+    type: String,
+    default: '',
+  },
+}, { _id: false });
+
+// A submission's totals before a regrade replaced them
+const scoreSnapshotSchema = new Schema({
+  score: Number,
+  pointsEarned: Number,
+  pointsPossible: Number,
+  replacedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  reason: {
+    type: String,
+    default: 'regrade',
+  },
+  changedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, { _id: false });
+
 // Schema for a submission
 const submissionSchema = new Schema({
   candidateId: {
@@ -29,6 +123,20 @@ const submissionSchema = new Schema({
     type: Number,
     required: true,
   },
+  // Raw point totals behind the percentage score
+  pointsEarned: {
+    type: Number,
+    default: null,
+  },
+  pointsPossible: {
+    type: Number,
+    default: null,
+  },
+  // Which attempt this is (1-based); older submissions without it count as attempt 1
+  attemptNumber: {
+    type: Number,
+    default: 1,
+  },
   submittedAt: {
     type: Date,
     default: Date.now,
@@ -37,6 +145,11 @@ const submissionSchema = new Schema({
     type: Boolean,
     default: false,
   },
+  // Percentage points taken off the score for lateness (already reflected in score)
+  latePenalty: {
+    type: Number,
+    default: 0,
+  },
   // Anti-cheat tracking
   tabSwitchCount: {
     type: Number,
@@ -50,6 +163,11 @@ const submissionSchema = new Schema({
     type: Boolean,
     default: false,
   },
+  // True when the server finalized the last saved draft after the timer expired
+  isAutoSubmitted: {
+    type: Boolean,
+    default: false,
+  },
   // AI Proctoring data
   proctoringData: {
     suspiciousMovements: { type: Number, default: 0 },
@@ -62,9 +180,193 @@ const submissionSchema = new Schema({
     totalViolations: { type: Number, default: 0 },
     timestamps: [{ type: Date }] // When violations occurred
   },
+  // Server-side timing (copied from the attempt session)
+  startedAt: {
+    type: Date,
+    default: null,
+  },
+  timeTakenSeconds: {
+    type: Number,
+    default: null,
+  },
   answers: [answerSchema], // Array of candidate's answers
+  // 'pending_review' while any answer is waiting on a teacher; the score is provisional until then
+  gradingStatus: {
+    type: String,
+    enum: ['graded', 'pending_review'],
+    default: 'graded',
+  },
+  gradingHistory: [gradeChangeSchema],
+  // Earlier totals, kept whenever a regrade changes the score
+  scoreHistory: [scoreSnapshotSchema],
+  // Option order shown for each shuffled question: questionId -> original option indices, in display order
+  optionOrders: {
+    type: Map,
+    of: [Number],
+    default: {},
+  },
+  // Questions drawn for this attempt from the assignment's pools, in the order drawn
+  // (empty = every quiz question was asked)
+  questionIds: {
+    type: [String],
+    default: [],
+  },
 }, { _id: true }); // Keep _id for each submission
 
+// Schema for a timed attempt session
+// Created when a candidate first opens the quiz; the server owns the deadline
+const attemptSessionSchema = new Schema({
+  candidateId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  attemptNumber: {
+    type: Number,
+    default: 1,
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  deadline: {
+    type: Date,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'submitted'],
+    default: 'in_progress',
+  },
+  submittedAt: {
+    type: Date,
+    default: null,
+  },
+  // Autosaved answers (questionId -> answer), restored when the quiz is reopened
+  draftAnswers: {
+    type: Map,
+    of: Schema.Types.Mixed,
+    default: {},
+  },
+  lastSavedAt: {
+    type: Date,
+    default: null,
+  },
+  // Anti-cheat counters reported with each autosave
+  tabSwitchCount: {
+    type: Number,
+    default: 0,
+  },
+  escCount: {
+    type: Number,
+    default: 0,
+  },
+  // Questions drawn from the assignment's pools for this attempt, and the seed behind the
+  // draw and the option shuffle
+  questionIds: {
+    type: [String],
+    default: [],
+  },
+  drawSeed: {
+    type: Number,
+    default: null,
+  },
+  // Option order shown for each shuffled question: questionId -> original option indices, in display order
+  optionOrders: {
+    type: Map,
+    of: [Number],
+    default: {},
+  },
+}, { _id: true });
+
+// An individual due-date extension for one candidate
+const extensionSchema = new Schema({
+  candidateId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  dueDate: {
+    type: Date,
+    required: true,
+  },
+  note: {
+    type: String,
+    default: '',
+  },
+  grantedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  grantedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+// Why a candidate was turned away from a restricted assignment (see utils/assignmentAccess.js)
+export const ACCESS_DENIAL_REASONS = ['network', 'code_required', 'wrong_code'];
+
+// A refused attempt to open or submit a restricted assignment
+const accessDenialSchema = new Schema({
+  candidateId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  reason: {
+    type: String,
+    enum: ACCESS_DENIAL_REASONS,
+    required: true,
+  },
+  // 'open' = loading the quiz, 'submit' = submitting it
+  action: {
+    type: String,
+    enum: ['open', 'submit'],
+    required: true,
+  },
+  ipAddress: {
+    type: String,
+    default: '',
+  },
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
+// Schema for a question pool: draw `count` random questions per candidate
+// from the quiz or the question bank, optionally filtered by tags, difficulty and type
+const questionPoolSchema = new Schema({
+  source: {
+    type: String,
+    enum: ['quiz', 'bank'],
+    required: true,
+  },
+  count: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  tags: {
+    type: [String],
+    default: [],
+  },
+  difficulty: {
+    type: String,
+    default: '',
+  },
+  type: {
+    type: String,
+    default: '',
+  },
+  // Questions eligible for this pool, fixed when the assignment was created
+  questionIds: {
+    type: [String],
+    default: [],
+  },
+}, { _id: false });
+
 const assignmentSchema = new Schema({
   // Link to the Quiz being assigned
   quizId: {
@@ -72,6 +374,16 @@ const assignmentSchema = new Schema({
     ref: 'Quiz',
     required: true,
   },
+  // The quiz snapshot this assignment was created with; submissions are graded and
+  // reviewed against it, so later quiz edits don't change what candidates were asked.
+  // Older assignments have none and fall back to the live quiz.
+  quizVersionId: {
+    type: Schema.Types.ObjectId,
+    ref: 'QuizVersion',
+  },
+  quizVersion: {
+    type: Number,
+  },
   // Link to the Class it's assigned to
   classId: {
     type: Schema.Types.ObjectId,
@@ -106,6 +418,40 @@ const assignmentSchema = new Schema({
     type: Number, // Time in minutes
     required: true,
   },
+  // Release window: hidden from candidates until availableFrom; late submissions are
+  // accepted between dueDate and closesAt (see utils/assignmentWindows.js)
+  availableFrom: {
+    type: Date,
+    default: null,
+  },
+  closesAt: {
+    type: Date,
+  },
+  // Late penalty: percentage points off per day (or part of a day) late, up to max
+  latePenalty: {
+    perDay: { type: Number, default: 0, min: 0, max: 100 },
+    max: { type: Number, default: 100, min: 0, max: 100 },
+  },
+  // Candidates with a later due date than everyone else (one entry per candidate)
+  extensions: {
+    type: [extensionSchema],
+    default: [],
+  },
+  // In-person exam restrictions: a code the invigilator reveals at start time (stored
+  // upper-case, empty = none) and the IPs / CIDR ranges candidates must connect from
+  accessCode: {
+    type: String,
+    default: '',
+  },
+  allowedNetworks: {
+    type: [String],
+    default: [],
+  },
+  // Refused attempts, newest last (capped, see utils/assignmentAccess.js)
+  accessDenials: {
+    type: [accessDenialSchema],
+    default: [],
+  },
   // Proctoring Settings
   proctoringEnabled: {
     type: Boolean,
@@ -126,8 +472,42 @@ const assignmentSchema = new Schema({
     default: 'percentage',
     description: 'Type of weightage: percentage (0-100%) or marks-based'
   },
-  // Submissions from candidates with detailed answers
+  // Attempt Settings
+  maxAttempts: {
+    type: Number,
+    default: 1,
+    min: 1,
+    description: 'How many times each candidate may take this quiz'
+  },
+  scoringPolicy: {
+    type: String,
+    enum: ['highest', 'latest', 'average'],
+    default: 'highest',
+    description: 'Which attempt score counts when a candidate submits more than once'
+  },
+  // Option Settings
+  shuffleOptions: {
+    type: Boolean,
+    default: false,
+    description: 'Show multiple-choice options in a different order to each candidate'
+  },
+  // When candidates can review their answers
+  answerReview: {
+    type: String,
+    enum: ANSWER_REVIEW_SETTINGS,
+    default: 'class',
+  },
+  // Random question pools; when set, each attempt asks a per-candidate draw instead of the whole quiz
+  questionPools: {
+    type: [questionPoolSchema],
+    default: [],
+  },
+  // Copies of the bank questions the pools can draw from, so later bank edits don't change them
+  poolQuestions: [questionSchema],
+  // Submissions from candidates with detailed answers (one per attempt)
   submissions: [submissionSchema],
+  // Timed attempt sessions (one per candidate attempt)
+  attemptSessions: [attemptSessionSchema],
 
 }, { timestamps: true });
 
@@ -0,0 +1,62 @@
+// server/models/BankQuestion.js
+import mongoose from 'mongoose';
+import { questionSchema } from './Quiz.js';
+
+const { Schema } = mongoose;
+
+export const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
+export const BLOOM_LEVELS = ['remember', 'understand', 'apply', 'analyze', 'evaluate', 'create'];
+
+// Tags are matched case-insensitively, so store them lowercase and without duplicates
+const normalizeTags = (tags) => [...new Set(
+  (tags || []).map(tag => String(tag).trim().toLowerCase()).filter(Boolean)
+)];
+
+// A reusable question in an admin's question bank.
+// Same content fields (and validation) as a quiz question, plus metadata for finding it again.
+const bankQuestionSchema = questionSchema.clone();
+bankQuestionSchema.remove('bankQuestionId');
+
+bankQuestionSchema.add({
+  // The admin who owns this question
+  adminId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  tags: {
+    type: [String],
+    default: [],
+    set: normalizeTags,
+  },
+  topic: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  difficulty: {
+    type: String,
+    enum: DIFFICULTY_LEVELS,
+    default: 'medium',
+  },
+  // Bloom's taxonomy level the question targets ('' = not classified)
+  bloomLevel: {
+    type: String,
+    enum: ['', ...BLOOM_LEVELS],
+    default: '',
+  },
+  // Where the question came from
+  source: {
+    type: String,
+    enum: ['manual', 'quiz', 'generated'],
+    default: 'manual',
+  },
+});
+
+bankQuestionSchema.set('timestamps', true);
+bankQuestionSchema.index({ adminId: 1, tags: 1 });
+bankQuestionSchema.index({ adminId: 1, topic: 1 });
+
+const BankQuestion = mongoose.model('BankQuestion', bankQuestionSchema);
+
+export default BankQuestion;
@@ -1,5 +1,31 @@
 import mongoose from 'mongoose';
 
+// When candidates may go back over a submitted quiz with the correct answers and explanations
+export const ANSWER_REVIEW_OPTIONS = ['immediately', 'after_due_date', 'after_all_submitted', 'never'];
+
+// Largest extra-time multiplier a candidate can be given
+export const MAX_TIME_MULTIPLIER = 4;
+
+// A candidate's standing accommodation in this class
+const accommodationSchema = new mongoose.Schema({
+  candidateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Every quiz timer in the class runs this many times as long (e.g. 1.5 = 50% extra time)
+  timeMultiplier: {
+    type: Number,
+    default: 1,
+    min: 1,
+    max: MAX_TIME_MULTIPLIER,
+  },
+  note: {
+    type: String,
+    default: '',
+  },
+}, { _id: false });
+
 const classSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -25,6 +51,12 @@ const classSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId, 
     ref: 'User' 
   }],
+
+  // Per-candidate accommodations (see utils/assignmentWindows.js getCandidateSchedule)
+  accommodations: {
+    type: [accommodationSchema],
+    default: [],
+  },
   
   // Unique invite code for students to join
   inviteCode: {
@@ -40,6 +72,7 @@ const classSchema = new mongoose.Schema({
   },
   
   // Class settings
+  // Only used by assignments without a closing time (created before assignments had one)
   allowLateSubmissions: {
     type: Boolean,
     default: true,
@@ -52,6 +85,11 @@ const classSchema = new mongoose.Schema({
     type: Boolean,
     default: true,
   },
+  answerReview: {
+    type: String,
+    enum: ANSWER_REVIEW_OPTIONS,
+    default: 'never',
+  },
   showRosterToCandidates: {
     type: Boolean,
     default: false,
@@ -0,0 +1,111 @@
+// server/models/GenerationJob.js
+import mongoose from 'mongoose';
+
+const { Schema } = mongoose;
+
+export const GENERATION_JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+// Statuses a job can't leave on its own (a retry starts it again)
+export const FINISHED_JOB_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Finished drafts only need to live long enough to be reviewed
+const JOB_RETENTION_SECONDS = 24 * 60 * 60;
+
+// A chunk of uploaded course material a document job generates from
+const jobSourceSchema = new Schema({
+  id: { type: String, required: true },
+  document: { type: String, required: true },
+  location: { type: String, default: '' },
+  text: { type: String, required: true },
+}, { _id: false });
+
+// A background AI quiz generation run. Questions are added batch by batch,
+// so a failed or cancelled job still has the questions generated so far.
+const generationJobSchema = new Schema({
+  adminId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // 'topic' generates from a free-text prompt, 'documents' from uploaded material
+  kind: {
+    type: String,
+    enum: ['topic', 'documents'],
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: GENERATION_JOB_STATUSES,
+    default: 'queued',
+  },
+  prompt: {
+    type: String,
+    default: '',
+  },
+  focus: {
+    type: String,
+    default: '',
+  },
+  quizType: {
+    type: String,
+    default: 'mcq',
+  },
+  questionCount: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  sources: {
+    type: [jobSourceSchema],
+    default: [],
+  },
+  // Summary of the uploaded files, shown with the draft
+  documents: {
+    type: [{ name: String, kind: String, sections: Number, _id: false }],
+    default: [],
+  },
+  // Draft content - validated when the admin saves it as a quiz
+  title: {
+    type: String,
+    default: '',
+  },
+  questions: {
+    type: [Schema.Types.Mixed],
+    default: [],
+  },
+  warnings: {
+    type: [String],
+    default: [],
+  },
+  progressMessage: {
+    type: String,
+    default: '',
+  },
+  // Model calls made, including retries
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  error: {
+    type: String,
+    default: '',
+  },
+  rawText: {
+    type: String,
+  },
+  startedAt: {
+    type: Date,
+  },
+  finishedAt: {
+    type: Date,
+  },
+}, {
+  timestamps: true,
+});
+
+generationJobSchema.index({ adminId: 1, createdAt: -1 });
+generationJobSchema.index({ createdAt: 1 }, { expireAfterSeconds: JOB_RETENTION_SECONDS });
+
+const GenerationJob = mongoose.model('GenerationJob', generationJobSchema);
+
+export default GenerationJob;
@@ -1,8 +1,63 @@
 // server/models/Quiz.js
 import mongoose from 'mongoose';
+import { isValidAnswerPattern, MAX_PATTERN_LENGTH } from '../utils/answerPatterns.js';
 
 const { Schema } = mongoose;
 
+// Editors send one entry per textarea line; blank lines aren't answers
+const dropBlankEntries = (values) => (values || []).filter(value => String(value).trim() !== '');
+
+// A rubric level, e.g. { label: 'Excellent', points: 4 }
+const rubricLevelSchema = new Schema({
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  points: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+}, { _id: false });
+
+// One rubric criterion for an essay question; its _id keys the candidate's rubric scores
+const rubricCriterionSchema = new Schema({
+  criterion: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  description: {
+    type: String,
+    default: '',
+  },
+  levels: {
+    type: [rubricLevelSchema],
+    validate: {
+      validator: (levels) => levels.length > 0,
+      message: 'Each rubric criterion needs at least one level',
+    },
+  },
+});
+
+// Where in the uploaded course material a generated question came from
+const citationSchema = new Schema({
+  document: {
+    type: String,
+    required: true,
+  },
+  // e.g. "Page 4", "Slide 12"
+  location: {
+    type: String,
+    default: '',
+  },
+  excerpt: {
+    type: String,
+    default: '',
+  },
+}, { _id: false });
+
 // This is a "sub-schema" for a single question
 const questionSchema = new Schema({
   text: {
@@ -11,17 +66,108 @@ const questionSchema = new Schema({
   },
   type: {
     type: String,
-    enum: ['mcq', 'short_answer', 'true_false'],
+    enum: ['mcq', 'multi_select', 'short_answer', 'true_false', 'numeric', 'essay'],
     required: true,
   },
   options: {
     type: [String], // An array of strings
-    // This will only be required if the type is 'mcq'
+    // This will only be required if the type is 'mcq' or 'multi_select'
     default: [],
   },
   answer: {
     type: String,
-    required: true,
+    // Multi-select and numeric questions keep their key in their own fields instead;
+    // for essays it is an optional model answer shown to graders
+    required: function () {
+      return !['multi_select', 'numeric', 'essay'].includes(this.type);
+    },
+    default: '',
+  },
+  // Every option that must be ticked for a 'multi_select' ("select all that apply") question
+  correctAnswers: {
+    type: [String],
+    default: [],
+    validate: {
+      validator: function (value) {
+        return this.type !== 'multi_select' || value.length > 0;
+      },
+      message: 'Multi-select questions need at least one correct answer',
+    },
+  },
+  // Short-answer matching: other answers to accept, regex patterns (case-insensitive)
+  // and how many typos (edit distance) to forgive
+  acceptedAnswers: {
+    type: [String],
+    default: [],
+    set: dropBlankEntries,
+  },
+  answerPatterns: {
+    type: [String],
+    default: [],
+    set: dropBlankEntries,
+    validate: {
+      validator: function (patterns) {
+        return patterns.every(isValidAnswerPattern);
+      },
+      message: `Answer patterns must be valid regular expressions of at most ${MAX_PATTERN_LENGTH} characters, without nested or overlapping repeats like (a+)+, (a|b)* or a*a*`,
+    },
+  },
+  typoTolerance: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 5,
+  },
+  // Numeric questions: the correct value, how far off an answer may be, and an optional unit
+  numericAnswer: {
+    type: Number,
+    required: function () {
+      return this.type === 'numeric';
+    },
+  },
+  tolerance: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // 'absolute' = +/- tolerance, 'relative' = +/- tolerance percent of the correct value
+  toleranceType: {
+    type: String,
+    enum: ['absolute', 'relative'],
+    default: 'absolute',
+  },
+  unit: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  // Why the answer is right, shown to candidates when answers are released for review
+  explanation: {
+    type: String,
+    default: '',
+  },
+  // Scoring
+  points: {
+    type: Number,
+    default: 1,
+    min: 0,
+  },
+  // Points deducted for a wrong answer (negative marking); blank answers lose nothing
+  negativePoints: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // For multi-answer questions: award a share of the points per correct option
+  // instead of all-or-nothing
+  partialCredit: {
+    type: Boolean,
+    default: true,
+  },
+  // Essay questions: optional rubric the grader scores criterion by criterion
+  rubric: {
+    type: [rubricCriterionSchema],
+    default: [],
   },
   // Image support for questions
   questionImage: {
@@ -33,6 +179,68 @@ const questionSchema = new Schema({
     type: [String], // Array of base64 encoded images or URLs
     default: [],
   },
+  // Positions of options that stay put when options are shuffled (e.g. "All of the above")
+  pinnedOptions: {
+    type: [Number],
+    default: [],
+  },
+  // Sources in the course material, for questions generated from uploaded documents
+  citations: {
+    type: [citationSchema],
+    default: [],
+  },
+  // The question bank entry this question was copied from, if any
+  bankQuestionId: {
+    type: Schema.Types.ObjectId,
+    ref: 'BankQuestion',
+  },
+});
+
+// An essay with a rubric is worth the best level of every criterion combined
+questionSchema.pre('validate', function (next) {
+  if (this.type === 'essay' && this.rubric.length > 0) {
+    this.points = this.rubric.reduce(
+      (sum, criterion) => sum + Math.max(0, ...criterion.levels.map(level => level.points)),
+      0
+    );
+  }
+  next();
+});
+
+export const REVIEW_FLAG_KINDS = ['answer_mismatch', 'duplicate', 'duplicate_elsewhere', 'unverified'];
+
+// A warning from the pre-assignment review (see utils/quizReview.js)
+const reviewFlagSchema = new Schema({
+  // The question it is about; unset for flags about the whole quiz
+  questionId: {
+    type: Schema.Types.ObjectId,
+  },
+  kind: {
+    type: String,
+    enum: REVIEW_FLAG_KINDS,
+    required: true,
+  },
+  message: {
+    type: String,
+    required: true,
+  },
+  // The answer the check arrived at, for answer mismatches
+  suggestedAnswer: {
+    type: String,
+  },
+  similarity: {
+    type: Number,
+  },
+  // The other quiz a near-duplicate was found in
+  relatedQuizId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Quiz',
+  },
+  // The admin looked at it and decided it is fine
+  dismissed: {
+    type: Boolean,
+    default: false,
+  },
 });
 
 // This is the main Quiz model
@@ -63,8 +271,41 @@ const quizSchema = new Schema({
   },
   // This embeds the array of questions
   questions: [questionSchema],
+  // Number of the latest QuizVersion snapshot (0 = not snapshotted yet, e.g. older quizzes)
+  currentVersion: {
+    type: Number,
+    default: 0,
+  },
+  // Answer-key and duplicate check. AI-generated quizzes start 'pending' and can't be
+  // assigned until the check has run and every flag is fixed or dismissed.
+  review: {
+    status: {
+      type: String,
+      enum: ['unchecked', 'pending', 'checked'],
+      default: 'unchecked',
+    },
+    checkedAt: Date,
+    // Version the check ran against; questions changed since then may need another look
+    checkedVersion: Number,
+    answersChecked: {
+      type: Boolean,
+      default: false,
+    },
+    flags: {
+      type: [reviewFlagSchema],
+      default: [],
+    },
+  },
 }, { timestamps: true });
 
+/**
+ * Review flags still waiting for the admin
+ * @param {Object} quiz - Quiz document
+ * @returns {Array} Flags that aren't dismissed
+ */
+export const getOpenReviewFlags = (quiz) => (quiz.review?.flags || []).filter(flag => !flag.dismissed);
+
 const Quiz = mongoose.model('Quiz', quizSchema);
 
+export { questionSchema };
 export default Quiz;
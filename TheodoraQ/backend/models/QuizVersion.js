@@ -0,0 +1,53 @@
+// server/models/QuizVersion.js
+import mongoose from 'mongoose';
+import { questionSchema } from './Quiz.js';
+
+const { Schema } = mongoose;
+
+// An immutable snapshot of a quiz's content, taken whenever the quiz changes.
+// Question _ids are copied from the quiz so stored answers still line up.
+const quizVersionSchema = new Schema({
+  quizId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Quiz',
+    required: true,
+  },
+  // 1, 2, 3... per quiz
+  version: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  title: {
+    type: String,
+    required: true,
+  },
+  timeLimit: {
+    type: Number,
+  },
+  questions: [questionSchema],
+  // The admin whose edit produced this version
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Optional description, e.g. "Rolled back to version 2"
+  note: {
+    type: String,
+    default: '',
+  },
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+quizVersionSchema.index({ quizId: 1, version: 1 }, { unique: true });
+
+// Snapshots are never edited - a change to the quiz creates a new version instead
+quizVersionSchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Quiz versions are immutable'));
+  }
+  next();
+});
+
+const QuizVersion = mongoose.model('QuizVersion', quizVersionSchema);
+
+export default QuizVersion;
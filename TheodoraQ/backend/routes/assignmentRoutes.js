@@ -1,13 +1,19 @@
 import express from 'express';
 import {
   createAssignment,
+  previewQuestionPools,
   getAssignments,
   getAssignmentsByClass,
   updateAssignment,
+  setAssignmentExtension,
+  removeAssignmentExtension,
   deleteAssignment,
   getAssignmentSubmissions,
   getSubmissionDetails,
   getClassResults,
+  getReviewQueue,
+  overrideAnswerGrade,
+  regradeAssignmentSubmissions,
 } from '../controllers/assignmentController.js';
 import { protect } from '../middleware/authMiddleware.js';
 
@@ -22,6 +28,12 @@ router.use(protect);
  */
 router.post('/', createAssignment);
 
+/**
+ * POST /api/assignments/pool-preview
+ * Check how many questions each question pool could draw from
+ */
+router.post('/pool-preview', previewQuestionPools);
+
 /**
  * GET /api/assignments
  * Get all assignments created by the authenticated admin
@@ -52,6 +64,36 @@ router.get('/:assignmentId/submissions', getAssignmentSubmissions);
  */
 router.get('/:assignmentId/submissions/:submissionId', getSubmissionDetails);
 
+/**
+ * GET /api/assignments/:assignmentId/review-queue
+ * Get answers waiting for manual grading or flagged for review (for Admins)
+ */
+router.get('/:assignmentId/review-queue', getReviewQueue);
+
+/**
+ * PUT /api/assignments/:assignmentId/submissions/:submissionId/answers/:questionId
+ * Override or confirm the grade of a single answer (for Admins)
+ */
+router.put('/:assignmentId/submissions/:submissionId/answers/:questionId', overrideAnswerGrade);
+
+/**
+ * POST /api/assignments/:assignmentId/regrade
+ * Regrade all submissions against the quiz's current answer key (for Admins)
+ */
+router.post('/:assignmentId/regrade', regradeAssignmentSubmissions);
+
+/**
+ * PUT /api/assignments/:id/extensions/:candidateId
+ * Give one candidate a later due date (for Admins)
+ */
+router.put('/:id/extensions/:candidateId', setAssignmentExtension);
+
+/**
+ * DELETE /api/assignments/:id/extensions/:candidateId
+ * Remove a candidate's extension (for Admins)
+ */
+router.delete('/:id/extensions/:candidateId', removeAssignmentExtension);
+
 /**
  * PUT /api/assignments/:id
  * Update an assignment (edit due date and time limit)
@@ -0,0 +1,39 @@
+import express from 'express';
+import {
+  getBankQuestions,
+  createBankQuestions,
+  updateBankQuestion,
+  deleteBankQuestion,
+} from '../controllers/bankController.js';
+import { protect, authorize } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+// The question bank is for admins only
+router.use(protect, authorize('admin'));
+
+/**
+ * GET /api/bank
+ * Search and filter the admin's question bank
+ */
+router.get('/', getBankQuestions);
+
+/**
+ * POST /api/bank
+ * Add one or more questions to the bank
+ */
+router.post('/', createBankQuestions);
+
+/**
+ * PUT /api/bank/:id
+ * Update a bank question
+ */
+router.put('/:id', updateBankQuestion);
+
+/**
+ * DELETE /api/bank/:id
+ * Delete a bank question
+ */
+router.delete('/:id', deleteBankQuestion);
+
+export default router;
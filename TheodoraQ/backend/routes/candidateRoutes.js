@@ -1,6 +1,6 @@
 import express from 'express';
 import { getCandidateClasses } from '../controllers/classController.js';
-import { getCandidateAssignments, getSingleAssignment, submitQuiz } from '../controllers/assignmentController.js';
+import { getCandidateAssignments, getSingleAssignment, submitQuiz, saveDraftAnswers, getSubmissionReview } from '../controllers/assignmentController.js';
 import { bulkInviteCandidates, downloadTemplate, parseFileForPreview, sendBulkInvites, getClassRoster, getClassLeaderboard } from '../controllers/candidateController.js';
 import { protect } from '../middleware/authMiddleware.js';
 import upload from '../middleware/uploadMiddleware.js';
@@ -34,6 +34,18 @@ router.get('/assignment/:assignmentId', getSingleAssignment);
  */
 router.post('/submit-quiz/:assignmentId', submitQuiz);
 
+/**
+ * POST /api/candidate/save-draft/:assignmentId
+ * Autosave answers for an in-progress attempt
+ */
+router.post('/save-draft/:assignmentId', saveDraftAnswers);
+
+/**
+ * GET /api/candidate/review/:assignmentId
+ * Review a submitted quiz with the correct answers, once they are released
+ */
+router.get('/review/:assignmentId', getSubmissionReview);
+
 /**
  * POST /api/candidate/parse-file
  * Parse Excel/CSV file and return candidate list for preview
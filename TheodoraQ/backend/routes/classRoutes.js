@@ -7,6 +7,8 @@ import {
   deleteClass,
   joinClass,
   removeStudentFromClass,
+  setStudentAccommodation,
+  removeStudentAccommodation,
 } from '../controllers/classController.js';
 import { protect } from '../middleware/authMiddleware.js';
 
@@ -62,6 +64,18 @@ router.get('/:id', getClassById);
  */
 router.post('/:id/remove-student', removeStudentFromClass);
 
+/**
+ * PUT /api/classes/:id/accommodations/:studentId
+ * Give a student extra time on every quiz in the class
+ */
+router.put('/:id/accommodations/:studentId', setStudentAccommodation);
+
+/**
+ * DELETE /api/classes/:id/accommodations/:studentId
+ * Remove a student's extra time
+ */
+router.delete('/:id/accommodations/:studentId', removeStudentAccommodation);
+
 /**
  * PATCH /api/classes/:id/regenerate-invite
  * Regenerate invite code for a class
@@ -1,12 +1,27 @@
 import express from 'express';
 import { 
   generateQuiz, 
+  generateQuizFromDocuments,
   getQuizzes, 
   getQuizById, 
   deleteQuiz,
   updateQuiz,
-  createManualQuiz
+  createManualQuiz,
+  getQuizVersions,
+  rollbackQuizVersion,
+  addBankQuestions
 } from '../controllers/quizController.js';
+import { previewQuizImport, downloadImportTemplate } from '../controllers/quizImportController.js';
+import { exportQuiz } from '../controllers/quizExportController.js';
+import { runQuizReview, updateReviewFlag } from '../controllers/quizReviewController.js';
+import {
+  cancelGenerationJob,
+  createDocumentGenerationJob,
+  createTopicGenerationJob,
+  getGenerationJob,
+  retryGenerationJob,
+} from '../controllers/generationJobController.js';
+import { documentUpload, quizImportUpload } from '../middleware/uploadMiddleware.js';
 import { protect } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
@@ -20,12 +35,60 @@ router.use(protect);
  */
 router.post('/generate', generateQuiz);
 
+/**
+ * POST /api/quiz/generate/documents
+ * Generate quiz content from uploaded course material, with citations
+ */
+router.post('/generate/documents', documentUpload.array('files', 5), generateQuizFromDocuments);
+
+/**
+ * POST /api/quiz/generate/jobs
+ * Start generating quiz content from a topic in the background
+ */
+router.post('/generate/jobs', createTopicGenerationJob);
+
+/**
+ * POST /api/quiz/generate/documents/jobs
+ * Start generating quiz content from uploaded course material in the background
+ */
+router.post('/generate/documents/jobs', documentUpload.array('files', 5), createDocumentGenerationJob);
+
+/**
+ * GET /api/quiz/generate/jobs/:jobId
+ * Poll a generation job for progress and the questions generated so far
+ */
+router.get('/generate/jobs/:jobId', getGenerationJob);
+
+/**
+ * POST /api/quiz/generate/jobs/:jobId/cancel
+ * Stop a generation job, keeping its partial results
+ */
+router.post('/generate/jobs/:jobId/cancel', cancelGenerationJob);
+
+/**
+ * POST /api/quiz/generate/jobs/:jobId/retry
+ * Resume a failed or cancelled generation job
+ */
+router.post('/generate/jobs/:jobId/retry', retryGenerationJob);
+
 /**
  * POST /api/quiz/manual
  * Create a quiz manually
  */
 router.post('/manual', createManualQuiz);
 
+/**
+ * POST /api/quiz/import/preview
+ * Parse a QTI, GIFT, Aiken, CSV/XLSX or exported JSON file into questions for review
+ */
+router.post('/import/preview', quizImportUpload.single('file'), previewQuizImport);
+
+/**
+ * GET /api/quiz/import/template
+ * Download the CSV/XLSX import template
+ */
+router.get('/import/template', downloadImportTemplate);
+
 /**
  * GET /api/quiz
  * Get all quizzes created by the authenticated admin
@@ -44,6 +107,42 @@ router.get('/:id', getQuizById);
  */
 router.put('/:id', updateQuiz);
 
+/**
+ * GET /api/quiz/:id/versions
+ * Get a quiz's version history with diffs
+ */
+router.get('/:id/versions', getQuizVersions);
+
+/**
+ * POST /api/quiz/:id/versions/:version/rollback
+ * Restore a quiz to an earlier version
+ */
+router.post('/:id/versions/:version/rollback', rollbackQuizVersion);
+
+/**
+ * GET /api/quiz/:id/export/:format
+ * Export a quiz as QTI, GIFT, JSON or a printable HTML paper
+ */
+router.get('/:id/export/:format', exportQuiz);
+
+/**
+ * POST /api/quiz/:id/review
+ * Check a quiz's answer key with AI and look for near-duplicate questions
+ */
+router.post('/:id/review', runQuizReview);
+
+/**
+ * PATCH /api/quiz/:id/review/flags/:flagId
+ * Dismiss or restore a review flag
+ */
+router.patch('/:id/review/flags/:flagId', updateReviewFlag);
+
+/**
+ * POST /api/quiz/:id/bank-questions
+ * Copy questions from the question bank into a quiz
+ */
+router.post('/:id/bank-questions', addBankQuestions);
+
 /**
  * DELETE /api/quiz/:id
  * Delete a quiz
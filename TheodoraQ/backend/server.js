@@ -14,10 +14,12 @@ import classRoutes from './routes/classRoutes.js';
 import candidateRoutes from './routes/candidateRoutes.js';
 import assignmentRoutes from './routes/assignmentRoutes.js';
 import analyticsRoutes from './routes/analyticsRoutes.js';
+import bankRoutes from './routes/bankRoutes.js';
 import { protect } from './middleware/authMiddleware.js';
 import Class from './models/Class.js';
 import Quiz from './models/Quiz.js';
 import Assignment from './models/Assignment.js';
+import { finalizeExpiredSessions } from './utils/attemptSessions.js';
 
 // Get __dirname in ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -39,9 +41,17 @@ configureGoogleOAuth();
 const corsOptions = {
   origin: process.env.FRONTEND_URL || 'http://localhost:5173',
   credentials: true, // Allow cookies to be sent
+  exposedHeaders: ['Content-Disposition'], // Let the frontend read download file names
   optionsSuccessStatus: 200,
 };
 
+// Behind a reverse proxy, read client IPs from X-Forwarded-For (used by assignment network restrictions)
+// e.g. TRUST_PROXY=1 for one proxy hop; see Express's "trust proxy" setting
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 // Middleware
 app.use(cors(corsOptions));
 // Increase payload size limit to handle Base64 encoded images
@@ -77,6 +87,7 @@ app.use('/api/classes', classRoutes);
 app.use('/api/candidate', candidateRoutes);
 app.use('/api/assignments', assignmentRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/bank', bankRoutes);
 
 // Dashboard Stats Route
 // @route   GET /api/admin/dashboard/stats
@@ -153,9 +164,11 @@ app.get('/api/candidate/dashboard', protect, async (req, res) => {
     // 2. Find all assignments for those classes
     const assignments = await Assignment.find({ 
       classId: { $in: classIds }, // $in operator matches any value in the array
-      dueDate: { $gte: new Date() } // $gte = "greater than or equal to" today (upcoming)
+      dueDate: { $gte: new Date() }, // $gte = "greater than or equal to" today (upcoming)
+      $or: [{ availableFrom: null }, { availableFrom: { $lte: new Date() } }], // Already open
     })
-    .populate('quizId', 'title questions') // Get quiz title and questions
+    .select('-submissions -attemptSessions -poolQuestions -extensions -accessCode -allowedNetworks -accessDenials') // Leave out everyone's submissions, the pool questions and exam hall settings
+    .populate('quizId', 'title questions._id') // Get quiz title and question IDs (for the count; questions hold the answers)
     .populate('classId', 'title courseCode') // Get class title and course code
     .sort({ dueDate: 1 }); // Sort by due date (1 = ascending)
 
@@ -266,6 +279,19 @@ app.listen(PORT, () => {
   `);
 });
 
+// Auto-submit attempts whose timer ran out while the candidate was away
+const SESSION_SWEEP_INTERVAL_MS = 60 * 1000;
+setInterval(async () => {
+  try {
+    const finalized = await finalizeExpiredSessions();
+    if (finalized > 0) {
+      console.log(`⏱️ Auto-submitted ${finalized} expired attempt(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Error auto-submitting expired attempts:', error);
+  }
+}, SESSION_SWEEP_INTERVAL_MS);
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
   console.error('❌ Unhandled Rejection:', err);
@@ -0,0 +1,152 @@
+/**
+ * Answer Patterns
+ * The regex patterns authors attach to short-answer questions. Patterns run while grading,
+ * so every match gets a hard time limit, and patterns with the usual catastrophic-backtracking
+ * shapes are refused when the question is saved.
+ */
+
+import vm from 'vm';
+
+// Longest pattern an author can save
+export const MAX_PATTERN_LENGTH = 200;
+
+// Longest answer patterns are run against; longer answers are left for manual review
+export const MAX_PATTERN_INPUT_LENGTH = 200;
+
+// Time one pattern gets against one answer before it counts as no match
+export const PATTERN_TIME_LIMIT_MS = 50;
+
+// Reads a quantifier at `index`; returns { length, repeats, unbounded } or null if there is none
+const readQuantifier = (pattern, index) => {
+  const char = pattern[index];
+  let quantifier = null;
+  if (char === '*' || char === '+') {
+    quantifier = { length: 1, repeats: true, unbounded: true };
+  } else if (char === '?') {
+    quantifier = { length: 1, repeats: false, unbounded: false };
+  } else if (char === '{') {
+    const match = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(index));
+    if (!match) return null;
+    const max = match[2] === undefined ? Number(match[1]) : (match[3] === '' ? Infinity : Number(match[3]));
+    quantifier = { length: match[0].length, repeats: max > 1, unbounded: max === Infinity };
+  }
+  // A lazy "?" after the quantifier doesn't change how much it can backtrack
+  if (quantifier && pattern[index + quantifier.length] === '?') quantifier.length += 1;
+  return quantifier;
+};
+
+// Atoms that match nearly any character, so they overlap whatever repeats next to them
+const isWideAtom = (atom) => /^(\.|\\[DSW]|\[\^)/.test(atom);
+
+// Whether two repeated atoms can match the same text, e.g. "a" and "a", or "." and anything
+const canOverlap = (first, second) => first === second || isWideAtom(first) || isWideAtom(second);
+
+/**
+ * Whether a pattern has a shape that can take exponential (or high polynomial) time on a
+ * near-miss answer: a repeated group containing a repeat, like (a+)+, or an alternation,
+ * like (a|a)*, or overlapping unbounded repeats right next to each other, like a*a* or .*\w+
+ * @param {String} pattern - Regex source
+ * @returns {Boolean}
+ */
+export const hasRiskyRepeats = (pattern) => {
+  // One entry per open group: where it starts, whether anything inside repeats, whether it has
+  // a "|", the unbounded atom read last (carried in from before the group) and the one an
+  // earlier branch ended on
+  const newGroup = (start, carried = null) => ({
+    start, repeats: false, alternates: false, carried, lastUnbounded: carried, branchUnbounded: null,
+  });
+  const groups = [newGroup(0)];
+
+  for (let i = 0; i < pattern.length; i++) {
+    const current = groups[groups.length - 1];
+    const char = pattern[i];
+    let atomStart = i;
+    let closedGroup = null;
+
+    if (char === '(') {
+      groups.push(newGroup(i, current.lastUnbounded));
+      // "(?:", "(?=", "(?<name>" - the "?" here is group syntax, not a repeat
+      if (pattern[i + 1] === '?') i += 2;
+      continue;
+    }
+    if (char === '|') {
+      current.alternates = true;
+      current.branchUnbounded = current.branchUnbounded || current.lastUnbounded;
+      current.lastUnbounded = current.carried;
+      continue;
+    }
+    if (char === '^' || char === '$') {
+      current.lastUnbounded = null;
+      continue;
+    }
+
+    if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      // Skip to the end of the character class
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+    } else if (char === ')' && groups.length > 1) {
+      closedGroup = groups.pop();
+      atomStart = closedGroup.start;
+    }
+
+    // The atom just read is the innermost group's last item, now that any group has closed
+    const parent = groups[groups.length - 1];
+    const atom = pattern.slice(atomStart, i + 1);
+    const quantifier = readQuantifier(pattern, i + 1);
+    if (!quantifier) {
+      if (closedGroup?.repeats) parent.repeats = true;
+      parent.lastUnbounded = closedGroup ? closedGroup.lastUnbounded || closedGroup.branchUnbounded : null;
+      continue;
+    }
+
+    if (closedGroup && quantifier.repeats && (closedGroup.repeats || closedGroup.alternates)) return true;
+    if (quantifier.unbounded && parent.lastUnbounded && canOverlap(parent.lastUnbounded, atom)) return true;
+    parent.repeats = true;
+    parent.lastUnbounded = quantifier.unbounded ? atom : null;
+    i += quantifier.length;
+  }
+  return false;
+};
+
+/**
+ * Whether an author pattern can be saved and run while grading
+ * @param {String} pattern - Regex source
+ * @returns {Boolean} True if it compiles, is short enough and has no risky repeats
+ */
+export const isValidAnswerPattern = (pattern) => {
+  if (pattern.length > MAX_PATTERN_LENGTH || hasRiskyRepeats(pattern)) return false;
+  try {
+    new RegExp(pattern, 'i');
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// One context for every match: making a context per answer costs far more than the match
+const patternContext = vm.createContext({});
+const patternScript = new vm.Script('new RegExp(pattern, "i").test(answer)');
+
+/**
+ * Run an author pattern against an answer, case-insensitively, within PATTERN_TIME_LIMIT_MS
+ * The check on save can't catch every slow pattern, so a match that runs out of time
+ * is stopped and counts as no match (the answer then goes to manual review).
+ * @param {String} pattern - Regex source
+ * @param {String} answer - The candidate's trimmed answer
+ * @returns {Boolean} True if the pattern matched in time
+ * @throws {SyntaxError} If the pattern doesn't compile
+ */
+export const testAnswerPattern = (pattern, answer) => {
+  patternContext.pattern = pattern;
+  patternContext.answer = answer;
+  try {
+    return patternScript.runInContext(patternContext, { timeout: PATTERN_TIME_LIMIT_MS }) === true;
+  } catch (error) {
+    if (error.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw error;
+    console.warn(`⚠️ Answer pattern ran out of time (${PATTERN_TIME_LIMIT_MS}ms):`, pattern);
+    return false;
+  }
+};
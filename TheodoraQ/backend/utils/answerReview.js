@@ -0,0 +1,78 @@
+/**
+ * Answer Review
+ * What a candidate sees when going back over a submitted quiz: their answers next to
+ * the correct ones, with each question's explanation. The assignment's `answerReview` setting
+ * (or the class's, when the assignment follows the class) decides when that opens up, and it
+ * never opens while the candidate has attempts left.
+ */
+
+import { formatCorrectAnswer } from './grading.js';
+
+/**
+ * The release rule that applies to an assignment
+ * @returns {String} 'immediately' | 'after_due_date' | 'after_all_submitted' | 'never'
+ */
+export const resolveAnswerReview = (assignment, classData) => (
+  assignment.answerReview && assignment.answerReview !== 'class'
+    ? assignment.answerReview
+    : classData.answerReview || 'never'
+);
+
+/**
+ * Whether a candidate may review their answers yet
+ * @param {Object} options - { answerReview, closesAt, attemptsRemaining, allFinished, now }
+ *   answerReview is the rule from resolveAnswerReview; closesAt is when the last candidate can
+ *   no longer submit (null if late submissions never close, only needed for 'after_due_date');
+ *   allFinished says whether everyone the assignment is for has no attempts left or can no longer
+ *   submit (only needed for 'after_all_submitted')
+ * @returns {Object} { open, availableAt, message } - availableAt is set when review opens at a known time
+ */
+export const getAnswerReviewRelease = ({ answerReview = 'never', closesAt = null, attemptsRemaining = 0, allFinished = false, now = new Date() }) => {
+  if (answerReview === 'never') {
+    return { open: false, availableAt: null, message: 'Your instructor has not made answers available for review.' };
+  }
+  // Showing the key between attempts would give the next attempt away
+  if (attemptsRemaining > 0) {
+    return { open: false, availableAt: null, message: 'Answers and explanations will be available after your last attempt.' };
+  }
+  // Late work counts too: nobody sees the key while someone can still hand an answer in
+  if (answerReview === 'after_due_date' && !closesAt) {
+    return { open: false, availableAt: null, message: 'Answers and explanations will be available once the quiz closes to late submissions.' };
+  }
+  if (answerReview === 'after_due_date' && now < new Date(closesAt)) {
+    return { open: false, availableAt: new Date(closesAt), message: 'Answers and explanations will be available once the quiz closes.' };
+  }
+  if (answerReview === 'after_all_submitted' && !allFinished) {
+    return { open: false, availableAt: null, message: 'Answers and explanations will be available once everyone has finished the quiz.' };
+  }
+  return { open: true, availableAt: null, message: '' };
+};
+
+/**
+ * Question-by-question review of a graded submission
+ * @param {Array} questions - The questions the submission was graded against
+ * @param {Array} answers - The submission's graded answers
+ * @returns {Array} [{ questionId, text, type, options, questionImage, selectedAnswer, isCorrect,
+ *   pointsEarned, pointsPossible, reviewStatus, correctAnswer, explanation }]
+ */
+export const buildAnswerReview = (questions, answers = []) => {
+  const answersById = new Map(answers.map(answer => [answer.questionId.toString(), answer]));
+
+  return questions.map(question => {
+    const answer = answersById.get(question._id.toString());
+    return {
+      questionId: question._id,
+      text: question.text,
+      type: question.type,
+      options: question.options || [],
+      questionImage: question.questionImage || '',
+      selectedAnswer: answer?.selectedAnswer || '',
+      isCorrect: Boolean(answer?.isCorrect),
+      pointsEarned: answer?.pointsEarned ?? 0,
+      pointsPossible: answer?.pointsPossible ?? question.points ?? 1,
+      reviewStatus: answer?.reviewStatus,
+      correctAnswer: formatCorrectAnswer(question),
+      explanation: question.explanation || '',
+    };
+  });
+};
@@ -0,0 +1,125 @@
+/**
+ * Assignment Access
+ * Restrictions for in-person exams: an access code the invigilator reveals at start time,
+ * and the networks (single IPs or CIDR ranges) candidates must connect from. Refused attempts
+ * are kept on the assignment (`accessDenials`) so they show up in the integrity views.
+ * Behind a reverse proxy, set TRUST_PROXY so the candidate's address is read from X-Forwarded-For.
+ */
+
+import { BlockList, isIP } from 'net';
+import Assignment from '../models/Assignment.js';
+
+// Denials kept per assignment; older ones are dropped first
+export const MAX_ACCESS_DENIALS = 500;
+
+// Longest access code an admin can set
+export const MAX_ACCESS_CODE_LENGTH = 32;
+
+// "::ffff:10.0.0.5" is how an IPv4 client shows up on a dual-stack server
+const normalizeIp = (ip = '') => (ip.startsWith('::ffff:') && isIP(ip.slice(7)) === 4 ? ip.slice(7) : ip);
+
+/**
+ * Read an allow-list entry
+ * @param {String} entry - "10.0.0.5", "10.0.0.0/24" or an IPv6 equivalent
+ * @returns {Object|null} { address, prefix, family }, or null if it isn't a valid address or range
+ */
+const parseNetwork = (entry) => {
+  const [address, prefixText, ...rest] = entry.trim().split('/');
+  const version = isIP(address);
+  if (!version || rest.length > 0) return null;
+
+  const maxPrefix = version === 4 ? 32 : 128;
+  if (prefixText !== undefined && !/^\d+$/.test(prefixText)) return null;
+  const prefix = prefixText === undefined ? maxPrefix : Number(prefixText);
+  if (prefix > maxPrefix) return null;
+  return { address, prefix, family: version === 4 ? 'ipv4' : 'ipv6' };
+};
+
+/**
+ * Normalise the allowed networks sent by the client
+ * @param {Array|String} value - An array of entries, or one string separated by commas or new lines
+ * @returns {Array} Trimmed, non-empty entries
+ */
+export const parseAllowedNetworks = (value) => {
+  const entries = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+  return [...new Set(entries.map(entry => String(entry).trim()).filter(Boolean))];
+};
+
+/**
+ * Check an allow-list
+ * @returns {String|null} Error message, or null if every entry is a valid IP address or CIDR range
+ */
+export const validateAllowedNetworks = (networks) => {
+  const invalid = networks.find(entry => !parseNetwork(entry));
+  return invalid ? `"${invalid}" is not a valid IP address or CIDR range` : null;
+};
+
+/**
+ * Check access settings sent by the client
+ * @param {Object} settings - { accessCode, allowedNetworks } from parseAccessSettings (undefined = not sent)
+ * @returns {String|null} Error message, or null if the settings are valid
+ */
+export const validateAccessSettings = ({ accessCode, allowedNetworks }) => {
+  if (accessCode && accessCode.length > MAX_ACCESS_CODE_LENGTH) {
+    return `The access code can be at most ${MAX_ACCESS_CODE_LENGTH} characters`;
+  }
+  return allowedNetworks ? validateAllowedNetworks(allowedNetworks) : null;
+};
+
+// Codes are compared without case or surrounding spaces, since they are read out in the room
+export const normalizeAccessCode = (code) => String(code ?? '').trim().toUpperCase();
+
+/**
+ * Whether an address is inside any of the allowed networks
+ * @param {Array} networks - Allow-list entries
+ * @param {String} ip - Client address (req.ip)
+ * @returns {Boolean}
+ */
+export const isIpAllowed = (networks, ip) => {
+  const address = normalizeIp(ip);
+  const family = isIP(address);
+  if (!family) return false;
+
+  const allowed = new BlockList();
+  networks.map(parseNetwork).filter(Boolean).forEach(network => {
+    allowed.addSubnet(network.address, network.prefix, network.family);
+  });
+  return allowed.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Check a candidate's request against the assignment's restrictions
+ * The network is checked first, so nobody off-site learns whether a code is needed.
+ * @param {Object} assignment - Assignment document
+ * @param {Object} request - { accessCode, ip } - accessCode as typed by the candidate
+ * @returns {Object|null} { reason, message } if access is refused, where reason is
+ *   'network' | 'code_required' | 'wrong_code'; null if the candidate may continue
+ */
+export const checkAssignmentAccess = (assignment, { accessCode, ip }) => {
+  if (assignment.allowedNetworks?.length > 0 && !isIpAllowed(assignment.allowedNetworks, ip)) {
+    return { reason: 'network', message: 'This quiz can only be taken from the exam venue network' };
+  }
+  if (assignment.accessCode) {
+    if (!normalizeAccessCode(accessCode)) {
+      return { reason: 'code_required', message: 'Enter the access code given by your invigilator' };
+    }
+    if (normalizeAccessCode(accessCode) !== assignment.accessCode) {
+      return { reason: 'wrong_code', message: 'That access code is not correct' };
+    }
+  }
+  return null;
+};
+
+/**
+ * Record a refused attempt on the assignment
+ * Written with a capped $push so concurrent denials don't overwrite each other.
+ * @param {String} assignmentId - Assignment ID
+ * @param {Object} entry - { candidateId, reason, action, ipAddress }
+ */
+export const logAccessDenial = async (assignmentId, entry) => {
+  await Assignment.updateOne(
+    { _id: assignmentId },
+    { $push: { accessDenials: { $each: [{ ...entry, ipAddress: normalizeIp(entry.ipAddress), at: new Date() }], $slice: -MAX_ACCESS_DENIALS } } }
+  );
+  console.log(`🚫 Access denied (${entry.reason}) on ${entry.action} for candidate ${entry.candidateId} from ${entry.ipAddress}`);
+};
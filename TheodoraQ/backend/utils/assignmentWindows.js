@@ -0,0 +1,131 @@
+/**
+ * Assignment Windows
+ * When an assignment can be taken: it opens at `availableFrom` (or as soon as it is created),
+ * is due at `dueDate`, and takes late submissions until `closesAt`. Late work loses
+ * `latePenalty.perDay` percentage points for each day (or part of a day) past the due date,
+ * up to `latePenalty.max`.
+ * Individual candidates can have an extension on the assignment (a later due date) and a
+ * standing extra-time multiplier on the class; getCandidateSchedule folds both in.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * When an assignment stops taking submissions
+ * Assignments created before closing times existed follow the class's old allowLateSubmissions flag.
+ * @param {Object} assignment - Assignment document
+ * @param {Object} classData - The assignment's class
+ * @returns {Date|null} Closing time, or null if late work is accepted indefinitely
+ */
+export const getClosingTime = (assignment, classData) => {
+  if (assignment.closesAt) return new Date(assignment.closesAt);
+  return classData?.allowLateSubmissions === false ? new Date(assignment.dueDate) : null;
+};
+
+/**
+ * One candidate's dates and time limit, with their extension and extra time applied
+ * An extension moves the due date, and the closing time by the same amount so the late
+ * window keeps its length. The result can be passed anywhere an assignment's dates are read.
+ * @param {Object} assignment - Assignment document
+ * @param {Object} classData - The assignment's class (null to skip class accommodations)
+ * @param {String} candidateId - Candidate user ID
+ * @returns {Object} { availableFrom, dueDate, closesAt, latePenalty, timeLimit, timeMultiplier, extension }
+ *   extension is null unless the candidate's extension is later than the assignment's due date
+ */
+export const getCandidateSchedule = (assignment, classData, candidateId) => {
+  const id = candidateId.toString();
+  const granted = (assignment.extensions || []).find(ext => ext.candidateId.toString() === id);
+  const accommodation = (classData?.accommodations || []).find(acc => acc.candidateId.toString() === id);
+  const timeMultiplier = accommodation?.timeMultiplier || 1;
+
+  const baseDueDate = new Date(assignment.dueDate);
+  let dueDate = baseDueDate;
+  let closesAt = getClosingTime(assignment, classData);
+  // An extension left behind by a later change to the due date no longer applies
+  const extension = granted && new Date(granted.dueDate) > baseDueDate ? granted : null;
+  if (extension) {
+    dueDate = new Date(extension.dueDate);
+    closesAt = closesAt && new Date(closesAt.getTime() + (dueDate - baseDueDate));
+  }
+
+  return {
+    availableFrom: assignment.availableFrom,
+    dueDate,
+    closesAt,
+    latePenalty: assignment.latePenalty,
+    timeLimit: Math.round(assignment.timeLimit * timeMultiplier),
+    timeMultiplier,
+    extension,
+  };
+};
+
+/**
+ * Where an assignment is in its window
+ * @param {Object} assignment - Assignment document, or a candidate's schedule
+ * @param {Object} classData - The assignment's class
+ * @param {Date} now - Reference time
+ * @returns {Object} { status, opensAt, dueDate, closesAt, canSubmit, message }
+ *   status is 'upcoming' | 'open' | 'late' | 'closed'
+ */
+export const getAssignmentWindow = (assignment, classData, now = new Date()) => {
+  const opensAt = assignment.availableFrom ? new Date(assignment.availableFrom) : null;
+  const dueDate = new Date(assignment.dueDate);
+  const closesAt = getClosingTime(assignment, classData);
+  const dates = { opensAt, dueDate, closesAt };
+
+  if (opensAt && now < opensAt) {
+    return { ...dates, status: 'upcoming', canSubmit: false, message: 'This quiz is not open yet' };
+  }
+  if (closesAt && now > closesAt) {
+    return {
+      ...dates,
+      status: 'closed',
+      canSubmit: false,
+      message: closesAt > dueDate
+        ? 'This quiz is closed and no longer accepts late submissions'
+        : 'This assignment is past due and late submissions are not allowed',
+    };
+  }
+  if (now > dueDate) {
+    return { ...dates, status: 'late', canSubmit: true, message: 'This quiz is past due; submissions now count as late' };
+  }
+  return { ...dates, status: 'open', canSubmit: true, message: '' };
+};
+
+/**
+ * Percentage points taken off a submission for lateness
+ * @param {Object} assignment - Assignment document, or a candidate's schedule
+ * @param {Date} submittedAt - When the attempt was submitted
+ * @returns {Number} 0 to 100
+ */
+export const getLatePenalty = (assignment, submittedAt) => {
+  const perDay = assignment.latePenalty?.perDay || 0;
+  const lateBy = new Date(submittedAt) - new Date(assignment.dueDate);
+  if (perDay <= 0 || lateBy <= 0) return 0;
+
+  const daysLate = Math.ceil(lateBy / DAY_MS);
+  return Math.min(daysLate * perDay, assignment.latePenalty.max ?? 100, 100);
+};
+
+/**
+ * Check window and penalty settings sent by the client
+ * @param {Object} settings - { availableFrom, dueDate, closesAt, latePenalty } as Dates / numbers
+ * @returns {String|null} Error message, or null if the settings are valid
+ */
+export const validateAssignmentWindow = ({ availableFrom, dueDate, closesAt, latePenalty }) => {
+  if (availableFrom && isNaN(availableFrom.getTime())) return 'Invalid open date format';
+  if (closesAt && isNaN(closesAt.getTime())) return 'Invalid closing date format';
+  if (availableFrom && availableFrom >= dueDate) return 'The quiz must open before its due date';
+  if (closesAt && closesAt < dueDate) return 'The closing date cannot be before the due date';
+
+  if (latePenalty) {
+    const { perDay = 0, max = 100 } = latePenalty;
+    if (typeof perDay !== 'number' || isNaN(perDay) || perDay < 0 || perDay > 100) {
+      return 'Late penalty per day must be between 0 and 100';
+    }
+    if (typeof max !== 'number' || isNaN(max) || max < 0 || max > 100) {
+      return 'Late penalty cap must be between 0 and 100';
+    }
+  }
+  return null;
+};
@@ -0,0 +1,203 @@
+import Assignment from '../models/Assignment.js';
+import Class from '../models/Class.js';
+import { getCandidateSchedule, getLatePenalty } from './assignmentWindows.js';
+import { gradeAnswers } from './grading.js';
+import { buildOptionOrders } from './optionOrder.js';
+import { drawQuestionIds, getDrawSeed } from './questionPools.js';
+import { getAttemptQuestions } from './quizVersions.js';
+import { getCandidateSubmissions } from './scoringPolicy.js';
+
+// Extra seconds accepted after the deadline to absorb network latency
+export const SUBMISSION_GRACE_SECONDS = parseInt(process.env.SUBMISSION_GRACE_SECONDS) || 30;
+
+/**
+ * Find a candidate's current (most recent) attempt session on an assignment
+ * @param {Object} assignment - Assignment document
+ * @param {String} candidateId - Candidate user ID
+ * @returns {Object|undefined} Attempt session subdocument
+ */
+export const findAttemptSession = (assignment, candidateId) => {
+  return (assignment.attemptSessions || [])
+    .filter(session => session.candidateId.toString() === candidateId.toString())
+    .reduce((latest, session) => (
+      !latest || session.attemptNumber > latest.attemptNumber ? session : latest
+    ), undefined);
+};
+
+/**
+ * Check whether a session's deadline (plus grace window) has passed
+ * @param {Object} session - Attempt session subdocument
+ * @param {Date} now - Reference time (defaults to current server time)
+ * @returns {Boolean} True if the session has run out of time
+ */
+export const isSessionExpired = (session, now = new Date()) => {
+  const cutoff = new Date(session.deadline).getTime() + SUBMISSION_GRACE_SECONDS * 1000;
+  return now.getTime() > cutoff;
+};
+
+/**
+ * When an attempt started at `startedAt` runs out of time
+ * @param {Object} schedule - The candidate's schedule from getCandidateSchedule (or the assignment);
+ *   its timeLimit sets the timer and the deadline never runs past its closesAt
+ * @param {Date} startedAt - When the attempt started
+ * @returns {Date} Deadline
+ */
+export const getAttemptDeadline = (schedule, startedAt) => {
+  const timerEnds = new Date(startedAt).getTime() + schedule.timeLimit * 60 * 1000;
+  return new Date(schedule.closesAt ? Math.min(timerEnds, new Date(schedule.closesAt).getTime()) : timerEnds);
+};
+
+/**
+ * Recompute the deadline of every attempt still in progress
+ * For when the time limit, closing time or a candidate's extension changes.
+ * @param {Object} assignment - Assignment document (updated in place, not saved)
+ * @param {Object} classData - The assignment's class, for extra time
+ */
+export const refreshSessionDeadlines = (assignment, classData) => {
+  assignment.attemptSessions.forEach(session => {
+    if (session.status === 'in_progress') {
+      session.deadline = getAttemptDeadline(getCandidateSchedule(assignment, classData, session.candidateId), session.startedAt);
+    }
+  });
+};
+
+/**
+ * Get the candidate's in-progress attempt session, starting a new attempt if none is open
+ * Callers must check that the candidate still has attempts left before calling.
+ * The $push only applies when the candidate has no open session, so two tabs
+ * opening the quiz at once cannot start two attempts with different deadlines.
+ * On pool assignments the attempt's questions are drawn here too, and with shuffleOptions
+ * on, the option order of each question is fixed here (the quiz version must be populated).
+ * @param {Object} assignment - Assignment document
+ * @param {String} candidateId - Candidate user ID
+ * @param {Object} schedule - The candidate's schedule, for the deadline (see getAttemptDeadline)
+ * @returns {Object} Attempt session subdocument
+ */
+export const getOrStartAttemptSession = async (assignment, candidateId, schedule = assignment) => {
+  const existing = findAttemptSession(assignment, candidateId);
+  if (existing && existing.status === 'in_progress') {
+    return existing;
+  }
+
+  // Count submissions too - ones made before sessions existed have no session
+  const submittedCount = getCandidateSubmissions(assignment.submissions, candidateId).length;
+  const attemptNumber = Math.max(existing?.attemptNumber || 0, submittedCount) + 1;
+  const startedAt = new Date();
+  const deadline = getAttemptDeadline(schedule, startedAt);
+  const newSession = { candidateId, attemptNumber, startedAt, deadline, status: 'in_progress' };
+
+  const hasPools = assignment.questionPools?.length > 0;
+  if (hasPools || assignment.shuffleOptions) {
+    newSession.drawSeed = getDrawSeed(assignment._id, candidateId, attemptNumber);
+  }
+  if (hasPools) {
+    newSession.questionIds = drawQuestionIds(assignment.questionPools, newSession.drawSeed);
+  }
+  if (assignment.shuffleOptions) {
+    newSession.optionOrders = buildOptionOrders(getAttemptQuestions(assignment, newSession), newSession.drawSeed);
+  }
+
+  await Assignment.updateOne(
+    {
+      _id: assignment._id,
+      attemptSessions: { $not: { $elemMatch: { candidateId, status: 'in_progress' } } },
+    },
+    { $push: { attemptSessions: newSession } }
+  );
+
+  // Re-read so we return whichever session actually won the race
+  const fresh = await Assignment.findById(assignment._id).select('attemptSessions');
+  return findAttemptSession(fresh, candidateId);
+};
+
+/**
+ * Turn an expired session's last saved draft into a submission
+ * Mutates the assignment; the caller is responsible for saving it.
+ * The assignment's quizVersionId (or, for older assignments, quizId) must be populated.
+ * @param {Object} assignment - Assignment document
+ * @param {Object} session - Attempt session subdocument
+ * @param {Object} options - { autoGrading } - the class setting, passed through to gradeAnswers
+ * @returns {Object|null} The new submission, or null if one already existed
+ */
+export const finalizeAttemptSession = (assignment, session, { autoGrading = true } = {}) => {
+  const alreadySubmitted = assignment.submissions.some(
+    sub => sub.candidateId.toString() === session.candidateId.toString() &&
+      (sub.attemptNumber || 1) === session.attemptNumber
+  );
+
+  if (alreadySubmitted) {
+    session.status = 'submitted';
+    session.draftAnswers?.clear();
+    return null;
+  }
+
+  const drafts = session.draftAnswers ? Object.fromEntries(session.draftAnswers) : {};
+  const { formattedAnswers, pointsEarned, pointsPossible, percentageScore, gradingStatus } =
+    gradeAnswers(getAttemptQuestions(assignment, session), drafts, { autoGrading });
+
+  // The attempt ended when the timer ran out, not when we noticed it
+  const submittedAt = session.deadline;
+  const schedule = getCandidateSchedule(assignment, null, session.candidateId);
+  const latePenalty = getLatePenalty(schedule, submittedAt);
+  const submission = {
+    candidateId: session.candidateId,
+    score: Math.max(percentageScore - latePenalty, 0),
+    pointsEarned,
+    pointsPossible,
+    attemptNumber: session.attemptNumber,
+    submittedAt,
+    startedAt: session.startedAt,
+    timeTakenSeconds: Math.round((submittedAt - session.startedAt) / 1000),
+    isLateSubmission: submittedAt > schedule.dueDate,
+    latePenalty,
+    isAutoSubmitted: true,
+    tabSwitchCount: session.tabSwitchCount || 0,
+    escCount: session.escCount || 0,
+    answers: formattedAnswers,
+    gradingStatus,
+    questionIds: session.questionIds || [],
+    optionOrders: session.optionOrders,
+  };
+
+  assignment.submissions.push(submission);
+  session.status = 'submitted';
+  session.submittedAt = submittedAt;
+  // The drafts now live on the submission; a retake starts from a blank sheet
+  session.draftAnswers?.clear();
+
+  return submission;
+};
+
+/**
+ * Auto-submit every attempt whose timer has run out
+ * Called periodically from server.js so abandoned attempts still get graded.
+ * @returns {Number} Number of sessions finalized
+ */
+export const finalizeExpiredSessions = async () => {
+  const cutoff = new Date(Date.now() - SUBMISSION_GRACE_SECONDS * 1000);
+
+  const assignments = await Assignment.find({
+    attemptSessions: { $elemMatch: { status: 'in_progress', deadline: { $lt: cutoff } } },
+  })
+    .populate({ path: 'quizId', model: 'Quiz' })
+    .populate('quizVersionId');
+
+  let finalized = 0;
+  for (const assignment of assignments) {
+    if (!assignment.quizId && !assignment.quizVersionId) continue;
+
+    const classData = await Class.findById(assignment.classId).select('autoGrading');
+    const autoGrading = classData ? classData.autoGrading : true;
+
+    assignment.attemptSessions
+      .filter(session => session.status === 'in_progress' && isSessionExpired(session))
+      .forEach(session => {
+        finalizeAttemptSession(assignment, session, { autoGrading });
+        finalized += 1;
+      });
+
+    await assignment.save();
+  }
+
+  return finalized;
+};
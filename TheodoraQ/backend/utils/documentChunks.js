@@ -0,0 +1,119 @@
+/**
+ * Document Chunking
+ * Split extracted document text into citable chunks and pick the ones worth
+ * sending to the model, so long lecture notes fit in one prompt.
+ */
+
+// Roughly a few paragraphs - small enough to cite precisely, big enough to ask about
+const DEFAULT_CHUNK_CHARS = 1500;
+
+// How much source text goes into one generation prompt
+const DEFAULT_PROMPT_CHARS = 24000;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it', 'its',
+  'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'will', 'with', 'what', 'which', 'how',
+  'quiz', 'questions', 'question', 'about', 'create', 'make', 'generate',
+]);
+
+const tokenize = (text) => (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+  .filter(word => word.length > 2 && !STOP_WORDS.has(word));
+
+// Break a paragraph that is too long on its own at sentence ends (or anywhere, as a last resort)
+const splitLongText = (text, maxChars) => {
+  const sentences = text.match(/[^.!?]+[.!?]+["')\]]*\s*|[^.!?]+$/g) || [text];
+  const pieces = [];
+  let current = '';
+  sentences.forEach(sentence => {
+    if (current && current.length + sentence.length > maxChars) {
+      pieces.push(current.trim());
+      current = '';
+    }
+    current += sentence;
+  });
+  if (current.trim()) pieces.push(current.trim());
+  return pieces.flatMap(piece => (piece.length <= maxChars
+    ? [piece]
+    : piece.match(new RegExp(`[\\s\\S]{1,${maxChars}}`, 'g'))));
+};
+
+/**
+ * Split documents into chunks that each stay within one page/slide/section
+ * @param {Array} documents - From extractDocumentText: { name, sections: [{ location, text }] }
+ * @param {Object} options - { maxChars }
+ * @returns {Array} Chunks: { document, location, text }, in document order
+ */
+export const chunkDocuments = (documents, { maxChars = DEFAULT_CHUNK_CHARS } = {}) => documents.flatMap(document =>
+  document.sections.flatMap(section => {
+    const paragraphs = section.text.split(/\n\s*\n|\n/).map(paragraph => paragraph.trim()).filter(Boolean)
+      .flatMap(paragraph => splitLongText(paragraph, maxChars));
+
+    const chunks = [];
+    let current = '';
+    paragraphs.forEach(paragraph => {
+      if (current && current.length + paragraph.length + 1 > maxChars) {
+        chunks.push(current);
+        current = '';
+      }
+      current = current ? `${current}\n${paragraph}` : paragraph;
+    });
+    if (current) chunks.push(current);
+
+    return chunks.map(text => ({ document: document.name, location: section.location, text }));
+  }));
+
+/**
+ * Pick the chunks to send to the model
+ * With a focus, chunks are ranked by how well they match it (TF-IDF); without one, the
+ * picks are spread evenly over the material. The result keeps document order and gives
+ * each chunk a short citation ID (S1, S2, ...).
+ * @param {Array} chunks - From chunkDocuments
+ * @param {Object} options - { focus, maxChars }
+ * @returns {Array} Selected chunks with an `id`
+ */
+export const selectRelevantChunks = (chunks, { focus = '', maxChars = DEFAULT_PROMPT_CHARS } = {}) => {
+  const totalChars = chunks.reduce((sum, chunk) => sum + chunk.text.length, 0);
+  let picked;
+
+  if (totalChars <= maxChars) {
+    picked = chunks.map((_, index) => index);
+  } else {
+    const focusTerms = [...new Set(tokenize(focus))];
+    let ranking;
+
+    if (focusTerms.length > 0) {
+      const chunkTerms = chunks.map(chunk => tokenize(chunk.text));
+      const documentFrequency = new Map(focusTerms.map(term => [
+        term,
+        chunkTerms.filter(terms => terms.includes(term)).length,
+      ]));
+      const scores = chunkTerms.map(terms => focusTerms.reduce((score, term) => {
+        const frequency = terms.filter(word => word === term).length;
+        if (frequency === 0) return score;
+        const idf = Math.log(1 + chunks.length / documentFrequency.get(term));
+        return score + (1 + Math.log(frequency)) * idf;
+      }, 0) / Math.sqrt(terms.length || 1));
+      ranking = chunks.map((_, index) => index).sort((a, b) => scores[b] - scores[a] || a - b);
+    } else {
+      // Interleave from evenly spaced starting points so every part of the material is covered
+      const stride = Math.max(1, Math.ceil(totalChars / maxChars));
+      ranking = [];
+      for (let offset = 0; offset < stride; offset++) {
+        for (let index = offset; index < chunks.length; index += stride) ranking.push(index);
+      }
+    }
+
+    picked = [];
+    let used = 0;
+    ranking.forEach(index => {
+      if (used + chunks[index].text.length <= maxChars) {
+        picked.push(index);
+        used += chunks[index].text.length;
+      }
+    });
+  }
+
+  return picked
+    .sort((a, b) => a - b)
+    .map((chunkIndex, index) => ({ id: `S${index + 1}`, ...chunks[chunkIndex] }));
+};
@@ -0,0 +1,166 @@
+/**
+ * Document-Based Quiz Generation
+ * Generate questions from uploaded teaching material instead of a free-text topic.
+ * The model only sees selected chunks of the documents, labelled S1, S2, ..., and must
+ * say which chunk each question came from; those labels become citations on the question.
+ */
+
+import { chunkDocuments, selectRelevantChunks } from './documentChunks.js';
+import {
+  buildAvoidMessage,
+  buildCountMessage,
+  generateQuizJson,
+  generatedQuizSchema,
+  normalizeGeneratedQuestions,
+} from './quizGeneration.js';
+
+// Longest excerpt stored on a citation
+const MAX_EXCERPT_CHARS = 300;
+
+const normalizeForMatch = (text) => String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+const excerptOf = (text) => (text.length > MAX_EXCERPT_CHARS ? `${text.slice(0, MAX_EXCERPT_CHARS - 1).trim()}…` : text);
+
+/**
+ * Prompt asking for questions grounded in the given chunks
+ * @param {Object} options - { chunks, focus, quizType, questionCount, avoid }
+ *   avoid lists question texts already generated for this quiz
+ * @returns {String} Prompt text
+ */
+export const buildDocumentQuizPrompt = ({ chunks, focus, quizType, questionCount, avoid = [] }) => {
+  const sourceBlocks = chunks
+    .map(chunk => `[${chunk.id}] (${chunk.document}, ${chunk.location})\n${chunk.text}`)
+    .join('\n\n');
+
+  return `
+      You are an expert educator writing a quiz about the course material below.
+      Every question must be answerable from the material alone - do not use outside knowledge.
+      ${focus ? `Focus on: "${focus}"` : 'Cover the material as evenly as you can.'}
+      Question Type: "${quizType}"
+
+      ⚠️ CRITICAL: YOU MUST GENERATE EXACTLY ${questionCount} QUESTIONS ⚠️
+      ${buildCountMessage(questionCount)}
+      ${buildAvoidMessage(avoid)}
+      COURSE MATERIAL (each source is labelled with an ID like [S1]):
+      ${sourceBlocks}
+
+      Return your response *only* as a valid JSON object in this exact format:
+      {
+        "title": "Quiz Title Here",
+        "questions": [
+          {
+            "text": "Your question text here?",
+            "type": "${quizType}",
+            "options": ["Option 1", "Option 2", "Option 3", "Option 4"],
+            "answer": "Option 1",
+            "correctAnswers": [],
+            "explanation": "One or two sentences on why the answer is correct, based on the source",
+            "sources": ["S1"],
+            "quote": "The exact sentence from the source that supports the answer"
+          }
+        ]
+      }
+
+      CRITICAL REQUIREMENTS:
+      1. EXACT COUNT: The "questions" array MUST contain EXACTLY ${questionCount} question objects.
+      2. GROUNDING: "sources" lists the ID(s) of the source(s) the question is based on, and "quote" copies
+         the supporting sentence word for word from one of them.
+      3. ANSWER ACCURACY: The "answer" field must match EXACTLY one of the options (including case and punctuation).
+      4. UNIQUENESS: No two questions may test the same fact.
+      5. EXPLANATION: "explanation" tells a student who got it wrong why the correct answer is right, using the source.
+
+      Format rules:
+      - For "mcq": Provide exactly 4 unique, non-overlapping options
+      - For "multi_select" (select all that apply): Provide 4 or 5 unique options, put EVERY correct option in "correctAnswers" (at least 2, never all of them), and leave "answer" as an empty string
+      - For "true_false": Options must be exactly ["True", "False"]
+      - For "short_answer": Provide the most accepted correct answer, options can be empty array
+      - Do NOT include markdown, code blocks, or any text outside the JSON object.
+  `;
+};
+
+/**
+ * Turn the model's source IDs and quote into citations on each question
+ * The quote is kept only if it really appears in a cited chunk; otherwise each citation
+ * shows the start of its chunk, so the excerpt is always text from the material.
+ * @param {Array} questions - Questions from the model (with `sources` and `quote`)
+ * @param {Array} chunks - Chunks that were in the prompt
+ * @param {Number} firstNumber - Number of the first question, for warnings
+ * @returns {Object} { questions, warnings }
+ */
+export const attachCitations = (questions, chunks, firstNumber = 1) => {
+  const chunksById = new Map(chunks.map(chunk => [chunk.id, chunk]));
+  const warnings = [];
+
+  const cited = questions.map((question, index) => {
+    const { sources, quote, ...rest } = question;
+    const cites = [...new Set(Array.isArray(sources) ? sources : [sources])]
+      .map(id => chunksById.get(String(id).replace(/[[\]\s]/g, '')))
+      .filter(Boolean);
+
+    if (cites.length === 0) {
+      warnings.push(`Question ${firstNumber + index} does not cite the material - check it carefully`);
+      return { ...rest, citations: [] };
+    }
+
+    const quoteText = String(quote || '').trim();
+    const quotedChunk = quoteText && cites.find(chunk => normalizeForMatch(chunk.text).includes(normalizeForMatch(quoteText)));
+    if (quoteText && !quotedChunk) {
+      warnings.push(`Question ${firstNumber + index}: the quoted text was not found in the cited source`);
+    }
+
+    return {
+      ...rest,
+      citations: cites.map(chunk => ({
+        document: chunk.document,
+        location: chunk.location,
+        excerpt: excerptOf(chunk === quotedChunk ? quoteText : chunk.text),
+      })),
+    };
+  });
+
+  return { questions: cited, warnings };
+};
+
+/**
+ * Generate cited questions from chunks already chosen for the prompt
+ * @param {Object} options - { chunks, focus, quizType, questionCount, client, avoid, signal }
+ *   chunks come from selectRelevantChunks; avoid lists question texts already generated
+ *   (numbering warnings after them); signal aborts the model call
+ * @returns {Object} { title, questions, warnings }
+ * @throws {Error} If the model call fails, or its output is unusable even after repair
+ *   (those errors carry `rawText`)
+ */
+export const generateDocumentQuestions = async ({ chunks, focus = '', quizType, questionCount, client, avoid = [], signal }) => {
+  console.log(`📚 Generating ${questionCount} questions from ${chunks.length} chunk(s) with ${client.name}`);
+  const { quiz, warnings: formatWarnings } = await generateQuizJson({
+    client,
+    prompt: buildDocumentQuizPrompt({ chunks, focus, quizType, questionCount, avoid }),
+    request: { task: 'document-quiz', sources: chunks, focus, quizType, questionCount, avoid, signal },
+    schema: generatedQuizSchema({ withCitations: true }),
+  });
+
+  const { questions, warnings } = attachCitations(normalizeGeneratedQuestions(quiz.questions), chunks, avoid.length + 1);
+  return {
+    title: quiz.title || 'Quiz from course material',
+    questions,
+    warnings: [...formatWarnings, ...warnings],
+  };
+};
+
+/**
+ * Generate a quiz from extracted documents
+ * @param {Object} options - { documents, focus, quizType, questionCount, client }
+ *   documents come from extractDocumentText; client is a model client (see modelClient.js)
+ * @returns {Object} { title, questions, warnings, sourceCount }
+ * @throws {Error} If the documents have no text, or the model output can't be used
+ *   even after repair (those errors carry `rawText`)
+ */
+export const generateDocumentQuiz = async ({ documents, focus = '', quizType, questionCount, client }) => {
+  const chunks = selectRelevantChunks(chunkDocuments(documents), { focus });
+  if (chunks.length === 0) {
+    throw new Error('No text could be found in the uploaded documents');
+  }
+
+  const generated = await generateDocumentQuestions({ chunks, focus, quizType, questionCount, client });
+  return { ...generated, sourceCount: chunks.length };
+};
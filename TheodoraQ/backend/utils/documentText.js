@@ -0,0 +1,242 @@
+/**
+ * Document Text Extraction
+ * Pull the text out of uploaded lecture material (PDF, DOCX, PPTX, plain text),
+ * split into sections that remember where they came from (page, slide or lines)
+ * so generated questions can cite them.
+ */
+
+import { Buffer } from 'buffer';
+import path from 'path';
+import XLSX from 'xlsx';
+import { PDFParse } from 'pdf-parse';
+import { findAll, findChild, parseXml } from './xmlParser.js';
+
+export const DOCUMENT_EXTENSIONS = ['.pdf', '.docx', '.pptx', '.txt', '.md'];
+
+// Plain text files have no pages, so cite them by line range in blocks of about this many lines
+const TEXT_SECTION_LINES = 40;
+
+const cleanText = (text) => text
+  .replace(/\r\n?/g, '\n')
+  .replace(/[ \t\f\v]+/g, ' ')
+  .replace(/ *\n */g, '\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+// Zip-based Office files: path inside the archive -> contents
+const readZipEntries = (buffer) => {
+  const archive = XLSX.CFB.read(buffer, { type: 'buffer' });
+  const entries = new Map();
+  archive.FileIndex.forEach((entry, index) => {
+    if (entry.type !== 2) return;
+    const fullPath = archive.FullPaths[index].replace(/^[^/]*\//, '');
+    entries.set(fullPath, Buffer.from(entry.content));
+  });
+  return entries;
+};
+
+const readXmlEntry = (entries, entryPath) => {
+  const content = entries.get(entryPath);
+  return content ? parseXml(content.toString('utf8')) : null;
+};
+
+// ---------------------------------------------------------------------------
+// PDF
+// ---------------------------------------------------------------------------
+
+const extractPdf = async (buffer) => {
+  const parser = new PDFParse({ data: new Uint8Array(buffer) });
+  try {
+    const result = await parser.getText();
+    return result.pages.map(page => ({ location: `Page ${page.num}`, text: cleanText(page.text) }));
+  } finally {
+    await parser.destroy();
+  }
+};
+
+// ---------------------------------------------------------------------------
+// DOCX
+// ---------------------------------------------------------------------------
+
+// Text of one Word paragraph, plus whether a page starts inside it
+const readWordParagraph = (paragraph) => {
+  let text = '';
+  let pageBreaks = 0;
+  const walk = (node) => node.children.forEach(child => {
+    // Nested paragraphs (text boxes) are read on their own
+    if (typeof child === 'string' || child.name === 'p') return;
+    if (child.name === 't') text += child.children.filter(part => typeof part === 'string').join('');
+    else if (child.name === 'tab') text += ' ';
+    else if (child.name === 'lastRenderedPageBreak') pageBreaks += 1;
+    else if (child.name === 'br') {
+      if (child.attributes.type === 'page') pageBreaks += 1;
+      else text += '\n';
+    } else walk(child);
+  });
+  walk(paragraph);
+
+  const properties = findChild(paragraph, 'pPr');
+  const style = properties && findChild(properties, 'pStyle')?.attributes.val;
+  return { text: text.trim(), pageBreaks, isHeading: /^(heading|title)/i.test(style || '') };
+};
+
+// Every paragraph in document order; skips the fallback copies Word keeps of drawings and text boxes
+const collectWordParagraphs = (node) => node.children.flatMap(child => {
+  if (typeof child === 'string' || child.name === 'Fallback') return [];
+  return child.name === 'p' ? [child, ...collectWordParagraphs(child)] : collectWordParagraphs(child);
+});
+
+/**
+ * Word doesn't store page numbers; it records where pages broke when the file was last
+ * laid out. Use those when present, otherwise cite by the nearest heading.
+ */
+const extractDocx = (buffer) => {
+  const document = readXmlEntry(readZipEntries(buffer), 'word/document.xml');
+  if (!document) throw new Error('Not a Word document (word/document.xml is missing)');
+
+  const paragraphs = collectWordParagraphs(document).map(readWordParagraph);
+  const hasPages = paragraphs.some(paragraph => paragraph.pageBreaks > 0);
+  const sections = [];
+  let current = { location: hasPages ? 'Page 1' : 'Introduction', lines: [] };
+  let page = 1;
+
+  paragraphs.forEach(paragraph => {
+    const startsNewSection = hasPages ? paragraph.pageBreaks > 0 : paragraph.isHeading && paragraph.text;
+    if (startsNewSection) {
+      sections.push(current);
+      page += paragraph.pageBreaks;
+      current = { location: hasPages ? `Page ${page}` : `Section "${paragraph.text}"`, lines: [] };
+    }
+    if (paragraph.text) current.lines.push(paragraph.text);
+  });
+  sections.push(current);
+
+  return sections.map(section => ({ location: section.location, text: cleanText(section.lines.join('\n')) }));
+};
+
+// ---------------------------------------------------------------------------
+// PPTX
+// ---------------------------------------------------------------------------
+
+const readSlideText = (slide) => findAll(slide, 'p')
+  .map(paragraph => findAll(paragraph, 't').map(run => run.children.filter(part => typeof part === 'string').join('')).join(''))
+  .filter(line => line.trim())
+  .join('\n');
+
+// Resolve "Target" paths in a .rels file relative to the part that owns it
+const readRelationships = (entries, relsPath, baseDir) => {
+  const rels = readXmlEntry(entries, relsPath);
+  if (!rels) return [];
+  return findAll(rels, 'Relationship').map(rel => ({
+    id: rel.attributes.Id,
+    type: rel.attributes.Type || '',
+    target: path.posix.normalize(path.posix.join(baseDir, rel.attributes.Target || '')),
+  }));
+};
+
+const extractPptx = (buffer) => {
+  const entries = readZipEntries(buffer);
+
+  // Slide order comes from the presentation, not from the file names
+  const presentation = readXmlEntry(entries, 'ppt/presentation.xml');
+  const presentationRels = readRelationships(entries, 'ppt/_rels/presentation.xml.rels', 'ppt');
+  let slidePaths = presentation
+    ? findAll(presentation, 'sldId')
+      .map(slideId => presentationRels.find(rel => rel.id === slideId.attributes.id)?.target)
+      .filter(slidePath => slidePath && entries.has(slidePath))
+    : [];
+  if (slidePaths.length === 0) {
+    slidePaths = [...entries.keys()]
+      .filter(entryPath => /^ppt\/slides\/slide\d+\.xml$/.test(entryPath))
+      .sort((a, b) => Number(a.match(/(\d+)\.xml$/)[1]) - Number(b.match(/(\d+)\.xml$/)[1]));
+  }
+  if (slidePaths.length === 0) throw new Error('Not a PowerPoint presentation (no slides found)');
+
+  return slidePaths.map((slidePath, index) => {
+    const slideText = readSlideText(readXmlEntry(entries, slidePath));
+
+    // Speaker notes often carry most of the lecture content
+    const relsPath = `${path.posix.dirname(slidePath)}/_rels/${path.posix.basename(slidePath)}.rels`;
+    const notesPath = readRelationships(entries, relsPath, path.posix.dirname(slidePath))
+      .find(rel => rel.type.endsWith('/notesSlide'))?.target;
+    const notes = notesPath && entries.has(notesPath) ? readSlideText(readXmlEntry(entries, notesPath)) : '';
+
+    return {
+      location: `Slide ${index + 1}`,
+      text: cleanText(notes ? `${slideText}\nNotes: ${notes}` : slideText),
+    };
+  });
+};
+
+// ---------------------------------------------------------------------------
+// Plain text
+// ---------------------------------------------------------------------------
+
+const extractPlainText = (buffer) => {
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+
+  // Form feeds mark pages in text exported from PDFs
+  if (text.includes('\f')) {
+    return text.split('\f').map((page, index) => ({ location: `Page ${index + 1}`, text: cleanText(page) }));
+  }
+
+  const lines = text.replace(/\r\n?/g, '\n').replace(/\n+$/, '').split('\n');
+  const sections = [];
+  for (let start = 0; start < lines.length; start += TEXT_SECTION_LINES) {
+    const end = Math.min(start + TEXT_SECTION_LINES, lines.length);
+    sections.push({ location: end === start + 1 ? `Line ${end}` : `Lines ${start + 1}-${end}`, text: cleanText(lines.slice(start, end).join('\n')) });
+  }
+  return sections;
+};
+
+// ---------------------------------------------------------------------------
+// Entry point
+// ---------------------------------------------------------------------------
+
+/**
+ * Extract the text of an uploaded document
+ * @param {Buffer} buffer - File contents
+ * @param {String} filename - Original file name (the extension picks the reader)
+ * @returns {Object} { name, kind, sections: [{ location, text }] } - empty sections are dropped
+ * @throws {Error} If the file type is unsupported or the file can't be read
+ */
+export const extractDocumentText = async (buffer, filename) => {
+  const extension = path.extname(filename).toLowerCase();
+  let sections;
+
+  if (extension === '.pdf') {
+    sections = await extractPdf(buffer);
+  } else if (extension === '.docx') {
+    sections = extractDocx(buffer);
+  } else if (extension === '.pptx') {
+    sections = extractPptx(buffer);
+  } else if (extension === '.txt' || extension === '.md') {
+    sections = extractPlainText(buffer);
+  } else {
+    throw new Error(`Unsupported file type "${extension}" - upload ${DOCUMENT_EXTENSIONS.join(', ')}`);
+  }
+
+  return {
+    name: filename,
+    kind: extension.slice(1),
+    sections: sections.filter(section => section.text),
+  };
+};
+
+/**
+ * Extract the text of every file from a multer upload
+ * @param {Array} files - Uploaded files (memory storage: { buffer, originalname })
+ * @returns {Array} Extracted documents, in upload order
+ * @throws {Error} Naming the first file that can't be read
+ */
+export const extractUploadedDocuments = async (files) => {
+  const documents = [];
+  for (const file of files) {
+    try {
+      documents.push(await extractDocumentText(file.buffer, file.originalname));
+    } catch (error) {
+      throw new Error(`Could not read ${file.originalname}: ${error.message}`);
+    }
+  }
+  return documents;
+};
@@ -0,0 +1,218 @@
+/**
+ * Background Quiz Generation Jobs
+ * A job generates its questions in batches so large requests don't hang one HTTP
+ * request: each batch is a separate model call, retried with backoff on errors, and
+ * saved as soon as it arrives - the admin polls the job for progress and partial results.
+ * Every write is conditional on the job still running, so a cancel always wins.
+ */
+
+import GenerationJob, { FINISHED_JOB_STATUSES } from '../models/GenerationJob.js';
+import { generateDocumentQuestions } from './documentQuiz.js';
+import { generateTopicQuestions } from './quizGeneration.js';
+
+// Questions asked for per model call
+export const QUESTIONS_PER_BATCH = 10;
+
+// Retries per batch after the first try; the wait before each one doubles
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 2000;
+
+// A queued or running job untouched for this long has lost its worker (e.g. the server restarted)
+const STALE_JOB_MS = 10 * 60 * 1000;
+
+// Abort controllers for jobs running in this process, so a cancel also stops the model call in flight
+const runningJobs = new Map();
+
+const normalizeText = (text) => String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Delay before a retry: exponential backoff with +/-25% jitter
+ * @param {Number} retry - 1 for the first retry
+ * @returns {Number} Milliseconds
+ */
+export const getRetryDelay = (retry) => Math.round(RETRY_BASE_DELAY_MS * 2 ** (retry - 1) * (0.75 + Math.random() * 0.5));
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  }, { once: true });
+});
+
+// Apply an update only while the job is still running; false means it was cancelled
+const updateRunningJob = async (jobId, update) => {
+  const result = await GenerationJob.updateOne({ _id: jobId, status: 'running' }, { $set: update });
+  return result.matchedCount > 0;
+};
+
+// One model call's worth of new questions, without repeats of those already generated
+const generateBatch = async (job, existing, count, client, signal) => {
+  const avoid = existing.map(question => question.text);
+  const batch = job.kind === 'documents'
+    ? await generateDocumentQuestions({
+      chunks: job.sources,
+      focus: job.focus,
+      quizType: job.quizType,
+      questionCount: count,
+      client,
+      avoid,
+      signal,
+    })
+    : await generateTopicQuestions({ topic: job.prompt, quizType: job.quizType, questionCount: count, client, avoid, signal });
+
+  const seen = new Set(avoid.map(normalizeText));
+  const fresh = batch.questions.filter(question => {
+    const key = normalizeText(question.text);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  if (fresh.length === 0) {
+    throw new Error('The model did not return any new questions');
+  }
+  return { ...batch, questions: fresh.slice(0, count) };
+};
+
+const runGenerationJob = async (job, client, signal) => {
+  const questions = [...job.questions];
+  const warnings = [...job.warnings];
+  let { title, attempts } = job;
+
+  try {
+    while (questions.length < job.questionCount) {
+      const count = Math.min(QUESTIONS_PER_BATCH, job.questionCount - questions.length);
+      const range = count === 1 ? `${questions.length + 1}` : `${questions.length + 1}-${questions.length + count}`;
+      let batch;
+
+      for (let retry = 0; !batch; retry++) {
+        attempts += 1;
+        if (!(await updateRunningJob(job._id, { attempts, progressMessage: `Generating question ${range} of ${job.questionCount}` }))) return;
+
+        try {
+          batch = await generateBatch(job, questions, count, client, signal);
+        } catch (error) {
+          if (signal.aborted) return;
+          if (retry >= MAX_RETRIES) throw error;
+
+          const delay = getRetryDelay(retry + 1);
+          console.warn(`⚠️ Generation job ${job._id}: ${error.message}. Retrying in ${delay}ms...`);
+          const progressMessage = `${error.message}. Retrying in ${Math.ceil(delay / 1000)}s (retry ${retry + 1} of ${MAX_RETRIES})...`;
+          if (!(await updateRunningJob(job._id, { progressMessage }))) return;
+          await wait(delay, signal);
+        }
+      }
+
+      questions.push(...batch.questions);
+      warnings.push(...batch.warnings);
+      title = title || batch.title;
+      if (!(await updateRunningJob(job._id, { title, questions, warnings }))) return;
+    }
+
+    await updateRunningJob(job._id, {
+      status: 'completed',
+      progressMessage: `Generated ${questions.length} question${questions.length === 1 ? '' : 's'}`,
+      finishedAt: new Date(),
+    });
+    console.log(`✅ Generation job ${job._id} completed with ${questions.length} questions`);
+  } catch (error) {
+    if (signal.aborted) return;
+
+    console.error(`❌ Generation job ${job._id} failed:`, error.message);
+    await updateRunningJob(job._id, {
+      status: 'failed',
+      error: error.message,
+      rawText: error.rawText,
+      progressMessage: '',
+      finishedAt: new Date(),
+    });
+  }
+};
+
+/**
+ * Start (or resume) a queued job in the background
+ * Questions already on the job are kept; generation continues from there.
+ * @param {Object} job - GenerationJob document with status 'queued'
+ * @param {Object} client - Model client to generate with (see modelClient.js)
+ * @returns {Promise} Settles when the run ends - callers don't need to wait for it
+ */
+export const startGenerationJob = async (job, client) => {
+  const jobId = job._id.toString();
+  const started = await GenerationJob.findOneAndUpdate(
+    { _id: job._id, status: 'queued' },
+    { $set: { status: 'running', startedAt: new Date(), error: '', progressMessage: 'Starting...' }, $unset: { rawText: 1, finishedAt: 1 } },
+    { new: true }
+  ).lean();
+  if (!started) return;
+
+  const controller = new AbortController();
+  runningJobs.set(jobId, controller);
+  try {
+    await runGenerationJob(started, client, controller.signal);
+  } finally {
+    runningJobs.delete(jobId);
+  }
+};
+
+/**
+ * Cancel a queued or running job
+ * Questions generated so far are kept.
+ * @param {Object} job - GenerationJob document
+ * @returns {Boolean} False if the job had already finished
+ */
+export const cancelGenerationJob = async (job) => {
+  const result = await GenerationJob.updateOne(
+    { _id: job._id, status: { $nin: FINISHED_JOB_STATUSES } },
+    { $set: { status: 'cancelled', progressMessage: '', finishedAt: new Date() } }
+  );
+  runningJobs.get(job._id.toString())?.abort(new Error('Generation cancelled'));
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Mark a job as failed if its worker has gone away
+ * Only jobs not running in this process are checked, so a slow model call isn't mistaken for a dead one.
+ * @param {Object} job - GenerationJob document (updated in place)
+ * @returns {Object} The job
+ */
+export const failStaleGenerationJob = async (job) => {
+  const isStale = !FINISHED_JOB_STATUSES.includes(job.status)
+    && !runningJobs.has(job._id.toString())
+    && Date.now() - new Date(job.updatedAt).getTime() > STALE_JOB_MS;
+
+  if (isStale) {
+    job.status = 'failed';
+    job.error = 'Generation was interrupted. Retry to continue from the questions generated so far.';
+    job.progressMessage = '';
+    job.finishedAt = new Date();
+    await job.save();
+  }
+  return job;
+};
+
+/**
+ * Shape a job for API responses
+ * @param {Object} job - GenerationJob document
+ * @returns {Object} Job status, progress and the (partial) draft
+ */
+export const serializeGenerationJob = (job) => ({
+  id: job._id,
+  kind: job.kind,
+  status: job.status,
+  quizType: job.quizType,
+  questionCount: job.questionCount,
+  generatedCount: job.questions.length,
+  progress: Math.min(100, Math.round((job.questions.length / job.questionCount) * 100)),
+  progressMessage: job.progressMessage,
+  attempts: job.attempts,
+  error: job.error || undefined,
+  rawText: job.rawText,
+  title: job.title,
+  questions: job.questions,
+  timeLimit: 10, // Default time limit
+  documents: job.kind === 'documents' ? job.documents : undefined,
+  warnings: job.warnings,
+  createdAt: job.createdAt,
+  finishedAt: job.finishedAt,
+});
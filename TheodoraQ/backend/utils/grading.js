@@ -0,0 +1,414 @@
+/**
+ * Grading Helpers
+ * Shared scoring logic for quiz submissions
+ */
+
+import { hasRiskyRepeats, MAX_PATTERN_INPUT_LENGTH, testAnswerPattern } from './answerPatterns.js';
+
+// Round to 2 decimals so fractional credit doesn't accumulate float noise
+const roundPoints = (value) => Math.round(value * 100) / 100;
+
+// Negative marking can push the raw total below zero, but the percentage floors at 0
+const toPercentage = (pointsEarned, pointsPossible) => (
+  pointsPossible > 0 ? (Math.max(pointsEarned, 0) / pointsPossible) * 100 : 0
+);
+
+const isBlankAnswer = (answer) => {
+  if (Array.isArray(answer)) return answer.length === 0;
+  return answer === undefined || answer === null || answer === '';
+};
+
+// Question fields that reveal the answer and must never reach a candidate
+const ANSWER_KEY_FIELDS = [
+  'answer', 'correctAnswers', 'numericAnswer', 'tolerance', 'toleranceType',
+  'acceptedAnswers', 'answerPatterns', 'citations', 'explanation',
+];
+
+/**
+ * Copy a question without its answer key, for sending to candidates
+ * @param {Object} question - Plain question object
+ * @returns {Object} The question minus every answer-key field
+ */
+export const stripAnswerKey = (question) => {
+  const safeQuestion = { ...question };
+  ANSWER_KEY_FIELDS.forEach(field => delete safeQuestion[field]);
+  return safeQuestion;
+};
+
+/**
+ * Get the points a question is worth
+ * Questions saved before per-question points existed count as 1 point.
+ * @param {Object} question - Question subdocument from the quiz
+ * @returns {Number} Points possible
+ */
+export const getQuestionPoints = (question) => question.points ?? 1;
+
+// A signed decimal with an optional exponent, e.g. "-3.14", ".5", "2.", "6.02e23"
+const DECIMAL_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+
+/**
+ * Parse a candidate's numeric answer
+ * Accepts forms like "3.140", "1e3", "1,000" and a trailing unit ("9.8 m/s^2").
+ * Only plain decimals count: "0x10", "0b11" and "Infinity" are not numbers here.
+ * @param {String} rawAnswer - What the candidate typed
+ * @param {String} unit - The question's unit, stripped if present
+ * @returns {Number|null} The value, or null if it isn't a number
+ */
+export const parseNumericAnswer = (rawAnswer, unit = '') => {
+  let text = String(rawAnswer).trim();
+
+  if (unit && text.toLowerCase().endsWith(unit.toLowerCase())) {
+    text = text.slice(0, -unit.length).trim();
+  }
+
+  // Only treat commas as thousands separators when they are grouped that way
+  if (/^[-+]?\d{1,3}(,\d{3})+(\.\d+)?$/.test(text)) {
+    text = text.replace(/,/g, '');
+  }
+
+  if (!DECIMAL_PATTERN.test(text)) return null;
+  const value = Number(text);
+  return Number.isFinite(value) ? value : null;
+};
+
+/**
+ * Check a numeric answer against the correct value and tolerance
+ * @param {Object} question - Numeric question subdocument
+ * @param {String} candidateAnswer - The candidate's answer
+ * @returns {Boolean} True if the answer is within tolerance
+ */
+export const isNumericAnswerCorrect = (question, candidateAnswer) => {
+  const value = parseNumericAnswer(candidateAnswer, question.unit);
+  if (value === null || typeof question.numericAnswer !== 'number') return false;
+
+  const expected = question.numericAnswer;
+  const tolerance = question.tolerance || 0;
+  const allowed = question.toleranceType === 'relative'
+    ? Math.abs(expected) * tolerance / 100
+    : tolerance;
+
+  // Small epsilon so 0.1 + 0.2 style float error doesn't fail an exact answer
+  const epsilon = Number.EPSILON * Math.max(1, Math.abs(expected)) * 4;
+  return Math.abs(value - expected) <= allowed + epsilon;
+};
+
+/**
+ * Normalize an answer for exact comparison: lowercase, collapse whitespace
+ * Punctuation is kept, so "-5" is not "5" and "C" is not "C++".
+ * @param {String} text - Raw text
+ * @returns {String} Normalized text
+ */
+export const normalizeAnswer = (text) => String(text)
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Normalize free text for loose comparison: lowercase, drop punctuation, collapse whitespace
+ * Only for near-matches that get flagged for review (typo tolerance) and duplicate detection.
+ * @param {String} text - Raw text
+ * @returns {String} Normalized text
+ */
+export const normalizeText = (text) => String(text)
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}\s]/gu, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Levenshtein edit distance, giving up once it exceeds maxDistance
+ * @param {String} a - First string
+ * @param {String} b - Second string
+ * @param {Number} maxDistance - Stop early beyond this distance
+ * @returns {Number} Edit distance (maxDistance + 1 when over the limit)
+ */
+export const editDistance = (a, b, maxDistance = Infinity) => {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Match a short answer against the question's answer, accepted alternatives,
+ * regex patterns and typo tolerance (checked in that order)
+ * Typo tolerance is the only rule that ignores punctuation, and its matches are flagged for review.
+ * @param {Object} question - Short-answer question subdocument
+ * @param {String} candidateAnswer - The candidate's answer
+ * @returns {Object|null} { rule, matchedAgainst } for the first rule that matched, or null
+ */
+export const matchShortAnswer = (question, candidateAnswer) => {
+  const normalized = normalizeAnswer(candidateAnswer);
+  const expectedAnswers = [question.answer, ...(question.acceptedAnswers || [])]
+    .filter(expected => expected && normalizeAnswer(expected));
+
+  if (normalized) {
+    // 1. The model answer, then any accepted alternative
+    const exact = expectedAnswers.find(expected => normalizeAnswer(expected) === normalized);
+    if (exact !== undefined) {
+      return { rule: exact === question.answer ? 'exact' : 'accepted', matchedAgainst: exact };
+    }
+  }
+
+  // 2. Author-supplied regex patterns (case-insensitive, against the trimmed raw answer, time-limited)
+  // Overlong answers skip them and are left for manual review
+  const rawAnswer = String(candidateAnswer).trim();
+  const patterns = rawAnswer.length <= MAX_PATTERN_INPUT_LENGTH ? question.answerPatterns || [] : [];
+  for (const pattern of patterns) {
+    if (!pattern) continue;
+    // Saved before risky patterns were refused
+    if (hasRiskyRepeats(pattern)) {
+      console.warn('⚠️ Skipping answer pattern with risky repeats:', pattern);
+      continue;
+    }
+    try {
+      if (testAnswerPattern(pattern, rawAnswer)) {
+        return { rule: 'pattern', matchedAgainst: pattern };
+      }
+    } catch {
+      console.warn('⚠️ Skipping invalid answer pattern:', pattern);
+    }
+  }
+
+  // 3. Close misspellings, within the question's typo tolerance (punctuation ignored)
+  const typoTolerance = question.typoTolerance || 0;
+  const loose = normalizeText(candidateAnswer);
+  if (loose && typoTolerance > 0) {
+    for (const expected of expectedAnswers) {
+      const target = normalizeText(expected);
+      // Never let the tolerance swallow the whole word
+      const maxDistance = Math.min(typoTolerance, target.length - 1);
+      if (maxDistance > 0 && editDistance(loose, target, maxDistance) <= maxDistance) {
+        return { rule: 'fuzzy', matchedAgainst: expected };
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Describe a question's correct answer for reports
+ * @param {Object} question - Question subdocument from the quiz
+ * @returns {String} Human-readable answer key
+ */
+export const formatCorrectAnswer = (question) => {
+  if (question.type === 'multi_select') {
+    return (question.correctAnswers || []).join(', ');
+  }
+  if (question.type === 'numeric') {
+    const unit = question.unit ? ` ${question.unit}` : '';
+    if (!question.tolerance) return `${question.numericAnswer}${unit}`;
+    const tolerance = question.toleranceType === 'relative' ? `${question.tolerance}%` : `${question.tolerance}${unit}`;
+    return `${question.numericAnswer}${unit} (± ${tolerance})`;
+  }
+  return question.answer;
+};
+
+/**
+ * Check a single answer against a question's answer key
+ * @param {Object} question - Question subdocument from the quiz
+ * @param {String} candidateAnswer - The candidate's answer
+ * @returns {Boolean} True if the answer is correct
+ */
+export const isAnswerCorrect = (question, candidateAnswer) => {
+  // Numeric questions compare values within tolerance, not text
+  if (question.type === 'numeric') {
+    return isNumericAnswerCorrect(question, candidateAnswer);
+  }
+  // Short answers accept alternatives, patterns and small typos
+  if (question.type === 'short_answer') {
+    return matchShortAnswer(question, candidateAnswer) !== null;
+  }
+  // For MCQ and True/False, exact match (case-sensitive)
+  return candidateAnswer === question.answer;
+};
+
+/**
+ * Work out the share of credit for a multi-answer selection
+ * Each correct option picked earns 1/n of the credit and each wrong option
+ * picked takes 1/n away, never going below zero.
+ * @param {Array} correctOptions - Options in the answer key
+ * @param {Array} selectedOptions - Options the candidate picked
+ * @param {Boolean} partialCredit - False for all-or-nothing grading
+ * @returns {Number} Credit between 0 and 1
+ */
+export const scoreSelections = (correctOptions, selectedOptions, partialCredit = true) => {
+  if (correctOptions.length === 0) return 0;
+
+  const selected = new Set(selectedOptions);
+  const hits = correctOptions.filter(option => selected.has(option)).length;
+  const misses = selected.size - hits;
+
+  if (hits === correctOptions.length && misses === 0) return 1;
+  if (!partialCredit) return 0;
+
+  return Math.max(hits - misses, 0) / correctOptions.length;
+};
+
+/**
+ * Grade one question
+ * @param {Object} question - Question subdocument from the quiz
+ * @param {String|Array} candidateAnswer - The candidate's answer
+ * @returns {Object} { isCorrect, pointsEarned, pointsPossible, match } - match is the
+ *   short-answer rule that accepted the answer, if any
+ */
+export const gradeQuestion = (question, candidateAnswer) => {
+  const pointsPossible = getQuestionPoints(question);
+
+  if (isBlankAnswer(candidateAnswer)) {
+    return { isCorrect: false, pointsEarned: 0, pointsPossible, match: null };
+  }
+
+  let credit;
+  let match = null;
+  if (question.type === 'multi_select') {
+    credit = scoreSelections(question.correctAnswers || [], [].concat(candidateAnswer), question.partialCredit !== false);
+  } else if (question.type === 'short_answer') {
+    match = matchShortAnswer(question, candidateAnswer);
+    credit = match ? 1 : 0;
+  } else if (question.type === 'essay') {
+    // Essays are never auto-graded; gradeAnswers holds them for a teacher
+    credit = 0;
+  } else {
+    credit = isAnswerCorrect(question, candidateAnswer) ? 1 : 0;
+  }
+
+  // Negative marking only applies to answered questions that earned nothing
+  const pointsEarned = credit > 0
+    ? roundPoints(credit * pointsPossible)
+    : -(question.negativePoints || 0);
+
+  return { isCorrect: credit === 1, pointsEarned, pointsPossible, match };
+};
+
+/**
+ * Decide whether a graded answer needs a teacher to look at it
+ * Essays are always held at 0 points until a teacher grades them, and so are short
+ * answers when auto-grading is off.
+ * With it on, short answers marked wrong or accepted only as a near-miss are flagged
+ * for a second look but keep their automatic grade.
+ * @param {Object} question - Question subdocument from the quiz
+ * @param {Object} result - Output of gradeQuestion
+ * @param {Boolean} autoGrading - The class's autoGrading setting
+ * @returns {String|undefined} 'pending' | 'flagged', or undefined when no review is needed
+ */
+const getReviewStatus = (question, result, autoGrading) => {
+  if (question.type === 'essay') return 'pending';
+  if (question.type !== 'short_answer') return undefined;
+  if (!autoGrading) return 'pending';
+  if (!result.isCorrect || result.match?.rule === 'fuzzy') return 'flagged';
+  return undefined;
+};
+
+// Sort selected options by their position in the question; unknown options go last
+const inOptionOrder = (question, selectedOptions) => {
+  const options = question.options || [];
+  const position = (option) => {
+    const index = options.indexOf(option);
+    return index === -1 ? options.length : index;
+  };
+  return [...selectedOptions].sort((a, b) => position(a) - position(b));
+};
+
+/**
+ * Grade a set of answers against a quiz's questions
+ * @param {Array} questions - Question subdocuments (with answers)
+ * @param {Object} answers - Map of questionId -> candidate answer
+ * @param {Object} options - { autoGrading } - pass the class setting; false holds short answers for manual grading
+ * @returns {Object} { formattedAnswers, correctCount, totalQuestions, pointsEarned, pointsPossible, percentageScore, gradingStatus }
+ */
+export const gradeAnswers = (questions, answers = {}, { autoGrading = true } = {}) => {
+  let correctCount = 0;
+  let pointsEarned = 0;
+  let pointsPossible = 0;
+  const formattedAnswers = [];
+
+  for (const question of questions) {
+    // We use question._id.toString() because the keys in 'answers' are strings
+    const rawAnswer = answers[question._id.toString()];
+    // Store multi-select picks in the authored option order, whatever order the options were shown in
+    const candidateAnswer = question.type === 'multi_select' && Array.isArray(rawAnswer)
+      ? inOptionOrder(question, rawAnswer)
+      : rawAnswer;
+    let result = gradeQuestion(question, candidateAnswer);
+    const reviewStatus = isBlankAnswer(candidateAnswer) ? undefined : getReviewStatus(question, result, autoGrading);
+
+    // Held answers score nothing until a teacher grades them
+    if (reviewStatus === 'pending') {
+      result = { isCorrect: false, pointsEarned: 0, pointsPossible: result.pointsPossible, match: null };
+    }
+
+    if (result.isCorrect) {
+      correctCount += 1;
+    }
+    pointsEarned += result.pointsEarned;
+    pointsPossible += result.pointsPossible;
+
+    // Store the answer with its correctness (unanswered questions are stored as incorrect)
+    const formattedAnswer = {
+      questionId: question._id.toString(),
+      selectedAnswer: isBlankAnswer(candidateAnswer) ? '' : [].concat(candidateAnswer).join(', '),
+      isCorrect: result.isCorrect,
+      pointsEarned: result.pointsEarned,
+      pointsPossible: result.pointsPossible,
+    };
+    if (question.type === 'multi_select') {
+      formattedAnswer.selectedAnswers = isBlankAnswer(candidateAnswer) ? [] : [].concat(candidateAnswer);
+    }
+    if (result.match) {
+      formattedAnswer.matchedRule = result.match.rule;
+      formattedAnswer.matchedAgainst = result.match.matchedAgainst;
+    }
+    if (reviewStatus) {
+      formattedAnswer.reviewStatus = reviewStatus;
+    }
+    formattedAnswers.push(formattedAnswer);
+  }
+
+  pointsEarned = roundPoints(pointsEarned);
+  const totalQuestions = questions.length;
+  const percentageScore = toPercentage(pointsEarned, pointsPossible);
+  const gradingStatus = getGradingStatus(formattedAnswers);
+
+  return { formattedAnswers, correctCount, totalQuestions, pointsEarned, pointsPossible, percentageScore, gradingStatus };
+};
+
+/**
+ * Whether a submission still has answers waiting on a teacher
+ * @param {Array} answers - Graded answers
+ * @returns {String} 'pending_review' | 'graded'
+ */
+export const getGradingStatus = (answers) => (
+  answers.some(answer => answer.reviewStatus === 'pending') ? 'pending_review' : 'graded'
+);
+
+/**
+ * Recompute a submission's totals from its (possibly overridden) answers
+ * Mutates the submission; the caller is responsible for saving it.
+ * @param {Object} submission - Submission subdocument
+ * @returns {Object} The submission
+ */
+export const recalculateSubmissionScore = (submission) => {
+  const pointsEarned = roundPoints(submission.answers.reduce((sum, answer) => sum + (answer.pointsEarned || 0), 0));
+  const pointsPossible = submission.answers.reduce((sum, answer) => sum + (answer.pointsPossible ?? 1), 0);
+
+  submission.pointsEarned = pointsEarned;
+  submission.pointsPossible = pointsPossible;
+  // Keep any late penalty the submission was given
+  submission.score = Math.max(toPercentage(pointsEarned, pointsPossible) - (submission.latePenalty || 0), 0);
+  submission.gradingStatus = getGradingStatus(submission.answers);
+
+  return submission;
+};
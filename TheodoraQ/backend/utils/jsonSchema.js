@@ -0,0 +1,99 @@
+/**
+ * JSON Schema Helpers
+ * A small subset of JSON Schema - enough to describe the JSON we ask language models for:
+ * type, enum, required, properties, items, minItems, maxItems and minLength.
+ * The same schema objects are passed to providers that support structured output.
+ */
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON schema (subset)
+ * @param {String} path - Where the value sits, for error messages
+ * @returns {Array} Error messages, empty if the value is valid
+ */
+export const validateJsonSchema = (value, schema, path = '$') => {
+  if (!schema) return [];
+
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    return [`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    errors.push(`${path}: must not be empty`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: needs at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: allows at most ${schema.maxItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateJsonSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  } else if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push(`${path}.${key}: is required`);
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) errors.push(...validateJsonSchema(value[key], propertySchema, `${path}.${key}`));
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * Fix harmless type slips so they pass validation
+ * Models often write `"answer": true` or `"options": "A"`; scalars are turned into
+ * strings and single values into one-item arrays where the schema asks for them.
+ * @param {*} value - Parsed model output
+ * @param {Object} schema - JSON schema (subset)
+ * @returns {*} Coerced copy of the value
+ */
+export const coerceToSchema = (value, schema) => {
+  if (!schema || value === undefined) return value;
+  const types = [].concat(schema.type || []);
+
+  if (types.includes('array') && !Array.isArray(value) && value !== null) {
+    value = [value];
+  }
+  if (Array.isArray(value)) {
+    return schema.items ? value.map(item => coerceToSchema(item, schema.items)) : value;
+  }
+  if (typeOf(value) === 'object') {
+    const coerced = { ...value };
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (coerced[key] !== undefined) coerced[key] = coerceToSchema(coerced[key], propertySchema);
+    });
+    return coerced;
+  }
+  if (types.includes('string') && !types.includes(typeOf(value)) && ['number', 'integer', 'boolean'].includes(typeOf(value))) {
+    const text = String(value);
+    // true/false answers come back as booleans
+    return typeof value === 'boolean' ? text.charAt(0).toUpperCase() + text.slice(1) : text;
+  }
+  if (types.includes('integer') && typeof value === 'string' && /^-?\d+$/.test(value.trim())) {
+    return parseInt(value, 10);
+  }
+  return value;
+};
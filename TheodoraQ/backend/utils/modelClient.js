@@ -0,0 +1,317 @@
+/**
+ * Model Clients
+ * A model client (provider) turns a prompt into text: `await client.generate(prompt, request)`.
+ * `request` describes the job in structured form ({ task, topic, sources, questions, questionCount, quizType, avoid, schema })
+ * so providers can switch on JSON output and the stub client can answer without understanding the prompt.
+ * `request.signal` (an AbortSignal) cancels the call.
+ *
+ * The provider is chosen per deployment with QUIZ_MODEL_PROVIDER:
+ * - gemini (default)  Google Gemini, uses GEMINI_API_KEY
+ * - openai            Any OpenAI-compatible /chat/completions endpoint (OpenAI, vLLM, LM Studio, ...)
+ * - llamacpp          A local llama.cpp server (OpenAI-compatible, no API key)
+ * - ollama            A local Ollama server
+ * - stub              Deterministic stand-in - no API key or network needed (development and tests)
+ * QUIZ_MODEL_NAME, QUIZ_MODEL_BASE_URL, QUIZ_MODEL_API_KEY and QUIZ_MODEL_TIMEOUT_SECONDS override the defaults.
+ */
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+const DEFAULT_MAX_OUTPUT_TOKENS = 8000; // Allow longer responses for more questions
+const DEFAULT_TEMPERATURE = 0.7; // Balance between creativity and consistency
+const DEFAULT_TIMEOUT_MS = 120 * 1000;
+
+// POST a JSON body and return the JSON reply, with the response body in the error on failure
+const postJson = async (url, body, { headers = {}, timeoutMs = DEFAULT_TIMEOUT_MS, signal } = {}) => {
+  const timeout = AbortSignal.timeout(timeoutMs);
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+  });
+
+  if (!response.ok) {
+    const detail = (await response.text()).substring(0, 300);
+    throw new Error(`${url} returned ${response.status}: ${detail}`);
+  }
+  return response.json();
+};
+
+const trimSlash = (url) => url.replace(/\/+$/, '');
+
+/**
+ * Gemini client
+ * @param {Object} options - { apiKey, model, maxOutputTokens, temperature, timeoutMs }
+ * @returns {Object} Model client
+ */
+export const createGeminiClient = ({
+  apiKey,
+  model = 'gemini-2.5-flash',
+  maxOutputTokens = DEFAULT_MAX_OUTPUT_TOKENS,
+  temperature = DEFAULT_TEMPERATURE,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+}) => {
+  const generationConfig = { maxOutputTokens, temperature };
+  const generativeModel = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model, generationConfig });
+
+  return {
+    name: `gemini:${model}`,
+    async generate(prompt, request = {}) {
+      const result = await generativeModel.generateContent({
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        // JSON mode stops Gemini wrapping the object in markdown
+        ...(request.schema && { generationConfig: { ...generationConfig, responseMimeType: 'application/json' } }),
+      }, { timeout: timeoutMs, signal: request.signal });
+      const response = await result.response;
+      return response.text();
+    },
+  };
+};
+
+/**
+ * OpenAI-compatible client (OpenAI, llama.cpp server, vLLM, LM Studio, ...)
+ * @param {Object} options - { baseUrl, apiKey, model, maxOutputTokens, temperature, timeoutMs, label }
+ * @returns {Object} Model client
+ */
+export const createOpenAICompatibleClient = ({
+  baseUrl = 'https://api.openai.com/v1',
+  apiKey,
+  model = 'gpt-4o-mini',
+  maxOutputTokens = DEFAULT_MAX_OUTPUT_TOKENS,
+  temperature = DEFAULT_TEMPERATURE,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  label = 'openai',
+}) => ({
+  name: `${label}:${model}`,
+  async generate(prompt, request = {}) {
+    const data = await postJson(`${trimSlash(baseUrl)}/chat/completions`, {
+      model,
+      temperature,
+      max_tokens: maxOutputTokens,
+      messages: [{ role: 'user', content: prompt }],
+      ...(request.schema && { response_format: { type: 'json_object' } }),
+    }, {
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+      timeoutMs,
+      signal: request.signal,
+    });
+
+    const text = data.choices?.[0]?.message?.content;
+    if (typeof text !== 'string') {
+      throw new Error(`${label} response did not contain a message`);
+    }
+    return text;
+  },
+});
+
+/**
+ * Ollama client
+ * @param {Object} options - { baseUrl, model, maxOutputTokens, temperature, timeoutMs }
+ * @returns {Object} Model client
+ */
+export const createOllamaClient = ({
+  baseUrl = 'http://localhost:11434',
+  model = 'llama3.1',
+  maxOutputTokens = DEFAULT_MAX_OUTPUT_TOKENS,
+  temperature = DEFAULT_TEMPERATURE,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+}) => ({
+  name: `ollama:${model}`,
+  async generate(prompt, request = {}) {
+    const data = await postJson(`${trimSlash(baseUrl)}/api/chat`, {
+      model,
+      stream: false,
+      messages: [{ role: 'user', content: prompt }],
+      // Ollama constrains the output to the schema itself
+      ...(request.schema && { format: request.schema }),
+      options: { temperature, num_predict: maxOutputTokens },
+    }, { timeoutMs, signal: request.signal });
+
+    const text = data.message?.content;
+    if (typeof text !== 'string') {
+      throw new Error('Ollama response did not contain a message');
+    }
+    return text;
+  },
+});
+
+// ---------------------------------------------------------------------------
+// Stub client
+// ---------------------------------------------------------------------------
+
+const firstSentence = (text) => (text.match(/[^.!?\n]{20,}[.!?]?/) || [text])[0].trim();
+
+// Longest words make the least guessable blanks; ties go to the earliest
+const keyWords = (text) => [...new Set(text.match(/[\p{L}][\p{L}\p{N}-]{3,}/gu) || [])]
+  .map((word, index) => ({ word, index }))
+  .sort((a, b) => b.word.length - a.word.length || a.index - b.index)
+  .map(({ word }) => word);
+
+// `round` counts how many times this source has been used already, so repeats blank a different word
+const stubQuestion = (source, index, sources, quizType, round = 0) => {
+  const sentence = firstSentence(source.text);
+  const candidates = keyWords(sentence);
+  const keyword = candidates[round % Math.max(1, candidates.length)] || 'material';
+  const blanked = sentence.replace(keyword, '_____');
+  // Distractors come from the other sources so they look plausible
+  const distractors = sources
+    .filter(other => other.id !== source.id)
+    .flatMap(other => keyWords(other.text))
+    .filter(word => word.toLowerCase() !== keyword.toLowerCase() && !sentence.includes(word));
+  const fillers = ['None of these', 'All of these', 'Not covered'];
+  const pickDistractors = (count) => [...new Set([...distractors, ...fillers])].slice(0, count);
+  const citation = { sources: [source.id], quote: sentence, explanation: `${source.location || source.document}: "${sentence}"` };
+
+  if (quizType === 'true_false') {
+    const text = round === 0 ? sentence : `True or false (${round + 1}): ${sentence}`;
+    return { text, type: 'true_false', options: ['True', 'False'], answer: 'True', ...citation };
+  }
+  if (quizType === 'short_answer') {
+    return { text: `Fill in the blank: ${blanked}`, type: 'short_answer', options: [], answer: keyword, ...citation };
+  }
+  if (quizType === 'multi_select') {
+    const correct = candidates.slice(round % Math.max(1, candidates.length - 1)).slice(0, 2);
+    const options = [...correct, ...pickDistractors(2)];
+    return {
+      text: `Which of these terms appear in the material (${source.location}${round > 0 ? `, set ${round + 1}` : ''})?`,
+      type: 'multi_select',
+      options: options.map((_, i) => options[(i + index) % options.length]),
+      answer: '',
+      correctAnswers: correct,
+      ...citation,
+    };
+  }
+
+  const options = [keyword, ...pickDistractors(3)];
+  return {
+    text: `Which word completes the statement: "${blanked}"`,
+    type: 'mcq',
+    // Rotate so the correct option isn't always first
+    options: options.map((_, i) => options[(i + index) % options.length]),
+    answer: keyword,
+    ...citation,
+  };
+};
+
+// Without sources there is nothing to quote, so topic questions are placeholders to edit
+const stubTopicQuestion = (topic, index, quizType) => {
+  const number = index + 1;
+  const explanation = `Placeholder explanation for question ${number}.`;
+  if (quizType === 'true_false') {
+    return { text: `Statement ${number} about ${topic}.`, type: 'true_false', options: ['True', 'False'], answer: number % 2 ? 'True' : 'False', explanation };
+  }
+  if (quizType === 'short_answer') {
+    return { text: `Question ${number} about ${topic}?`, type: 'short_answer', options: [], answer: `Answer ${number}`, explanation };
+  }
+  const options = ['A', 'B', 'C', 'D'].map(letter => `Option ${letter}`);
+  if (quizType === 'multi_select') {
+    return { text: `Question ${number} about ${topic}?`, type: 'multi_select', options, answer: '', correctAnswers: options.slice(0, 2), explanation };
+  }
+  return { text: `Question ${number} about ${topic}?`, type: 'mcq', options, answer: options[index % options.length], explanation };
+};
+
+// A "solver" that knows nothing: the first option, or a placeholder to check against
+const stubAnswer = ({ number, type, options = [] }) => {
+  if (type === 'multi_select') {
+    return { number, answer: '', correctAnswers: options.slice(0, 1), explanation: 'Stub check: picked the first option.' };
+  }
+  if (type === 'numeric') return { number, answer: '0', explanation: 'Stub check: always answers 0.' };
+  return { number, answer: options[0] || '', explanation: 'Stub check: picked the first option.' };
+};
+
+/**
+ * Deterministic stand-in for a real model
+ * Builds simple cloze-style questions straight from the sources it is given, each citing
+ * the source it came from (or placeholder questions for a topic), and answers answer-key
+ * checks by picking the first option. Pass `responses` to
+ * replay canned model output instead, one per call - handy for testing output repair.
+ * @param {Object} options - { responses }
+ * @returns {Object} Model client
+ */
+export const createStubModelClient = ({ responses } = {}) => {
+  const replies = responses ? [...responses] : null;
+
+  return {
+    name: 'stub',
+    async generate(prompt, request = {}) {
+      if (replies) {
+        if (replies.length === 0) throw new Error('Stub model client has no responses left');
+        return replies.shift();
+      }
+
+      if (request.task === 'verify-answers') {
+        return JSON.stringify({ answers: (request.questions || []).map(stubAnswer) });
+      }
+
+      const sources = request.sources || [];
+      const count = request.questionCount || 0;
+      // Follow-up batches carry on numbering after the questions already written
+      const offset = (request.avoid || []).length;
+      if (sources.length === 0) {
+        const topic = request.topic || 'the topic';
+        return JSON.stringify({
+          title: `Quiz on ${topic}`,
+          questions: Array.from({ length: count }, (_, index) => stubTopicQuestion(topic, offset + index, request.quizType)),
+        });
+      }
+
+      return JSON.stringify({
+        title: `Quiz on ${sources[0].document}`,
+        questions: Array.from({ length: count }, (_, index) => {
+          const position = offset + index;
+          return stubQuestion(sources[position % sources.length], position, sources, request.quizType, Math.floor(position / sources.length));
+        }),
+      });
+    },
+  };
+};
+
+// ---------------------------------------------------------------------------
+// Provider selection
+// ---------------------------------------------------------------------------
+
+// Each provider builds a client from the shared settings; throws if it is not configured.
+// Unset settings are undefined, so each client's own defaults apply.
+const MODEL_PROVIDERS = {
+  gemini: ({ apiKey, model, timeoutMs }) => {
+    if (!apiKey) throw new Error('Gemini API key is not configured');
+    return createGeminiClient({ apiKey, model, timeoutMs });
+  },
+  openai: ({ apiKey, baseUrl, model, timeoutMs }) => {
+    // A custom base URL may be a self-hosted server that needs no key
+    if (!apiKey && !baseUrl) throw new Error('OpenAI API key is not configured');
+    return createOpenAICompatibleClient({ apiKey, baseUrl, model, timeoutMs });
+  },
+  llamacpp: ({ apiKey, baseUrl = 'http://localhost:8080/v1', model = 'local', timeoutMs }) =>
+    createOpenAICompatibleClient({ apiKey, baseUrl, model, timeoutMs, label: 'llamacpp' }),
+  ollama: ({ baseUrl, model, timeoutMs }) => createOllamaClient({ baseUrl, model, timeoutMs }),
+  stub: () => createStubModelClient(),
+};
+
+export const MODEL_PROVIDER_NAMES = Object.keys(MODEL_PROVIDERS);
+
+/**
+ * The model client this deployment is configured to use
+ * @param {Object} env - Environment to read the configuration from
+ * @returns {Object} Model client
+ * @throws {Error} If the provider is unknown or missing required configuration
+ */
+export const getModelClient = (env = process.env) => {
+  const provider = (env.QUIZ_MODEL_PROVIDER || 'gemini').trim().toLowerCase();
+  const createClient = MODEL_PROVIDERS[provider];
+  if (!createClient) {
+    throw new Error(`Unknown QUIZ_MODEL_PROVIDER "${provider}". Use one of: ${MODEL_PROVIDER_NAMES.join(', ')}`);
+  }
+
+  const timeoutSeconds = parseInt(env.QUIZ_MODEL_TIMEOUT_SECONDS);
+  const settings = {
+    model: env.QUIZ_MODEL_NAME || undefined,
+    baseUrl: env.QUIZ_MODEL_BASE_URL || undefined,
+    apiKey: env.QUIZ_MODEL_API_KEY
+      || (provider === 'gemini' ? env.GEMINI_API_KEY : undefined)
+      || (provider === 'openai' ? env.OPENAI_API_KEY : undefined),
+    timeoutMs: timeoutSeconds > 0 ? timeoutSeconds * 1000 : undefined,
+  };
+
+  return createClient(settings);
+};
@@ -0,0 +1,82 @@
+/**
+ * Option Order Helpers
+ * Shuffle multiple-choice options per candidate and map them back to the authored order
+ */
+
+import { createSeededRandom } from './questionPools.js';
+
+// Question types whose options may be shuffled (true/false keeps its natural order)
+export const SHUFFLED_OPTION_TYPES = ['mcq', 'multi_select'];
+
+/**
+ * Shuffle one question's options, leaving pinned options where the author put them
+ * @param {Object} question - Question subdocument
+ * @param {Function} random - From createSeededRandom
+ * @returns {Array} Original option indices, in display order
+ */
+export const shuffleOptionOrder = (question, random) => {
+  const optionCount = (question.options || []).length;
+  const pinned = new Set((question.pinnedOptions || []).filter(index => index >= 0 && index < optionCount));
+  const order = Array.from({ length: optionCount }, (_, index) => index);
+  const movable = order.filter(index => !pinned.has(index));
+
+  // Fisher-Yates over the unpinned options, which then fill the unpinned positions
+  for (let i = movable.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [movable[i], movable[j]] = [movable[j], movable[i]];
+  }
+
+  let next = 0;
+  return order.map(index => (pinned.has(index) ? index : movable[next++]));
+};
+
+/**
+ * Pick an option order for every shufflable question in an attempt
+ * @param {Array} questions - The attempt's questions
+ * @param {Number} seed - The attempt's seed (getDrawSeed)
+ * @returns {Object} Map of questionId -> original option indices, in display order
+ */
+export const buildOptionOrders = (questions, seed) => {
+  const random = createSeededRandom(seed);
+  const orders = {};
+
+  questions
+    .filter(question => SHUFFLED_OPTION_TYPES.includes(question.type) && (question.options || []).length > 1)
+    .forEach(question => {
+      orders[question._id.toString()] = shuffleOptionOrder(question, random);
+    });
+
+  return orders;
+};
+
+/**
+ * Get the option order recorded for a question, if it still fits the question
+ * An order recorded against a different number of options (the question was edited
+ * and regraded since) is ignored, so the question falls back to its authored order.
+ * @param {Object} question - Question subdocument
+ * @param {Map|Object} optionOrders - From the attempt session or submission
+ * @returns {Array|null} Original option indices, in display order
+ */
+export const getOptionOrder = (question, optionOrders) => {
+  if (!optionOrders) return null;
+  const questionId = question._id.toString();
+  const order = optionOrders instanceof Map ? optionOrders.get(questionId) : optionOrders[questionId];
+  if (!order || order.length !== (question.options || []).length) return null;
+  return [...order];
+};
+
+/**
+ * Reorder a question's options (and option images) for display
+ * @param {Object} question - Plain question object
+ * @param {Array|null} order - From getOptionOrder
+ * @returns {Object} Copy of the question with options in display order
+ */
+export const applyOptionOrder = (question, order) => {
+  if (!order) return question;
+  const optionImages = question.optionImages || [];
+  return {
+    ...question,
+    options: order.map(index => question.options[index]),
+    optionImages: optionImages.length > 0 ? order.map(index => optionImages[index] || '') : optionImages,
+  };
+};
@@ -0,0 +1,84 @@
+/**
+ * Question Bank Helpers
+ * Search an admin's question bank and copy bank questions into quizzes
+ */
+
+// Bank-only fields that don't belong on a quiz question
+const BANK_ONLY_FIELDS = [
+  '_id', 'adminId', 'tags', 'topic', 'difficulty', 'bloomLevel', 'source', 'createdAt', 'updatedAt', '__v',
+];
+
+// Escape user input so it is matched literally inside a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// A single text filter; anything else (a repeated query parameter, an operator object) counts as not set
+const toText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+// Accept either an array or a comma-separated string (query parameters); non-strings are skipped
+const toList = (value) => (Array.isArray(value) ? value : [value])
+  .filter(item => typeof item === 'string')
+  .flatMap(item => item.split(','))
+  .map(item => item.trim())
+  .filter(Boolean);
+
+/**
+ * Build the MongoDB filter for a question bank search
+ * @param {String} adminId - Owner of the bank
+ * @param {Object} query - { search, tags, topic, difficulty, bloomLevel, type }; tags must all match.
+ *   Filters other than tags must be strings; other values are ignored.
+ * @returns {Object} Mongo filter
+ */
+export const buildBankFilter = (adminId, query = {}) => {
+  const filter = { adminId };
+  const search = toText(query.search);
+
+  if (search) {
+    const pattern = new RegExp(escapeRegex(search), 'i');
+    filter.$or = [{ text: pattern }, { topic: pattern }, { tags: pattern }, { options: pattern }];
+  }
+
+  const tagList = toList(query.tags).map(tag => tag.toLowerCase());
+  if (tagList.length > 0) filter.tags = { $all: tagList };
+  ['topic', 'difficulty', 'bloomLevel', 'type'].forEach(field => {
+    const value = toText(query[field]);
+    if (value) filter[field] = value;
+  });
+
+  return filter;
+};
+
+/**
+ * Copy a bank question's content into a new quiz question that remembers where it came from
+ * @param {Object} bankQuestion - BankQuestion document (or plain object)
+ * @returns {Object} Plain quiz question with bankQuestionId set
+ */
+export const toQuizQuestion = (bankQuestion) => {
+  const question = bankQuestion.toObject ? bankQuestion.toObject() : { ...bankQuestion };
+  const bankQuestionId = question._id;
+  BANK_ONLY_FIELDS.forEach(field => delete question[field]);
+  return { ...question, bankQuestionId };
+};
+
+/**
+ * Turn a quiz (or generated) question into bank question data
+ * Metadata on the question itself wins over the shared defaults.
+ * @param {Object} question - Plain question object
+ * @param {Object} defaults - { tags, topic, difficulty, bloomLevel, source }
+ * @param {String} adminId - Owner of the bank
+ * @returns {Object} Data for a new BankQuestion
+ */
+export const toBankQuestion = (question, defaults, adminId) => {
+  const data = { ...question };
+  delete data._id;
+  delete data.bankQuestionId;
+
+  return {
+    ...data,
+    tags: toList(question.tags ?? defaults.tags),
+    topic: question.topic ?? defaults.topic ?? '',
+    difficulty: question.difficulty || defaults.difficulty || undefined,
+    bloomLevel: question.bloomLevel ?? defaults.bloomLevel ?? '',
+    source: defaults.source || 'manual',
+    adminId,
+  };
+};
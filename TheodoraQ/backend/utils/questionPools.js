@@ -0,0 +1,202 @@
+/**
+ * Question Pool Helpers
+ * Draw a random, per-candidate set of questions for assignments that use question pools
+ */
+
+import crypto from 'crypto';
+import BankQuestion, { DIFFICULTY_LEVELS } from '../models/BankQuestion.js';
+import { questionSchema } from '../models/Quiz.js';
+import { buildBankFilter, toQuizQuestion } from './questionBank.js';
+
+export const POOL_SOURCES = ['quiz', 'bank'];
+
+const QUESTION_TYPES = questionSchema.path('type').enumValues;
+
+// Tags are stored lowercase in the bank, so normalize pool tags the same way
+const normalizeTags = (tags) => [...new Set(
+  (Array.isArray(tags) ? tags : String(tags || '').split(','))
+    .map(tag => String(tag).trim().toLowerCase())
+    .filter(Boolean)
+)];
+
+/**
+ * Seed for a candidate's draw on one attempt
+ * The same assignment, candidate and attempt always give the same seed, so a
+ * draw can be reproduced (and two racing requests draw the same questions).
+ * @param {String} assignmentId - Assignment ID
+ * @param {String} candidateId - Candidate user ID
+ * @param {Number} attemptNumber - Attempt being started
+ * @returns {Number} Unsigned 32-bit seed
+ */
+export const getDrawSeed = (assignmentId, candidateId, attemptNumber) => {
+  const hash = crypto.createHash('sha256').update(`${assignmentId}:${candidateId}:${attemptNumber}`).digest();
+  return hash.readUInt32BE(0);
+};
+
+/**
+ * Small seeded PRNG (mulberry32) - Math.random can't be seeded
+ * @param {Number} seed - Seed from getDrawSeed
+ * @returns {Function} Returns a number in [0, 1) on each call
+ */
+export const createSeededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Draw question IDs from an assignment's pools
+ * A question is never drawn twice, even if it is eligible for several pools. Pools with the
+ * fewest spare questions draw first so overlapping pools don't starve each other; the result
+ * still lists each pool's questions in pool order.
+ * @param {Array} pools - Assignment questionPools (with questionIds resolved)
+ * @param {Number} seed - Seed from getDrawSeed
+ * @returns {Array} Drawn question IDs, in the order they should be shown
+ */
+export const drawQuestionIds = (pools, seed) => {
+  const random = createSeededRandom(seed);
+  const drawnByPool = (pools || []).map(() => []);
+  const used = new Set();
+
+  const drawOrder = (pools || [])
+    .map((pool, index) => ({ pool, index }))
+    .sort((a, b) => (a.pool.questionIds.length - a.pool.count) - (b.pool.questionIds.length - b.pool.count) ||
+      a.index - b.index);
+
+  drawOrder.forEach(({ pool, index }) => {
+    const candidates = pool.questionIds.filter(id => !used.has(id));
+    const count = Math.min(pool.count, candidates.length);
+
+    // Partial Fisher-Yates: only shuffle as far as we need
+    for (let i = 0; i < count; i++) {
+      const j = i + Math.floor(random() * (candidates.length - i));
+      [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
+      used.add(candidates[i]);
+      drawnByPool[index].push(candidates[i]);
+    }
+  });
+
+  return drawnByPool.flat();
+};
+
+/**
+ * Check pool settings sent by the client
+ * @param {Array} pools - Pools from the request body
+ * @returns {String|null} Error message, or null if the pools are valid
+ */
+export const validateQuestionPools = (pools) => {
+  if (!Array.isArray(pools)) {
+    return 'Question pools must be a list';
+  }
+
+  for (let i = 0; i < pools.length; i++) {
+    const pool = pools[i] || {};
+    const label = `Pool ${i + 1}`;
+
+    if (!POOL_SOURCES.includes(pool.source)) {
+      return `${label}: source must be one of: ${POOL_SOURCES.join(', ')}`;
+    }
+    if (!Number.isInteger(Number(pool.count)) || Number(pool.count) < 1) {
+      return `${label}: draw at least 1 question`;
+    }
+    if (pool.difficulty && !DIFFICULTY_LEVELS.includes(pool.difficulty)) {
+      return `${label}: difficulty must be one of: ${DIFFICULTY_LEVELS.join(', ')}`;
+    }
+    if (pool.type && !QUESTION_TYPES.includes(pool.type)) {
+      return `${label}: unknown question type "${pool.type}"`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Work out which questions each pool can draw from
+ * Quiz pools draw from the pinned quiz version; their tag and difficulty filters use the
+ * metadata of the bank question each quiz question was copied from. Bank pools draw from
+ * the admin's bank; bank questions already in the quiz are drawn as the quiz's copy.
+ * @param {Array} pools - Validated pools from the request body
+ * @param {Object} options - { quizQuestions, adminId }
+ * @returns {Object} { pools, poolQuestions, shortfalls }
+ */
+export const resolveQuestionPools = async (pools, { quizQuestions, adminId }) => {
+  const quizIdByBankId = new Map(quizQuestions
+    .filter(q => q.bankQuestionId)
+    .map(q => [q.bankQuestionId.toString(), q._id.toString()]));
+
+  // Metadata for quiz questions that came from the bank
+  const linkedBankQuestions = quizIdByBankId.size > 0
+    ? await BankQuestion.find({ _id: { $in: [...quizIdByBankId.keys()] }, adminId }).select('tags difficulty')
+    : [];
+  const metadataByBankId = new Map(linkedBankQuestions.map(bq => [bq._id.toString(), bq]));
+
+  const poolQuestionsById = new Map();
+  const resolved = [];
+
+  for (const pool of pools) {
+    const settings = {
+      source: pool.source,
+      count: Number(pool.count),
+      tags: normalizeTags(pool.tags),
+      difficulty: pool.difficulty || '',
+      type: pool.type || '',
+    };
+
+    let questionIds;
+    if (settings.source === 'quiz') {
+      questionIds = quizQuestions
+        .filter(q => !settings.type || q.type === settings.type)
+        .filter(q => {
+          if (settings.tags.length === 0 && !settings.difficulty) return true;
+          const metadata = q.bankQuestionId && metadataByBankId.get(q.bankQuestionId.toString());
+          if (!metadata) return false;
+          return settings.tags.every(tag => metadata.tags.includes(tag)) &&
+            (!settings.difficulty || metadata.difficulty === settings.difficulty);
+        })
+        .map(q => q._id.toString());
+    } else {
+      const bankQuestions = await BankQuestion.find(buildBankFilter(adminId, settings)).sort({ createdAt: 1 });
+      questionIds = bankQuestions.map(bankQuestion => {
+        const bankId = bankQuestion._id.toString();
+        if (quizIdByBankId.has(bankId)) return quizIdByBankId.get(bankId);
+
+        // Freeze a copy under the bank question's _id so the draw can refer to it
+        if (!poolQuestionsById.has(bankId)) {
+          poolQuestionsById.set(bankId, { ...toQuizQuestion(bankQuestion), _id: bankQuestion._id });
+        }
+        return bankId;
+      });
+    }
+
+    resolved.push({ ...settings, questionIds });
+  }
+
+  const shortfalls = resolved
+    .map((pool, index) => ({ pool: index + 1, requested: pool.count, available: pool.questionIds.length }))
+    .filter(item => item.available < item.requested);
+
+  // Pools can overlap, so also check there are enough different questions overall
+  const distinctIds = new Set(resolved.flatMap(pool => pool.questionIds));
+  const totalRequested = resolved.reduce((sum, pool) => sum + pool.count, 0);
+  if (shortfalls.length === 0 && distinctIds.size < totalRequested) {
+    shortfalls.push({ pool: null, requested: totalRequested, available: distinctIds.size });
+  }
+
+  return { pools: resolved, poolQuestions: [...poolQuestionsById.values()], shortfalls };
+};
+
+/**
+ * Describe pool shortfalls for an error message
+ * @param {Array} shortfalls - From resolveQuestionPools
+ * @returns {String} Human-readable summary
+ */
+export const describeShortfalls = (shortfalls) => shortfalls
+  .map(({ pool, requested, available }) => (pool
+    ? `Pool ${pool} needs ${requested} question(s) but only ${available} match`
+    : `The pools draw ${requested} question(s) in total but only ${available} different questions match`))
+  .join('; ');
@@ -0,0 +1,430 @@
+/**
+ * Quiz Export Helpers
+ * Write a quiz out as a QTI 2.1 content package, Moodle GIFT, versioned JSON
+ * (which reads back in through the importer) or a printable HTML paper.
+ */
+
+import { Buffer } from 'buffer';
+import XLSX from 'xlsx';
+
+export const EXPORT_FORMATS = ['qti', 'gift', 'json', 'html'];
+
+// Identifies our own JSON exports; bump JSON_EXPORT_VERSION when the layout changes
+export const JSON_EXPORT_FORMAT = 'theodoraq-quiz';
+export const JSON_EXPORT_VERSION = 1;
+
+// Question fields that only make sense inside this app's database
+const INTERNAL_QUESTION_FIELDS = ['_id', 'bankQuestionId'];
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const optionLetter = (index) => String.fromCharCode(65 + index);
+
+// Older true/false questions may have been saved without their options
+const choiceOptions = (question) => (question.type === 'true_false' && !question.options?.length
+  ? ['True', 'False']
+  : question.options || []);
+
+const toPlainQuestion = (question) => (typeof question.toObject === 'function' ? question.toObject() : { ...question });
+
+/**
+ * File name for an exported quiz
+ * @param {String} title - Quiz title
+ * @param {String} extension - File extension, without the dot
+ * @returns {String} e.g. "algebra-basics.zip"
+ */
+export const exportFileName = (title, extension) => {
+  const slug = String(title || 'quiz').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return `${slug || 'quiz'}.${extension}`;
+};
+
+// ---------------------------------------------------------------------------
+// JSON
+// ---------------------------------------------------------------------------
+
+/**
+ * Versioned JSON export - everything needed to recreate the quiz elsewhere
+ * @param {Object} quiz - Quiz document
+ * @returns {Object} Export document
+ */
+export const buildJsonExport = (quiz) => ({
+  format: JSON_EXPORT_FORMAT,
+  version: JSON_EXPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  quiz: {
+    title: quiz.title,
+    subgroup: quiz.subgroup || '',
+    timeLimit: quiz.timeLimit,
+    quizVersion: quiz.currentVersion || null,
+    questions: quiz.questions.map(question => {
+      const plain = toPlainQuestion(question);
+      INTERNAL_QUESTION_FIELDS.forEach(field => delete plain[field]);
+      (plain.rubric || []).forEach(criterion => delete criterion._id);
+      return plain;
+    }),
+  },
+});
+
+// ---------------------------------------------------------------------------
+// GIFT
+// ---------------------------------------------------------------------------
+
+const escapeGift = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/([~=#{}:])/g, '\\$1')
+  .replace(/\r?\n/g, '\\n');
+
+// Moodle weights are percentages; keep them short but exact enough to add up
+const giftWeight = (value) => `%${Number(value.toFixed(5))}%`;
+
+const giftAnswerBlock = (question) => {
+  const options = question.options || [];
+
+  if (question.type === 'mcq') {
+    return options.map(option => `\t${option === question.answer ? '=' : '~'}${escapeGift(option)}`).join('\n');
+  }
+  if (question.type === 'multi_select') {
+    const correct = options.filter(option => question.correctAnswers.includes(option));
+    const wrongCount = options.length - correct.length;
+    return options.map(option => (question.correctAnswers.includes(option)
+      ? `\t~${giftWeight(100 / correct.length)}${escapeGift(option)}`
+      : `\t~${giftWeight(-100 / wrongCount)}${escapeGift(option)}`)).join('\n');
+  }
+  if (question.type === 'true_false') {
+    return question.answer === 'True' ? 'TRUE' : 'FALSE';
+  }
+  if (question.type === 'short_answer') {
+    return [question.answer, ...(question.acceptedAnswers || [])].map(answer => `\t=${escapeGift(answer)}`).join('\n');
+  }
+  if (question.type === 'numeric') {
+    const tolerance = question.toleranceType === 'relative'
+      ? Math.abs(question.numericAnswer * question.tolerance) / 100
+      : question.tolerance;
+    return `#${question.numericAnswer}${tolerance ? `:${Number(tolerance.toFixed(10))}` : ''}`;
+  }
+  return '';
+};
+
+/**
+ * Moodle GIFT text
+ * GIFT has no points, rubrics, regex answers or option images; those are left out.
+ * Explanations become the question's general feedback.
+ * Question images are kept by writing the question as [html].
+ * @param {Object} quiz - Quiz document
+ * @returns {String} GIFT file contents
+ */
+export const buildGift = (quiz) => {
+  const blocks = quiz.questions.map((question, index) => {
+    const text = question.type === 'numeric' && question.unit
+      ? `${question.text} (${question.unit})`
+      : question.text;
+    const body = question.questionImage
+      ? `[html]${escapeGift(`<p>${escapeHtml(text)}</p><p><img src="${escapeHtml(question.questionImage)}"></p>`)}`
+      : escapeGift(text);
+    // The explanation goes out as Moodle's general feedback
+    const answers = [giftAnswerBlock(question), question.explanation && `\t####${escapeGift(question.explanation)}`]
+      .filter(Boolean).join('\n');
+    const block = answers.includes('\n') ? `{\n${answers}\n}` : `{${answers}}`;
+    return `::Q${index + 1}:: ${body} ${block}`;
+  });
+
+  return `// ${quiz.title}\n// Exported from TheodoraQ\n\n${blocks.join('\n\n')}\n`;
+};
+
+// ---------------------------------------------------------------------------
+// QTI 2.1
+// ---------------------------------------------------------------------------
+
+const QTI_NAMESPACE = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const MATCH_CORRECT = 'http://www.imsglobal.org/question/qti_v2p1/rptemplates/match_correct';
+const MAP_RESPONSE = 'http://www.imsglobal.org/question/qti_v2p1/rptemplates/map_response';
+
+const IMAGE_EXTENSIONS = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/gif': 'gif', 'image/webp': 'webp', 'image/svg+xml': 'svg' };
+
+// Embedded (base64) images become files in the package; URLs are referenced as they are
+const createImageStore = () => {
+  const files = [];
+  return {
+    files,
+    add(source, name) {
+      const match = /^data:([^;,]+);base64,(.*)$/s.exec(source || '');
+      if (!match) return source;
+      const filePath = `images/${name}.${IMAGE_EXTENSIONS[match[1]] || 'bin'}`;
+      files.push({ path: filePath, content: Buffer.from(match[2], 'base64') });
+      return filePath;
+    },
+  };
+};
+
+const qtiImage = (src, alt) => (src ? `<img src="${escapeXml(src)}" alt="${escapeXml(alt)}"/>` : '');
+
+const qtiScoreDeclarations = (points) => `
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">
+    <defaultValue><value>0</value></defaultValue>
+  </outcomeDeclaration>
+  <outcomeDeclaration identifier="MAXSCORE" cardinality="single" baseType="float">
+    <defaultValue><value>${points}</value></defaultValue>
+  </outcomeDeclaration>`;
+
+const buildQtiItem = (question, number, images) => {
+  const identifier = `ITEM_${number}`;
+  const points = question.points ?? 1;
+  const questionImage = qtiImage(images.add(question.questionImage, `${identifier}`), 'Question image');
+  const prompt = `<p>${escapeXml(question.text)}</p>${questionImage ? `\n    <p>${questionImage}</p>` : ''}`;
+  let declaration;
+  let interaction;
+  let processing;
+
+  if (['mcq', 'multi_select', 'true_false'].includes(question.type)) {
+    const isMultiple = question.type === 'multi_select';
+    const correct = isMultiple ? question.correctAnswers : [question.answer];
+    const options = choiceOptions(question);
+    const choiceIds = options.map((_, i) => `CHOICE_${optionLetter(i)}`);
+    const fixed = new Set(question.pinnedOptions || []);
+
+    declaration = `
+  <responseDeclaration identifier="RESPONSE" cardinality="${isMultiple ? 'multiple' : 'single'}" baseType="identifier">
+    <correctResponse>
+${options.map((option, i) => (correct.includes(option) ? `      <value>${choiceIds[i]}</value>` : null)).filter(Boolean).join('\n')}
+    </correctResponse>
+  </responseDeclaration>`;
+    interaction = `<choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="${isMultiple ? 0 : 1}">
+${options.map((option, i) => {
+    const image = qtiImage(images.add(question.optionImages?.[i], `${identifier}_${optionLetter(i)}`), `Option ${optionLetter(i)}`);
+    return `      <simpleChoice identifier="${choiceIds[i]}"${fixed.has(i) ? ' fixed="true"' : ''}>${escapeXml(option)}${image ? ` ${image}` : ''}</simpleChoice>`;
+  }).join('\n')}
+    </choiceInteraction>`;
+    processing = `<responseProcessing template="${MATCH_CORRECT}"/>`;
+  } else if (question.type === 'short_answer') {
+    const answers = [...new Set([question.answer, ...(question.acceptedAnswers || [])])];
+    declaration = `
+  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string">
+    <correctResponse><value>${escapeXml(question.answer)}</value></correctResponse>
+    <mapping defaultValue="0">
+${answers.map(answer => `      <mapEntry mapKey="${escapeXml(answer)}" mappedValue="${points}" caseSensitive="false"/>`).join('\n')}
+    </mapping>
+  </responseDeclaration>`;
+    interaction = '<p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="30"/></p>';
+    processing = `<responseProcessing template="${MAP_RESPONSE}"/>`;
+  } else if (question.type === 'numeric') {
+    const tolerance = question.tolerance || 0;
+    declaration = `
+  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="float">
+    <correctResponse><value>${question.numericAnswer}</value></correctResponse>
+  </responseDeclaration>`;
+    interaction = `<p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="15"/>${question.unit ? ` ${escapeXml(question.unit)}` : ''}</p>`;
+    processing = `<responseProcessing>
+    <responseCondition>
+      <responseIf>
+        <equal toleranceMode="${tolerance ? question.toleranceType || 'absolute' : 'exact'}"${tolerance ? ` tolerance="${tolerance} ${tolerance}"` : ''}>
+          <variable identifier="RESPONSE"/>
+          <correct identifier="RESPONSE"/>
+        </equal>
+        <setOutcomeValue identifier="SCORE"><variable identifier="MAXSCORE"/></setOutcomeValue>
+      </responseIf>
+    </responseCondition>
+  </responseProcessing>`;
+  } else {
+    declaration = `
+  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string"/>`;
+    interaction = '<extendedTextInteraction responseIdentifier="RESPONSE" expectedLines="10"/>';
+    processing = '';
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="${QTI_NAMESPACE}" identifier="${identifier}" title="Question ${number}" adaptive="false" timeDependent="false">${declaration}${qtiScoreDeclarations(points)}
+  <itemBody>
+    ${prompt}
+    ${interaction}
+  </itemBody>
+  ${processing}
+</assessmentItem>
+`;
+};
+
+const buildQtiTest = (quiz, itemIds) => `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentTest xmlns="${QTI_NAMESPACE}" identifier="TEST" title="${escapeXml(quiz.title)}">
+  <timeLimits maxTime="${(quiz.timeLimit || 10) * 60}"/>
+  <testPart identifier="PART_1" navigationMode="nonlinear" submissionMode="simultaneous">
+    <assessmentSection identifier="SECTION_1" title="${escapeXml(quiz.title)}" visible="true">
+${itemIds.map(id => `      <assessmentItemRef identifier="${id}" href="items/${id}.xml"/>`).join('\n')}
+    </assessmentSection>
+  </testPart>
+</assessmentTest>
+`;
+
+const buildQtiManifest = (quiz, itemIds, itemImages) => `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="MANIFEST_${escapeXml(quiz._id)}">
+  <metadata>
+    <schema>QTIv2.1 Package</schema>
+    <schemaversion>1.0.0</schemaversion>
+  </metadata>
+  <organizations/>
+  <resources>
+    <resource identifier="TEST" type="imsqti_test_xmlv2p1" href="assessmentTest.xml">
+      <file href="assessmentTest.xml"/>
+${itemIds.map(id => `      <dependency identifierref="${id}"/>`).join('\n')}
+    </resource>
+${itemIds.map(id => `    <resource identifier="${id}" type="imsqti_item_xmlv2p1" href="items/${id}.xml">
+      <file href="items/${id}.xml"/>
+${(itemImages.get(id) || []).map(image => `      <file href="${image}"/>`).join('\n')}
+    </resource>`).join('\n')}
+  </resources>
+</manifest>
+`;
+
+/**
+ * QTI 2.1 content package (zip): one item per question, an assessmentTest and the manifest
+ * @param {Object} quiz - Quiz document
+ * @returns {Buffer} Zip file contents
+ */
+export const buildQtiPackage = (quiz) => {
+  const archive = XLSX.CFB.utils.cfb_new();
+  const itemIds = [];
+  const itemImages = new Map();
+
+  quiz.questions.forEach((question, index) => {
+    const identifier = `ITEM_${index + 1}`;
+    const images = createImageStore();
+    const xml = buildQtiItem(question, index + 1, images);
+
+    itemIds.push(identifier);
+    // Item files live in items/, so their image links are relative to that folder
+    itemImages.set(identifier, images.files.map(file => `items/${file.path}`));
+    XLSX.CFB.utils.cfb_add(archive, `/items/${identifier}.xml`, Buffer.from(xml, 'utf8'));
+    images.files.forEach(file => XLSX.CFB.utils.cfb_add(archive, `/items/${file.path}`, file.content));
+  });
+
+  XLSX.CFB.utils.cfb_add(archive, '/assessmentTest.xml', Buffer.from(buildQtiTest(quiz, itemIds), 'utf8'));
+  XLSX.CFB.utils.cfb_add(archive, '/imsmanifest.xml', Buffer.from(buildQtiManifest(quiz, itemIds, itemImages), 'utf8'));
+
+  return XLSX.CFB.write(archive, { type: 'buffer', fileType: 'zip' });
+};
+
+// ---------------------------------------------------------------------------
+// Printable paper
+// ---------------------------------------------------------------------------
+
+const PRINT_STYLES = `
+  body { font-family: Georgia, 'Times New Roman', serif; max-width: 800px; margin: 24px auto; padding: 0 24px; color: #111; }
+  h1 { margin-bottom: 4px; }
+  .meta { color: #555; margin-bottom: 16px; }
+  .candidate { display: flex; gap: 32px; margin: 16px 0 24px; }
+  .candidate span { flex: 1; border-bottom: 1px solid #999; padding-bottom: 4px; }
+  .question { page-break-inside: avoid; break-inside: avoid; margin-bottom: 22px; }
+  .question-head { display: flex; justify-content: space-between; gap: 16px; font-weight: bold; }
+  .points { font-weight: normal; color: #555; white-space: nowrap; }
+  .question img { max-width: 100%; max-height: 260px; display: block; margin: 8px 0; }
+  .options { list-style: none; padding-left: 8px; margin: 8px 0; }
+  .options li { margin: 6px 0; }
+  .options li img { max-height: 120px; margin: 4px 0 0 28px; }
+  .box { display: inline-block; width: 14px; height: 14px; border: 1px solid #333; margin-right: 10px; vertical-align: middle; }
+  .box.round { border-radius: 50%; }
+  .correct { font-weight: bold; }
+  .correct .box { background: #333; }
+  .line { border-bottom: 1px solid #999; height: 28px; }
+  .essay { border: 1px solid #999; height: 220px; margin-top: 8px; }
+  .answer { margin-top: 8px; padding: 6px 10px; background: #eef6ee; border-left: 3px solid #2e7d32; }
+  .toolbar { text-align: right; margin-bottom: 16px; }
+  @media print { .toolbar { display: none; } body { margin: 0 auto; } }
+`;
+
+const printAnswer = (question) => {
+  if (question.type === 'short_answer') {
+    return [question.answer, ...(question.acceptedAnswers || [])].map(escapeHtml).join(' / ');
+  }
+  if (question.type === 'numeric') {
+    const tolerance = question.tolerance
+      ? ` (± ${question.tolerance}${question.toleranceType === 'relative' ? '%' : ''})`
+      : '';
+    return `${question.numericAnswer}${question.unit ? ` ${escapeHtml(question.unit)}` : ''}${tolerance}`;
+  }
+  if (question.type === 'essay') {
+    const rubric = (question.rubric || []).map(criterion => `${escapeHtml(criterion.criterion)}: ${
+      criterion.levels.map(level => `${escapeHtml(level.label)} (${level.points})`).join(', ')}`);
+    return [question.answer ? escapeHtml(question.answer) : '', ...rubric].filter(Boolean).join('<br>');
+  }
+  return '';
+};
+
+const printQuestion = (question, index, withAnswers) => {
+  const isChoice = ['mcq', 'multi_select', 'true_false'].includes(question.type);
+  const points = question.points ?? 1;
+  const parts = [`
+    <div class="question-head">
+      <span>${index + 1}. ${escapeHtml(question.text)}</span>
+      <span class="points">${points} ${points === 1 ? 'point' : 'points'}${question.negativePoints ? `, −${question.negativePoints} if wrong` : ''}</span>
+    </div>`];
+
+  if (question.questionImage) {
+    parts.push(`<img src="${escapeHtml(question.questionImage)}" alt="Question ${index + 1}">`);
+  }
+
+  if (isChoice) {
+    const correct = question.type === 'multi_select' ? question.correctAnswers : [question.answer];
+    if (question.type === 'multi_select') {
+      parts.push('<div class="meta">Select all that apply.</div>');
+    }
+    parts.push(`<ul class="options">${choiceOptions(question).map((option, i) => {
+      const isCorrect = withAnswers && correct.includes(option);
+      const image = question.optionImages?.[i]
+        ? `<img src="${escapeHtml(question.optionImages[i])}" alt="Option ${optionLetter(i)}">`
+        : '';
+      return `<li${isCorrect ? ' class="correct"' : ''}><span class="box${question.type === 'multi_select' ? '' : ' round'}"></span>${optionLetter(i)}. ${escapeHtml(option)}${image}</li>`;
+    }).join('')}</ul>`);
+  } else if (question.type === 'essay') {
+    parts.push('<div class="essay"></div>');
+  } else {
+    parts.push(`<div class="line"></div>${question.type === 'numeric' && question.unit ? `<div class="meta">Unit: ${escapeHtml(question.unit)}</div>` : ''}`);
+  }
+
+  const answer = withAnswers && printAnswer(question);
+  if (answer) {
+    parts.push(`<div class="answer"><strong>${question.type === 'essay' ? 'Marking guide' : 'Answer'}:</strong> ${answer}</div>`);
+  }
+  if (withAnswers && question.explanation) {
+    parts.push(`<div class="answer"><strong>Explanation:</strong> ${escapeHtml(question.explanation)}</div>`);
+  }
+
+  return `<div class="question">${parts.join('\n    ')}</div>`;
+};
+
+/**
+ * Printable HTML paper, laid out for "Print" / "Save as PDF" in the browser
+ * Options are shown in authored order; the answer key marks correct options and answers.
+ * @param {Object} quiz - Quiz document
+ * @param {Object} options - { withAnswers }
+ * @returns {String} HTML document
+ */
+export const buildPrintableQuiz = (quiz, { withAnswers = false } = {}) => {
+  const totalPoints = quiz.questions.reduce((sum, question) => sum + (question.points ?? 1), 0);
+  const title = `${quiz.title}${withAnswers ? ' - Answer Key' : ''}`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title)}</title>
+  <style>${PRINT_STYLES}</style>
+</head>
+<body>
+  <div class="toolbar"><button onclick="window.print()">Print / Save as PDF</button></div>
+  <h1>${escapeHtml(title)}</h1>
+  <div class="meta">${quiz.questions.length} questions · ${totalPoints} points · ${quiz.timeLimit || 10} minutes</div>
+  ${withAnswers ? '' : '<div class="candidate"><span>Name:</span><span>Date:</span></div>'}
+  ${quiz.questions.map((question, index) => printQuestion(question, index, withAnswers)).join('\n  ')}
+</body>
+</html>
+`;
+};
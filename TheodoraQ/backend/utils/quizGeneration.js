@@ -0,0 +1,406 @@
+/**
+ * Quiz Generation Helpers
+ * Shared by topic-based and document-based generation: prompt wording for the
+ * question count, reading the model's JSON, checking it against the quiz schema,
+ * and repairing or fixing up common mistakes in it.
+ */
+
+import { coerceToSchema, validateJsonSchema } from './jsonSchema.js';
+
+// Question types the generators are asked for
+export const GENERATED_QUESTION_TYPES = ['mcq', 'multi_select', 'true_false', 'short_answer'];
+
+// How many times a model is asked to correct output that fails validation
+const MAX_REPAIR_ATTEMPTS = 1;
+
+// How many truncation points to try when closing cut-off JSON
+const MAX_CLOSE_ATTEMPTS = 20;
+
+// How many already-written questions are listed for the model to avoid repeating
+const MAX_AVOID_LISTED = 40;
+
+/**
+ * JSON schema for a generated quiz
+ * @param {Object} options - { withCitations } - describe the `sources` and `quote` fields of grounded questions
+ *   (not required: uncited questions are kept and flagged when citations are attached)
+ * @returns {Object} JSON schema
+ */
+export const generatedQuizSchema = ({ withCitations = false } = {}) => ({
+  type: 'object',
+  required: ['title', 'questions'],
+  properties: {
+    title: { type: 'string' },
+    questions: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['text', 'type', 'options', 'answer'],
+        properties: {
+          text: { type: 'string', minLength: 1 },
+          type: { type: 'string', enum: GENERATED_QUESTION_TYPES },
+          options: { type: 'array', items: { type: 'string' } },
+          answer: { type: 'string' },
+          correctAnswers: { type: 'array', items: { type: 'string' } },
+          explanation: { type: 'string' },
+          ...(withCitations && {
+            sources: { type: 'array', minItems: 1, items: { type: 'string' } },
+            quote: { type: 'string' },
+          }),
+        },
+      },
+    },
+  },
+});
+
+/**
+ * Prompt lines listing questions already generated, so a follow-up batch writes new ones
+ * @param {Array} avoid - Question texts to avoid
+ * @returns {String} Prompt text ('' if there are none)
+ */
+export const buildAvoidMessage = (avoid = []) => (avoid.length === 0 ? '' : `
+      These questions have already been written - do NOT repeat them or test the same facts:
+      ${avoid.slice(-MAX_AVOID_LISTED).map(text => `- ${text}`).join('\n      ')}
+`);
+
+/**
+ * Prompt asking for a quiz on a free-text topic
+ * @param {Object} options - { topic, quizType, questionCount, avoid }
+ *   avoid lists question texts already generated for this quiz
+ * @returns {String} Prompt text
+ */
+export const buildTopicQuizPrompt = ({ topic, quizType, questionCount, avoid = [] }) => `
+      You are an expert educator and quiz designer with deep knowledge across all subjects.
+      Generate a high-quality, academically accurate quiz based on the following request:
+      
+      Topic: "${topic}"
+      Question Type: "${quizType}"
+      
+      ⚠️ CRITICAL: YOU MUST GENERATE EXACTLY ${questionCount} QUESTIONS ⚠️
+      
+      I need EXACTLY ${questionCount} questions in the JSON response.
+      ${buildCountMessage(questionCount)}
+      ${buildAvoidMessage(avoid)}
+      
+      Return your response *only* as a valid JSON object in this exact format:
+      {
+        "title": "Quiz Title Here",
+        "questions": [
+          {
+            "text": "Your question text here?",
+            "type": "${quizType}",
+            "options": ["Option 1", "Option 2", "Option 3", "Option 4"],
+            "answer": "Option 1",
+            "correctAnswers": [],
+            "explanation": "One or two sentences on why the answer is correct"
+          },
+          ... continue for all ${questionCount} questions
+        ]
+      }
+      
+      CRITICAL REQUIREMENTS:
+      1. EXACT COUNT: The "questions" array MUST contain EXACTLY ${questionCount} question objects. Not ${Math.max(1, questionCount - 1)}, not ${questionCount + 1}, but EXACTLY ${questionCount}.
+      2. CORRECTNESS: Every answer must be factually accurate and verifiable. Double-check all facts.
+      3. UNIQUENESS: Generate diverse questions covering different aspects of the topic. No repetitive questions.
+      4. CLARITY: Questions must be clear, unambiguous, and grammatically correct.
+      5. ANSWER ACCURACY: The "answer" field must match EXACTLY one of the options (including case and punctuation).
+      6. DISTRACTORS: For MCQ, provide plausible but clearly incorrect distractors. Avoid obvious wrong answers.
+      7. DIFFICULTY: Mix difficulty levels - include both fundamental and advanced questions.
+      8. EXPLANATION: "explanation" tells a student who got it wrong why the correct answer is right, in one or two sentences.
+      
+      Format rules:
+      - Ensure the 'type' field in each question matches: "${quizType}"
+      - For "mcq": Provide exactly 4 unique, non-overlapping options
+      - For "multi_select" (select all that apply): Provide 4 or 5 unique options, put EVERY correct option in "correctAnswers" (at least 2, never all of them), and leave "answer" as an empty string
+      - For "true_false": Options must be exactly ["True", "False"]
+      - For "short_answer": Provide the most accepted correct answer, options can be empty array
+      - Do NOT include markdown, code blocks, or any text outside the JSON object.
+      - The entire response should be ONE JSON object, nothing else
+      
+      STEP-BY-STEP PROCESS:
+      1. Think of ${questionCount} different aspects of "${topic}"
+      2. Create one question for each aspect
+      3. Verify you have EXACTLY ${questionCount} questions
+      4. Double-check: questions.length === ${questionCount}
+      5. Return the JSON
+      
+      FINAL VALIDATION - Count the questions in your response:
+      - Total questions in array: MUST BE ${questionCount}
+      - Each answer exists in its options array
+      - No duplicate questions
+      - All facts are correct
+      
+      START GENERATING ${questionCount} QUESTIONS NOW:
+    `;
+
+/**
+ * Extra wording that helps the model hit the requested question count
+ * @param {Number} questionCount - Questions requested
+ * @returns {String} Sentence for the prompt
+ */
+export const buildCountMessage = (questionCount) => {
+  if (questionCount === 1) {
+    return 'That means ONE question only.';
+  } else if (questionCount === 2) {
+    return 'That means TWO questions only.';
+  } else if (questionCount >= 3 && questionCount <= 5) {
+    return `That means ${questionCount} questions - not 5, not 10, exactly ${questionCount}.`;
+  } else if (questionCount > 5 && questionCount <= 10) {
+    return `That means ${questionCount} questions total - count them carefully.`;
+  } else if (questionCount > 10) {
+    return `That means ${questionCount} questions - yes, ${questionCount} full questions. This is a comprehensive quiz.`;
+  }
+  return '';
+};
+
+// Candidate texts for JSON that was cut off mid-way (e.g. the model hit its token limit):
+// the text closed where it stops, then closed at each earlier comma, dropping the incomplete tail.
+// Also turns raw newlines inside strings into \n.
+const closeTruncatedJson = (text) => {
+  const stack = [];
+  const checkpoints = [];
+  let output = '';
+  let inString = false;
+  let escaped = false;
+
+  for (const char of text) {
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === '\\') escaped = true;
+      else if (char === '"') inString = false;
+      output += char === '\n' ? '\\n' : char;
+      continue;
+    }
+    if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      stack.push(char === '{' ? '}' : ']');
+    } else if (char === '}' || char === ']') {
+      if (stack[stack.length - 1] !== char) continue; // Stray closing bracket
+      stack.pop();
+    } else if (char === ',') {
+      checkpoints.push(output + [...stack].reverse().join(''));
+    }
+    output += char;
+    if (stack.length === 0) return [output];
+  }
+
+  return [
+    (inString && !escaped ? `${output}"` : output) + [...stack].reverse().join(''),
+    ...checkpoints.reverse().slice(0, MAX_CLOSE_ATTEMPTS),
+  ];
+};
+
+/**
+ * Pull the JSON object out of a model response
+ * Models sometimes wrap the JSON in ```json ... ```, add text around it, leave trailing
+ * commas or stop half-way through; all of these are repaired where possible.
+ * @param {String} text - Raw model output
+ * @returns {Object} Parsed JSON
+ * @throws {Error} With `rawText` set, if no valid JSON object is found
+ */
+export const parseModelJson = (text) => {
+  const cleaned = String(text || '').replace(/```json/g, '').replace(/```/g, '').trim();
+  const firstBrace = cleaned.indexOf('{');
+  const lastBrace = cleaned.lastIndexOf('}');
+
+  if (firstBrace === -1) {
+    const error = new Error('AI response did not contain valid JSON');
+    error.rawText = cleaned.substring(0, 500);
+    throw error;
+  }
+
+  const jsonText = cleaned.substring(firstBrace, lastBrace > firstBrace ? lastBrace + 1 : undefined);
+  const candidates = [jsonText, ...closeTruncatedJson(cleaned.substring(firstBrace))];
+  let firstError;
+  for (const candidate of candidates) {
+    for (const attempt of [candidate, candidate.replace(/,(\s*[}\]])/g, '$1')]) {
+      try {
+        return JSON.parse(attempt);
+      } catch (parseError) {
+        firstError = firstError || parseError;
+      }
+    }
+  }
+
+  const error = new Error(`AI response was not valid JSON: ${firstError.message}`);
+  error.rawText = jsonText.substring(0, 500);
+  throw error;
+};
+
+/**
+ * Check parsed model output against the quiz schema
+ * Type slips are coerced, questions of an unknown type take the requested type, and
+ * questions that still don't fit are dropped with a warning rather than failing the quiz.
+ * @param {Object} json - Parsed model output
+ * @param {Object} schema - From generatedQuizSchema
+ * @param {String} quizType - Question type that was requested
+ * @returns {Object} { quiz, errors, warnings } - errors are problems with the quiz as a whole
+ */
+export const validateGeneratedQuiz = (json, schema, quizType) => {
+  const quiz = coerceToSchema(json, schema);
+  const warnings = [];
+
+  if (Array.isArray(quiz?.questions)) {
+    const itemSchema = schema.properties.questions.items;
+    quiz.questions = quiz.questions.filter((question, index) => {
+      if (question && typeof question === 'object' && !GENERATED_QUESTION_TYPES.includes(question.type) && quizType) {
+        question.type = quizType;
+      }
+      const problems = validateJsonSchema(question, itemSchema, `questions[${index}]`);
+      if (problems.length > 0) {
+        warnings.push(`Dropped generated question ${index + 1}: ${problems[0]}`);
+      }
+      return problems.length === 0;
+    });
+  }
+
+  return { quiz, errors: validateJsonSchema(quiz, schema), warnings };
+};
+
+/**
+ * Prompt asking the model to fix output that failed validation
+ * @param {String} rawText - The model's previous output
+ * @param {Array} errors - What was wrong with it
+ * @param {Object} schema - The schema it must match
+ * @returns {String} Prompt text
+ */
+export const buildRepairPrompt = (rawText, errors, schema) => `
+      Your previous response could not be used because it is not valid JSON matching the required format.
+
+      Problems found:
+      ${errors.slice(0, 10).map(problem => `- ${problem}`).join('\n      ')}
+
+      Required JSON schema:
+      ${JSON.stringify(schema)}
+
+      Your previous response:
+      ${String(rawText).substring(0, 8000)}
+
+      Return the corrected JSON object only. Keep the same questions where possible.
+      Do NOT include markdown, code blocks, or any text outside the JSON object.
+  `;
+
+/**
+ * Ask a model client for a quiz and return it validated
+ * If the output can't be parsed or doesn't match the schema, the model is shown the
+ * problems and asked for a corrected version before giving up.
+ * @param {Object} options - { client, prompt, request, schema }
+ *   request is passed to the client (see modelClient.js); schema defaults to generatedQuizSchema()
+ * @returns {Object} { quiz, warnings }
+ * @throws {Error} With `rawText` set, if the output is still unusable after repair
+ */
+export const generateQuizJson = async ({ client, prompt, request = {}, schema = generatedQuizSchema() }) => {
+  const read = (text) => {
+    try {
+      return validateGeneratedQuiz(parseModelJson(text), schema, request.quizType);
+    } catch (parseError) {
+      return { errors: [parseError.message], warnings: [] };
+    }
+  };
+
+  let text = await client.generate(prompt, { ...request, schema });
+  let result = read(text);
+
+  for (let attempt = 0; attempt < MAX_REPAIR_ATTEMPTS && result.errors.length > 0; attempt++) {
+    console.warn(`⚠️ ${client.name} response failed validation (${result.errors[0]}). Asking for a corrected version...`);
+    text = await client.generate(buildRepairPrompt(text, result.errors, schema), { ...request, task: 'repair', schema });
+    result = read(text);
+  }
+
+  if (result.errors.length > 0) {
+    const error = new Error(`AI response did not match the expected format: ${result.errors[0]}`);
+    error.rawText = String(text).substring(0, 500);
+    throw error;
+  }
+
+  console.log(`✅ ${client.name} returned ${result.quiz.questions.length} valid question(s)`);
+  return { quiz: result.quiz, warnings: result.warnings };
+};
+
+/**
+ * Fix answers that don't match the options, pad short MCQs and repair true/false options
+ * @param {Array} questions - Questions from the model
+ * @returns {Array} The same questions, corrected in place
+ */
+export const normalizeGeneratedQuestions = (questions) => questions.map((q, index) => {
+  q.options = Array.isArray(q.options) ? q.options : [];
+
+  // Check if answer exists in options
+  if (q.type === 'mcq' || q.type === 'true_false') {
+    if (!q.options.includes(q.answer)) {
+      console.warn(`Question ${index + 1}: Answer "${q.answer}" not found in options. Using first option as fallback.`);
+      q.answer = q.options[0] || 'No answer provided';
+    }
+  }
+
+  // Multi-select: keep only correct answers that are real options
+  if (q.type === 'multi_select') {
+    const correctAnswers = (Array.isArray(q.correctAnswers) ? q.correctAnswers : [])
+      .filter(option => q.options.includes(option));
+    if (correctAnswers.length === 0) {
+      console.warn(`Question ${index + 1}: No valid correct answers for multi-select. Using first option as fallback.`);
+      correctAnswers.push(q.options[0] || 'No answer provided');
+    }
+    q.correctAnswers = [...new Set(correctAnswers)];
+    q.answer = '';
+  }
+
+  // Ensure MCQ has 4 options
+  if (q.type === 'mcq' && q.options.length < 4) {
+    console.warn(`Question ${index + 1}: MCQ has fewer than 4 options. Padding with generic options.`);
+    while (q.options.length < 4) {
+      q.options.push(`Option ${q.options.length + 1}`);
+    }
+  }
+
+  // Ensure true_false has correct options
+  if (q.type === 'true_false' && !q.options.includes('True')) {
+    q.options = ['True', 'False'];
+    if (!['True', 'False'].includes(q.answer)) {
+      q.answer = 'True';
+    }
+  }
+
+  return q;
+});
+
+/**
+ * Message telling the admin how the generated count compares with what they asked for
+ * @param {Number} actualCount - Questions generated
+ * @param {Number} questionCount - Questions requested
+ * @returns {String} Message for the response
+ */
+export const describeQuestionCount = (actualCount, questionCount) => {
+  if (actualCount < questionCount) {
+    const difference = questionCount - actualCount;
+    console.warn(`⚠️ Short by ${difference} questions. Consider regenerating or adding manually.`);
+    return `AI generated ${actualCount} questions (requested ${questionCount}). ${difference} question${difference > 1 ? 's' : ''} short. You can add more questions manually or regenerate.`;
+  }
+  if (actualCount > questionCount) {
+    const extra = actualCount - questionCount;
+    console.warn(`⚠️ Got ${extra} extra questions.`);
+    return `AI generated ${actualCount} questions (requested ${questionCount}). ${extra} extra question${extra > 1 ? 's' : ''}. You can remove extras if needed.`;
+  }
+  return 'Quiz generated successfully. Review and save when ready.';
+};
+
+/**
+ * Generate questions on a topic with a model client
+ * @param {Object} options - { topic, quizType, questionCount, client, avoid, signal }
+ *   avoid lists question texts already generated; signal aborts the model call
+ * @returns {Object} { title, questions, warnings }
+ * @throws {Error} If the model call fails, or its output is unusable (those errors carry `rawText`)
+ */
+export const generateTopicQuestions = async ({ topic, quizType, questionCount, client, avoid = [], signal }) => {
+  const { quiz, warnings } = await generateQuizJson({
+    client,
+    prompt: buildTopicQuizPrompt({ topic, quizType, questionCount, avoid }),
+    request: { task: 'topic-quiz', topic, quizType, questionCount, avoid, signal },
+  });
+
+  if (quiz.questions.length !== questionCount) {
+    console.warn(`⚠️ AI generated ${quiz.questions.length} questions but ${questionCount} were requested.`);
+  }
+  return { title: quiz.title, questions: normalizeGeneratedQuestions(quiz.questions), warnings };
+};
@@ -0,0 +1,713 @@
+/**
+ * Quiz Import Helpers
+ * Turn question files from other platforms into quiz questions:
+ * QTI 2.1 (XML or zipped content package), Moodle GIFT, Aiken, the CSV/XLSX layout below,
+ * and this app's own versioned JSON export.
+ *
+ * CSV/XLSX layout (first sheet, one question per row, header row required):
+ *   Type            mcq | multi_select | true_false | short_answer | numeric | essay
+ *                   (blank = mcq when options are given, otherwise short_answer)
+ *   Question        The question text
+ *   Option A..Z     One column per option (mcq and multi_select)
+ *   Answer          mcq: option letter or text; multi_select: letters or texts separated by ";";
+ *                   true_false: True or False; short_answer: accepted answers separated by "|";
+ *                   numeric: the number; essay: optional model answer
+ *   Points          Optional, defaults to 1
+ *   Negative Points Optional, points deducted for a wrong answer
+ *   Tolerance       Optional, numeric questions only (absolute)
+ *   Unit            Optional, numeric questions only
+ *   Explanation     Optional, why the answer is right (shown to candidates when answers are released)
+ */
+
+import { Buffer } from 'buffer';
+import path from 'path';
+import XLSX from 'xlsx';
+import Quiz from '../models/Quiz.js';
+import { JSON_EXPORT_FORMAT, JSON_EXPORT_VERSION } from './quizExport.js';
+import { findAll, findChild, parseXml, textContent } from './xmlParser.js';
+
+export const IMPORT_FORMATS = ['qti', 'gift', 'aiken', 'csv', 'json'];
+
+// Sample rows for the downloadable CSV/XLSX template
+export const IMPORT_TEMPLATE_ROWS = [
+  { 'Type': 'mcq', 'Question': 'What is the capital of France?', 'Option A': 'Berlin', 'Option B': 'Paris', 'Option C': 'Madrid', 'Option D': 'Rome', 'Answer': 'B', 'Points': 1, 'Explanation': 'Paris has been the capital of France since 987.' },
+  { 'Type': 'multi_select', 'Question': 'Which of these are prime numbers?', 'Option A': '2', 'Option B': '4', 'Option C': '7', 'Option D': '9', 'Answer': 'A;C', 'Points': 2 },
+  { 'Type': 'true_false', 'Question': 'The Earth orbits the Sun.', 'Answer': 'True' },
+  { 'Type': 'short_answer', 'Question': 'Which gas do plants absorb?', 'Answer': 'Carbon dioxide|CO2' },
+  { 'Type': 'numeric', 'Question': 'What is the value of pi to two decimal places?', 'Answer': '3.14', 'Tolerance': 0.01 },
+  { 'Type': 'essay', 'Question': 'Explain the causes of the French Revolution.', 'Points': 10 },
+];
+
+const TYPE_ALIASES = {
+  mcq: 'mcq', multiplechoice: 'mcq', mc: 'mcq', singlechoice: 'mcq',
+  multiselect: 'multi_select', multipleresponse: 'multi_select', multipleanswer: 'multi_select', checkbox: 'multi_select',
+  truefalse: 'true_false', tf: 'true_false', boolean: 'true_false',
+  shortanswer: 'short_answer', short: 'short_answer', text: 'short_answer', fillintheblank: 'short_answer',
+  numeric: 'numeric', number: 'numeric', numerical: 'numeric',
+  essay: 'essay', longanswer: 'essay', paragraph: 'essay',
+};
+
+const normalizeKey = (value) => String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const isTrueFalsePair = (options) => options.length === 2 &&
+  options.map(option => option.trim().toLowerCase()).sort().join() === 'false,true';
+
+// Map "true"/"t"/"yes" style answers onto the True/False options questions use
+const toTrueFalse = (value) => {
+  const normalized = String(value).trim().toLowerCase();
+  if (['true', 't', 'yes', 'y'].includes(normalized)) return 'True';
+  if (['false', 'f', 'no', 'n'].includes(normalized)) return 'False';
+  return '';
+};
+
+// Single-choice questions whose options are just True/False become true_false questions
+const asTrueFalseIfPossible = (question) => {
+  if (question.type !== 'mcq' || !isTrueFalsePair(question.options)) return question;
+  return { ...question, type: 'true_false', options: ['True', 'False'], answer: toTrueFalse(question.answer) };
+};
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+/**
+ * Find problems that would stop an imported question from being saved
+ * @param {Object} question - Parsed quiz question
+ * @returns {Array} Error messages (empty when the question is fine)
+ */
+export const checkImportedQuestion = (question) => {
+  const errors = [];
+  const options = question.options || [];
+
+  if (!question.text || !question.text.trim()) {
+    errors.push('Question text is missing');
+  }
+
+  if (question.type === 'mcq' || question.type === 'multi_select') {
+    if (options.length < 2) errors.push('Needs at least two options');
+    if (options.some(option => !String(option).trim())) errors.push('Options cannot be blank');
+    if (new Set(options).size !== options.length) errors.push('Options must all be different');
+  }
+  if (question.type === 'mcq' && !options.includes(question.answer)) {
+    errors.push(question.answer ? `Answer "${question.answer}" is not one of the options` : 'No correct option is marked');
+  }
+  if (question.type === 'multi_select') {
+    const correct = question.correctAnswers || [];
+    if (correct.length === 0) errors.push('No correct options are marked');
+    correct.filter(answer => !options.includes(answer))
+      .forEach(answer => errors.push(`Correct answer "${answer}" is not one of the options`));
+  }
+  if (question.type === 'true_false' && !['True', 'False'].includes(question.answer)) {
+    errors.push('Answer must be True or False');
+  }
+  if (question.type === 'short_answer' && !question.answer) {
+    errors.push('No accepted answer given');
+  }
+  if (question.type === 'numeric' && !Number.isFinite(question.numericAnswer)) {
+    errors.push('Numeric answer is not a number');
+  }
+
+  // Anything the schema itself would reject
+  if (errors.length === 0) {
+    const validationError = new Quiz({ title: 'Import', questions: [question] }).validateSync();
+    Object.entries(validationError?.errors || {})
+      .filter(([pathName]) => pathName.startsWith('questions.0.'))
+      .forEach(([, error]) => errors.push(error.message));
+  }
+
+  return errors;
+};
+
+// ---------------------------------------------------------------------------
+// GIFT (Moodle)
+// ---------------------------------------------------------------------------
+
+const GIFT_SPECIAL = '~=#{}:';
+
+// Index of the first unescaped occurrence of one of `chars`, from `start`
+const findUnescaped = (text, chars, start = 0) => {
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i += 1;
+    } else if (chars.includes(text[i])) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+const unescapeGift = (text) => text
+  .replace(/\\n/g, '\n')
+  .replace(/\\(.)/g, (match, char) => (GIFT_SPECIAL.includes(char) || char === '\\' ? char : match))
+  .trim();
+
+// Drop trailing "#feedback" from an answer
+const withoutFeedback = (text) => {
+  const feedbackAt = findUnescaped(text, '#');
+  return feedbackAt === -1 ? text : text.slice(0, feedbackAt);
+};
+
+// Split Moodle's general feedback ("####...") off the end of an answer block
+const splitGeneralFeedback = (body) => {
+  for (let at = findUnescaped(body, '#'); at !== -1; at = findUnescaped(body, '#', at + 1)) {
+    if (body.startsWith('####', at)) {
+      return { answers: body.slice(0, at), feedback: unescapeGift(body.slice(at + 4)) };
+    }
+  }
+  return { answers: body, feedback: '' };
+};
+
+// Split "=a ~%50%b ~c" into [{ marker, weight, text }]
+const splitGiftAnswers = (body) => {
+  const answers = [];
+  let index = findUnescaped(body, '=~');
+  while (index !== -1) {
+    const next = findUnescaped(body, '=~', index + 1);
+    const raw = body.slice(index + 1, next === -1 ? body.length : next);
+    const weightMatch = /^\s*%(-?\d+(?:\.\d+)?)%/.exec(raw);
+    answers.push({
+      marker: body[index],
+      weight: weightMatch ? Number(weightMatch[1]) : null,
+      text: unescapeGift(withoutFeedback(weightMatch ? raw.slice(weightMatch[0].length) : raw)),
+    });
+    index = next;
+  }
+  return answers;
+};
+
+// "3.14:0.01", "1..5" or "42" -> { numericAnswer, tolerance }
+const parseGiftNumber = (text) => {
+  const range = /^(-?[\d.]+)\s*\.\.\s*(-?[\d.]+)$/.exec(text);
+  if (range) {
+    const min = Number(range[1]);
+    const max = Number(range[2]);
+    return { numericAnswer: (min + max) / 2, tolerance: Math.abs(max - min) / 2 };
+  }
+  const [value, tolerance] = text.split(':');
+  return { numericAnswer: Number(value), tolerance: tolerance !== undefined ? Number(tolerance) : 0 };
+};
+
+const parseGiftAnswerBlock = (body) => {
+  const trimmed = body.trim();
+
+  if (trimmed === '') {
+    return { type: 'essay', answer: '' };
+  }
+
+  const trueFalse = /^(T|TRUE|F|FALSE)\b/i.exec(unescapeGift(withoutFeedback(trimmed)));
+  if (trueFalse && unescapeGift(withoutFeedback(trimmed)).length === trueFalse[0].length) {
+    return { type: 'true_false', options: ['True', 'False'], answer: trueFalse[1][0].toUpperCase() === 'T' ? 'True' : 'False' };
+  }
+
+  if (trimmed.startsWith('#')) {
+    const numericBody = trimmed.slice(1).trim();
+    // Several answers ("#=1.5:0.1 =%50%2") - the full-credit one counts
+    const answers = findUnescaped(numericBody, '=') === -1
+      ? [{ weight: null, text: unescapeGift(withoutFeedback(numericBody)) }]
+      : splitGiftAnswers(numericBody);
+    const best = answers.find(answer => answer.weight === null || answer.weight === 100) || answers[0];
+    return { type: 'numeric', toleranceType: 'absolute', ...parseGiftNumber(best?.text || '') };
+  }
+
+  const answers = splitGiftAnswers(trimmed);
+  if (answers.length === 0) {
+    throw new Error('Could not read the answers in { }');
+  }
+  if (answers.some(answer => /\s->\s?/.test(answer.text))) {
+    throw new Error('Matching questions are not supported');
+  }
+
+  const wrongOptions = answers.filter(answer => answer.marker === '~');
+  if (wrongOptions.length === 0) {
+    // Only "=" answers: every full-credit one is an accepted short answer
+    const accepted = answers.filter(answer => answer.weight === null || answer.weight === 100).map(answer => answer.text);
+    return { type: 'short_answer', answer: accepted[0] || '', acceptedAnswers: accepted.slice(1) };
+  }
+
+  const options = answers.map(answer => answer.text);
+  const correct = answers.filter(answer => answer.marker === '=' || answer.weight > 0).map(answer => answer.text);
+  if (correct.length > 1 || answers.some(answer => answer.marker === '~' && answer.weight > 0)) {
+    return { type: 'multi_select', options, answer: '', correctAnswers: correct, partialCredit: true };
+  }
+  return { type: 'mcq', options, answer: correct[0] || '' };
+};
+
+/**
+ * Parse Moodle GIFT text
+ * @param {String} text - File contents
+ * @returns {Array} Import items: { source, question, errors }
+ */
+export const parseGift = (text) => {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n')
+    .filter(line => !/^\s*\/\//.test(line) && !/^\s*\$CATEGORY:/i.test(line));
+
+  // Questions are separated by blank lines, but never split inside an open { }
+  const blocks = [];
+  let current = [];
+  let startLine = 0;
+  lines.forEach((line, index) => {
+    const joined = current.join('\n');
+    const isOpen = findUnescaped(joined, '{') !== -1 && findUnescaped(joined, '}', findUnescaped(joined, '{')) === -1;
+    if (!line.trim() && !isOpen) {
+      if (current.length > 0) blocks.push({ text: current.join('\n'), line: startLine + 1 });
+      current = [];
+    } else {
+      if (current.length === 0) startLine = index;
+      current.push(line);
+    }
+  });
+  if (current.length > 0) blocks.push({ text: current.join('\n'), line: startLine + 1 });
+
+  return blocks.map(block => {
+    let source = block.text.trim();
+    let title = '';
+    const titleMatch = /^::([\s\S]*?)::/.exec(source);
+    if (titleMatch) {
+      title = unescapeGift(titleMatch[1]);
+      source = source.slice(titleMatch[0].length).trim();
+    }
+
+    const isHtml = /^\[html\]/i.test(source);
+    source = source.replace(/^\[(html|moodle|plain|markdown)\]/i, '');
+
+    const item = { source: title || `Line ${block.line}`, question: null, errors: [] };
+    const open = findUnescaped(source, '{');
+    const close = open === -1 ? -1 : findUnescaped(source, '}', open);
+    if (open === -1 || close === -1) {
+      item.errors.push('No answer block { } found - descriptions are not imported');
+      return item;
+    }
+
+    try {
+      const before = source.slice(0, open).trim();
+      const after = source.slice(close + 1).trim();
+      let questionText = unescapeGift(after ? `${before} _____ ${after}` : before);
+      if (isHtml) questionText = questionText.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+
+      const { answers, feedback } = splitGeneralFeedback(source.slice(open + 1, close));
+      item.question = asTrueFalseIfPossible({
+        text: questionText,
+        ...parseGiftAnswerBlock(answers),
+        ...(feedback && { explanation: feedback }),
+      });
+    } catch (error) {
+      item.errors.push(error.message);
+    }
+    return item;
+  });
+};
+
+// ---------------------------------------------------------------------------
+// Aiken
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse Aiken text (question, lettered options, then "ANSWER: X")
+ * @param {String} text - File contents
+ * @returns {Array} Import items: { source, question, errors }
+ */
+export const parseAiken = (text) => {
+  const items = [];
+  let current = null;
+
+  const finish = (errors = []) => {
+    if (current) items.push({ source: `Line ${current.line}`, question: current.question, errors });
+    current = null;
+  };
+
+  text.replace(/\r\n?/g, '\n').split('\n').forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    const option = /^([A-Z])\s*[.)]\s+(.*)$/.exec(line);
+    const answer = /^ANSWER\s*:\s*(\S+)\s*$/i.exec(line);
+
+    if (answer) {
+      if (!current) {
+        items.push({ source: `Line ${index + 1}`, question: null, errors: ['ANSWER line without a question'] });
+        return;
+      }
+      const letterIndex = answer[1].toUpperCase().charCodeAt(0) - 65;
+      const options = current.question.options;
+      current.question.answer = answer[1].length === 1 && options[letterIndex] !== undefined ? options[letterIndex] : '';
+      current.question = asTrueFalseIfPossible(current.question);
+      finish(current.question.answer ? [] : [`Answer "${answer[1]}" does not match an option letter`]);
+    } else if (option && current) {
+      current.question.options.push(option[2]);
+    } else if (current && current.question.options.length > 0) {
+      // Text after the options means the ANSWER line is missing
+      finish(['Missing "ANSWER:" line']);
+      current = { line: index + 1, question: { text: line, type: 'mcq', options: [], answer: '' } };
+    } else if (current) {
+      current.question.text = `${current.question.text} ${line}`;
+    } else {
+      current = { line: index + 1, question: { text: line, type: 'mcq', options: [], answer: '' } };
+    }
+  });
+
+  if (current) finish(['Missing "ANSWER:" line']);
+  return items;
+};
+
+// ---------------------------------------------------------------------------
+// CSV / XLSX
+// ---------------------------------------------------------------------------
+
+const toNumberOr = (value, fallback) => {
+  if (value === '' || value === undefined || value === null) return fallback;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : fallback;
+};
+
+// An option given by letter ("B"), position ("2") or its text
+const resolveOption = (value, options) => {
+  const trimmed = String(value).trim();
+  if (options.includes(trimmed)) return trimmed;
+  if (/^[A-Z]$/i.test(trimmed)) return options[trimmed.toUpperCase().charCodeAt(0) - 65] ?? trimmed;
+  if (/^\d+$/.test(trimmed)) return options[Number(trimmed) - 1] ?? trimmed;
+  return trimmed;
+};
+
+/**
+ * Parse the first sheet of a CSV or Excel file in the layout described at the top of this file
+ * @param {Buffer} buffer - File contents
+ * @returns {Array} Import items: { source, question, errors }
+ */
+export const parseSpreadsheet = (buffer) => {
+  const workbook = XLSX.read(buffer, { type: 'buffer' });
+  const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!worksheet) throw new Error('The file has no sheets');
+
+  const rows = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '', raw: false, blankrows: true });
+  const [header = [], ...dataRows] = rows;
+  const keys = header.map(normalizeKey);
+
+  const column = (...names) => keys.findIndex(key => names.includes(key));
+  const typeColumn = column('type', 'questiontype');
+  const questionColumn = column('question', 'questiontext', 'text');
+  const answerColumn = column('answer', 'answers', 'correctanswer', 'correct');
+  const pointsColumn = column('points', 'marks', 'score');
+  const negativeColumn = column('negativepoints', 'negativemarks', 'penalty');
+  const toleranceColumn = column('tolerance');
+  const unitColumn = column('unit');
+  const explanationColumn = column('explanation', 'feedback');
+  const optionColumns = keys
+    .map((key, index) => (/^option([a-z]|\d+)$/.test(key) ? index : -1))
+    .filter(index => index !== -1);
+
+  if (questionColumn === -1) {
+    throw new Error('No "Question" column found - download the template to see the expected layout');
+  }
+
+  const items = [];
+  dataRows.forEach((row, rowIndex) => {
+    const cell = (index) => (index === -1 ? '' : String(row[index] ?? '').trim());
+    if (row.every(value => String(value).trim() === '')) return;
+
+    const options = optionColumns.map(cell).filter(Boolean);
+    const rawType = cell(typeColumn);
+    const type = rawType ? TYPE_ALIASES[normalizeKey(rawType)] : (options.length > 0 ? 'mcq' : 'short_answer');
+    const rawAnswer = cell(answerColumn);
+    const item = { source: `Row ${rowIndex + 2}`, question: null, errors: [] };
+
+    if (!type) {
+      item.errors.push(`Unknown question type "${rawType}"`);
+      items.push(item);
+      return;
+    }
+
+    const question = {
+      text: cell(questionColumn),
+      type,
+      points: toNumberOr(cell(pointsColumn), 1),
+      negativePoints: toNumberOr(cell(negativeColumn), 0),
+      explanation: cell(explanationColumn),
+    };
+
+    if (type === 'mcq') {
+      Object.assign(question, { options, answer: resolveOption(rawAnswer, options) });
+    } else if (type === 'multi_select') {
+      const correctAnswers = rawAnswer.split(/[;|]/).map(value => resolveOption(value, options)).filter(Boolean);
+      Object.assign(question, { options, answer: '', correctAnswers });
+    } else if (type === 'true_false') {
+      Object.assign(question, { options: ['True', 'False'], answer: toTrueFalse(rawAnswer) });
+    } else if (type === 'short_answer') {
+      const [answer = '', ...acceptedAnswers] = rawAnswer.split('|').map(value => value.trim()).filter(Boolean);
+      Object.assign(question, { answer, acceptedAnswers });
+    } else if (type === 'numeric') {
+      Object.assign(question, {
+        numericAnswer: toNumberOr(rawAnswer, NaN),
+        tolerance: toNumberOr(cell(toleranceColumn), 0),
+        unit: cell(unitColumn),
+      });
+    } else {
+      question.answer = rawAnswer;
+    }
+
+    item.question = question;
+    items.push(item);
+  });
+
+  return items;
+};
+
+// ---------------------------------------------------------------------------
+// QTI 2.1
+// ---------------------------------------------------------------------------
+
+const INTERACTIONS = ['choiceInteraction', 'textEntryInteraction', 'extendedTextInteraction'];
+const UNSUPPORTED_INTERACTIONS = [
+  'inlineChoiceInteraction', 'orderInteraction', 'matchInteraction', 'associateInteraction',
+  'gapMatchInteraction', 'hotspotInteraction', 'hottextInteraction', 'sliderInteraction', 'uploadInteraction',
+];
+
+const readResponseDeclarations = (item) => new Map(findAll(item, 'responseDeclaration').map(declaration => {
+  const correct = findChild(declaration, 'correctResponse');
+  const mapping = findChild(declaration, 'mapping');
+  return [declaration.attributes.identifier, {
+    baseType: declaration.attributes.baseType,
+    correct: correct ? findAll(correct, 'value').map(value => textContent(value)) : [],
+    mapping: mapping ? findAll(mapping, 'mapEntry').map(entry => ({
+      key: entry.attributes.mapKey,
+      value: Number(entry.attributes.mappedValue),
+    })) : [],
+  }];
+}));
+
+const readMaxScore = (item) => {
+  const outcomes = findAll(item, 'outcomeDeclaration');
+  const maxScore = outcomes.find(outcome => outcome.attributes.identifier === 'MAXSCORE');
+  const defaultValue = maxScore && findChild(maxScore, 'defaultValue');
+  const fromMaxScore = defaultValue ? Number(textContent(defaultValue)) : NaN;
+  if (Number.isFinite(fromMaxScore) && fromMaxScore >= 0) return fromMaxScore;
+
+  const score = outcomes.find(outcome => outcome.attributes.identifier === 'SCORE');
+  const normalMaximum = Number(score?.attributes.normalMaximum);
+  return Number.isFinite(normalMaximum) && normalMaximum >= 0 ? normalMaximum : 1;
+};
+
+const parseQtiItem = (item, fallbackSource) => {
+  const result = {
+    source: item.attributes.title || item.attributes.identifier || fallbackSource,
+    question: null,
+    errors: [],
+  };
+
+  const body = findChild(item, 'itemBody');
+  if (!body) {
+    result.errors.push('No itemBody found');
+    return result;
+  }
+
+  const unsupported = UNSUPPORTED_INTERACTIONS.find(name => findAll(body, name).length > 0);
+  if (unsupported) {
+    result.errors.push(`${unsupported} questions are not supported`);
+    return result;
+  }
+
+  const interactions = INTERACTIONS.flatMap(name => findAll(body, name));
+  if (interactions.length === 0) {
+    result.errors.push('No supported interaction (choice, text entry or extended text) found');
+    return result;
+  }
+  if (interactions.length > 1) {
+    result.errors.push('Items with more than one interaction are not supported');
+    return result;
+  }
+
+  const [interaction] = interactions;
+  const prompt = findChild(interaction, 'prompt');
+  const text = [textContent(body, new Set(INTERACTIONS)), prompt ? textContent(prompt) : '']
+    .filter(Boolean).join(' ');
+  const declaration = readResponseDeclarations(item).get(interaction.attributes.responseIdentifier) ||
+    { correct: [], mapping: [] };
+  const points = readMaxScore(item);
+
+  if (interaction.name === 'choiceInteraction') {
+    const choices = findAll(interaction, 'simpleChoice').map(choice => ({
+      identifier: choice.attributes.identifier,
+      text: textContent(choice, new Set(['feedbackInline'])),
+    }));
+    const options = choices.map(choice => choice.text);
+    const correctTexts = declaration.correct
+      .map(identifier => choices.find(choice => choice.identifier === identifier)?.text)
+      .filter(Boolean);
+    const isMultiple = interaction.attributes.maxChoices !== '1';
+
+    result.question = asTrueFalseIfPossible(isMultiple
+      ? { text, type: 'multi_select', options, answer: '', correctAnswers: correctTexts, points }
+      : { text, type: 'mcq', options, answer: correctTexts[0] || '', points });
+  } else if (interaction.name === 'textEntryInteraction') {
+    if (['float', 'integer'].includes(declaration.baseType)) {
+      // Tolerance lives in custom response processing: <equal toleranceMode="absolute" tolerance="0.1 0.1">
+      const equal = findAll(item, 'equal').find(node => ['absolute', 'relative'].includes(node.attributes.toleranceMode));
+      const tolerance = equal ? Math.abs(Number(String(equal.attributes.tolerance || '').trim().split(/\s+/)[0])) : 0;
+      result.question = {
+        text,
+        type: 'numeric',
+        numericAnswer: Number(declaration.correct[0]),
+        tolerance: Number.isFinite(tolerance) ? tolerance : 0,
+        toleranceType: equal?.attributes.toleranceMode || 'absolute',
+        points,
+      };
+    } else {
+      const mapped = declaration.mapping.filter(entry => entry.value > 0).map(entry => entry.key);
+      const [answer = '', ...acceptedAnswers] = [...new Set([...declaration.correct, ...mapped])];
+      result.question = { text, type: 'short_answer', answer, acceptedAnswers, points };
+    }
+  } else {
+    result.question = { text, type: 'essay', answer: '', points };
+  }
+
+  return result;
+};
+
+// Read the XML files out of a QTI content package (zip)
+const readZipXmlFiles = (buffer) => {
+  const archive = XLSX.CFB.read(buffer, { type: 'buffer' });
+  return archive.FileIndex
+    .map((entry, index) => ({ entry, name: archive.FullPaths[index] }))
+    .filter(({ entry, name }) => entry.type === 2 && /\.xml$/i.test(name) && !/imsmanifest\.xml$/i.test(name))
+    .map(({ entry, name }) => ({ name: path.basename(name), text: Buffer.from(entry.content).toString('utf8') }));
+};
+
+/**
+ * Parse QTI 2.1 assessment items from an XML file or a zipped content package
+ * @param {Buffer} buffer - File contents
+ * @param {String} filename - Original file name
+ * @returns {Object} { title, items } - title comes from an assessmentTest, if there is one
+ */
+export const parseQti = (buffer, filename) => {
+  const files = /\.zip$/i.test(filename)
+    ? readZipXmlFiles(buffer)
+    : [{ name: filename, text: buffer.toString('utf8') }];
+
+  let title = '';
+  const items = [];
+  files.forEach(file => {
+    let root;
+    try {
+      root = parseXml(file.text);
+    } catch (error) {
+      items.push({ source: file.name, question: null, errors: [`Invalid XML: ${error.message}`] });
+      return;
+    }
+
+    if (root.name === 'assessmentTest' && !title) {
+      title = root.attributes.title || '';
+    }
+    const assessmentItems = root.name === 'assessmentItem' ? [root] : findAll(root, 'assessmentItem');
+    assessmentItems.forEach(item => items.push(parseQtiItem(item, file.name)));
+  });
+
+  if (items.length === 0) {
+    throw new Error('No QTI assessment items found');
+  }
+  return { title, items };
+};
+
+// ---------------------------------------------------------------------------
+// JSON (our own export)
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse a JSON file written by the quiz export
+ * @param {String} text - File contents
+ * @returns {Object} { title, timeLimit, items }
+ */
+export const parseJsonExport = (text) => {
+  let document;
+  try {
+    document = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+
+  if (document?.format !== JSON_EXPORT_FORMAT || !Array.isArray(document.quiz?.questions)) {
+    throw new Error('This is not a TheodoraQ quiz export');
+  }
+  if (!Number.isInteger(document.version) || document.version > JSON_EXPORT_VERSION) {
+    throw new Error(`Export version ${document.version} is newer than this server supports (${JSON_EXPORT_VERSION})`);
+  }
+
+  const items = document.quiz.questions.map((question, index) => {
+    const isObject = question && typeof question === 'object' && !Array.isArray(question);
+    return {
+      source: `Question ${index + 1}`,
+      question: isObject ? question : null,
+      errors: isObject ? [] : ['Not a question object'],
+    };
+  });
+
+  return { title: document.quiz.title || '', timeLimit: document.quiz.timeLimit || null, items };
+};
+
+// ---------------------------------------------------------------------------
+// Entry point
+// ---------------------------------------------------------------------------
+
+/**
+ * Guess a file's format from its extension (and, for .txt, its contents)
+ * @param {String} filename - Original file name
+ * @param {Buffer} buffer - File contents
+ * @returns {String|null} One of IMPORT_FORMATS, or null if unknown
+ */
+export const detectImportFormat = (filename, buffer) => {
+  const extension = path.extname(filename).toLowerCase();
+  if (['.csv', '.xlsx', '.xls'].includes(extension)) return 'csv';
+  if (['.xml', '.zip'].includes(extension)) return 'qti';
+  if (extension === '.gift') return 'gift';
+  if (extension === '.json') return 'json';
+  if (extension === '.txt') {
+    const text = buffer.toString('utf8');
+    if (/^\s*ANSWER\s*:/im.test(text)) return 'aiken';
+    if (text.includes('{')) return 'gift';
+    return 'aiken';
+  }
+  return null;
+};
+
+/**
+ * Parse an uploaded question file into quiz questions for preview
+ * Each item carries its own errors, so one bad question doesn't stop the rest importing.
+ * @param {Buffer} buffer - File contents
+ * @param {String} filename - Original file name
+ * @param {String} format - One of IMPORT_FORMATS, or empty to detect it
+ * @returns {Object} { format, title, timeLimit, items: [{ source, question, errors }] }
+ * @throws {Error} If the file as a whole can't be read
+ */
+export const parseQuizImport = (buffer, filename, format = '') => {
+  const resolvedFormat = format || detectImportFormat(filename, buffer);
+  if (!IMPORT_FORMATS.includes(resolvedFormat)) {
+    throw new Error('Unrecognized file type - choose the format, or upload .xml/.zip (QTI), .gift/.txt (GIFT or Aiken), .csv/.xlsx or .json');
+  }
+
+  let title = '';
+  let timeLimit = null;
+  let items;
+  if (resolvedFormat === 'qti') {
+    ({ title, items } = parseQti(buffer, filename));
+  } else if (resolvedFormat === 'gift') {
+    items = parseGift(buffer.toString('utf8'));
+  } else if (resolvedFormat === 'aiken') {
+    items = parseAiken(buffer.toString('utf8'));
+  } else if (resolvedFormat === 'json') {
+    ({ title, timeLimit, items } = parseJsonExport(buffer.toString('utf8')));
+  } else {
+    items = parseSpreadsheet(buffer);
+  }
+
+  if (items.length === 0) {
+    throw new Error('No questions found in the file');
+  }
+
+  return {
+    format: resolvedFormat,
+    title: title || path.basename(filename, path.extname(filename)),
+    timeLimit,
+    items: items.map(item => ({
+      ...item,
+      errors: item.question && item.errors.length === 0 ? checkImportedQuestion(item.question) : item.errors,
+    })),
+  };
+};
@@ -0,0 +1,287 @@
+/**
+ * Quiz Review
+ * Checks a quiz before it is assigned: a model re-solves each auto-graded question
+ * without seeing the answer key, and any disagreement with the key is flagged; questions
+ * that read almost the same as another one in this quiz or in the admin's other quizzes
+ * are flagged as near-duplicates. Flags are warnings for the admin to fix or dismiss.
+ */
+
+import { coerceToSchema, validateJsonSchema } from './jsonSchema.js';
+import { isAnswerCorrect, normalizeAnswer, normalizeText, scoreSelections } from './grading.js';
+import { buildRepairPrompt, parseModelJson } from './quizGeneration.js';
+
+// Question types the model is asked to re-solve; essays have no single right answer
+const VERIFIABLE_TYPES = ['mcq', 'true_false', 'multi_select', 'short_answer', 'numeric'];
+
+// Questions sent to the model per call
+const VERIFY_BATCH_SIZE = 15;
+
+// Share of content words two questions must have in common to count as near-duplicates
+export const DUPLICATE_SIMILARITY = 0.8;
+
+const answerSchema = {
+  type: 'object',
+  required: ['answers'],
+  properties: {
+    answers: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['number', 'answer'],
+        properties: {
+          number: { type: 'integer' },
+          answer: { type: 'string' },
+          correctAnswers: { type: 'array', items: { type: 'string' } },
+          explanation: { type: 'string' },
+        },
+      },
+    },
+  },
+};
+
+// ---------------------------------------------------------------------------
+// Near-duplicates
+// ---------------------------------------------------------------------------
+
+// Words that say little about what a question asks
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'of', 'in', 'on', 'at', 'to', 'for', 'and', 'or', 'is', 'are', 'was', 'were', 'be', 'by',
+  'with', 'from', 'as', 'it', 'its', 'this', 'that', 'these', 'those', 'our', 'your', 'their', 'do', 'does', 'did',
+  'what', 'which', 'who', 'how', 'why', 'when', 'where',
+]);
+
+// The content words of a question and its options; options keep same-stem questions with different choices apart
+const contentWords = (question) => {
+  const words = normalizeText([question.text, ...(question.options || [])].join(' ')).split(' ').filter(Boolean);
+  const content = words.filter(word => !STOP_WORDS.has(word));
+  return new Set(content.length > 0 ? content : words);
+};
+
+/**
+ * How alike two word sets are (Jaccard index)
+ * @returns {Number} 0 (nothing shared) to 1 (identical)
+ */
+const similarity = (a, b) => {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const item of a) {
+    if (b.has(item)) shared += 1;
+  }
+  return shared / (a.size + b.size - shared);
+};
+
+/**
+ * Find questions that nearly repeat an earlier question in the quiz or one in another quiz
+ * Each question is reported once, against its closest match.
+ * @param {Array} questions - The quiz's questions
+ * @param {Array} otherQuizzes - The admin's other quizzes ({ _id, title, questions })
+ * @returns {Array} Review flags
+ */
+export const findDuplicateQuestions = (questions, otherQuizzes = []) => {
+  const own = questions.map(contentWords);
+  const others = otherQuizzes.flatMap(quiz => quiz.questions.map((question, index) => ({
+    quiz,
+    number: index + 1,
+    words: contentWords(question),
+  })));
+  const flags = [];
+
+  questions.forEach((question, index) => {
+    let best = null;
+    for (let earlier = 0; earlier < index; earlier++) {
+      const score = similarity(own[index], own[earlier]);
+      if (score >= DUPLICATE_SIMILARITY && (!best || score > best.score)) {
+        best = { score, number: earlier + 1 };
+      }
+    }
+    if (best) {
+      flags.push({
+        questionId: question._id,
+        kind: 'duplicate',
+        similarity: Math.round(best.score * 100) / 100,
+        message: `Nearly the same as question ${best.number} in this quiz`,
+      });
+      return;
+    }
+
+    for (const other of others) {
+      const score = similarity(own[index], other.words);
+      if (score >= DUPLICATE_SIMILARITY && (!best || score > best.score)) {
+        best = { score, other };
+      }
+    }
+    if (best) {
+      flags.push({
+        questionId: question._id,
+        kind: 'duplicate_elsewhere',
+        similarity: Math.round(best.score * 100) / 100,
+        relatedQuizId: best.other.quiz._id,
+        message: `Nearly the same as question ${best.other.number} in "${best.other.quiz.title}"`,
+      });
+    }
+  });
+
+  return flags;
+};
+
+// ---------------------------------------------------------------------------
+// Answer-key verification
+// ---------------------------------------------------------------------------
+
+const describeQuestionForModel = (question, number) => {
+  const options = question.options?.length ? `\n   Options: ${question.options.map(option => JSON.stringify(option)).join(', ')}` : '';
+  const hint = {
+    mcq: 'Pick one option, copied exactly.',
+    true_false: 'Answer "True" or "False".',
+    multi_select: 'List every correct option in "correctAnswers", copied exactly.',
+    short_answer: 'Give a short answer.',
+    numeric: `Give a number only${question.unit ? ` (in ${question.unit})` : ''}.`,
+  }[question.type];
+  return `${number}. [${question.type}] ${question.text}${options}\n   ${hint}`;
+};
+
+/**
+ * Prompt asking a model to answer questions it has not seen the key for
+ * @param {Array} items - [{ number, question }]
+ * @returns {String} Prompt text
+ */
+export const buildVerifyPrompt = (items) => `
+      You are checking a quiz for mistakes. Answer each question below yourself, as an expert would.
+      Do not guess what the quiz author intended - give the answer you believe is actually correct.
+
+      ${items.map(({ number, question }) => describeQuestionForModel(question, number)).join('\n\n      ')}
+
+      Return ONLY a JSON object of this form:
+      {"answers": [{"number": 1, "answer": "...", "correctAnswers": ["..."], "explanation": "one sentence"}]}
+      Include every question number. Use "correctAnswers" only for multi-select questions (set "answer" to "").
+      Do NOT include markdown, code blocks, or any text outside the JSON object.
+  `;
+
+// Snap the model's wording onto an option when it only differs in case or spacing
+const matchOption = (question, answer) => (question.options || [])
+  .find(option => normalizeAnswer(option) === normalizeAnswer(answer)) ?? answer;
+
+const formatKey = (question) => {
+  if (question.type === 'multi_select') return (question.correctAnswers || []).join(', ');
+  if (question.type === 'numeric') return `${question.numericAnswer}${question.unit ? ` ${question.unit}` : ''}`;
+  return question.answer;
+};
+
+/**
+ * Compare the model's answer with the stored key
+ * @returns {Object|null} Review flag if they disagree
+ */
+const compareAnswer = (question, reply) => {
+  let agrees;
+  let suggestedAnswer;
+  if (question.type === 'multi_select') {
+    const picked = [...new Set((reply.correctAnswers || []).map(answer => matchOption(question, answer)))];
+    if (picked.length === 0) return null;
+    agrees = scoreSelections(question.correctAnswers || [], picked, false) === 1;
+    suggestedAnswer = picked.join(', ');
+  } else {
+    if (!reply.answer?.trim()) return null;
+    suggestedAnswer = matchOption(question, reply.answer.trim());
+    agrees = isAnswerCorrect(question, suggestedAnswer);
+  }
+  if (agrees) return null;
+
+  const explanation = reply.explanation?.trim() ? ` ${reply.explanation.trim()}` : '';
+  return {
+    questionId: question._id,
+    kind: 'answer_mismatch',
+    suggestedAnswer,
+    message: `The answer key says "${formatKey(question)}" but the check answered "${suggestedAnswer}".${explanation}`,
+  };
+};
+
+// One model call: parsed and validated answers, with one repair round-trip
+const solveBatch = async (client, items) => {
+  const request = { task: 'verify-answers', questions: items.map(({ number, question }) => ({ number, type: question.type, text: question.text, options: question.options })) };
+  const read = (text) => {
+    try {
+      const json = coerceToSchema(parseModelJson(text), answerSchema);
+      return { json, errors: validateJsonSchema(json, answerSchema) };
+    } catch (parseError) {
+      return { errors: [parseError.message] };
+    }
+  };
+
+  let text = await client.generate(buildVerifyPrompt(items), { ...request, schema: answerSchema });
+  let result = read(text);
+  if (result.errors.length > 0) {
+    console.warn(`⚠️ ${client.name} verification response failed validation (${result.errors[0]}). Asking for a corrected version...`);
+    text = await client.generate(buildRepairPrompt(text, result.errors, answerSchema), { ...request, task: 'repair', schema: answerSchema });
+    result = read(text);
+  }
+  if (result.errors.length > 0) {
+    const error = new Error(`AI response did not match the expected format: ${result.errors[0]}`);
+    error.rawText = String(text).substring(0, 500);
+    throw error;
+  }
+  return result.json.answers;
+};
+
+/**
+ * Have a model re-solve each auto-graded question and flag disagreements with the key
+ * @param {Object} options - { questions, client }
+ * @returns {Promise<Array>} Review flags
+ * @throws {Error} If the model can't be reached or its output is unusable
+ */
+export const verifyAnswerKeys = async ({ questions, client }) => {
+  const items = questions
+    .map((question, index) => ({ number: index + 1, question }))
+    .filter(({ question }) => VERIFIABLE_TYPES.includes(question.type));
+  const flags = [];
+
+  for (let start = 0; start < items.length; start += VERIFY_BATCH_SIZE) {
+    const batch = items.slice(start, start + VERIFY_BATCH_SIZE);
+    const answers = await solveBatch(client, batch);
+    for (const { number, question } of batch) {
+      const reply = answers.find(answer => answer.number === number);
+      const flag = reply && compareAnswer(question, reply);
+      if (flag) flags.push(flag);
+    }
+  }
+
+  console.log(`🔎 ${client.name} re-solved ${items.length} question(s): ${flags.length} disagreement(s)`);
+  return flags;
+};
+
+/**
+ * Run the full review of a quiz
+ * If the answer check fails, the duplicate check still runs and the failure is itself
+ * a flag, so an unchecked quiz isn't mistaken for a clean one.
+ * @param {Object} options - { quiz, otherQuizzes, client, configError } - client is null when no model
+ *   is configured, with configError saying why
+ * @returns {Promise<Object>} { flags, answersChecked }
+ */
+export const reviewQuiz = async ({ quiz, otherQuizzes = [], client, configError }) => {
+  const flags = [];
+  let answersChecked = false;
+
+  try {
+    if (!client) throw configError || new Error('No AI model is configured');
+    flags.push(...await verifyAnswerKeys({ questions: quiz.questions, client }));
+    answersChecked = true;
+  } catch (error) {
+    console.error('❌ Answer key verification failed:', error.message);
+    flags.push({
+      kind: 'unverified',
+      message: `The answer key could not be checked: ${error.message}`,
+    });
+  }
+
+  flags.push(...findDuplicateQuestions(quiz.questions, otherQuizzes));
+  return { flags, answersChecked };
+};
+
+/**
+ * Remove review flags about questions that have since been edited or removed
+ * @param {Object} quiz - Quiz document (updated in place, not saved)
+ * @param {Object} changes - From diffQuizVersions
+ */
+export const dropStaleReviewFlags = (quiz, changes) => {
+  const touchedIds = new Set([...changes.changed, ...changes.removed].map(change => change.questionId));
+  quiz.review.flags = quiz.review.flags.filter(flag => !flag.questionId || !touchedIds.has(flag.questionId.toString()));
+};
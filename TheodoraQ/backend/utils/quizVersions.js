@@ -0,0 +1,188 @@
+/**
+ * Quiz Version Helpers
+ * Snapshot quiz content so assignments keep the questions they were created with
+ */
+
+import Assignment from '../models/Assignment.js';
+import Quiz from '../models/Quiz.js';
+import QuizVersion from '../models/QuizVersion.js';
+
+// Question fields compared when diffing two versions
+const QUESTION_DIFF_FIELDS = [
+  'text', 'type', 'options', 'answer', 'correctAnswers', 'acceptedAnswers', 'answerPatterns',
+  'typoTolerance', 'numericAnswer', 'tolerance', 'toleranceType', 'unit', 'explanation',
+  'points', 'negativePoints', 'partialCredit', 'rubric', 'questionImage', 'optionImages', 'pinnedOptions',
+];
+
+// Fields whose values are too bulky to show in a diff (base64 images, nested rubrics) -
+// the diff only reports that they changed
+const SUMMARY_ONLY_FIELDS = ['rubric', 'questionImage', 'optionImages'];
+
+const toPlain = (doc) => (doc?.toObject ? doc.toObject() : doc);
+
+// Comparable form of a field value; rubric criteria are compared without their _ids
+const comparable = (field, value) => {
+  if (field === 'rubric') {
+    return JSON.stringify((value || []).map(criterion => ({
+      criterion: criterion.criterion,
+      description: criterion.description || '',
+      levels: criterion.levels,
+    })));
+  }
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * Snapshot a quiz's current content as its next version
+ * @param {Object} quiz - Quiz document (already saved)
+ * @param {Object} options - { createdBy, note }
+ * @returns {Object} The new QuizVersion document
+ */
+export const createQuizVersion = async (quiz, { createdBy = null, note = '' } = {}) => {
+  const snapshot = await QuizVersion.create({
+    quizId: quiz._id,
+    version: (quiz.currentVersion || 0) + 1,
+    title: quiz.title,
+    timeLimit: quiz.timeLimit,
+    // Keep the question (and rubric criterion) _ids so stored answers still match
+    questions: quiz.questions.map(toPlain),
+    createdBy,
+    note,
+  });
+
+  quiz.currentVersion = snapshot.version;
+  await Quiz.updateOne({ _id: quiz._id }, { currentVersion: snapshot.version });
+
+  return snapshot;
+};
+
+/**
+ * Get the snapshot matching a quiz's current content
+ * Quizzes created before versioning have none yet, so their first one is taken now.
+ * @param {Object} quiz - Quiz document
+ * @param {String} createdBy - Admin to record if a snapshot has to be taken
+ * @returns {Object} QuizVersion document
+ */
+export const getCurrentQuizVersion = async (quiz, createdBy = null) => {
+  if (quiz.currentVersion > 0) {
+    const current = await QuizVersion.findOne({ quizId: quiz._id, version: quiz.currentVersion });
+    if (current) return current;
+  }
+  return createQuizVersion(quiz, { createdBy });
+};
+
+/**
+ * Pin a quiz's assignments that predate versioning to a version
+ * Called before the quiz is edited so those assignments keep the questions they were taken on.
+ * @param {String} quizId - Quiz ID
+ * @param {Object} version - QuizVersion document to pin them to
+ */
+export const pinUnversionedAssignments = async (quizId, version) => {
+  await Assignment.updateMany(
+    { quizId, quizVersionId: null },
+    { quizVersionId: version._id, quizVersion: version.version }
+  );
+};
+
+/**
+ * Point an assignment at a different quiz version
+ * Mutates the assignment; the caller is responsible for saving it.
+ * @param {Object} assignment - Assignment document
+ * @param {Object} version - QuizVersion document (stays populated on the assignment)
+ */
+export const pinAssignmentToVersion = (assignment, version) => {
+  assignment.quizVersionId = version;
+  assignment.quizVersion = version.version;
+};
+
+/**
+ * The questions an assignment's submissions are graded and reviewed against
+ * Includes the bank questions its pools can draw from.
+ * Callers must populate quizVersionId (and quizId with questions, for older
+ * assignments that were never pinned to a version).
+ * @param {Object} assignment - Assignment document
+ * @returns {Array} Question subdocuments
+ */
+export const getAssignmentQuestions = (assignment) => {
+  const quizQuestions = assignment.quizVersionId?.questions || assignment.quizId?.questions || [];
+  return assignment.poolQuestions?.length > 0 ? [...quizQuestions, ...assignment.poolQuestions] : quizQuestions;
+};
+
+/**
+ * The questions asked in one attempt, in the order they were shown
+ * Attempts on pool assignments ask the questions drawn for them; other attempts ask every question.
+ * @param {Object} assignment - Assignment document (populated as for getAssignmentQuestions)
+ * @param {Object} attempt - Attempt session or submission (may be undefined)
+ * @returns {Array} Question subdocuments
+ */
+export const getAttemptQuestions = (assignment, attempt) => {
+  const questions = getAssignmentQuestions(assignment);
+  const drawnIds = attempt?.questionIds || [];
+
+  if (drawnIds.length === 0) {
+    // Nothing has been drawn yet, so there is nothing to show
+    return assignment.questionPools?.length > 0 ? [] : questions;
+  }
+
+  const questionsById = new Map(questions.map(q => [q._id.toString(), q]));
+  return drawnIds.map(id => questionsById.get(id)).filter(Boolean);
+};
+
+/**
+ * Compare two versions of a quiz
+ * Questions are matched by _id, so an edited question shows as changed rather
+ * than as one removal plus one addition.
+ * @param {Object} from - Older version (or quiz)
+ * @param {Object} to - Newer version (or quiz)
+ * @returns {Object} { title, timeLimit, added, removed, changed, reordered, hasChanges }
+ */
+export const diffQuizVersions = (from, to) => {
+  const fromQuestions = (from.questions || []).map(toPlain);
+  const toQuestions = (to.questions || []).map(toPlain);
+  const fromById = new Map(fromQuestions.map(q => [q._id.toString(), q]));
+  const toIds = new Set(toQuestions.map(q => q._id.toString()));
+
+  const added = [];
+  const changed = [];
+  toQuestions.forEach(question => {
+    const questionId = question._id.toString();
+    const previous = fromById.get(questionId);
+
+    if (!previous) {
+      added.push({ questionId, text: question.text });
+      return;
+    }
+
+    const fields = QUESTION_DIFF_FIELDS
+      .filter(field => comparable(field, previous[field]) !== comparable(field, question[field]))
+      .map(field => (
+        SUMMARY_ONLY_FIELDS.includes(field) ? { field } : { field, from: previous[field], to: question[field] }
+      ));
+
+    if (fields.length > 0) {
+      changed.push({ questionId, text: question.text, fields });
+    }
+  });
+
+  const removed = fromQuestions
+    .filter(q => !toIds.has(q._id.toString()))
+    .map(q => ({ questionId: q._id.toString(), text: q.text }));
+
+  // Compare the order of the questions both versions share
+  const keptOldOrder = fromQuestions.map(q => q._id.toString()).filter(id => toIds.has(id));
+  const keptNewOrder = toQuestions.map(q => q._id.toString()).filter(id => fromById.has(id));
+  const reordered = keptOldOrder.some((id, index) => id !== keptNewOrder[index]);
+
+  const title = from.title !== to.title ? { from: from.title, to: to.title } : null;
+  const timeLimit = from.timeLimit !== to.timeLimit ? { from: from.timeLimit, to: to.timeLimit } : null;
+
+  return {
+    title,
+    timeLimit,
+    added,
+    removed,
+    changed,
+    reordered,
+    hasChanges: Boolean(title || timeLimit || added.length || removed.length || changed.length || reordered),
+  };
+};
@@ -0,0 +1,120 @@
+/**
+ * Regrade Helpers
+ * Re-score stored submissions after a quiz's answer key changes
+ */
+
+import Assignment from '../models/Assignment.js';
+import Class from '../models/Class.js';
+import Quiz from '../models/Quiz.js';
+import { gradeAnswers, recalculateSubmissionScore } from './grading.js';
+import { getAssignmentQuestions, getCurrentQuizVersion, pinAssignmentToVersion } from './quizVersions.js';
+
+// Scores closer than this are treated as unchanged (float noise from re-adding points)
+const SCORE_EPSILON = 1e-9;
+
+/**
+ * Rebuild the answers map gradeAnswers expects from a stored submission
+ * @param {Array} storedAnswers - submission.answers
+ * @returns {Object} Map of questionId -> candidate answer
+ */
+const toAnswerMap = (storedAnswers) => Object.fromEntries(
+  storedAnswers.map(answer => [answer.questionId, answer.selectedAnswers ?? answer.selectedAnswer])
+);
+
+/**
+ * Regrade every submission on an assignment against the quiz version it is pinned to
+ * Only questions the candidate actually saw (those stored on the submission) are
+ * graded, so questions added later don't count against them and removed ones drop out.
+ * Answers a teacher graded by hand keep their manual grade.
+ * Mutates the assignment; the caller is responsible for saving it.
+ * @param {Object} assignment - Assignment document with quizVersionId populated
+ * @param {Object} options - { autoGrading, changedBy } - the class setting and the admin running the regrade
+ * @returns {Array} [{ submissionId, candidateId, attemptNumber, previousScore, newScore }] for every score that changed
+ */
+export const regradeAssignment = (assignment, { autoGrading = true, changedBy = null } = {}) => {
+  const changes = [];
+
+  assignment.submissions.forEach(submission => {
+    // Submissions from before answers were stored can't be regraded
+    if (submission.answers.length === 0) return;
+
+    const seenIds = new Set(submission.answers.map(answer => answer.questionId));
+    const questions = getAssignmentQuestions(assignment).filter(q => seenIds.has(q._id.toString()));
+    const previousAnswers = new Map(submission.answers.map(answer => [answer.questionId, answer.toObject()]));
+
+    const { formattedAnswers } = gradeAnswers(questions, toAnswerMap(submission.answers), { autoGrading });
+
+    const previous = {
+      score: submission.score,
+      pointsEarned: submission.pointsEarned,
+      pointsPossible: submission.pointsPossible,
+    };
+
+    submission.answers = formattedAnswers.map(answer => {
+      const previousAnswer = previousAnswers.get(answer.questionId);
+      return previousAnswer?.reviewStatus === 'reviewed' ? previousAnswer : answer;
+    });
+    recalculateSubmissionScore(submission);
+
+    if (Math.abs(submission.score - previous.score) > SCORE_EPSILON) {
+      submission.scoreHistory.push({
+        ...previous,
+        replacedAt: new Date(),
+        reason: 'regrade',
+        changedBy,
+      });
+      changes.push({
+        submissionId: submission._id,
+        candidateId: submission.candidateId,
+        attemptNumber: submission.attemptNumber || 1,
+        previousScore: previous.score,
+        newScore: submission.score,
+      });
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Move an assignment onto its quiz's current version and regrade it
+ * Regrading is how a teacher opts an assignment into answer-key fixes made since it was created.
+ * Mutates the assignment; the caller is responsible for saving it.
+ * @param {Object} assignment - Assignment document
+ * @param {Object} quiz - The assignment's Quiz document
+ * @param {Object} options - { autoGrading, changedBy } - passed through to regradeAssignment
+ * @returns {Array} Score changes, as returned by regradeAssignment
+ */
+export const regradeToCurrentVersion = async (assignment, quiz, options = {}) => {
+  const version = await getCurrentQuizVersion(quiz, options.changedBy);
+  pinAssignmentToVersion(assignment, version);
+  return regradeAssignment(assignment, options);
+};
+
+/**
+ * Move every assignment that uses a quiz onto its current version, regrade and save the results
+ * @param {String} quizId - Quiz whose answer key changed
+ * @param {String} changedBy - Admin running the regrade
+ * @returns {Array} [{ assignmentId, quizVersion, changes }] - one entry per assignment
+ */
+export const regradeQuizAssignments = async (quizId, changedBy) => {
+  const quiz = await Quiz.findById(quizId);
+  if (!quiz) return [];
+
+  const version = await getCurrentQuizVersion(quiz, changedBy);
+  const assignments = await Assignment.find({ quizId });
+
+  const results = [];
+  for (const assignment of assignments) {
+    pinAssignmentToVersion(assignment, version);
+    const classData = await Class.findById(assignment.classId).select('autoGrading');
+    const changes = regradeAssignment(assignment, {
+      autoGrading: classData ? classData.autoGrading : true,
+      changedBy,
+    });
+    await assignment.save();
+    results.push({ assignmentId: assignment._id, quizVersion: version.version, changes });
+  }
+
+  return results;
+};
@@ -0,0 +1,84 @@
+/**
+ * Scoring Policy Helpers
+ * Reduce a candidate's attempts on an assignment to the single score that counts
+ */
+
+export const SCORING_POLICIES = ['highest', 'latest', 'average'];
+
+// Submissions may have candidateId populated (User doc) or as a raw ObjectId
+const getCandidateKey = (submission) => (submission.candidateId?._id || submission.candidateId).toString();
+
+const getAttemptOrder = (submission) => submission.attemptNumber || 1;
+
+/**
+ * Get one candidate's submissions on an assignment, oldest attempt first
+ * @param {Array} submissions - Assignment submissions
+ * @param {String} candidateId - Candidate user ID
+ * @returns {Array} The candidate's submissions
+ */
+export const getCandidateSubmissions = (submissions = [], candidateId) => {
+  return submissions
+    .filter(sub => sub.candidateId && getCandidateKey(sub) === candidateId.toString())
+    .sort((a, b) => getAttemptOrder(a) - getAttemptOrder(b));
+};
+
+/**
+ * Pick the score that counts for a list of attempts
+ * @param {Array} attempts - One candidate's submissions, oldest first
+ * @param {String} policy - 'highest' | 'latest' | 'average'
+ * @returns {Object} { score, submission } - submission is the attempt that
+ *   represents the result (for 'average', the latest attempt)
+ */
+export const applyScoringPolicy = (attempts, policy = 'highest') => {
+  if (!attempts || attempts.length === 0) {
+    return { score: null, submission: null };
+  }
+
+  const latest = attempts[attempts.length - 1];
+
+  if (policy === 'latest') {
+    return { score: latest.score, submission: latest };
+  }
+
+  if (policy === 'average') {
+    const total = attempts.reduce((sum, sub) => sum + (sub.score || 0), 0);
+    return { score: total / attempts.length, submission: latest };
+  }
+
+  // Default: highest score wins (earliest attempt on ties)
+  const best = attempts.reduce((top, sub) => (sub.score > top.score ? sub : top), attempts[0]);
+  return { score: best.score, submission: best };
+};
+
+/**
+ * Apply an assignment's scoring policy to every candidate who submitted
+ * @param {Array} submissions - Assignment submissions (all attempts)
+ * @param {String} policy - The assignment's scoringPolicy
+ * @returns {Array} [{ candidateId, score, attemptCount, submission, isPending }] - one entry per
+ *   candidate; isPending is true while any attempt still has answers waiting to be graded,
+ *   since grading them could change which score counts
+ */
+export const getPolicyResults = (submissions = [], policy = 'highest') => {
+  const byCandidate = new Map();
+
+  submissions.forEach(sub => {
+    if (!sub.candidateId) return;
+    const key = getCandidateKey(sub);
+    if (!byCandidate.has(key)) {
+      byCandidate.set(key, []);
+    }
+    byCandidate.get(key).push(sub);
+  });
+
+  return Array.from(byCandidate.values()).map(attempts => {
+    attempts.sort((a, b) => getAttemptOrder(a) - getAttemptOrder(b));
+    const { score, submission } = applyScoringPolicy(attempts, policy);
+    return {
+      candidateId: submission.candidateId,
+      score,
+      attemptCount: attempts.length,
+      submission,
+      isPending: attempts.some(sub => sub.gradingStatus === 'pending_review'),
+    };
+  });
+};
@@ -0,0 +1,44 @@
+/**
+ * Subgroups
+ * Assignments can be limited to one or more branches (e.g. "BCE" or "BCE, BCY"); a candidate's
+ * branch is read from their registration number.
+ */
+
+/**
+ * The branch code in a registration number
+ * @param {String} registrationNumber - e.g. "22BCE10100", "2024BCE001" or "BCE001"
+ * @returns {String|null} e.g. "BCE", or null if none can be found
+ */
+export const extractBranch = (registrationNumber) => {
+  if (!registrationNumber) return null;
+  const regNum = registrationNumber.toString().toUpperCase().trim();
+
+  // Try multiple patterns
+  let match = regNum.match(/^\d{2}([A-Z]{2,4})\d+$/); // 22BCE10100
+  if (match) return match[1];
+
+  match = regNum.match(/^\d{4}([A-Z]{2,4})\d+$/); // 2024BCE001
+  if (match) return match[1];
+
+  match = regNum.match(/^([A-Z]{2,4})\d+$/); // BCE001
+  if (match) return match[1];
+
+  match = regNum.match(/([A-Z]{2,4})/); // Any 2-4 capital letters
+  if (match) return match[1];
+
+  return null;
+};
+
+/**
+ * Whether a candidate belongs to an assignment's subgroup
+ * @param {String} registrationNumber - The candidate's registration number
+ * @param {String} subgroup - The assignment's subgroup ('' = everyone)
+ * @returns {Boolean}
+ */
+export const isInSubgroup = (registrationNumber, subgroup) => {
+  if (!subgroup) return true;
+  const branch = extractBranch(registrationNumber);
+  if (!branch) return false;
+  const allowedBranches = subgroup.toUpperCase().split(',').map(b => b.trim());
+  return allowedBranches.includes(branch.toUpperCase());
+};
@@ -0,0 +1,131 @@
+/**
+ * Minimal XML Parser
+ * Enough XML for reading quiz interchange files (QTI): elements, attributes, text,
+ * CDATA and entities. Namespace prefixes are dropped from element names.
+ */
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'", nbsp: ' ' };
+
+// Replace named and numeric character references
+export const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+  if (entity[0] === '#') {
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+  }
+  return ENTITIES[entity.toLowerCase()] ?? match;
+});
+
+// "imsqti:assessmentItem" -> "assessmentItem"
+const localName = (name) => name.slice(name.indexOf(':') + 1);
+
+const parseAttributes = (source) => {
+  const attributes = {};
+  const pattern = /([^\s=/]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    attributes[localName(match[1])] = decodeEntities(match[3] ?? match[4]);
+  }
+  return attributes;
+};
+
+/**
+ * Parse an XML document
+ * @param {String} text - XML source
+ * @returns {Object} Root element: { name, attributes, children } where children are elements or strings
+ * @throws {Error} If the document is not well-formed
+ */
+export const parseXml = (text) => {
+  const root = { name: '#document', attributes: {}, children: [] };
+  const stack = [root];
+  let position = 0;
+
+  const lineAt = (index) => text.slice(0, index).split('\n').length;
+
+  while (position < text.length) {
+    const tagStart = text.indexOf('<', position);
+    const parent = stack[stack.length - 1];
+
+    if (tagStart === -1 || tagStart > position) {
+      const end = tagStart === -1 ? text.length : tagStart;
+      const chunk = text.slice(position, end);
+      if (chunk.trim()) parent.children.push(decodeEntities(chunk));
+      position = end;
+      continue;
+    }
+
+    if (text.startsWith('<!--', position)) {
+      const end = text.indexOf('-->', position);
+      if (end === -1) throw new Error(`Unclosed comment on line ${lineAt(position)}`);
+      position = end + 3;
+    } else if (text.startsWith('<![CDATA[', position)) {
+      const end = text.indexOf(']]>', position);
+      if (end === -1) throw new Error(`Unclosed CDATA section on line ${lineAt(position)}`);
+      parent.children.push(text.slice(position + 9, end));
+      position = end + 3;
+    } else if (text.startsWith('<?', position) || text.startsWith('<!', position)) {
+      // Declarations, processing instructions and DOCTYPE carry nothing we need
+      const end = text.indexOf('>', position);
+      if (end === -1) throw new Error(`Unclosed declaration on line ${lineAt(position)}`);
+      position = end + 1;
+    } else if (text.startsWith('</', position)) {
+      const end = text.indexOf('>', position);
+      if (end === -1) throw new Error(`Unclosed tag on line ${lineAt(position)}`);
+      const name = localName(text.slice(position + 2, end).trim());
+      const open = stack.pop();
+      if (stack.length === 0 || open.name !== name) {
+        throw new Error(`Unexpected </${name}> on line ${lineAt(position)}`);
+      }
+      position = end + 1;
+    } else {
+      const match = /^<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/.exec(text.slice(position));
+      if (!match) throw new Error(`Malformed tag on line ${lineAt(position)}`);
+      const element = { name: localName(match[1]), attributes: parseAttributes(match[2]), children: [] };
+      parent.children.push(element);
+      if (!match[3]) stack.push(element);
+      position += match[0].length;
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`<${stack[stack.length - 1].name}> is never closed`);
+  }
+
+  const documentElement = root.children.find(child => typeof child !== 'string');
+  if (!documentElement) throw new Error('The file contains no XML elements');
+  return documentElement;
+};
+
+/**
+ * Find every descendant element with a name
+ * @param {Object} node - Element to search under
+ * @param {String} name - Element name (without namespace prefix)
+ * @returns {Array} Matching elements, in document order
+ */
+export const findAll = (node, name) => node.children.flatMap(child => {
+  if (typeof child === 'string') return [];
+  return child.name === name ? [child, ...findAll(child, name)] : findAll(child, name);
+});
+
+/**
+ * Find the first direct child element with a name
+ * @param {Object} node - Parent element
+ * @param {String} name - Element name
+ * @returns {Object|undefined} The child element
+ */
+export const findChild = (node, name) => node.children.find(child => typeof child !== 'string' && child.name === name);
+
+/**
+ * Text inside an element, with whitespace collapsed
+ * @param {Object} node - Element
+ * @param {Set} skip - Names of elements whose text should be left out
+ * @returns {String} The text
+ */
+export const textContent = (node, skip = new Set()) => {
+  const collect = (current) => current.children.map(child => {
+    if (typeof child === 'string') return child;
+    if (skip.has(child.name)) return ' ';
+    // Keep block elements apart so "<p>a</p><p>b</p>" doesn't read as "ab"
+    return ['p', 'div', 'br', 'li'].includes(child.name) ? ` ${collect(child)} ` : collect(child);
+  }).join('');
+  return collect(node).replace(/\s+/g, ' ').trim();
+};
@@ -0,0 +1,68 @@
+import React from 'react';
+import {
+  Paper,
+  Typography,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Chip,
+} from '@mui/material';
+import BlockIcon from '@mui/icons-material/Block';
+import { ACCESS_DENIAL_LABELS } from '../../../utils/examAccess';
+
+/**
+ * Refused attempts to open or submit an assignment with exam hall restrictions
+ * @param {Array} denials - accessDenials from GET /api/assignments/:assignmentId/submissions (newest first)
+ */
+const AccessDenialsTable = ({ denials }) => {
+  if (!denials || denials.length === 0) return null;
+
+  return (
+    <Paper sx={{ p: 3, mt: 3 }}>
+      <Typography variant="h6" sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+        <BlockIcon color="error" />
+        Refused Access Attempts ({denials.length})
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Students who tried to open or submit this quiz from outside the allowed networks or without the right access code.
+      </Typography>
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell><strong>Student Name</strong></TableCell>
+              <TableCell><strong>Registration No.</strong></TableCell>
+              <TableCell><strong>Reason</strong></TableCell>
+              <TableCell><strong>While</strong></TableCell>
+              <TableCell><strong>IP Address</strong></TableCell>
+              <TableCell><strong>Time</strong></TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {denials.map((denial, index) => (
+              <TableRow key={index}>
+                <TableCell>{denial.candidateId?.name || 'N/A'}</TableCell>
+                <TableCell>{denial.candidateId?.registrationNumber || 'N/A'}</TableCell>
+                <TableCell>
+                  <Chip
+                    label={ACCESS_DENIAL_LABELS[denial.reason] || denial.reason}
+                    color={denial.reason === 'network' ? 'error' : 'warning'}
+                    size="small"
+                  />
+                </TableCell>
+                <TableCell>{denial.action === 'submit' ? 'Submitting' : 'Opening the quiz'}</TableCell>
+                <TableCell sx={{ fontFamily: 'monospace' }}>{denial.ipAddress || '-'}</TableCell>
+                <TableCell>{new Date(denial.at).toLocaleString()}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Paper>
+  );
+};
+
+export default AccessDenialsTable;
@@ -0,0 +1,44 @@
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+} from '@mui/material';
+import QuestionBankBrowser from './QuestionBankBrowser';
+import { toQuizQuestion } from '../../../utils/questionBank';
+
+// Pick bank questions to copy into the quiz being edited
+const AddFromBankDialog = ({ open, onClose, token, onAdd }) => {
+  const [selected, setSelected] = useState([]);
+
+  const handleClose = () => {
+    setSelected([]);
+    onClose();
+  };
+
+  const handleAdd = () => {
+    onAdd(selected.map(toQuizQuestion));
+    setSelected([]);
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="md" fullWidth>
+      <DialogTitle>Add Questions from Bank</DialogTitle>
+      <DialogContent dividers>
+        {open && (
+          <QuestionBankBrowser token={token} selected={selected} onSelectionChange={setSelected} />
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose}>Cancel</Button>
+        <Button onClick={handleAdd} variant="contained" disabled={selected.length === 0}>
+          Add {selected.length > 0 ? selected.length : ''} Question{selected.length === 1 ? '' : 's'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default AddFromBankDialog;
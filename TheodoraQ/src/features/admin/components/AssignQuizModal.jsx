@@ -6,16 +6,30 @@ import {
   Autocomplete, Chip, Box, Switch
 } from '@mui/material';
 import { useAuth } from '../../auth/contexts/AuthContext';
+import QuestionPoolsEditor from './QuestionPoolsEditor';
+import { generateAccessCode, parseNetworksText } from '../../../utils/examAccess';
 
 const AssignQuizModal = ({ open, onClose, quiz, classId, onSuccess, token }) => {
   const [classes, setClasses] = useState([]); // Admin's classes
   const [selectedClass, setSelectedClass] = useState('');
   const [dueDate, setDueDate] = useState('');
+  const [availableFrom, setAvailableFrom] = useState(''); // Empty = open as soon as it's assigned
+  const [closesAt, setClosesAt] = useState(''); // Empty = no late submissions
+  const [latePenaltyPerDay, setLatePenaltyPerDay] = useState(0);
+  const [latePenaltyMax, setLatePenaltyMax] = useState(100);
   const [timeLimit, setTimeLimit] = useState(60); // Default 60 mins
   const [weightage, setWeightage] = useState(0); // Weightage value
   const [weightageType, setWeightageType] = useState('percentage'); // 'percentage' or 'marks'
   const [selectedBranches, setSelectedBranches] = useState([]); // Array of selected branches
   const [proctoringEnabled, setProctoringEnabled] = useState(false); // AI Proctoring toggle
+  const [maxAttempts, setMaxAttempts] = useState(1); // Attempts allowed per student
+  const [scoringPolicy, setScoringPolicy] = useState('highest'); // Which attempt's score counts
+  const [shuffleOptions, setShuffleOptions] = useState(false); // Per-student option order
+  const [answerReview, setAnswerReview] = useState('class'); // When students see the correct answers
+  const [usePools, setUsePools] = useState(false); // Draw random questions per student
+  const [questionPools, setQuestionPools] = useState([]);
+  const [accessCode, setAccessCode] = useState(''); // Empty = no code needed
+  const [allowedNetworks, setAllowedNetworks] = useState(''); // One IP / CIDR range per line; empty = anywhere
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [isLoading, setIsLoading] = useState(false);
@@ -78,11 +92,23 @@ const AssignQuizModal = ({ open, onClose, quiz, classId, onSuccess, token }) =>
       // Reset form when modal closes
       setSelectedClass('');
       setDueDate('');
+      setAvailableFrom('');
+      setClosesAt('');
+      setLatePenaltyPerDay(0);
+      setLatePenaltyMax(100);
       setTimeLimit(60);
       setWeightage(0);
       setWeightageType('percentage');
       setSelectedBranches([]);
       setProctoringEnabled(false);
+      setMaxAttempts(1);
+      setScoringPolicy('highest');
+      setShuffleOptions(false);
+      setAnswerReview('class');
+      setUsePools(false);
+      setQuestionPools([]);
+      setAccessCode('');
+      setAllowedNetworks('');
       setError('');
       setSuccess('');
     }
@@ -108,6 +134,26 @@ const AssignQuizModal = ({ open, onClose, quiz, classId, onSuccess, token }) =>
       return;
     }
 
+    if (availableFrom && new Date(availableFrom) >= new Date(dueDate)) {
+      setError('The quiz must open before its due date.');
+      return;
+    }
+
+    if (closesAt && new Date(closesAt) < new Date(dueDate)) {
+      setError('Late submissions must close after the due date.');
+      return;
+    }
+
+    if (!Number.isInteger(Number(maxAttempts)) || Number(maxAttempts) < 1) {
+      setError('Maximum attempts must be a whole number of at least 1.');
+      return;
+    }
+
+    if (usePools && questionPools.length === 0) {
+      setError('Add at least one question pool, or turn off random questions.');
+      return;
+    }
+
     setIsLoading(true);
 
     // Determine subgroup value to send to backend
@@ -131,11 +177,21 @@ const AssignQuizModal = ({ open, onClose, quiz, classId, onSuccess, token }) =>
           quizId: quiz._id,
           classId: selectedClass,
           dueDate,
+          availableFrom: availableFrom || null,
+          closesAt: closesAt || null,
+          latePenalty: closesAt ? { perDay: Number(latePenaltyPerDay), max: Number(latePenaltyMax) } : undefined,
           timeLimit: Number(timeLimit),
           weightage: Number(weightage),
           weightageType: weightageType,
           subgroup: subgroupValue,
-          proctoringEnabled: proctoringEnabled
+          proctoringEnabled: proctoringEnabled,
+          maxAttempts: Number(maxAttempts),
+          scoringPolicy: scoringPolicy,
+          shuffleOptions: shuffleOptions,
+          answerReview: answerReview,
+          accessCode: accessCode.trim(),
+          allowedNetworks: parseNetworksText(allowedNetworks),
+          questionPools: usePools ? questionPools.map(pool => ({ ...pool, count: Number(pool.count) })) : []
         })
       });
 
@@ -185,6 +241,13 @@ const AssignQuizModal = ({ open, onClose, quiz, classId, onSuccess, token }) =>
           </Alert>
         )}
 
+        {/* The server refuses quizzes with an unfinished answer-key check; say so up front */}
+        {(quiz?.review?.status === 'pending' || quiz?.review?.flags?.some(flag => !flag.dismissed)) && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            This quiz has unresolved answer-key or duplicate warnings. Review them in the quiz editor before assigning it.
+          </Alert>
+        )}
+
         {/* Only show class selector if classId not provided */}
         {!classId && (
           <FormControl fullWidth margin="normal" sx={{ mt: 1 }}>
@@ -282,6 +345,57 @@ const AssignQuizModal = ({ open, onClose, quiz, classId, onSuccess, token }) =>
           disabled={isLoading || !!success}
         />
 
+        <TextField
+          label="Opens At"
+          type="datetime-local"
+          fullWidth
+          margin="normal"
+          value={availableFrom}
+          onChange={(e) => setAvailableFrom(e.target.value)}
+          InputLabelProps={{ shrink: true }}
+          disabled={isLoading || !!success}
+          helperText="Optional. Students don't see the quiz until then; leave empty to open it right away"
+        />
+
+        <TextField
+          label="Accept Late Submissions Until"
+          type="datetime-local"
+          fullWidth
+          margin="normal"
+          value={closesAt}
+          onChange={(e) => setClosesAt(e.target.value)}
+          InputLabelProps={{ shrink: true }}
+          disabled={isLoading || !!success}
+          helperText="Optional. Leave empty to close the quiz at the due date"
+        />
+
+        {closesAt && (
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            <TextField
+              label="Late Penalty (% per day)"
+              type="number"
+              fullWidth
+              margin="normal"
+              value={latePenaltyPerDay}
+              onChange={(e) => setLatePenaltyPerDay(e.target.value)}
+              inputProps={{ min: 0, max: 100 }}
+              disabled={isLoading || !!success}
+              helperText="Points off the score for each day late"
+            />
+            <TextField
+              label="Maximum Penalty (%)"
+              type="number"
+              fullWidth
+              margin="normal"
+              value={latePenaltyMax}
+              onChange={(e) => setLatePenaltyMax(e.target.value)}
+              inputProps={{ min: 0, max: 100 }}
+              disabled={isLoading || !!success}
+              helperText="Cap on the total late penalty"
+            />
+          </Box>
+        )}
+
         <TextField
           label="Time Limit (minutes) *"
           type="number"
@@ -294,6 +408,102 @@ const AssignQuizModal = ({ open, onClose, quiz, classId, onSuccess, token }) =>
           helperText="How long students have to complete the quiz once started"
         />
 
+        <TextField
+          label="Max Attempts *"
+          type="number"
+          fullWidth
+          margin="normal"
+          value={maxAttempts}
+          onChange={(e) => setMaxAttempts(e.target.value)}
+          inputProps={{ min: 1 }}
+          disabled={isLoading || !!success}
+          helperText="How many times each student may take the quiz"
+        />
+
+        {Number(maxAttempts) > 1 && (
+          <FormControl fullWidth margin="normal">
+            <InputLabel>Score That Counts</InputLabel>
+            <Select
+              value={scoringPolicy}
+              label="Score That Counts"
+              onChange={(e) => setScoringPolicy(e.target.value)}
+              disabled={isLoading || !!success}
+            >
+              <MenuItem value="highest">Highest attempt</MenuItem>
+              <MenuItem value="latest">Latest attempt</MenuItem>
+              <MenuItem value="average">Average of all attempts</MenuItem>
+            </Select>
+          </FormControl>
+        )}
+
+        <FormControl fullWidth margin="normal">
+          <InputLabel>Answer Review</InputLabel>
+          <Select
+            value={answerReview}
+            label="Answer Review"
+            onChange={(e) => setAnswerReview(e.target.value)}
+            disabled={isLoading || !!success}
+          >
+            <MenuItem value="class">Use the class setting</MenuItem>
+            <MenuItem value="immediately">Right after submitting</MenuItem>
+            <MenuItem value="after_due_date">After the quiz closes (late submissions and extensions included)</MenuItem>
+            <MenuItem value="after_all_submitted">After everyone has finished (no attempts left)</MenuItem>
+            <MenuItem value="never">Never</MenuItem>
+          </Select>
+        </FormControl>
+
+        {/* Per-student option order */}
+        <Box sx={{ mt: 2 }}>
+          <FormControlLabel
+            control={
+              <Switch
+                checked={shuffleOptions}
+                onChange={(e) => setShuffleOptions(e.target.checked)}
+                disabled={isLoading || !!success}
+              />
+            }
+            label={<Typography variant="body1" fontWeight={600}>🔀 Shuffle answer options</Typography>}
+          />
+          <Typography variant="caption" color="text.secondary" component="div">
+            Each student sees multiple-choice options in their own order. Options pinned in the quiz editor
+            (such as "All of the above") keep their position.
+          </Typography>
+        </Box>
+
+        {/* Random questions drawn from pools */}
+        <Box sx={{ mt: 2, mb: 1 }}>
+          <FormControlLabel
+            control={
+              <Switch
+                checked={usePools}
+                onChange={(e) => {
+                  setUsePools(e.target.checked);
+                  if (e.target.checked && questionPools.length === 0) {
+                    setQuestionPools([{ source: 'quiz', count: Math.min(5, quiz?.questions?.length || 5), tags: [], difficulty: '', type: '' }]);
+                  }
+                }}
+                disabled={isLoading || !!success}
+              />
+            }
+            label={<Typography variant="body1" fontWeight={600}>🎲 Randomize from question pools</Typography>}
+          />
+          {usePools && (
+            <>
+              <Typography variant="caption" color="text.secondary" component="div" sx={{ mb: 1.5 }}>
+                Each student gets their own random draw per attempt instead of the whole quiz.
+                Tag and difficulty filters on "This quiz" use the question bank details of questions added from the bank.
+              </Typography>
+              <QuestionPoolsEditor
+                pools={questionPools}
+                onChange={setQuestionPools}
+                quizId={quiz?._id}
+                token={token}
+                disabled={isLoading || !!success}
+              />
+            </>
+          )}
+        </Box>
+
         <FormControl component="fieldset" margin="normal" fullWidth>
           <FormLabel component="legend">Weightage Type</FormLabel>
           <RadioGroup
@@ -383,6 +593,49 @@ const AssignQuizModal = ({ open, onClose, quiz, classId, onSuccess, token }) =>
             </Typography>
           </Alert>
         </Box>
+
+        {/* Exam hall restrictions */}
+        <Box sx={{ mt: 3 }}>
+          <Typography variant="body1" fontWeight={600}>
+            🏫 Exam Hall Restrictions
+          </Typography>
+          <Typography variant="caption" color="text.secondary" component="div">
+            Optional. Stops students starting or submitting the quiz from outside the exam room.
+            Refused attempts show up in the Integrity Monitor.
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 2, alignItems: 'flex-start' }}>
+            <TextField
+              label="Access Code"
+              fullWidth
+              margin="normal"
+              value={accessCode}
+              onChange={(e) => setAccessCode(e.target.value.toUpperCase())}
+              inputProps={{ maxLength: 32 }}
+              disabled={isLoading || !!success}
+              helperText="Reveal it to the room when the exam starts. Leave empty for no code."
+            />
+            <Button
+              variant="outlined"
+              onClick={() => setAccessCode(generateAccessCode())}
+              disabled={isLoading || !!success}
+              sx={{ mt: 3, whiteSpace: 'nowrap' }}
+            >
+              Generate
+            </Button>
+          </Box>
+          <TextField
+            label="Allowed Networks"
+            fullWidth
+            multiline
+            minRows={2}
+            margin="normal"
+            value={allowedNetworks}
+            onChange={(e) => setAllowedNetworks(e.target.value)}
+            placeholder={'e.g. 10.20.0.0/16\n203.0.113.7'}
+            disabled={isLoading || !!success}
+            helperText="IP addresses or CIDR ranges, one per line. Leave empty to allow any network."
+          />
+        </Box>
       </DialogContent>
       <DialogActions sx={{ px: 3, py: 2 }}>
         <Button onClick={onClose} disabled={isLoading}>
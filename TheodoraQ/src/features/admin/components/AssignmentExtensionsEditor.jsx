@@ -0,0 +1,184 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  TextField,
+  MenuItem,
+  IconButton,
+  Button,
+  Alert,
+  List,
+  ListItem,
+  ListItemText,
+  Stack,
+} from '@mui/material';
+import { DateTimePicker } from '@mui/x-date-pickers/DateTimePicker';
+import DeleteIcon from '@mui/icons-material/Delete';
+
+/**
+ * Individual due-date extensions for an assignment
+ * Changes are saved straight away rather than with the rest of the edit dialog.
+ * Must be rendered inside a LocalizationProvider.
+ */
+const AssignmentExtensionsEditor = ({ assignment, token, onChange }) => {
+  const [extensions, setExtensions] = useState([]);
+  const [students, setStudents] = useState([]);
+  const [candidateId, setCandidateId] = useState('');
+  const [dueDate, setDueDate] = useState(null);
+  const [note, setNote] = useState('');
+  const [error, setError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const classId = assignment.classId?._id || assignment.classId;
+
+  useEffect(() => {
+    setExtensions(assignment.extensions || []);
+    setCandidateId('');
+    setDueDate(null);
+    setNote('');
+    setError('');
+  }, [assignment]);
+
+  // Students to pick from come from the class roster
+  useEffect(() => {
+    const fetchStudents = async () => {
+      try {
+        const response = await fetch(`/api/classes/${classId}`, {
+          headers: { 'Authorization': `Bearer ${token}` },
+        });
+        const result = await response.json();
+        if (response.ok) {
+          setStudents(result.data.students || []);
+        }
+      } catch (err) {
+        console.error('Error fetching class roster:', err);
+      }
+    };
+
+    if (token && classId) {
+      fetchStudents();
+    }
+  }, [classId, token]);
+
+  const studentName = (id) => {
+    const student = students.find(s => s._id === id);
+    return student ? `${student.name}${student.registrationNumber ? ` (${student.registrationNumber})` : ''}` : 'Unknown student';
+  };
+
+  const saveExtension = async (id, body) => {
+    setIsSaving(true);
+    setError('');
+    try {
+      const response = await fetch(`/api/assignments/${assignment._id}/extensions/${id}`, {
+        method: body ? 'PUT' : 'DELETE',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`,
+        },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to save extension');
+      }
+      setExtensions(result.data);
+      if (onChange) {
+        onChange(result.data);
+      }
+      return true;
+    } catch (err) {
+      console.error('Error saving extension:', err);
+      setError(err.message);
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleAdd = async () => {
+    if (!candidateId || !dueDate) {
+      setError('Pick a student and a new due date');
+      return;
+    }
+    if (dueDate <= new Date(assignment.dueDate)) {
+      setError("The extension must be after the assignment's due date");
+      return;
+    }
+    const saved = await saveExtension(candidateId, { dueDate: dueDate.toISOString(), note });
+    if (saved) {
+      setCandidateId('');
+      setDueDate(null);
+      setNote('');
+    }
+  };
+
+  return (
+    <Box>
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      {extensions.length > 0 ? (
+        <List dense disablePadding sx={{ mb: 2 }}>
+          {extensions.map(ext => (
+            <ListItem
+              key={ext.candidateId}
+              disableGutters
+              secondaryAction={
+                <IconButton edge="end" size="small" onClick={() => saveExtension(ext.candidateId)} disabled={isSaving}>
+                  <DeleteIcon fontSize="small" />
+                </IconButton>
+              }
+            >
+              <ListItemText
+                primary={studentName(ext.candidateId)}
+                secondary={`Due ${new Date(ext.dueDate).toLocaleString()}${ext.note ? ` - ${ext.note}` : ''}`}
+              />
+            </ListItem>
+          ))}
+        </List>
+      ) : (
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          No extensions. Everyone is due at the assignment's due date.
+        </Typography>
+      )}
+
+      <Stack direction="row" spacing={2}>
+        <TextField
+          select
+          fullWidth
+          label="Student"
+          value={candidateId}
+          onChange={(e) => setCandidateId(e.target.value)}
+        >
+          {students.map(student => (
+            <MenuItem key={student._id} value={student._id}>
+              {student.name}{student.registrationNumber ? ` (${student.registrationNumber})` : ''}
+            </MenuItem>
+          ))}
+        </TextField>
+        <DateTimePicker
+          label="Extended Due Date"
+          value={dueDate}
+          onChange={(newValue) => setDueDate(newValue)}
+          slotProps={{ textField: { fullWidth: true } }}
+        />
+      </Stack>
+      <Stack direction="row" spacing={2} sx={{ mt: 2 }} alignItems="center">
+        <TextField
+          fullWidth
+          size="small"
+          label="Note (optional)"
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+        />
+        <Button variant="outlined" onClick={handleAdd} disabled={isSaving} sx={{ whiteSpace: 'nowrap' }}>
+          {extensions.some(ext => ext.candidateId === candidateId) ? 'Update' : 'Add Extension'}
+        </Button>
+      </Stack>
+      <Typography variant="caption" color="text.secondary" sx={{ mt: 1, display: 'block' }}>
+        Late submissions stay open for the same length of time after the extended due date.
+      </Typography>
+    </Box>
+  );
+};
+
+export default AssignmentExtensionsEditor;
@@ -423,7 +423,7 @@ const AssignmentsTab = ({ classId }) => {
                       <TableCell>
                         {submission.isLateSubmission ? (
                           <Chip
-                            label="Late"
+                            label={submission.latePenalty > 0 ? `Late (-${submission.latePenalty}%)` : 'Late'}
                             color="warning"
                             size="small"
                           />
@@ -0,0 +1,147 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Alert,
+} from '@mui/material';
+import { BLOOM_LEVELS, DIFFICULTY_LEVELS } from '../../../utils/questionBank';
+
+// Edit a bank question's text, explanation and its search metadata (tags, topic, difficulty, Bloom level)
+const BankQuestionDialog = ({ open, onClose, question, token, onSaved }) => {
+  const [form, setForm] = useState({ text: '', explanation: '', tags: '', topic: '', difficulty: 'medium', bloomLevel: '' });
+  const [error, setError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (question) {
+      setForm({
+        text: question.text,
+        explanation: question.explanation || '',
+        tags: question.tags.join(', '),
+        topic: question.topic || '',
+        difficulty: question.difficulty || 'medium',
+        bloomLevel: question.bloomLevel || '',
+      });
+      setError('');
+    }
+  }, [question]);
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  const handleSave = async () => {
+    if (!form.text.trim()) {
+      setError('Question text cannot be empty');
+      return;
+    }
+
+    setIsSaving(true);
+    setError('');
+    try {
+      const response = await fetch(`http://localhost:5000/api/bank/${question._id}`, {
+        method: 'PUT',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          ...form,
+          tags: form.tags.split(','),
+        }),
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to update question');
+      }
+      onSaved(result.data);
+    } catch (err) {
+      console.error('Error updating bank question:', err);
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Edit Bank Question</DialogTitle>
+      <DialogContent>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        <TextField
+          name="text"
+          label="Question Text"
+          value={form.text}
+          onChange={handleChange}
+          fullWidth
+          multiline
+          minRows={2}
+          margin="normal"
+          helperText="Quizzes that already use this question keep their own copy"
+        />
+        <TextField
+          name="explanation"
+          label="Explanation"
+          value={form.explanation}
+          onChange={handleChange}
+          fullWidth
+          multiline
+          minRows={2}
+          margin="normal"
+          helperText="Why the answer is right, shown to candidates when answers are released"
+        />
+        <TextField
+          name="tags"
+          label="Tags"
+          value={form.tags}
+          onChange={handleChange}
+          fullWidth
+          margin="normal"
+          placeholder="e.g., algebra, chapter-3"
+          helperText="Separate tags with commas"
+        />
+        <TextField
+          name="topic"
+          label="Topic"
+          value={form.topic}
+          onChange={handleChange}
+          fullWidth
+          margin="normal"
+        />
+        <FormControl fullWidth margin="normal">
+          <InputLabel>Difficulty</InputLabel>
+          <Select name="difficulty" value={form.difficulty} label="Difficulty" onChange={handleChange}>
+            {DIFFICULTY_LEVELS.map(level => (
+              <MenuItem key={level} value={level} sx={{ textTransform: 'capitalize' }}>{level}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <FormControl fullWidth margin="normal">
+          <InputLabel>Bloom Level</InputLabel>
+          <Select name="bloomLevel" value={form.bloomLevel} label="Bloom Level" onChange={handleChange}>
+            <MenuItem value="">Not classified</MenuItem>
+            {BLOOM_LEVELS.map(level => (
+              <MenuItem key={level} value={level} sx={{ textTransform: 'capitalize' }}>{level}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={isSaving}>Cancel</Button>
+        <Button onClick={handleSave} variant="contained" disabled={isSaving}>
+          {isSaving ? 'Saving...' : 'Save'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default BankQuestionDialog;
@@ -20,6 +20,10 @@ import {
   Stack,
   IconButton,
   Tooltip,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
 } from '@mui/material';
 import DeleteIcon from '@mui/icons-material/Delete';
 import ContentCopyIcon from '@mui/icons-material/ContentCopy';
@@ -39,8 +43,9 @@ const ClassSettingsTab = ({ classData, onClassUpdated }) => {
   const [academicYear, setAcademicYear] = useState(classData?.academicYear || '');
   
   // Settings states
-  const [allowLateSubmissions, setAllowLateSubmissions] = useState(classData?.allowLateSubmissions ?? true);
   const [showResults, setShowResults] = useState(classData?.showResults ?? true);
+  const [answerReview, setAnswerReview] = useState(classData?.answerReview ?? 'never');
+  const [autoGrading, setAutoGrading] = useState(classData?.autoGrading ?? true);
   const [showRosterToCandidates, setShowRosterToCandidates] = useState(classData?.showRosterToCandidates ?? false);
   const [showLeaderboardToCandidates, setShowLeaderboardToCandidates] = useState(classData?.showLeaderboardToCandidates ?? false);
   
@@ -71,8 +76,9 @@ const ClassSettingsTab = ({ classData, onClassUpdated }) => {
           description,
           semester,
           academicYear,
-          allowLateSubmissions,
+          autoGrading,
           showResults,
+          answerReview,
           showRosterToCandidates,
           showLeaderboardToCandidates,
         }),
@@ -268,15 +274,15 @@ const ClassSettingsTab = ({ classData, onClassUpdated }) => {
             <FormControlLabel
               control={
                 <Switch
-                  checked={allowLateSubmissions}
-                  onChange={(e) => setAllowLateSubmissions(e.target.checked)}
+                  checked={autoGrading}
+                  onChange={(e) => setAutoGrading(e.target.checked)}
                 />
               }
               label={
                 <Box>
-                  <Typography variant="body1">Allow Late Submissions</Typography>
+                  <Typography variant="body1">Auto-Grade Short Answers</Typography>
                   <Typography variant="caption" color="text.secondary">
-                    Students can submit assignments after the due date
+                    When off, short answers wait in the review queue until you grade them
                   </Typography>
                 </Box>
               }
@@ -299,6 +305,24 @@ const ClassSettingsTab = ({ classData, onClassUpdated }) => {
               }
             />
 
+            <FormControl size="small" sx={{ my: 1, maxWidth: 360 }}>
+              <InputLabel>Answer Review</InputLabel>
+              <Select
+                value={answerReview}
+                label="Answer Review"
+                onChange={(e) => setAnswerReview(e.target.value)}
+              >
+                <MenuItem value="immediately">Right after submitting</MenuItem>
+                <MenuItem value="after_due_date">After the quiz closes (late submissions and extensions included)</MenuItem>
+                <MenuItem value="after_all_submitted">After everyone has finished (no attempts left)</MenuItem>
+                <MenuItem value="never">Never</MenuItem>
+              </Select>
+              <Typography variant="caption" color="text.secondary" sx={{ mt: 0.5 }}>
+                When candidates can go over their answers with the correct answers and explanations
+                (never while they have attempts left). Assignments can override this.
+              </Typography>
+            </FormControl>
+
             <FormControlLabel
               control={
                 <Switch
@@ -18,6 +18,7 @@ import {
   FormLabel,
   Divider,
   Switch,
+  MenuItem,
 } from '@mui/material';
 import { DateTimePicker } from '@mui/x-date-pickers/DateTimePicker';
 import { LocalizationProvider } from '@mui/x-date-pickers/LocalizationProvider';
@@ -25,15 +26,29 @@ import { AdapterDateFns } from '@mui/x-date-pickers/AdapterDateFns';
 import AccessTimeIcon from '@mui/icons-material/AccessTime';
 import EventIcon from '@mui/icons-material/Event';
 import ScaleIcon from '@mui/icons-material/Scale';
+import ReplayIcon from '@mui/icons-material/Replay';
+import PersonIcon from '@mui/icons-material/Person';
+import AssignmentExtensionsEditor from './AssignmentExtensionsEditor';
+import { generateAccessCode, parseNetworksText } from '../../../utils/examAccess';
 
 const EditAssignmentDialog = ({ open, onClose, assignment, onSuccess }) => {
   const [dueDate, setDueDate] = useState(null);
+  const [availableFrom, setAvailableFrom] = useState(null);
+  const [closesAt, setClosesAt] = useState(null); // null = no late submissions
+  const [latePenaltyPerDay, setLatePenaltyPerDay] = useState('0');
+  const [latePenaltyMax, setLatePenaltyMax] = useState('100');
   const [timeLimit, setTimeLimit] = useState('');
   const [weightage, setWeightage] = useState('');
   const [weightageType, setWeightageType] = useState('percentage');
   const [allowRetake, setAllowRetake] = useState(false);
   const [subgroup, setSubgroup] = useState('');
   const [proctoringEnabled, setProctoringEnabled] = useState(false);
+  const [maxAttempts, setMaxAttempts] = useState('1');
+  const [scoringPolicy, setScoringPolicy] = useState('highest');
+  const [shuffleOptions, setShuffleOptions] = useState(false);
+  const [answerReview, setAnswerReview] = useState('class');
+  const [accessCode, setAccessCode] = useState('');
+  const [allowedNetworks, setAllowedNetworks] = useState('');
   const [error, setError] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
 
@@ -41,12 +56,25 @@ const EditAssignmentDialog = ({ open, onClose, assignment, onSuccess }) => {
   useEffect(() => {
     if (assignment) {
       setDueDate(new Date(assignment.dueDate));
+      setAvailableFrom(assignment.availableFrom ? new Date(assignment.availableFrom) : null);
+      // A closing time equal to the due date means late work isn't accepted
+      setClosesAt(assignment.closesAt && new Date(assignment.closesAt) > new Date(assignment.dueDate)
+        ? new Date(assignment.closesAt)
+        : null);
+      setLatePenaltyPerDay((assignment.latePenalty?.perDay ?? 0).toString());
+      setLatePenaltyMax((assignment.latePenalty?.max ?? 100).toString());
       setTimeLimit(assignment.timeLimit.toString());
       setWeightage((assignment.weightage || 0).toString());
       setWeightageType(assignment.weightageType || 'percentage');
       setAllowRetake(false);
       setSubgroup(assignment.subgroup || '');
       setProctoringEnabled(assignment.proctoringEnabled || false);
+      setMaxAttempts((assignment.maxAttempts || 1).toString());
+      setScoringPolicy(assignment.scoringPolicy || 'highest');
+      setShuffleOptions(assignment.shuffleOptions || false);
+      setAnswerReview(assignment.answerReview || 'class');
+      setAccessCode(assignment.accessCode || '');
+      setAllowedNetworks((assignment.allowedNetworks || []).join('\n'));
       setError('');
     }
   }, [assignment]);
@@ -62,6 +90,9 @@ const EditAssignmentDialog = ({ open, onClose, assignment, onSuccess }) => {
     const newDate = new Date();
     newDate.setDate(newDate.getDate() + days);
     setDueDate(newDate);
+    if (closesAt && closesAt < newDate) {
+      setClosesAt(null);
+    }
   };
 
   // Handle form submission
@@ -91,6 +122,13 @@ const EditAssignmentDialog = ({ open, onClose, assignment, onSuccess }) => {
         return;
       }
 
+      const maxAttemptsNum = parseInt(maxAttempts);
+      if (isNaN(maxAttemptsNum) || maxAttemptsNum < 1) {
+        setError('Maximum attempts must be at least 1');
+        setIsSubmitting(false);
+        return;
+      }
+
       // Validate weightage ranges
       if (weightageType === 'percentage' && weightageNum > 100) {
         setError('Percentage weightage cannot exceed 100%');
@@ -98,6 +136,26 @@ const EditAssignmentDialog = ({ open, onClose, assignment, onSuccess }) => {
         return;
       }
 
+      if (availableFrom && availableFrom >= dueDate) {
+        setError('The quiz must open before its due date');
+        setIsSubmitting(false);
+        return;
+      }
+
+      if (closesAt && closesAt < dueDate) {
+        setError('Late submissions must close after the due date');
+        setIsSubmitting(false);
+        return;
+      }
+
+      const perDayNum = parseFloat(latePenaltyPerDay);
+      const maxPenaltyNum = parseFloat(latePenaltyMax);
+      if (isNaN(perDayNum) || perDayNum < 0 || perDayNum > 100 || isNaN(maxPenaltyNum) || maxPenaltyNum < 0 || maxPenaltyNum > 100) {
+        setError('Late penalties must be between 0 and 100%');
+        setIsSubmitting(false);
+        return;
+      }
+
       // Check if due date is in the past
       if (dueDate < new Date()) {
         const confirmPast = window.confirm(
@@ -123,12 +181,22 @@ const EditAssignmentDialog = ({ open, onClose, assignment, onSuccess }) => {
           },
           body: JSON.stringify({
             dueDate: dueDate.toISOString(),
+            availableFrom: availableFrom ? availableFrom.toISOString() : null,
+            // Leave older assignments without a closing time alone unless one is set
+            closesAt: closesAt ? closesAt.toISOString() : (assignment.closesAt ? null : undefined),
+            latePenalty: { perDay: perDayNum, max: maxPenaltyNum },
             timeLimit: timeLimitNum,
             weightage: weightageNum,
             weightageType: weightageType,
             allowRetake: allowRetake,
             subgroup: subgroup.trim(),
             proctoringEnabled: proctoringEnabled,
+            maxAttempts: maxAttemptsNum,
+            scoringPolicy: scoringPolicy,
+            shuffleOptions: shuffleOptions,
+            answerReview: answerReview,
+            accessCode: accessCode.trim(),
+            allowedNetworks: parseNetworksText(allowedNetworks),
           }),
         }
       );
@@ -245,6 +313,59 @@ const EditAssignmentDialog = ({ open, onClose, assignment, onSuccess }) => {
               )}
             </Box>
 
+            {/* Release Window */}
+            <Box>
+              <Typography variant="subtitle2" sx={{ mb: 1, display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                <EventIcon fontSize="small" />
+                Release Window
+              </Typography>
+              <Stack direction="row" spacing={2}>
+                <DateTimePicker
+                  label="Opens At"
+                  value={availableFrom}
+                  onChange={(newValue) => setAvailableFrom(newValue)}
+                  slotProps={{
+                    textField: { fullWidth: true, helperText: 'Empty = open now' },
+                    field: { clearable: true },
+                  }}
+                />
+                <DateTimePicker
+                  label="Accept Late Submissions Until"
+                  value={closesAt}
+                  onChange={(newValue) => setClosesAt(newValue)}
+                  slotProps={{
+                    textField: { fullWidth: true, helperText: 'Empty = closes at the due date' },
+                    field: { clearable: true },
+                  }}
+                />
+              </Stack>
+              {closesAt && (
+                <Stack direction="row" spacing={2} sx={{ mt: 2 }}>
+                  <TextField
+                    fullWidth
+                    type="number"
+                    label="Late Penalty (% per day)"
+                    value={latePenaltyPerDay}
+                    onChange={(e) => setLatePenaltyPerDay(e.target.value)}
+                    inputProps={{ min: 0, max: 100 }}
+                  />
+                  <TextField
+                    fullWidth
+                    type="number"
+                    label="Maximum Penalty (%)"
+                    value={latePenaltyMax}
+                    onChange={(e) => setLatePenaltyMax(e.target.value)}
+                    inputProps={{ min: 0, max: 100 }}
+                  />
+                </Stack>
+              )}
+              {!assignment.closesAt && (
+                <Typography variant="caption" color="text.secondary" sx={{ mt: 1, display: 'block' }}>
+                  This assignment predates closing times and follows the class's old late-submission setting until you set one.
+                </Typography>
+              )}
+            </Box>
+
             {/* Time Limit Input */}
             <Box>
               <Typography variant="subtitle2" sx={{ mb: 1, display: 'flex', alignItems: 'center', gap: 0.5 }}>
@@ -291,6 +412,77 @@ const EditAssignmentDialog = ({ open, onClose, assignment, onSuccess }) => {
               </Box>
             </Box>
 
+            {/* Individual Extensions */}
+            <Box>
+              <Typography variant="subtitle2" sx={{ mb: 1, display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                <PersonIcon fontSize="small" />
+                Individual Extensions
+              </Typography>
+              <AssignmentExtensionsEditor
+                assignment={assignment}
+                token={localStorage.getItem('token')}
+                onChange={(extensions) => onSuccess && onSuccess({ ...assignment, extensions })}
+              />
+            </Box>
+
+            {/* Attempts Section */}
+            <Box>
+              <Typography variant="subtitle2" sx={{ mb: 1, display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                <ReplayIcon fontSize="small" />
+                Attempts
+              </Typography>
+              <Stack direction="row" spacing={2}>
+                <TextField
+                  type="number"
+                  label="Max Attempts"
+                  value={maxAttempts}
+                  onChange={(e) => setMaxAttempts(e.target.value)}
+                  inputProps={{ min: 1 }}
+                  sx={{ width: 160 }}
+                />
+                <TextField
+                  select
+                  fullWidth
+                  label="Score That Counts"
+                  value={scoringPolicy}
+                  onChange={(e) => setScoringPolicy(e.target.value)}
+                  disabled={parseInt(maxAttempts) <= 1}
+                >
+                  <MenuItem value="highest">Highest attempt</MenuItem>
+                  <MenuItem value="latest">Latest attempt</MenuItem>
+                  <MenuItem value="average">Average of all attempts</MenuItem>
+                </TextField>
+              </Stack>
+              <FormControlLabel
+                sx={{ mt: 1 }}
+                control={
+                  <Switch
+                    checked={shuffleOptions}
+                    onChange={(e) => setShuffleOptions(e.target.checked)}
+                  />
+                }
+                label="Shuffle answer options for each student"
+              />
+              <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+                Applies to attempts started after saving. Pinned options keep their position.
+              </Typography>
+              <TextField
+                select
+                fullWidth
+                label="Answer Review"
+                value={answerReview}
+                onChange={(e) => setAnswerReview(e.target.value)}
+                helperText="When students can see the correct answers and explanations"
+                sx={{ mt: 2 }}
+              >
+                <MenuItem value="class">Use the class setting</MenuItem>
+                <MenuItem value="immediately">Right after submitting</MenuItem>
+                <MenuItem value="after_due_date">After the quiz closes (late submissions and extensions included)</MenuItem>
+                <MenuItem value="after_all_submitted">After everyone has finished (no attempts left)</MenuItem>
+                <MenuItem value="never">Never</MenuItem>
+              </TextField>
+            </Box>
+
             <Divider />
 
             {/* Branch Eligibility Section */}
@@ -361,6 +553,42 @@ const EditAssignmentDialog = ({ open, onClose, assignment, onSuccess }) => {
 
             <Divider />
 
+            {/* Exam Hall Restrictions */}
+            <Box>
+              <Typography variant="subtitle2" sx={{ mb: 1, fontWeight: 600 }}>
+                🏫 Exam Hall Restrictions (Optional)
+              </Typography>
+              <Typography variant="caption" color="text.secondary" sx={{ mb: 2, display: 'block' }}>
+                Stops students starting or submitting the quiz from outside the exam room. Refused attempts show up in the Integrity Monitor.
+              </Typography>
+              <Stack direction="row" spacing={1} alignItems="flex-start">
+                <TextField
+                  fullWidth
+                  label="Access Code"
+                  value={accessCode}
+                  onChange={(e) => setAccessCode(e.target.value.toUpperCase())}
+                  inputProps={{ maxLength: 32 }}
+                  helperText="Reveal it to the room when the exam starts. Leave empty for no code."
+                />
+                <Button variant="outlined" onClick={() => setAccessCode(generateAccessCode())} sx={{ mt: 1, whiteSpace: 'nowrap' }}>
+                  Generate
+                </Button>
+              </Stack>
+              <TextField
+                fullWidth
+                multiline
+                minRows={2}
+                label="Allowed Networks"
+                value={allowedNetworks}
+                onChange={(e) => setAllowedNetworks(e.target.value)}
+                placeholder={'e.g. 10.20.0.0/16\n203.0.113.7'}
+                helperText="IP addresses or CIDR ranges, one per line. Leave empty to allow any network."
+                sx={{ mt: 2 }}
+              />
+            </Box>
+
+            <Divider />
+
             {/* Weightage Section */}
             <Box>
               <Typography variant="subtitle2" sx={{ mb: 1, display: 'flex', alignItems: 'center', gap: 0.5 }}>
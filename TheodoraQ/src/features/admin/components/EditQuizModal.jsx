@@ -27,13 +27,21 @@ import {
   Image as ImageIcon,
   ArrowUpward as ArrowUpwardIcon,
   ArrowDownward as ArrowDownwardIcon,
+  PushPin as PushPinIcon,
+  PushPinOutlined as PushPinOutlinedIcon,
 } from '@mui/icons-material';
+import { arePatternsValid } from '../../../utils/answerPatterns';
+import { findRubricProblem } from '../../../utils/rubric';
+import { saveQuestionsToBank } from '../../../utils/questionBank';
+import { togglePinnedOption } from '../../../utils/pinnedOptions';
+import RubricEditor from './RubricEditor';
 
 const EditQuizModal = ({ open, onClose, quiz, onSave, token }) => {
   const [title, setTitle] = useState('');
   const [questions, setQuestions] = useState([]);
   const [error, setError] = useState('');
   const [isSaving, setIsSaving] = useState(false);
+  const [bankMessage, setBankMessage] = useState('');
 
   // Initialize form with quiz data or empty state
   useEffect(() => {
@@ -80,16 +88,21 @@ const EditQuizModal = ({ open, onClose, quiz, onSave, token }) => {
     
     // Auto-adjust options based on question type
     if (field === 'type') {
-      if (value === 'mcq') {
+      newQuestions[index].correctAnswers = [];
+      newQuestions[index].pinnedOptions = [];
+      if (value === 'mcq' || value === 'multi_select') {
         newQuestions[index].options = ['', '', '', ''];
         newQuestions[index].optionImages = ['', '', '', ''];
+        if (value === 'multi_select') {
+          newQuestions[index].answer = '';
+        }
       } else if (value === 'true_false') {
         newQuestions[index].options = ['True', 'False'];
         newQuestions[index].optionImages = ['', ''];
         if (!['True', 'False'].includes(newQuestions[index].answer)) {
           newQuestions[index].answer = '';
         }
-      } else if (value === 'short_answer') {
+      } else if (value === 'short_answer' || value === 'numeric' || value === 'essay') {
         newQuestions[index].options = [];
         newQuestions[index].optionImages = [];
       }
@@ -100,7 +113,12 @@ const EditQuizModal = ({ open, onClose, quiz, onSave, token }) => {
 
   const handleOptionChange = (qIndex, optIndex, value) => {
     const newQuestions = [...questions];
+    const oldValue = newQuestions[qIndex].options[optIndex];
     newQuestions[qIndex].options[optIndex] = value;
+    // Keep multi-select correct answers pointing at the renamed option
+    if (newQuestions[qIndex].correctAnswers) {
+      newQuestions[qIndex].correctAnswers = newQuestions[qIndex].correctAnswers.map(a => (a === oldValue ? value : a));
+    }
     setQuestions(newQuestions);
   };
 
@@ -172,11 +190,46 @@ const EditQuizModal = ({ open, onClose, quiz, onSave, token }) => {
         return false;
       }
       
+      if (q.type === 'multi_select') {
+        if (q.options.some(opt => !opt.trim())) {
+          setError(`Question ${i + 1}: All options must be filled`);
+          return false;
+        }
+        const correctAnswers = q.correctAnswers || [];
+        if (correctAnswers.length === 0 || !correctAnswers.every(a => q.options.includes(a))) {
+          setError(`Question ${i + 1}: Select at least one correct option`);
+          return false;
+        }
+        continue;
+      }
+      
+      if (q.type === 'numeric') {
+        if (typeof q.numericAnswer !== 'number' || isNaN(q.numericAnswer)) {
+          setError(`Question ${i + 1}: Correct numeric value is required`);
+          return false;
+        }
+        continue;
+      }
+      
+      if (q.type === 'essay') {
+        const rubricProblem = findRubricProblem(q.rubric);
+        if (rubricProblem) {
+          setError(`Question ${i + 1}: ${rubricProblem}`);
+          return false;
+        }
+        continue;
+      }
+      
       if (!q.answer || !q.answer.trim()) {
         setError(`Question ${i + 1}: Answer is required`);
         return false;
       }
       
+      if (q.type === 'short_answer' && !arePatternsValid(q.answerPatterns)) {
+        setError(`Question ${i + 1}: One of the regex patterns is invalid or uses nested or overlapping repeats like (a+)+, (a|b)* or a*a*`);
+        return false;
+      }
+      
       if (q.type === 'mcq') {
         if (q.options.some(opt => !opt.trim())) {
           setError(`Question ${i + 1}: All MCQ options must be filled`);
@@ -199,6 +252,39 @@ const EditQuizModal = ({ open, onClose, quiz, onSave, token }) => {
     return true;
   };
 
+  // Save the (possibly generated) questions straight into the question bank
+  const handleSaveToBank = async () => {
+    setError('');
+    setBankMessage('');
+
+    if (!validateQuiz()) {
+      return;
+    }
+
+    const unsaved = questions.filter(q => !q.bankQuestionId);
+    if (unsaved.length === 0) {
+      setBankMessage('Every question is already in the question bank.');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const saved = await saveQuestionsToBank(token, unsaved, {
+        source: quiz?._id ? 'quiz' : 'generated',
+        topic: title.trim(),
+      });
+      // Link each question to its bank copy so the quiz keeps the reference when saved
+      const savedIds = new Map(unsaved.map((question, index) => [question, saved[index]._id]));
+      setQuestions(questions.map(q => (savedIds.has(q) ? { ...q, bankQuestionId: savedIds.get(q) } : q)));
+      setBankMessage(`${saved.length} question(s) saved to the question bank.`);
+    } catch (err) {
+      console.error('Error saving questions to bank:', err);
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
   const handleSave = async () => {
     setError('');
     
@@ -228,6 +314,8 @@ const EditQuizModal = ({ open, onClose, quiz, onSave, token }) => {
           title,
           timeLimit: 10, // Default time limit, can be changed during assignment
           questions,
+          // A new quiz opened with content came from the AI generator; its answers get checked before assigning
+          generated: !isExistingQuiz && Boolean(quiz),
         }),
       });
       
@@ -262,10 +350,15 @@ const EditQuizModal = ({ open, onClose, quiz, onSave, token }) => {
       
       <DialogContent dividers sx={{ bgcolor: 'grey.50' }}>
         {error && (
-          <Alert severity="error" sx={{ mb: 3 }} onClose={() => setError('')}>
+          <Alert severity="error" sx={{ mb: 3, whiteSpace: 'pre-line' }} onClose={() => setError('')}>
             {error}
           </Alert>
         )}
+        {bankMessage && (
+          <Alert severity="success" sx={{ mb: 3 }} onClose={() => setBankMessage('')}>
+            {bankMessage}
+          </Alert>
+        )}
         
         {/* Quiz Metadata */}
         <Card sx={{ mb: 3, bgcolor: 'background.paper' }}>
@@ -400,8 +493,11 @@ const EditQuizModal = ({ open, onClose, quiz, onSave, token }) => {
                           onChange={(e) => handleQuestionChange(qIndex, 'type', e.target.value)}
                         >
                           <MenuItem value="mcq">Multiple Choice</MenuItem>
+                          <MenuItem value="multi_select">Multi-Select</MenuItem>
                           <MenuItem value="true_false">True/False</MenuItem>
                           <MenuItem value="short_answer">Short Answer</MenuItem>
+                          <MenuItem value="numeric">Numeric</MenuItem>
+                          <MenuItem value="essay">Essay</MenuItem>
                         </Select>
                       </FormControl>
                     </Grid>
@@ -445,8 +541,8 @@ const EditQuizModal = ({ open, onClose, quiz, onSave, token }) => {
                   </Grid>
                 </Box>
                 
-                {/* Options Section (for MCQ and True/False) */}
-                {(question.type === 'mcq' || question.type === 'true_false') && (
+                {/* Options Section (for MCQ, Multi-Select and True/False) */}
+                {(question.type === 'mcq' || question.type === 'multi_select' || question.type === 'true_false') && (
                   <Box sx={{ mb: 3, p: 2, bgcolor: 'action.hover', borderRadius: 1 }}>
                     <Typography variant="subtitle2" color="text.secondary" sx={{ mb: 2, fontWeight: 600 }}>
                       Answer Options
@@ -476,7 +572,7 @@ const EditQuizModal = ({ open, onClose, quiz, onSave, token }) => {
                           required
                           placeholder={`Enter option ${String.fromCharCode(65 + optIndex)}`}
                         />
-                        {question.type === 'mcq' && (
+                        {(question.type === 'mcq' || question.type === 'multi_select') && (
                           <Box sx={{ ml: 1 }}>
                             {question.optionImages?.[optIndex] ? (
                               <Box sx={{ position: 'relative', width: 48, height: 48 }}>
@@ -521,6 +617,18 @@ const EditQuizModal = ({ open, onClose, quiz, onSave, token }) => {
                             )}
                           </Box>
                         )}
+                        {(question.type === 'mcq' || question.type === 'multi_select') && (
+                          <IconButton
+                            size="small"
+                            color={(question.pinnedOptions || []).includes(optIndex) ? 'primary' : 'default'}
+                            onClick={() => handleQuestionChange(qIndex, 'pinnedOptions', togglePinnedOption(question.pinnedOptions, optIndex))}
+                            title='Keep this option in place when options are shuffled (e.g. "All of the above")'
+                          >
+                            {(question.pinnedOptions || []).includes(optIndex)
+                              ? <PushPinIcon fontSize="small" />
+                              : <PushPinOutlinedIcon fontSize="small" />}
+                          </IconButton>
+                        )}
                       </Box>
                     ))}
                   </Box>
@@ -531,7 +639,98 @@ const EditQuizModal = ({ open, onClose, quiz, onSave, token }) => {
                   <Typography variant="subtitle2" color="success.dark" sx={{ mb: 1.5, fontWeight: 600 }}>
                     Correct Answer
                   </Typography>
-                  {question.type === 'mcq' || question.type === 'true_false' ? (
+                  {question.type === 'numeric' ? (
+                    <Grid container spacing={2}>
+                      <Grid item xs={6} sm={3}>
+                        <TextField
+                          fullWidth
+                          size="small"
+                          type="number"
+                          label="Correct Value"
+                          value={question.numericAnswer ?? ''}
+                          onChange={(e) => handleQuestionChange(qIndex, 'numericAnswer', e.target.value === '' ? undefined : parseFloat(e.target.value))}
+                          required
+                        />
+                      </Grid>
+                      <Grid item xs={6} sm={3}>
+                        <TextField
+                          fullWidth
+                          size="small"
+                          type="number"
+                          label="Tolerance"
+                          value={question.tolerance ?? 0}
+                          onChange={(e) => handleQuestionChange(qIndex, 'tolerance', parseFloat(e.target.value) || 0)}
+                          inputProps={{ min: 0 }}
+                        />
+                      </Grid>
+                      <Grid item xs={6} sm={3}>
+                        <FormControl fullWidth size="small">
+                          <InputLabel>Tolerance Type</InputLabel>
+                          <Select
+                            value={question.toleranceType || 'absolute'}
+                            label="Tolerance Type"
+                            onChange={(e) => handleQuestionChange(qIndex, 'toleranceType', e.target.value)}
+                          >
+                            <MenuItem value="absolute">± value</MenuItem>
+                            <MenuItem value="relative">± percent</MenuItem>
+                          </Select>
+                        </FormControl>
+                      </Grid>
+                      <Grid item xs={6} sm={3}>
+                        <TextField
+                          fullWidth
+                          size="small"
+                          label="Unit (optional)"
+                          value={question.unit || ''}
+                          onChange={(e) => handleQuestionChange(qIndex, 'unit', e.target.value)}
+                          placeholder="e.g., m/s"
+                        />
+                      </Grid>
+                    </Grid>
+                  ) : question.type === 'essay' ? (
+                    <>
+                      <TextField
+                        fullWidth
+                        size="small"
+                        multiline
+                        rows={3}
+                        label="Model Answer / Grading Notes (optional)"
+                        value={question.answer || ''}
+                        onChange={(e) => handleQuestionChange(qIndex, 'answer', e.target.value)}
+                        helperText="Shown to graders only. Essays are always graded by hand."
+                      />
+                      <RubricEditor
+                        rubric={question.rubric || []}
+                        onChange={(rubric) => handleQuestionChange(qIndex, 'rubric', rubric)}
+                      />
+                    </>
+                  ) : question.type === 'multi_select' ? (
+                    <FormControl fullWidth size="small">
+                      <InputLabel>Select Correct Answers *</InputLabel>
+                      <Select
+                        multiple
+                        value={question.correctAnswers || []}
+                        label="Select Correct Answers *"
+                        onChange={(e) => handleQuestionChange(qIndex, 'correctAnswers', e.target.value)}
+                        renderValue={(selected) => selected.join(', ')}
+                        required
+                      >
+                        {question.options.map((option, idx) => (
+                          <MenuItem key={idx} value={option} disabled={!option}>
+                            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                              <Chip 
+                                label={String.fromCharCode(65 + idx)} 
+                                size="small" 
+                                color="primary"
+                              />
+                              {option || `Option ${idx + 1}`}
+                            </Box>
+                          </MenuItem>
+                        ))}
+                      </Select>
+                      <FormHelperText>Choose every option that is correct</FormHelperText>
+                    </FormControl>
+                  ) : question.type === 'mcq' || question.type === 'true_false' ? (
                     <FormControl fullWidth size="small">
                       <InputLabel>Select Correct Answer *</InputLabel>
                       <Select
@@ -556,17 +755,67 @@ const EditQuizModal = ({ open, onClose, quiz, onSave, token }) => {
                       <FormHelperText>Choose which option is the correct answer</FormHelperText>
                     </FormControl>
                   ) : (
-                    <TextField
-                      fullWidth
-                      size="small"
-                      label="Expected Answer"
-                      value={question.answer}
-                      onChange={(e) => handleQuestionChange(qIndex, 'answer', e.target.value)}
-                      placeholder="Enter the expected correct answer"
-                      required
-                      helperText="Provide the most widely accepted answer for this question"
-                    />
+                    <Grid container spacing={2}>
+                      <Grid item xs={12}>
+                        <TextField
+                          fullWidth
+                          size="small"
+                          label="Expected Answer"
+                          value={question.answer}
+                          onChange={(e) => handleQuestionChange(qIndex, 'answer', e.target.value)}
+                          placeholder="Enter the expected correct answer"
+                          required
+                          helperText="Provide the most widely accepted answer for this question"
+                        />
+                      </Grid>
+                      <Grid item xs={12} sm={5}>
+                        <TextField
+                          fullWidth
+                          size="small"
+                          multiline
+                          minRows={2}
+                          label="Also Accept (one per line)"
+                          value={(question.acceptedAnswers || []).join('\n')}
+                          onChange={(e) => handleQuestionChange(qIndex, 'acceptedAnswers', e.target.value.split('\n'))}
+                        />
+                      </Grid>
+                      <Grid item xs={12} sm={5}>
+                        <TextField
+                          fullWidth
+                          size="small"
+                          multiline
+                          minRows={2}
+                          label="Regex Patterns (one per line)"
+                          value={(question.answerPatterns || []).join('\n')}
+                          onChange={(e) => handleQuestionChange(qIndex, 'answerPatterns', e.target.value.split('\n'))}
+                          helperText="Case-insensitive"
+                        />
+                      </Grid>
+                      <Grid item xs={12} sm={2}>
+                        <TextField
+                          fullWidth
+                          size="small"
+                          type="number"
+                          label="Typo Tolerance"
+                          value={question.typoTolerance ?? 0}
+                          onChange={(e) => handleQuestionChange(qIndex, 'typoTolerance', parseInt(e.target.value) || 0)}
+                          inputProps={{ min: 0, max: 5 }}
+                        />
+                      </Grid>
+                    </Grid>
                   )}
+
+                  <TextField
+                    fullWidth
+                    size="small"
+                    multiline
+                    minRows={2}
+                    label="Explanation (optional)"
+                    value={question.explanation || ''}
+                    onChange={(e) => handleQuestionChange(qIndex, 'explanation', e.target.value)}
+                    helperText="Why the answer is right - shown to candidates when answers are released"
+                    sx={{ mt: 2 }}
+                  />
                 </Box>
               </CardContent>
             </Card>
@@ -588,6 +837,9 @@ const EditQuizModal = ({ open, onClose, quiz, onSave, token }) => {
       </DialogContent>
       
       <DialogActions sx={{ px: 3, py: 2 }}>
+        <Button onClick={handleSaveToBank} disabled={isSaving || questions.length === 0} size="large" sx={{ mr: 'auto' }}>
+          Save to Question Bank
+        </Button>
         <Button onClick={onClose} disabled={isSaving} size="large">
           Cancel
         </Button>
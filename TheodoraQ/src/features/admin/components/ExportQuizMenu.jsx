@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import {
+  Button,
+  Menu,
+  MenuItem,
+  ListItemText,
+  Divider,
+} from '@mui/material';
+import FileDownloadIcon from '@mui/icons-material/FileDownload';
+
+const DOWNLOAD_FORMATS = [
+  { format: 'qti', label: 'QTI 2.1 package', hint: '.zip - Canvas, Blackboard, other LMSs' },
+  { format: 'gift', label: 'Moodle GIFT', hint: '.gift - plain text' },
+  { format: 'json', label: 'TheodoraQ JSON', hint: '.json - re-import here without losing anything' },
+];
+
+/**
+ * Export menu for one quiz
+ * Downloads QTI, GIFT or JSON, or opens a printable HTML paper in a new tab
+ * (from where the browser can print it or save it as PDF).
+ */
+const ExportQuizMenu = ({ quiz, token, size = 'small' }) => {
+  const [anchorEl, setAnchorEl] = useState(null);
+
+  const fetchExport = async (path) => {
+    const response = await fetch(`http://localhost:5000/api/quiz/${quiz._id}/export/${path}`, {
+      headers: { 'Authorization': `Bearer ${token}` },
+    });
+    if (!response.ok) {
+      const result = await response.json().catch(() => ({}));
+      throw new Error(result.message || 'Failed to export quiz');
+    }
+    return response;
+  };
+
+  const handleDownload = async (format) => {
+    setAnchorEl(null);
+    try {
+      const response = await fetchExport(format);
+      const fileName = /filename=([^;]+)/.exec(response.headers.get('Content-Disposition') || '')?.[1] || `quiz-export.${format}`;
+
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = fileName;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+    } catch (err) {
+      console.error('Error exporting quiz:', err);
+      alert(`Failed to export quiz: ${err.message}`);
+    }
+  };
+
+  const handlePrint = async (withAnswers) => {
+    setAnchorEl(null);
+    // Open the tab straight away so the browser doesn't treat it as a pop-up
+    const printWindow = window.open('', '_blank');
+    try {
+      const response = await fetchExport(`html?answerKey=${withAnswers}`);
+      const blob = await response.blob();
+      printWindow.location.href = window.URL.createObjectURL(blob);
+    } catch (err) {
+      printWindow?.close();
+      console.error('Error preparing printable quiz:', err);
+      alert(`Failed to prepare printable quiz: ${err.message}`);
+    }
+  };
+
+  return (
+    <>
+      <Button
+        size={size}
+        startIcon={<FileDownloadIcon />}
+        onClick={(e) => setAnchorEl(e.currentTarget)}
+      >
+        Export
+      </Button>
+      <Menu anchorEl={anchorEl} open={Boolean(anchorEl)} onClose={() => setAnchorEl(null)}>
+        {DOWNLOAD_FORMATS.map(({ format, label, hint }) => (
+          <MenuItem key={format} onClick={() => handleDownload(format)}>
+            <ListItemText primary={label} secondary={hint} />
+          </MenuItem>
+        ))}
+        <Divider />
+        <MenuItem onClick={() => handlePrint(false)}>
+          <ListItemText primary="Printable paper (HTML)" secondary="For students - no answers. Print or save as PDF from the new tab" />
+        </MenuItem>
+        <MenuItem onClick={() => handlePrint(true)}>
+          <ListItemText primary="Printable answer key (HTML)" secondary="Correct answers and marking guides" />
+        </MenuItem>
+      </Menu>
+    </>
+  );
+};
+
+export default ExportQuizMenu;
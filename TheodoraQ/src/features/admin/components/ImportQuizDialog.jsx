@@ -0,0 +1,349 @@
+import React, { useState, useRef } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Typography,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Paper,
+  Checkbox,
+  Chip,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
+import DownloadIcon from '@mui/icons-material/Download';
+import { QUESTION_TYPE_LABELS } from '../../../utils/questionBank';
+
+const FORMAT_LABELS = {
+  qti: 'QTI 2.1 (.xml or .zip)',
+  gift: 'Moodle GIFT',
+  aiken: 'Aiken',
+  csv: 'CSV / Excel',
+  json: 'TheodoraQ JSON export',
+};
+
+// The correct answer of a parsed question, for the preview
+const describeAnswer = (question) => {
+  if (question.type === 'multi_select') return question.correctAnswers.join(', ');
+  if (question.type === 'numeric') {
+    return `${question.numericAnswer}${question.tolerance ? ` ± ${question.tolerance}` : ''}${question.unit ? ` ${question.unit}` : ''}`;
+  }
+  if (question.type === 'short_answer') return [question.answer, ...(question.acceptedAnswers || [])].join(' | ');
+  return question.answer;
+};
+
+/**
+ * Import a quiz from a QTI, GIFT, Aiken, CSV/XLSX or exported JSON file
+ * The file is parsed on the server; the admin reviews every question (and any
+ * problems found) and picks which ones to keep before the quiz is created.
+ */
+const ImportQuizDialog = ({ open, onClose, token, onImported }) => {
+  const fileInputRef = useRef(null);
+  const [file, setFile] = useState(null);
+  const [format, setFormat] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [title, setTitle] = useState('');
+  const [timeLimit, setTimeLimit] = useState(10);
+  const [isParsing, setIsParsing] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const reset = () => {
+    setFile(null);
+    setFormat('');
+    setPreview(null);
+    setSelected([]);
+    setTitle('');
+    setTimeLimit(10);
+    setError('');
+  };
+
+  const handleClose = () => {
+    reset();
+    onClose();
+  };
+
+  const parseFile = async (fileToParse, formatToUse) => {
+    setIsParsing(true);
+    setError('');
+    setPreview(null);
+
+    const formData = new FormData();
+    formData.append('file', fileToParse);
+    if (formatToUse) {
+      formData.append('format', formatToUse);
+    }
+
+    try {
+      const response = await fetch('http://localhost:5000/api/quiz/import/preview', {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}` },
+        body: formData,
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to read the file');
+      }
+
+      setPreview(result.data);
+      setTitle(result.data.title);
+      if (result.data.timeLimit) {
+        setTimeLimit(result.data.timeLimit);
+      }
+      // Questions without problems are included by default
+      setSelected(result.data.questions.filter(item => item.errors.length === 0).map(item => item.index));
+    } catch (err) {
+      console.error('Error previewing import:', err);
+      setError(err.message);
+    } finally {
+      setIsParsing(false);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const chosen = e.target.files[0];
+    e.target.value = '';
+    if (!chosen) return;
+    setFile(chosen);
+    parseFile(chosen, format);
+  };
+
+  const handleFormatChange = (value) => {
+    setFormat(value);
+    if (file) {
+      parseFile(file, value);
+    }
+  };
+
+  const handleDownloadTemplate = async () => {
+    try {
+      const response = await fetch('http://localhost:5000/api/quiz/import/template', {
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      if (!response.ok) {
+        throw new Error('Failed to download template');
+      }
+
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = 'quiz-import-template.xlsx';
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+    } catch (err) {
+      setError('Failed to download template: ' + err.message);
+    }
+  };
+
+  const toggleSelected = (index) => {
+    setSelected(prev => (prev.includes(index) ? prev.filter(i => i !== index) : [...prev, index]));
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    setError('');
+    try {
+      const questions = preview.questions
+        .filter(item => selected.includes(item.index))
+        .map(item => item.question);
+
+      const response = await fetch('http://localhost:5000/api/quiz/manual', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ title: title.trim(), questions, timeLimit: Number(timeLimit) || 10 }),
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || result.message || 'Failed to create quiz');
+      }
+
+      onImported(result.data);
+      handleClose();
+    } catch (err) {
+      console.error('Error saving imported quiz:', err);
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="md" fullWidth>
+      <DialogTitle>Import Quiz</DialogTitle>
+      <DialogContent dividers>
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, alignItems: 'center', mb: 2 }}>
+          <input
+            type="file"
+            ref={fileInputRef}
+            onChange={handleFileChange}
+            style={{ display: 'none' }}
+            accept=".xml, .zip, .gift, .txt, .csv, .xlsx, .xls, .json"
+          />
+          <Button
+            variant="outlined"
+            startIcon={<UploadFileIcon />}
+            onClick={() => fileInputRef.current.click()}
+            disabled={isParsing || isSaving}
+          >
+            {file ? 'Choose Another File' : 'Choose File'}
+          </Button>
+          <FormControl size="small" sx={{ minWidth: 200 }}>
+            <InputLabel>Format</InputLabel>
+            <Select
+              value={format}
+              label="Format"
+              onChange={(e) => handleFormatChange(e.target.value)}
+              disabled={isParsing || isSaving}
+            >
+              <MenuItem value="">Detect automatically</MenuItem>
+              {Object.entries(FORMAT_LABELS).map(([value, label]) => (
+                <MenuItem key={value} value={value}>{label}</MenuItem>
+              ))}
+            </Select>
+          </FormControl>
+          <Button size="small" startIcon={<DownloadIcon />} onClick={handleDownloadTemplate}>
+            CSV/Excel Template
+          </Button>
+        </Box>
+
+        {file && (
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            {file.name}{preview ? ` - read as ${FORMAT_LABELS[preview.format]}` : ''}
+          </Typography>
+        )}
+
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+        {isParsing && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', my: 3 }}>
+            <CircularProgress />
+          </Box>
+        )}
+
+        {preview && (
+          <>
+            <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+              <TextField
+                label="Quiz Title"
+                value={title}
+                onChange={(e) => setTitle(e.target.value)}
+                size="small"
+                fullWidth
+              />
+              <TextField
+                label="Time Limit (minutes)"
+                type="number"
+                value={timeLimit}
+                onChange={(e) => setTimeLimit(e.target.value)}
+                size="small"
+                inputProps={{ min: 1 }}
+                sx={{ width: 200 }}
+              />
+            </Box>
+
+            <Alert severity={preview.errorCount > 0 ? 'warning' : 'success'} sx={{ mb: 2 }}>
+              {preview.validCount} question(s) ready to import
+              {preview.errorCount > 0 && `, ${preview.errorCount} with problems - fix them in the file and upload it again, or leave them out`}
+            </Alert>
+
+            {preview.questions.map(item => {
+              const hasErrors = item.errors.length > 0;
+              const { question } = item;
+
+              return (
+                <Paper
+                  key={item.index}
+                  variant="outlined"
+                  sx={{ p: 1.5, mb: 1, display: 'flex', gap: 1, borderColor: hasErrors ? 'error.light' : undefined }}
+                >
+                  <Checkbox
+                    checked={selected.includes(item.index)}
+                    onChange={() => toggleSelected(item.index)}
+                    disabled={hasErrors}
+                    sx={{ alignSelf: 'flex-start', p: 0.5 }}
+                  />
+                  <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+                    <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', mb: 0.5 }}>
+                      <Typography variant="caption" color="text.secondary">{item.source}</Typography>
+                      {question && <Chip size="small" label={QUESTION_TYPE_LABELS[question.type] || question.type} />}
+                      {question?.points !== undefined && question.points !== 1 && (
+                        <Chip size="small" variant="outlined" label={`${question.points} pts`} />
+                      )}
+                    </Box>
+                    {question && (
+                      <>
+                        <Typography variant="body2" sx={{ fontWeight: 500 }}>{question.text}</Typography>
+                        {question.options?.length > 0 && question.type !== 'true_false' && (
+                          <Box component="ul" sx={{ my: 0.5, pl: 3 }}>
+                            {question.options.map((option, i) => {
+                              const isCorrect = question.type === 'multi_select'
+                                ? question.correctAnswers.includes(option)
+                                : question.answer === option;
+                              return (
+                                <Typography
+                                  component="li"
+                                  variant="body2"
+                                  key={i}
+                                  sx={{ color: isCorrect ? 'success.main' : 'text.primary', fontWeight: isCorrect ? 600 : 400 }}
+                                >
+                                  {option}
+                                </Typography>
+                              );
+                            })}
+                          </Box>
+                        )}
+                        {!['mcq', 'multi_select'].includes(question.type) && describeAnswer(question) && (
+                          <Typography variant="body2" color="success.main">
+                            Answer: {describeAnswer(question)}
+                          </Typography>
+                        )}
+                      </>
+                    )}
+                    {item.errors.map((message, i) => (
+                      <Alert key={i} severity="error" sx={{ mt: 0.5, py: 0 }}>{message}</Alert>
+                    ))}
+                  </Box>
+                </Paper>
+              );
+            })}
+          </>
+        )}
+
+        {!file && !isParsing && (
+          <Typography variant="body2" color="text.secondary">
+            Upload a QTI 2.1 item or content package, a Moodle GIFT or Aiken text file, a CSV/Excel sheet
+            laid out like the template, or a JSON file exported from TheodoraQ. You can review every
+            question before the quiz is created.
+          </Typography>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose} disabled={isSaving}>Cancel</Button>
+        <Button
+          onClick={handleSave}
+          variant="contained"
+          disabled={!preview || selected.length === 0 || !title.trim() || isSaving}
+        >
+          {isSaving ? 'Importing...' : `Import ${selected.length} Question${selected.length === 1 ? '' : 's'}`}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default ImportQuizDialog;
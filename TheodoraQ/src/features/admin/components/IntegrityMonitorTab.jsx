@@ -43,12 +43,14 @@ import FaceIcon from '@mui/icons-material/Face';
 import PhoneAndroidIcon from '@mui/icons-material/PhoneAndroid';
 import DirectionsRunIcon from '@mui/icons-material/DirectionsRun';
 import SwapHorizIcon from '@mui/icons-material/SwapHoriz';
+import AccessDenialsTable from './AccessDenialsTable';
 
 const IntegrityMonitorTab = ({ classId }) => {
   const { token } = useAuth();
   const [assignments, setAssignments] = useState([]);
   const [selectedAssignment, setSelectedAssignment] = useState('');
   const [cheatData, setCheatData] = useState([]);
+  const [accessDenials, setAccessDenials] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [violationDialogOpen, setViolationDialogOpen] = useState(false);
@@ -91,6 +93,7 @@ const IntegrityMonitorTab = ({ classId }) => {
       fetchCheatActivity(selectedAssignment);
     } else {
       setCheatData([]);
+      setAccessDenials([]);
     }
   }, [selectedAssignment]);
 
@@ -107,6 +110,7 @@ const IntegrityMonitorTab = ({ classId }) => {
         // The API returns data.submissions, not data directly
         const submissions = result.data?.submissions || [];
         setCheatData(submissions);
+        setAccessDenials(result.data?.accessDenials || []);
         
         // Calculate statistics
         const totalSubs = submissions.length;
@@ -375,6 +379,9 @@ const IntegrityMonitorTab = ({ classId }) => {
         </Paper>
       )}
 
+      {/* Refused exam hall access */}
+      {!loading && selectedAssignment && <AccessDenialsTable denials={accessDenials} />}
+
       {/* No Selection State */}
       {!selectedAssignment && !loading && (
         <Paper sx={{ p: 4, textAlign: 'center' }}>
@@ -0,0 +1,218 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  TextField,
+  InputAdornment,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Checkbox,
+  Chip,
+  Paper,
+  Alert,
+  Autocomplete,
+  CircularProgress,
+} from '@mui/material';
+import SearchIcon from '@mui/icons-material/Search';
+import { BLOOM_LEVELS, DIFFICULTY_LEVELS, QUESTION_TYPE_LABELS as TYPE_LABELS } from '../../../utils/questionBank';
+
+const DIFFICULTY_COLORS = { easy: 'success', medium: 'warning', hard: 'error' };
+
+// Wait this long after the last keystroke before searching
+const SEARCH_DELAY_MS = 300;
+
+/**
+ * Searchable, filterable list of the admin's bank questions with checkboxes
+ * `selected` holds the chosen question objects; `renderActions` adds per-question buttons.
+ */
+const QuestionBankBrowser = ({ token, selected, onSelectionChange, renderActions, reloadKey = 0 }) => {
+  const [questions, setQuestions] = useState([]);
+  const [facets, setFacets] = useState({ tags: [], topics: [] });
+  const [total, setTotal] = useState(0);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const [search, setSearch] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [tags, setTags] = useState([]);
+  const [topic, setTopic] = useState('');
+  const [difficulty, setDifficulty] = useState('');
+  const [bloomLevel, setBloomLevel] = useState('');
+  const [type, setType] = useState('');
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedSearch(search), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  useEffect(() => {
+    const fetchQuestions = async () => {
+      setIsLoading(true);
+      setError('');
+      try {
+        const params = new URLSearchParams({ limit: '100' });
+        if (debouncedSearch.trim()) params.set('search', debouncedSearch.trim());
+        if (tags.length > 0) params.set('tags', tags.join(','));
+        if (topic) params.set('topic', topic);
+        if (difficulty) params.set('difficulty', difficulty);
+        if (bloomLevel) params.set('bloomLevel', bloomLevel);
+        if (type) params.set('type', type);
+
+        const response = await fetch(`http://localhost:5000/api/bank?${params}`, {
+          headers: { 'Authorization': `Bearer ${token}` },
+        });
+        const result = await response.json();
+        if (!response.ok) {
+          throw new Error(result.message || 'Failed to load the question bank');
+        }
+
+        setQuestions(result.data);
+        setTotal(result.pagination.total);
+        setFacets(result.facets);
+      } catch (err) {
+        console.error('Error fetching question bank:', err);
+        setError(err.message);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    if (token) {
+      fetchQuestions();
+    }
+  }, [token, debouncedSearch, tags, topic, difficulty, bloomLevel, type, reloadKey]);
+
+  const isSelected = (question) => selected.some(item => item._id === question._id);
+
+  const handleToggle = (question) => {
+    onSelectionChange(isSelected(question)
+      ? selected.filter(item => item._id !== question._id)
+      : [...selected, question]);
+  };
+
+  return (
+    <Box>
+      {/* Search and Filters */}
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 2, mb: 2 }}>
+        <TextField
+          placeholder="Search question text, options, tags or topic..."
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          size="small"
+          sx={{ flex: '1 1 280px' }}
+          InputProps={{
+            startAdornment: (
+              <InputAdornment position="start">
+                <SearchIcon />
+              </InputAdornment>
+            ),
+          }}
+        />
+        <Autocomplete
+          multiple
+          size="small"
+          options={facets.tags}
+          value={tags}
+          onChange={(e, value) => setTags(value)}
+          renderInput={(params) => <TextField {...params} label="Tags" />}
+          sx={{ flex: '1 1 200px' }}
+        />
+        <FormControl size="small" sx={{ minWidth: 140 }}>
+          <InputLabel>Topic</InputLabel>
+          <Select value={topic} label="Topic" onChange={(e) => setTopic(e.target.value)}>
+            <MenuItem value="">All</MenuItem>
+            {facets.topics.map(t => <MenuItem key={t} value={t}>{t}</MenuItem>)}
+          </Select>
+        </FormControl>
+        <FormControl size="small" sx={{ minWidth: 130 }}>
+          <InputLabel>Difficulty</InputLabel>
+          <Select value={difficulty} label="Difficulty" onChange={(e) => setDifficulty(e.target.value)}>
+            <MenuItem value="">All</MenuItem>
+            {DIFFICULTY_LEVELS.map(level => (
+              <MenuItem key={level} value={level} sx={{ textTransform: 'capitalize' }}>{level}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <FormControl size="small" sx={{ minWidth: 140 }}>
+          <InputLabel>Bloom Level</InputLabel>
+          <Select value={bloomLevel} label="Bloom Level" onChange={(e) => setBloomLevel(e.target.value)}>
+            <MenuItem value="">All</MenuItem>
+            {BLOOM_LEVELS.map(level => (
+              <MenuItem key={level} value={level} sx={{ textTransform: 'capitalize' }}>{level}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <FormControl size="small" sx={{ minWidth: 150 }}>
+          <InputLabel>Type</InputLabel>
+          <Select value={type} label="Type" onChange={(e) => setType(e.target.value)}>
+            <MenuItem value="">All</MenuItem>
+            {Object.entries(TYPE_LABELS).map(([value, label]) => (
+              <MenuItem key={value} value={value}>{label}</MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+        {total} question(s){selected.length > 0 ? ` · ${selected.length} selected` : ''}
+        {total > questions.length ? ` · showing the ${questions.length} most recent - refine your search to see others` : ''}
+      </Typography>
+
+      {isLoading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+          <CircularProgress />
+        </Box>
+      ) : questions.length === 0 ? (
+        <Typography color="text.secondary" sx={{ py: 4, textAlign: 'center' }}>
+          No questions found. Save questions to the bank from the quiz editor or from a generated draft.
+        </Typography>
+      ) : (
+        questions.map(question => (
+          <Paper
+            key={question._id}
+            variant="outlined"
+            sx={{ p: 1.5, mb: 1, display: 'flex', alignItems: 'flex-start', gap: 1 }}
+          >
+            <Checkbox
+              checked={isSelected(question)}
+              onChange={() => handleToggle(question)}
+              size="small"
+            />
+            <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+              <Typography variant="body1" sx={{ mb: 0.5 }}>{question.text}</Typography>
+              <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 0.5 }}>
+                <Chip label={TYPE_LABELS[question.type] || question.type} size="small" variant="outlined" />
+                <Chip
+                  label={question.difficulty}
+                  size="small"
+                  color={DIFFICULTY_COLORS[question.difficulty] || 'default'}
+                  sx={{ textTransform: 'capitalize' }}
+                />
+                {question.bloomLevel && (
+                  <Chip label={question.bloomLevel} size="small" color="info" variant="outlined" sx={{ textTransform: 'capitalize' }} />
+                )}
+                {question.topic && <Chip label={question.topic} size="small" color="primary" variant="outlined" />}
+                {question.tags.map(tag => <Chip key={tag} label={`#${tag}`} size="small" />)}
+                <Chip label={`${question.points ?? 1} pt(s)`} size="small" variant="outlined" />
+                {question.usedInQuizzes > 0 && (
+                  <Chip label={`Used in ${question.usedInQuizzes} quiz(zes)`} size="small" variant="outlined" />
+                )}
+              </Box>
+            </Box>
+            {renderActions && (
+              <Box sx={{ display: 'flex', flexShrink: 0 }}>
+                {renderActions(question)}
+              </Box>
+            )}
+          </Paper>
+        ))
+      )}
+    </Box>
+  );
+};
+
+export default QuestionBankBrowser;
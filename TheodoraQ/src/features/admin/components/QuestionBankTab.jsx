@@ -0,0 +1,175 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  IconButton,
+  Alert,
+  Paper,
+} from '@mui/material';
+import EditIcon from '@mui/icons-material/Edit';
+import DeleteIcon from '@mui/icons-material/Delete';
+import QuestionBankBrowser from './QuestionBankBrowser';
+import BankQuestionDialog from './BankQuestionDialog';
+import { toQuizQuestion } from '../../../utils/questionBank';
+
+// Question bank view for the Content Library: browse, tag, and build quizzes from bank questions
+const QuestionBankTab = ({ token, quizzes, onQuizzesChanged }) => {
+  const [selected, setSelected] = useState([]);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [editingQuestion, setEditingQuestion] = useState(null);
+  const [targetQuizId, setTargetQuizId] = useState('');
+  const [newQuizTitle, setNewQuizTitle] = useState('');
+  const [isWorking, setIsWorking] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const authHeaders = {
+    'Authorization': `Bearer ${token}`,
+    'Content-Type': 'application/json',
+  };
+
+  const handleDelete = async (question) => {
+    if (!window.confirm('Remove this question from the bank? Quizzes that use it keep their copy.')) {
+      return;
+    }
+    try {
+      const response = await fetch(`http://localhost:5000/api/bank/${question._id}`, {
+        method: 'DELETE',
+        headers: authHeaders,
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to delete question');
+      }
+      setSelected(prev => prev.filter(item => item._id !== question._id));
+      setReloadKey(key => key + 1);
+    } catch (err) {
+      console.error('Error deleting bank question:', err);
+      setMessage({ severity: 'error', text: err.message });
+    }
+  };
+
+  const handleAddToQuiz = async () => {
+    setIsWorking(true);
+    setMessage(null);
+    try {
+      const response = await fetch(`http://localhost:5000/api/quiz/${targetQuizId}/bank-questions`, {
+        method: 'POST',
+        headers: authHeaders,
+        body: JSON.stringify({ questionIds: selected.map(question => question._id) }),
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to add questions to quiz');
+      }
+      setMessage({ severity: 'success', text: result.message });
+      setSelected([]);
+      setReloadKey(key => key + 1);
+      onQuizzesChanged();
+    } catch (err) {
+      console.error('Error adding bank questions to quiz:', err);
+      setMessage({ severity: 'error', text: err.message });
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleCreateQuiz = async () => {
+    setIsWorking(true);
+    setMessage(null);
+    try {
+      const response = await fetch('http://localhost:5000/api/quiz/manual', {
+        method: 'POST',
+        headers: authHeaders,
+        body: JSON.stringify({
+          title: newQuizTitle.trim(),
+          questions: selected.map(toQuizQuestion),
+        }),
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to create quiz');
+      }
+      setMessage({ severity: 'success', text: `Created "${result.data.title}" with ${selected.length} question(s)` });
+      setSelected([]);
+      setNewQuizTitle('');
+      setReloadKey(key => key + 1);
+      onQuizzesChanged();
+    } catch (err) {
+      console.error('Error creating quiz from bank:', err);
+      setMessage({ severity: 'error', text: err.message });
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  return (
+    <Box>
+      {message && (
+        <Alert severity={message.severity} sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+          {message.text}
+        </Alert>
+      )}
+
+      {/* Actions for the selected questions */}
+      {selected.length > 0 && (
+        <Paper sx={{ p: 2, mb: 2, display: 'flex', flexWrap: 'wrap', gap: 2, alignItems: 'center' }}>
+          <FormControl size="small" sx={{ minWidth: 220 }}>
+            <InputLabel>Add to quiz</InputLabel>
+            <Select value={targetQuizId} label="Add to quiz" onChange={(e) => setTargetQuizId(e.target.value)}>
+              {quizzes.map(quiz => <MenuItem key={quiz._id} value={quiz._id}>{quiz.title}</MenuItem>)}
+            </Select>
+          </FormControl>
+          <Button variant="contained" onClick={handleAddToQuiz} disabled={!targetQuizId || isWorking}>
+            Add {selected.length} to Quiz
+          </Button>
+          <Box sx={{ flexGrow: 1 }} />
+          <TextField
+            size="small"
+            label="New quiz title"
+            value={newQuizTitle}
+            onChange={(e) => setNewQuizTitle(e.target.value)}
+          />
+          <Button variant="outlined" onClick={handleCreateQuiz} disabled={!newQuizTitle.trim() || isWorking}>
+            Create Quiz
+          </Button>
+        </Paper>
+      )}
+
+      <QuestionBankBrowser
+        token={token}
+        selected={selected}
+        onSelectionChange={setSelected}
+        reloadKey={reloadKey}
+        renderActions={(question) => (
+          <>
+            <IconButton size="small" onClick={() => setEditingQuestion(question)} title="Edit tags and details">
+              <EditIcon fontSize="small" />
+            </IconButton>
+            <IconButton size="small" color="error" onClick={() => handleDelete(question)} title="Remove from bank">
+              <DeleteIcon fontSize="small" />
+            </IconButton>
+          </>
+        )}
+      />
+
+      <BankQuestionDialog
+        open={!!editingQuestion}
+        onClose={() => setEditingQuestion(null)}
+        question={editingQuestion}
+        token={token}
+        onSaved={(saved) => {
+          setEditingQuestion(null);
+          setSelected(prev => prev.map(item => (item._id === saved._id ? saved : item)));
+          setReloadKey(key => key + 1);
+        }}
+      />
+    </Box>
+  );
+};
+
+export default QuestionBankTab;
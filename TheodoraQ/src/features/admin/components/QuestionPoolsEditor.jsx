@@ -0,0 +1,199 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  IconButton,
+  Button,
+  Paper,
+  Autocomplete,
+  Alert,
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { DIFFICULTY_LEVELS, QUESTION_TYPE_LABELS } from '../../../utils/questionBank';
+
+// Wait this long after the last change before checking availability
+const PREVIEW_DELAY_MS = 400;
+
+const EMPTY_POOL = { source: 'quiz', count: 5, tags: [], difficulty: '', type: '' };
+
+/**
+ * Edit the question pools of a new assignment
+ * Each pool draws `count` random questions per candidate from the quiz or the question bank.
+ * Shows how many questions each pool can currently draw from.
+ */
+const QuestionPoolsEditor = ({ pools, onChange, quizId, token, disabled }) => {
+  const [tagOptions, setTagOptions] = useState([]);
+  const [availability, setAvailability] = useState([]);
+  const [previewError, setPreviewError] = useState('');
+
+  // Tag suggestions come from the admin's question bank
+  useEffect(() => {
+    const fetchTags = async () => {
+      try {
+        const response = await fetch('http://localhost:5000/api/bank?limit=1', {
+          headers: { 'Authorization': `Bearer ${token}` },
+        });
+        const result = await response.json();
+        if (response.ok) {
+          setTagOptions(result.facets.tags);
+        }
+      } catch (err) {
+        console.error('Error fetching bank tags:', err);
+      }
+    };
+
+    if (token) {
+      fetchTags();
+    }
+  }, [token]);
+
+  useEffect(() => {
+    if (!quizId || pools.length === 0) {
+      setAvailability([]);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch('http://localhost:5000/api/assignments/pool-preview', {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ quizId, questionPools: pools }),
+        });
+        const result = await response.json();
+        if (!response.ok) {
+          throw new Error(result.message || 'Failed to check the pools');
+        }
+        setAvailability(result.data.pools);
+        setPreviewError('');
+      } catch (err) {
+        console.error('Error previewing question pools:', err);
+        setAvailability([]);
+        setPreviewError(err.message);
+      }
+    }, PREVIEW_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [pools, quizId, token]);
+
+  const updatePool = (index, field, value) => {
+    onChange(pools.map((pool, i) => (i === index ? { ...pool, [field]: value } : pool)));
+  };
+
+  const totalDrawn = pools.reduce((sum, pool) => sum + (Number(pool.count) || 0), 0);
+
+  return (
+    <Box>
+      {pools.map((pool, index) => {
+        const available = availability[index]?.available;
+        const isShort = available !== undefined && available < Number(pool.count);
+
+        return (
+          <Paper key={index} variant="outlined" sx={{ p: 1.5, mb: 1.5 }}>
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1.5, alignItems: 'center' }}>
+              <FormControl size="small" sx={{ minWidth: 140 }}>
+                <InputLabel>Draw from</InputLabel>
+                <Select
+                  value={pool.source}
+                  label="Draw from"
+                  onChange={(e) => updatePool(index, 'source', e.target.value)}
+                  disabled={disabled}
+                >
+                  <MenuItem value="quiz">This quiz</MenuItem>
+                  <MenuItem value="bank">Question bank</MenuItem>
+                </Select>
+              </FormControl>
+              <TextField
+                size="small"
+                type="number"
+                label="Questions"
+                value={pool.count}
+                onChange={(e) => updatePool(index, 'count', e.target.value)}
+                inputProps={{ min: 1 }}
+                sx={{ width: 110 }}
+                disabled={disabled}
+              />
+              <FormControl size="small" sx={{ minWidth: 120 }}>
+                <InputLabel>Difficulty</InputLabel>
+                <Select
+                  value={pool.difficulty}
+                  label="Difficulty"
+                  onChange={(e) => updatePool(index, 'difficulty', e.target.value)}
+                  disabled={disabled}
+                >
+                  <MenuItem value="">Any</MenuItem>
+                  {DIFFICULTY_LEVELS.map(level => (
+                    <MenuItem key={level} value={level} sx={{ textTransform: 'capitalize' }}>{level}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <FormControl size="small" sx={{ minWidth: 140 }}>
+                <InputLabel>Type</InputLabel>
+                <Select
+                  value={pool.type}
+                  label="Type"
+                  onChange={(e) => updatePool(index, 'type', e.target.value)}
+                  disabled={disabled}
+                >
+                  <MenuItem value="">Any</MenuItem>
+                  {Object.entries(QUESTION_TYPE_LABELS).map(([value, label]) => (
+                    <MenuItem key={value} value={value}>{label}</MenuItem>
+                  ))}
+                </Select>
+              </FormControl>
+              <IconButton
+                size="small"
+                color="error"
+                onClick={() => onChange(pools.filter((_, i) => i !== index))}
+                disabled={disabled}
+                title="Remove pool"
+              >
+                <DeleteIcon fontSize="small" />
+              </IconButton>
+            </Box>
+            <Autocomplete
+              multiple
+              freeSolo
+              size="small"
+              options={tagOptions}
+              value={pool.tags}
+              onChange={(e, value) => updatePool(index, 'tags', value.map(tag => tag.trim().toLowerCase()))}
+              renderInput={(params) => <TextField {...params} label="Tags (all must match)" />}
+              disabled={disabled}
+              sx={{ mt: 1.5 }}
+            />
+            {available !== undefined && (
+              <Typography variant="caption" color={isShort ? 'error' : 'text.secondary'} sx={{ display: 'block', mt: 0.5 }}>
+                {available} matching question(s){isShort ? ` - not enough to draw ${pool.count}` : ''}
+              </Typography>
+            )}
+          </Paper>
+        );
+      })}
+
+      {previewError && <Alert severity="warning" sx={{ mb: 1 }}>{previewError}</Alert>}
+
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+        <Button size="small" startIcon={<AddIcon />} onClick={() => onChange([...pools, EMPTY_POOL])} disabled={disabled}>
+          Add Pool
+        </Button>
+        {pools.length > 0 && (
+          <Typography variant="caption" color="text.secondary">
+            Each student gets {totalDrawn} randomly drawn question(s)
+          </Typography>
+        )}
+      </Box>
+    </Box>
+  );
+};
+
+export default QuestionPoolsEditor;
@@ -0,0 +1,174 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Paper,
+  Alert,
+  Chip,
+  CircularProgress,
+} from '@mui/material';
+import FactCheckIcon from '@mui/icons-material/FactCheck';
+import { useAuth } from '../../auth/contexts/AuthContext';
+
+const FLAG_LABELS = {
+  answer_mismatch: 'Check answer',
+  duplicate: 'Duplicate',
+  duplicate_elsewhere: 'Used in another quiz',
+  unverified: 'Not checked',
+};
+
+// Review flags that still need the admin's attention
+const getOpenFlags = (review) => (review?.flags || []).filter(flag => !flag.dismissed);
+
+/**
+ * Chips for a question's open review flags, for the question's header
+ */
+export const QuestionReviewChips = ({ review, questionId }) => {
+  const flags = getOpenFlags(review).filter(flag => questionId && flag.questionId === questionId);
+  return flags.map(flag => (
+    <Chip
+      key={flag._id}
+      label={FLAG_LABELS[flag.kind]}
+      title={flag.message}
+      size="small"
+      color="warning"
+    />
+  ));
+};
+
+/**
+ * Answer-key and duplicate check for a quiz, with its warnings
+ * Runs by itself the first time an AI-generated quiz is opened.
+ */
+const QuizReviewPanel = ({ quizId, review, questions, currentVersion, onChange }) => {
+  const { token } = useAuth();
+  const [isChecking, setIsChecking] = useState(false);
+  const [error, setError] = useState('');
+  const autoStarted = useRef(false);
+
+  const runReview = useCallback(async () => {
+    setIsChecking(true);
+    setError('');
+    try {
+      const response = await fetch(`/api/quiz/${quizId}/review`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to check quiz');
+      }
+      onChange(result.data);
+    } catch (err) {
+      console.error('Error checking quiz:', err);
+      setError(err.message);
+    } finally {
+      setIsChecking(false);
+    }
+  }, [quizId, token, onChange]);
+
+  useEffect(() => {
+    if (review?.status === 'pending' && !autoStarted.current) {
+      autoStarted.current = true;
+      runReview();
+    }
+  }, [review?.status, runReview]);
+
+  const handleDismiss = async (flag) => {
+    setError('');
+    try {
+      const response = await fetch(`/api/quiz/${quizId}/review/flags/${flag._id}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({ dismissed: true }),
+      });
+      const result = await response.json();
+      if (!response.ok || !result.success) {
+        throw new Error(result.message || 'Failed to update warning');
+      }
+      onChange(result.data);
+    } catch (err) {
+      console.error('Error updating review flag:', err);
+      setError(err.message);
+    }
+  };
+
+  const openFlags = getOpenFlags(review);
+  const dismissedCount = (review?.flags || []).length - openFlags.length;
+  const questionNumber = (questionId) => questions.findIndex(q => q._id === questionId) + 1;
+  const isOutdated = review?.status === 'checked' && review.checkedVersion < currentVersion;
+
+  return (
+    <Paper sx={{ p: 3, mb: 3 }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+        <Typography variant="h6">Answer Key Check</Typography>
+        <Button
+          onClick={runReview}
+          disabled={isChecking}
+          startIcon={isChecking ? <CircularProgress size={18} /> : <FactCheckIcon />}
+          variant="outlined"
+        >
+          {isChecking ? 'Checking...' : 'Check answers & duplicates'}
+        </Button>
+      </Box>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        AI re-solves each question without the answer key and flags disagreements, along with questions
+        that nearly repeat another one in this quiz or your other quizzes. Save your edits before checking.
+      </Typography>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+
+      {review?.status === 'pending' && !isChecking && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          This quiz was generated by AI. Run the check before assigning it.
+        </Alert>
+      )}
+      {isOutdated && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          The quiz has changed since it was checked (version {review.checkedVersion}). Check again to cover new questions.
+        </Alert>
+      )}
+      {review?.status === 'checked' && openFlags.length === 0 && (
+        <Alert severity="success" sx={{ mb: 2 }}>
+          No open warnings{review.answersChecked ? '' : ' (answers were not checked)'}. Checked {new Date(review.checkedAt).toLocaleString()}.
+        </Alert>
+      )}
+
+      {openFlags.length > 0 && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          {openFlags.length} warning{openFlags.length === 1 ? '' : 's'} to fix or dismiss before this quiz can be assigned.
+          Editing a flagged question and saving clears its warning.
+        </Alert>
+      )}
+      {openFlags.map(flag => (
+        <Alert
+          key={flag._id}
+          severity="warning"
+          variant="outlined"
+          sx={{ mb: 1 }}
+          action={
+            <Button color="inherit" size="small" onClick={() => handleDismiss(flag)}>
+              Dismiss
+            </Button>
+          }
+        >
+          <strong>
+            {flag.questionId ? `Question ${questionNumber(flag.questionId) || '?'}` : 'Whole quiz'} - {FLAG_LABELS[flag.kind]}:
+          </strong>{' '}
+          {flag.message}
+        </Alert>
+      ))}
+      {dismissedCount > 0 && (
+        <Typography variant="caption" color="text.secondary">
+          {dismissedCount} warning{dismissedCount === 1 ? '' : 's'} dismissed.
+        </Typography>
+      )}
+    </Paper>
+  );
+};
+
+export default QuizReviewPanel;
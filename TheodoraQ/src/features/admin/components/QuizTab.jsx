@@ -277,6 +277,7 @@ const QuizTab = ({ classId }) => {
                   sx={{ bgcolor: 'background.paper' }}
                 >
                   <MenuItem value="mcq">Multiple Choice</MenuItem>
+                  <MenuItem value="multi_select">Multi-Select</MenuItem>
                   <MenuItem value="true_false">True/False</MenuItem>
                   <MenuItem value="short_answer">Short Answer</MenuItem>
                 </Select>
@@ -0,0 +1,206 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  Box,
+  Typography,
+  Alert,
+  Chip,
+  Divider,
+  CircularProgress,
+} from '@mui/material';
+import { useAuth } from '../../auth/contexts/AuthContext';
+
+const FIELD_LABELS = {
+  text: 'Question text',
+  type: 'Type',
+  options: 'Options',
+  answer: 'Answer',
+  correctAnswers: 'Correct answers',
+  acceptedAnswers: 'Also accepted',
+  answerPatterns: 'Regex patterns',
+  typoTolerance: 'Typo tolerance',
+  numericAnswer: 'Numeric answer',
+  tolerance: 'Tolerance',
+  toleranceType: 'Tolerance type',
+  unit: 'Unit',
+  explanation: 'Explanation',
+  points: 'Points',
+  negativePoints: 'Negative marking',
+  partialCredit: 'Partial credit',
+  rubric: 'Rubric',
+  questionImage: 'Question image',
+  optionImages: 'Option images',
+  pinnedOptions: 'Pinned options',
+};
+
+const formatValue = (value) => {
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '(none)';
+  if (value === undefined || value === null || value === '') return '(none)';
+  return String(value);
+};
+
+const VersionChanges = ({ changes }) => {
+  if (!changes) {
+    return <Typography variant="body2" color="text.secondary">First recorded version.</Typography>;
+  }
+  if (!changes.hasChanges) {
+    return <Typography variant="body2" color="text.secondary">No content changes.</Typography>;
+  }
+
+  return (
+    <Box component="ul" sx={{ m: 0, pl: 3 }}>
+      {changes.title && (
+        <Typography component="li" variant="body2">
+          Title: "{changes.title.from}" → "{changes.title.to}"
+        </Typography>
+      )}
+      {changes.timeLimit && (
+        <Typography component="li" variant="body2">
+          Time limit: {changes.timeLimit.from} → {changes.timeLimit.to} minutes
+        </Typography>
+      )}
+      {changes.added.map(question => (
+        <Typography key={`added-${question.questionId}`} component="li" variant="body2" color="success.main">
+          Added: {question.text}
+        </Typography>
+      ))}
+      {changes.removed.map(question => (
+        <Typography key={`removed-${question.questionId}`} component="li" variant="body2" color="error.main">
+          Removed: {question.text}
+        </Typography>
+      ))}
+      {changes.changed.map(question => (
+        <Typography key={`changed-${question.questionId}`} component="li" variant="body2">
+          Edited: {question.text}
+          <Box component="ul" sx={{ m: 0, pl: 3 }}>
+            {question.fields.map(change => (
+              <Typography key={change.field} component="li" variant="caption" display="list-item" color="text.secondary">
+                {FIELD_LABELS[change.field] || change.field}
+                {'from' in change ? `: ${formatValue(change.from)} → ${formatValue(change.to)}` : ' changed'}
+              </Typography>
+            ))}
+          </Box>
+        </Typography>
+      ))}
+      {changes.reordered && (
+        <Typography component="li" variant="body2">Questions reordered</Typography>
+      )}
+    </Box>
+  );
+};
+
+const QuizVersionHistory = ({ open, onClose, quizId, onRolledBack }) => {
+  const { token } = useAuth();
+  const [versions, setVersions] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [rollingBack, setRollingBack] = useState(null);
+
+  useEffect(() => {
+    const fetchVersions = async () => {
+      setIsLoading(true);
+      setError('');
+      try {
+        const response = await fetch(`/api/quiz/${quizId}/versions`, {
+          headers: { 'Authorization': `Bearer ${token}` },
+        });
+        const result = await response.json();
+        if (!response.ok) {
+          throw new Error(result.message || 'Failed to load version history');
+        }
+        setVersions(result.data.versions);
+      } catch (err) {
+        console.error('Error fetching quiz versions:', err);
+        setError(err.message);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    if (open && token && quizId) {
+      fetchVersions();
+    }
+  }, [open, quizId, token]);
+
+  const handleRollback = async (version) => {
+    if (!window.confirm(`Restore the quiz to version ${version}? This saves it as a new version; existing assignments keep the version they were created with. Unsaved edits on this page will be lost.`)) {
+      return;
+    }
+
+    setRollingBack(version);
+    setError('');
+    try {
+      const response = await fetch(`/api/quiz/${quizId}/versions/${version}/rollback`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}` },
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to roll back quiz');
+      }
+      onRolledBack(result.data, result.message);
+    } catch (err) {
+      console.error('Error rolling back quiz:', err);
+      setError(err.message);
+    } finally {
+      setRollingBack(null);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>Version History</DialogTitle>
+      <DialogContent dividers>
+        {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+        {isLoading ? (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 4 }}>
+            <CircularProgress />
+          </Box>
+        ) : (
+          versions.map((version, index) => (
+            <Box key={version._id}>
+              {index > 0 && <Divider sx={{ my: 2 }} />}
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 2, mb: 1 }}>
+                <Box>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    <Typography variant="subtitle1" fontWeight="bold">Version {version.version}</Typography>
+                    {version.isCurrent && <Chip label="Current" size="small" color="primary" />}
+                    {version.assignmentCount > 0 && (
+                      <Chip label={`${version.assignmentCount} assignment(s)`} size="small" variant="outlined" />
+                    )}
+                  </Box>
+                  <Typography variant="caption" color="text.secondary">
+                    {new Date(version.createdAt).toLocaleString()}
+                    {version.createdBy ? ` by ${version.createdBy.name}` : ''}
+                    {` · ${version.questionCount} question(s)`}
+                    {version.note ? ` · ${version.note}` : ''}
+                  </Typography>
+                </Box>
+                {!version.isCurrent && (
+                  <Button
+                    size="small"
+                    variant="outlined"
+                    onClick={() => handleRollback(version.version)}
+                    disabled={rollingBack !== null}
+                  >
+                    {rollingBack === version.version ? <CircularProgress size={18} /> : 'Roll Back'}
+                  </Button>
+                )}
+              </Box>
+              <VersionChanges changes={version.changes} />
+            </Box>
+          ))
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default QuizVersionHistory;
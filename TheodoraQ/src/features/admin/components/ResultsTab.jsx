@@ -207,6 +207,9 @@ const ResultsTab = ({ classId, className, courseCode }) => {
         weightageType: weightageType,
         correct: parseInt(sub.score) || 0,
         total: parseInt(sub.totalQuestions) || 0,
+        pointsEarned: parseFloat(sub.pointsEarned) || 0,
+        pointsPossible: parseFloat(sub.pointsPossible) || 0,
+        isPending: !!sub.isPending,
       };
     });
 
@@ -864,13 +867,21 @@ const ResultsTab = ({ classId, className, courseCode }) => {
                             />
                           ) : score ? (
                             <Box>
-                              <Tooltip title={`${score.correct || 0} out of ${score.total || 0} correct answers`} arrow>
+                              <Tooltip
+                                title={score.isPending
+                                  ? 'Provisional - some answers are still waiting to be graded'
+                                  : `${score.pointsEarned} out of ${score.pointsPossible} points (${score.correct || 0} of ${score.total || 0} questions correct)`}
+                                arrow
+                              >
                                 <Box component="span">
-                                  <Typography variant="body1" fontWeight={700} color="primary.main">
-                                    {(score.percentage || 0).toFixed(1)}%
+                                  <Typography variant="body1" fontWeight={700} color={score.isPending ? 'warning.main' : 'primary.main'}>
+                                    {(score.percentage || 0).toFixed(1)}%{score.isPending && '*'}
                                   </Typography>
                                 </Box>
                               </Tooltip>
+                              {score.isPending && (
+                                <Chip label="Grading pending" size="small" color="warning" variant="outlined" sx={{ fontSize: '0.65rem', mt: 0.5 }} />
+                              )}
                               <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 0.5 }}>
                                 {(score.marksObtained || 0).toFixed(2)} / {weight}
                               </Typography>
@@ -943,7 +954,7 @@ const ResultsTab = ({ classId, className, courseCode }) => {
         <Grid container spacing={2}>
           <Grid item xs={12} md={4}>
             <Typography variant="body2" color="text.secondary">
-              <strong>Performance %:</strong> Percentage of correct answers in the quiz
+              <strong>Performance %:</strong> Percentage of the quiz's points earned (hover for points)
             </Typography>
           </Grid>
           <Grid item xs={12} md={4}>
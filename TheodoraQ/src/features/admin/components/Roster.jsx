@@ -13,10 +13,11 @@ import DeleteIcon from '@mui/icons-material/Delete';
 import SendIcon from '@mui/icons-material/Send';
 import PersonRemoveIcon from '@mui/icons-material/PersonRemove';
 import SearchIcon from '@mui/icons-material/Search';
+import AccessTimeIcon from '@mui/icons-material/AccessTime';
 import { useAuth } from '../../auth/contexts/AuthContext';
 
-// Accept 'students', 'inviteCode', 'classId', and 'onStudentRemoved' as props
-const Roster = ({ students, inviteCode, classId, onStudentRemoved }) => {
+// Accept 'students', 'inviteCode', 'classId', 'accommodations' and change callbacks as props
+const Roster = ({ students, inviteCode, classId, accommodations, onStudentRemoved, onAccommodationsChange }) => {
   const { token } = useAuth();
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [modalTab, setModalTab] = useState(0);
@@ -37,6 +38,13 @@ const Roster = ({ students, inviteCode, classId, onStudentRemoved }) => {
   const [studentToRemove, setStudentToRemove] = useState(null);
   const [isRemoving, setIsRemoving] = useState(false);
 
+  // State for extra-time accommodations
+  const [accommodationStudent, setAccommodationStudent] = useState(null);
+  const [timeMultiplier, setTimeMultiplier] = useState('1.5');
+  const [accommodationNote, setAccommodationNote] = useState('');
+  const [accommodationError, setAccommodationError] = useState('');
+  const [isSavingAccommodation, setIsSavingAccommodation] = useState(false);
+
   // State for search and filter
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedBranch, setSelectedBranch] = useState('');
@@ -284,6 +292,51 @@ const Roster = ({ students, inviteCode, classId, onStudentRemoved }) => {
     setStudentToRemove(null);
   };
 
+  const getAccommodation = (studentId) => (accommodations || []).find(acc => acc.candidateId === studentId);
+
+  // Open the extra-time dialog for a student
+  const handleAccommodationClick = (student) => {
+    const existing = getAccommodation(student._id);
+    setAccommodationStudent(student);
+    setTimeMultiplier((existing?.timeMultiplier || 1.5).toString());
+    setAccommodationNote(existing?.note || '');
+    setAccommodationError('');
+  };
+
+  // Save (or with remove = true, clear) the student's extra time
+  const handleSaveAccommodation = async (remove = false) => {
+    setIsSavingAccommodation(true);
+    setAccommodationError('');
+
+    try {
+      const response = await fetch(`http://localhost:5000/api/classes/${classId}/accommodations/${accommodationStudent._id}`, {
+        method: remove ? 'DELETE' : 'PUT',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: remove ? undefined : JSON.stringify({
+          timeMultiplier: parseFloat(timeMultiplier),
+          note: accommodationNote,
+        }),
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to save extra time');
+      }
+
+      setAccommodationStudent(null);
+      if (onAccommodationsChange) {
+        onAccommodationsChange();
+      }
+    } catch (err) {
+      setAccommodationError(err.message);
+    }
+
+    setIsSavingAccommodation(false);
+  };
+
   // Search and filter handlers
   const handleSearchChange = (e) => {
     setSearchTerm(e.target.value);
@@ -357,18 +410,36 @@ const Roster = ({ students, inviteCode, classId, onStudentRemoved }) => {
                     key={student._id}
                     sx={{ border: 'none', borderRadius: 0, mb: 0, px: 2, py: 1, background: 'transparent' }}
                     secondaryAction={
-                      <Tooltip title="Remove from class">
-                        <IconButton edge="end" onClick={() => handleRemoveClick(student)} color="error" size="small">
-                          <PersonRemoveIcon />
-                        </IconButton>
-                      </Tooltip>
+                      <Box sx={{ display: 'flex', gap: 0.5 }}>
+                        <Tooltip title="Extra time">
+                          <IconButton onClick={() => handleAccommodationClick(student)} size="small">
+                            <AccessTimeIcon />
+                          </IconButton>
+                        </Tooltip>
+                        <Tooltip title="Remove from class">
+                          <IconButton edge="end" onClick={() => handleRemoveClick(student)} color="error" size="small">
+                            <PersonRemoveIcon />
+                          </IconButton>
+                        </Tooltip>
+                      </Box>
                     }
                   >
                     <Box sx={{ display: 'flex', width: '100%', alignItems: 'center', gap: 6, fontFamily: 'inherit' }}>
                       <Box sx={{ flex: 1, minWidth: 140, fontSize: '1rem', fontWeight: 400 }}>{student.name}</Box>
                       <Box sx={{ flex: 1, minWidth: 180, fontSize: '1rem', fontWeight: 400 }}>{student.registrationNumber || '-'}</Box>
                       <Box sx={{ flex: 2, minWidth: 220, fontSize: '1rem', color: 'text.secondary', fontWeight: 400 }}>{student.email}</Box>
-                      <Box sx={{ flex: 1, minWidth: 220 }} />
+                      <Box sx={{ flex: 1, minWidth: 220 }}>
+                        {getAccommodation(student._id) && (
+                          <Chip
+                            icon={<AccessTimeIcon />}
+                            label={`${getAccommodation(student._id).timeMultiplier}x time`}
+                            title={getAccommodation(student._id).note || undefined}
+                            size="small"
+                            color="info"
+                            variant="outlined"
+                          />
+                        )}
+                      </Box>
                     </Box>
                   </ListItem>
                 ))}
@@ -410,6 +481,51 @@ const Roster = ({ students, inviteCode, classId, onStudentRemoved }) => {
         </DialogActions>
       </Dialog>
 
+      {/* Extra Time Dialog */}
+      <Dialog open={Boolean(accommodationStudent)} onClose={() => setAccommodationStudent(null)} fullWidth maxWidth="xs">
+        <DialogTitle>Extra Time for {accommodationStudent?.name}</DialogTitle>
+        <DialogContent>
+          {accommodationError && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {accommodationError}
+            </Alert>
+          )}
+          <TextField
+            fullWidth
+            type="number"
+            label="Time Multiplier"
+            value={timeMultiplier}
+            onChange={(e) => setTimeMultiplier(e.target.value)}
+            inputProps={{ min: 1.05, max: 4, step: 0.25 }}
+            helperText={`A 60 minute quiz becomes ${Math.round(60 * (parseFloat(timeMultiplier) || 1))} minutes`}
+            sx={{ mt: 1 }}
+          />
+          <TextField
+            fullWidth
+            label="Note (optional)"
+            value={accommodationNote}
+            onChange={(e) => setAccommodationNote(e.target.value)}
+            sx={{ mt: 2 }}
+          />
+          <Typography variant="caption" color="text.secondary" sx={{ mt: 1, display: 'block' }}>
+            Applies to every quiz in this class, for attempts started after saving.
+          </Typography>
+        </DialogContent>
+        <DialogActions>
+          {accommodationStudent && getAccommodation(accommodationStudent._id) && (
+            <Button color="error" onClick={() => handleSaveAccommodation(true)} disabled={isSavingAccommodation} sx={{ mr: 'auto' }}>
+              Remove
+            </Button>
+          )}
+          <Button onClick={() => setAccommodationStudent(null)} disabled={isSavingAccommodation}>
+            Cancel
+          </Button>
+          <Button variant="contained" onClick={() => handleSaveAccommodation()} disabled={isSavingAccommodation}>
+            {isSavingAccommodation ? 'Saving...' : 'Save'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
       {/* 3. "Add Candidates" Modal */}
       <Dialog open={isModalOpen} onClose={handleCloseModal} fullWidth maxWidth="sm">
         <DialogTitle>Add Candidates to Class</DialogTitle>
@@ -0,0 +1,120 @@
+import React from 'react';
+import {
+  Box,
+  Button,
+  IconButton,
+  Paper,
+  TextField,
+  Typography,
+} from '@mui/material';
+import AddIcon from '@mui/icons-material/Add';
+import DeleteIcon from '@mui/icons-material/Delete';
+import { getRubricTotal } from '../../../utils/rubric';
+
+const DEFAULT_LEVELS = [
+  { label: 'Excellent', points: 3 },
+  { label: 'Adequate', points: 2 },
+  { label: 'Weak', points: 1 },
+  { label: 'Missing', points: 0 },
+];
+
+// Editor for an essay question's rubric: criteria, each with labelled point levels
+const RubricEditor = ({ rubric = [], onChange }) => {
+  const updateCriterion = (cIndex, changes) => {
+    onChange(rubric.map((criterion, i) => (i === cIndex ? { ...criterion, ...changes } : criterion)));
+  };
+
+  const updateLevel = (cIndex, lIndex, changes) => {
+    const levels = rubric[cIndex].levels.map((level, i) => (i === lIndex ? { ...level, ...changes } : level));
+    updateCriterion(cIndex, { levels });
+  };
+
+  const handleAddCriterion = () => {
+    onChange([...rubric, { criterion: '', description: '', levels: DEFAULT_LEVELS.map(level => ({ ...level })) }]);
+  };
+
+  return (
+    <Box sx={{ mt: 2 }}>
+      <Typography variant="subtitle2" gutterBottom>
+        Rubric {rubric.length > 0 && `(worth ${getRubricTotal(rubric)} points)`}
+      </Typography>
+      {rubric.length === 0 && (
+        <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 1 }}>
+          Without a rubric, graders give a single score out of the question's points.
+        </Typography>
+      )}
+
+      {rubric.map((criterion, cIndex) => (
+        <Paper key={criterion._id || cIndex} variant="outlined" sx={{ p: 2, mb: 2 }}>
+          <Box sx={{ display: 'flex', gap: 1, alignItems: 'flex-start' }}>
+            <TextField
+              label="Criterion"
+              value={criterion.criterion}
+              onChange={(e) => updateCriterion(cIndex, { criterion: e.target.value })}
+              size="small"
+              required
+              sx={{ flex: 1 }}
+            />
+            <TextField
+              label="Description (optional)"
+              value={criterion.description || ''}
+              onChange={(e) => updateCriterion(cIndex, { description: e.target.value })}
+              size="small"
+              sx={{ flex: 2 }}
+            />
+            <IconButton
+              color="error"
+              onClick={() => onChange(rubric.filter((_, i) => i !== cIndex))}
+              aria-label="Remove criterion"
+            >
+              <DeleteIcon />
+            </IconButton>
+          </Box>
+
+          {criterion.levels.map((level, lIndex) => (
+            <Box key={lIndex} sx={{ display: 'flex', gap: 1, alignItems: 'center', mt: 1, ml: 2 }}>
+              <TextField
+                label="Level"
+                value={level.label}
+                onChange={(e) => updateLevel(cIndex, lIndex, { label: e.target.value })}
+                size="small"
+                sx={{ flex: 1 }}
+              />
+              <TextField
+                label="Points"
+                type="number"
+                value={level.points}
+                onChange={(e) => updateLevel(cIndex, lIndex, { points: parseFloat(e.target.value) || 0 })}
+                inputProps={{ min: 0 }}
+                size="small"
+                sx={{ width: 100 }}
+              />
+              <IconButton
+                size="small"
+                onClick={() => updateCriterion(cIndex, { levels: criterion.levels.filter((_, i) => i !== lIndex) })}
+                disabled={criterion.levels.length <= 1}
+                aria-label="Remove level"
+              >
+                <DeleteIcon fontSize="small" />
+              </IconButton>
+            </Box>
+          ))}
+          <Button
+            size="small"
+            startIcon={<AddIcon />}
+            onClick={() => updateCriterion(cIndex, { levels: [...criterion.levels, { label: '', points: 0 }] })}
+            sx={{ mt: 1, ml: 2 }}
+          >
+            Add Level
+          </Button>
+        </Paper>
+      ))}
+
+      <Button size="small" variant="outlined" startIcon={<AddIcon />} onClick={handleAddCriterion}>
+        Add Criterion
+      </Button>
+    </Box>
+  );
+};
+
+export default RubricEditor;
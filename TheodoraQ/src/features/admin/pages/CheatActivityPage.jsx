@@ -42,6 +42,7 @@ import FaceIcon from '@mui/icons-material/Face';
 import PhoneAndroidIcon from '@mui/icons-material/PhoneAndroid';
 import DirectionsRunIcon from '@mui/icons-material/DirectionsRun';
 import SwapHorizIcon from '@mui/icons-material/SwapHoriz';
+import AccessDenialsTable from '../components/AccessDenialsTable';
 
 const CheatActivityPage = () => {
   const { token } = useAuth();
@@ -50,6 +51,7 @@ const CheatActivityPage = () => {
   const [assignments, setAssignments] = useState([]);
   const [selectedAssignment, setSelectedAssignment] = useState('');
   const [cheatData, setCheatData] = useState([]);
+  const [accessDenials, setAccessDenials] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [violationDialogOpen, setViolationDialogOpen] = useState(false);
@@ -115,6 +117,7 @@ const CheatActivityPage = () => {
       fetchCheatActivity(selectedAssignment);
     } else {
       setCheatData([]);
+      setAccessDenials([]);
     }
   }, [selectedAssignment]);
 
@@ -131,6 +134,7 @@ const CheatActivityPage = () => {
         // The API returns data.submissions, not data directly
         const submissions = result.data?.submissions || [];
         setCheatData(submissions);
+        setAccessDenials(result.data?.accessDenials || []);
         
         // Calculate statistics
         const totalSubs = submissions.length;
@@ -421,6 +425,9 @@ const CheatActivityPage = () => {
         </Paper>
       )}
 
+      {/* Refused exam hall access */}
+      {!loading && selectedAssignment && <AccessDenialsTable denials={accessDenials} />}
+
       {/* No Selection State */}
       {!selectedAssignment && !loading && (
         <Paper sx={{ p: 4, textAlign: 'center' }}>
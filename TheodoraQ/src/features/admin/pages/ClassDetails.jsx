@@ -138,7 +138,9 @@ const ClassDetails = () => {
           students={classData.students} 
           inviteCode={classData.inviteCode}
           classId={classData._id}
+          accommodations={classData.accommodations}
           onStudentRemoved={fetchClassDetails}
+          onAccommodationsChange={fetchClassDetails}
         />
       </TabPanel>
       <TabPanel value={currentTab} index={1}>
@@ -2,14 +2,19 @@
 import React, { useState, useEffect } from 'react';
 import { 
   Box, Typography, Button, Grid, Card, CardContent, CircularProgress,
-  CardActions, Dialog, DialogTitle, DialogContent, DialogContentText, DialogActions, TextField, InputAdornment
+  CardActions, Dialog, DialogTitle, DialogContent, DialogContentText, DialogActions, TextField, InputAdornment,
+  Tabs, Tab
 } from '@mui/material';
 import AddIcon from '@mui/icons-material/Add';
 import SearchIcon from '@mui/icons-material/Search';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../../auth/contexts/AuthContext';
 import AssignQuizModal from '../components/AssignQuizModal';
 import RenameQuizDialog from '../components/RenameQuizDialog';
+import QuestionBankTab from '../components/QuestionBankTab';
+import ImportQuizDialog from '../components/ImportQuizDialog';
+import ExportQuizMenu from '../components/ExportQuizMenu';
 import Loader from '../../../components/Loader';
 
 const ContentLibrary = () => {
@@ -19,6 +24,7 @@ const ContentLibrary = () => {
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState('');
   const [searchQuery, setSearchQuery] = useState('');
+  const [currentTab, setCurrentTab] = useState(0);
 
   // State for the assignment modal
   const [isModalOpen, setIsModalOpen] = useState(false);
@@ -32,6 +38,9 @@ const ContentLibrary = () => {
   const [isRenameDialogOpen, setIsRenameDialogOpen] = useState(false);
   const [quizToRename, setQuizToRename] = useState(null);
 
+  // State for the import dialog
+  const [isImportDialogOpen, setIsImportDialogOpen] = useState(false);
+
   // Fetch quizzes when the page loads
   useEffect(() => {
     const fetchQuizzes = async () => {
@@ -95,8 +104,8 @@ const ContentLibrary = () => {
     setIsRenameDialogOpen(false);
   };
 
-  const handleRenameSuccess = () => {
-    // Refresh the quiz list
+  // Refresh the quiz list (after a rename, or after bank questions are added)
+  const refreshQuizzes = () => {
     const fetchQuizzes = async () => {
       try {
         const response = await fetch('http://localhost:5000/api/quiz', {
@@ -117,6 +126,10 @@ const ContentLibrary = () => {
     fetchQuizzes();
   };
 
+  const handleRenameSuccess = () => {
+    refreshQuizzes();
+  };
+
   // Functions for Delete
   const handleOpenDeleteModal = (quizId) => {
     setQuizToDelete(quizId);
@@ -170,121 +183,146 @@ const ContentLibrary = () => {
         <Typography variant="h4" component="h1">
           Content Library
         </Typography>
-        <Button
-          variant="contained"
-          startIcon={<AddIcon />}
-          onClick={handleCreateNew}
-        >
-          Create New Content
-        </Button>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Button
+            variant="outlined"
+            startIcon={<UploadFileIcon />}
+            onClick={() => setIsImportDialogOpen(true)}
+          >
+            Import
+          </Button>
+          <Button
+            variant="contained"
+            startIcon={<AddIcon />}
+            onClick={handleCreateNew}
+          >
+            Create New Content
+          </Button>
+        </Box>
       </Box>
 
-      {/* 2. Search Bar */}
-      <Box sx={{ mb: 3 }}>
-        <TextField
-          fullWidth
-          placeholder="Search quizzes by title or number of questions..."
-          value={searchQuery}
-          onChange={(e) => setSearchQuery(e.target.value)}
-          InputProps={{
-            startAdornment: (
-              <InputAdornment position="start">
-                <SearchIcon />
-              </InputAdornment>
-            ),
-          }}
-          sx={{ maxWidth: 600 }}
-        />
-      </Box>
+      <Tabs value={currentTab} onChange={(e, value) => setCurrentTab(value)} sx={{ mb: 3, borderBottom: 1, borderColor: 'divider' }}>
+        <Tab label="Quizzes" />
+        <Tab label="Question Bank" />
+      </Tabs>
 
-      {/* 3. Grid of Content Cards */}
-      {error && (
-        <Typography color="error" sx={{ mb: 2 }}>
-          Error: {error}
-        </Typography>
+      {currentTab === 1 && (
+        <QuestionBankTab token={token} quizzes={quizzes} onQuizzesChanged={refreshQuizzes} />
       )}
-      
-      <Grid container spacing={3}>
-        {isLoading ? (
-          <Box sx={{ display: 'flex', justifyContent: 'center', width: '100%', mt: 4 }}>
-            <Loader />
+
+      {currentTab === 0 && (
+        <>
+          {/* 2. Search Bar */}
+          <Box sx={{ mb: 3 }}>
+            <TextField
+              fullWidth
+              placeholder="Search quizzes by title or number of questions..."
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              InputProps={{
+                startAdornment: (
+                  <InputAdornment position="start">
+                    <SearchIcon />
+                  </InputAdornment>
+                ),
+              }}
+              sx={{ maxWidth: 600 }}
+            />
           </Box>
-        ) : filteredQuizzes.length > 0 ? (
-          filteredQuizzes.map(quiz => (
-            <Grid size={{ xs: 12, sm: 6, md: 4 }} key={quiz._id}>
-              <Card sx={{ display: 'flex', flexDirection: 'column', height: '100%' }}>
-                <CardContent sx={{ flexGrow: 1 }}>
-                  <Typography variant="h5" component="div" gutterBottom>
-                    {quiz.title}
-                  </Typography>
-                  <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
-                    Type: Quiz
-                  </Typography>
-                  <Typography variant="body2">
-                    {quiz.questions?.length || 0} Questions
-                  </Typography>
-                  <Typography variant="caption" color="text.secondary" sx={{ mt: 1, display: 'block' }}>
-                    Created: {new Date(quiz.createdAt).toLocaleDateString()}
-                  </Typography>
-                </CardContent>
-                {/* CardActions with Assign, Rename, Edit, and Delete buttons */}
-                <CardActions sx={{ justifyContent: 'space-between', px: 2, pb: 2, flexWrap: 'nowrap' }}>
-                  <Button 
-                    size="small" 
-                    variant="contained"
-                    onClick={() => handleOpenAssignModal(quiz)}
-                  >
-                    Assign
-                  </Button>
-                  <Box sx={{ display: 'flex', gap: 0.5, flexShrink: 0 }}>
-                    <Button 
-                      size="small" 
-                      onClick={() => handleOpenRenameDialog(quiz)}
-                    >
-                      Rename
-                    </Button>
-                    <Button 
-                      size="small" 
-                      onClick={() => handleEdit(quiz._id)}
-                    >
-                      Edit
-                    </Button>
-                    <Button 
-                      size="small" 
-                      color="error"
-                      onClick={() => handleOpenDeleteModal(quiz._id)}
-                    >
-                      Delete
-                    </Button>
-                  </Box>
-                </CardActions>
-              </Card>
-            </Grid>
-          ))
-        ) : (
-          <Box sx={{ width: '100%', textAlign: 'center', mt: 4 }}>
-            {quizzes.length === 0 ? (
-              <>
-                <Typography variant="h6" color="text.secondary" gutterBottom>
-                  You haven't created any content yet.
-                </Typography>
-                <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
-                  Click "Create New Content" to generate your first quiz with AI!
-                </Typography>
-              </>
+
+          {/* 3. Grid of Content Cards */}
+          {error && (
+            <Typography color="error" sx={{ mb: 2 }}>
+              Error: {error}
+            </Typography>
+          )}
+      
+          <Grid container spacing={3}>
+            {isLoading ? (
+              <Box sx={{ display: 'flex', justifyContent: 'center', width: '100%', mt: 4 }}>
+                <Loader />
+              </Box>
+            ) : filteredQuizzes.length > 0 ? (
+              filteredQuizzes.map(quiz => (
+                <Grid size={{ xs: 12, sm: 6, md: 4 }} key={quiz._id}>
+                  <Card sx={{ display: 'flex', flexDirection: 'column', height: '100%' }}>
+                    <CardContent sx={{ flexGrow: 1 }}>
+                      <Typography variant="h5" component="div" gutterBottom>
+                        {quiz.title}
+                      </Typography>
+                      <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+                        Type: Quiz
+                      </Typography>
+                      <Typography variant="body2">
+                        {quiz.questions?.length || 0} Questions
+                      </Typography>
+                      <Typography variant="caption" color="text.secondary" sx={{ mt: 1, display: 'block' }}>
+                        Created: {new Date(quiz.createdAt).toLocaleDateString()}
+                      </Typography>
+                    </CardContent>
+                    {/* CardActions with Assign, Export, Rename, Edit, and Delete buttons */}
+                    <CardActions sx={{ justifyContent: 'space-between', px: 2, pb: 2, flexWrap: 'wrap', rowGap: 1 }}>
+                      <Box sx={{ display: 'flex', gap: 0.5 }}>
+                        <Button 
+                          size="small" 
+                          variant="contained"
+                          onClick={() => handleOpenAssignModal(quiz)}
+                        >
+                          Assign
+                        </Button>
+                        <ExportQuizMenu quiz={quiz} token={token} />
+                      </Box>
+                      <Box sx={{ display: 'flex', gap: 0.5, flexShrink: 0 }}>
+                        <Button 
+                          size="small" 
+                          onClick={() => handleOpenRenameDialog(quiz)}
+                        >
+                          Rename
+                        </Button>
+                        <Button 
+                          size="small" 
+                          onClick={() => handleEdit(quiz._id)}
+                        >
+                          Edit
+                        </Button>
+                        <Button 
+                          size="small" 
+                          color="error"
+                          onClick={() => handleOpenDeleteModal(quiz._id)}
+                        >
+                          Delete
+                        </Button>
+                      </Box>
+                    </CardActions>
+                  </Card>
+                </Grid>
+              ))
             ) : (
-              <>
-                <Typography variant="h6" color="text.secondary" gutterBottom>
-                  No quizzes found matching "{searchQuery}"
-                </Typography>
-                <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
-                  Try searching with a different keyword
-                </Typography>
-              </>
+              <Box sx={{ width: '100%', textAlign: 'center', mt: 4 }}>
+                {quizzes.length === 0 ? (
+                  <>
+                    <Typography variant="h6" color="text.secondary" gutterBottom>
+                      You haven't created any content yet.
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                      Click "Create New Content" to generate your first quiz with AI!
+                    </Typography>
+                  </>
+                ) : (
+                  <>
+                    <Typography variant="h6" color="text.secondary" gutterBottom>
+                      No quizzes found matching "{searchQuery}"
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                      Try searching with a different keyword
+                    </Typography>
+                  </>
+                )}
+              </Box>
             )}
-          </Box>
-        )}
-      </Grid>
+          </Grid>
+        </>
+      )}
 
       {/* Render the assignment modal */}
       <AssignQuizModal
@@ -302,6 +340,14 @@ const ContentLibrary = () => {
         onSuccess={handleRenameSuccess}
       />
 
+      {/* Import Quiz Dialog */}
+      <ImportQuizDialog
+        open={isImportDialogOpen}
+        onClose={() => setIsImportDialogOpen(false)}
+        token={token}
+        onImported={refreshQuizzes}
+      />
+
       {/* Delete Confirmation Dialog */}
       <Dialog open={isDeleteModalOpen} onClose={handleCloseDeleteModal}>
         <DialogTitle>Delete Quiz?</DialogTitle>
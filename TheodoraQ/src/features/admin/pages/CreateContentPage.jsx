@@ -1,15 +1,21 @@
 // src/pages/CreateContentPage.jsx
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import {
   Box, Typography, Button, Tabs, Tab, TextField, Paper,
   FormControl, InputLabel, Select, MenuItem, CircularProgress,
-  IconButton, Alert, Chip, Stack
+  IconButton, Alert, Chip, Stack, Checkbox, FormControlLabel, Switch,
+  ToggleButton, ToggleButtonGroup, LinearProgress
 } from '@mui/material';
 import DeleteIcon from '@mui/icons-material/Delete';
 import AddIcon from '@mui/icons-material/Add';
+import UploadFileIcon from '@mui/icons-material/UploadFile';
 import { useAuth } from '../../auth/contexts/AuthContext';
 import { useNavigate } from 'react-router-dom';
 import Loader from '../../../components/Loader';
+import { arePatternsValid } from '../../../utils/answerPatterns';
+import { findRubricProblem, getRubricTotal } from '../../../utils/rubric';
+import RubricEditor from '../components/RubricEditor';
+import { saveQuestionsToBank } from '../../../utils/questionBank';
 
 // TabPanel helper component
 const TabPanel = (props) => {
@@ -27,6 +33,17 @@ const TabPanel = (props) => {
   );
 };
 
+const hasRubric = (question) => question.type === 'essay' && question.rubric?.length > 0;
+
+// Course material accepted for document-based generation
+const DOCUMENT_ACCEPT = '.pdf,.docx,.pptx,.txt,.md';
+const MAX_DOCUMENTS = 5;
+
+// How often a running generation job is checked for progress
+const JOB_POLL_INTERVAL_MS = 1500;
+
+const isJobActive = (job) => job?.status === 'queued' || job?.status === 'running';
+
 const CreateContentPage = () => {
   const [currentTab, setCurrentTab] = useState(0);
   const { token } = useAuth();
@@ -35,8 +52,14 @@ const CreateContentPage = () => {
   // AI Generator State
   const [prompt, setPrompt] = useState('');
   const [quizType, setQuizType] = useState('mcq');
+  const [generateFrom, setGenerateFrom] = useState('topic'); // 'topic' | 'documents'
+  const [documents, setDocuments] = useState([]);
+  const [focus, setFocus] = useState('');
+  const [questionCount, setQuestionCount] = useState(10);
   const [isLoading, setIsLoading] = useState(false);
   const [aiResult, setAiResult] = useState(null);
+  const [generationJob, setGenerationJob] = useState(null);
+  const [bankStatus, setBankStatus] = useState(null);
 
   // Manual Creator State
   const [manualTitle, setManualTitle] = useState('My New Quiz');
@@ -61,26 +84,73 @@ const CreateContentPage = () => {
     setCurrentTab(newValue);
   };
 
+  // A job's questions (even partial ones) are shown as the draft
+  const applyJob = (job) => {
+    setGenerationJob(job);
+    setAiResult(job.questions.length > 0 ? job : null);
+  };
+
+  // Poll the running job until it finishes
+  useEffect(() => {
+    if (!isJobActive(generationJob)) return undefined;
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch(`/api/quiz/generate/jobs/${generationJob.id}`, {
+          headers: token ? { Authorization: `Bearer ${token}` } : {},
+        });
+        const data = await response.json();
+        if (data.success) {
+          setGenerationJob(data.data);
+          setAiResult(data.data.questions.length > 0 ? data.data : null);
+        } else {
+          setGenerationJob(prev => ({ ...prev, status: 'failed', error: data.message || 'Lost track of the generation job' }));
+        }
+      } catch {
+        // Network blip - poll again
+        setGenerationJob(prev => ({ ...prev }));
+      }
+    }, JOB_POLL_INTERVAL_MS);
+
+    return () => clearTimeout(timer);
+  }, [generationJob, token]);
+
   // 3. Update the generate function
   const handleGenerate = async () => {
     setIsLoading(true); // Show loading spinner
     setAiResult(null); // Clear old results
+    setGenerationJob(null);
+    setBankStatus(null);
 
     try {
-      // 4. Call our new backend API!
+      // 4. Start a background generation job; its progress is polled above
       // The proxy in vite.config.js makes "/api" work
-      const response = await fetch('/api/quiz/generate', {
-        method: 'POST',
-        headers: getAuthHeaders(),
-        body: JSON.stringify({ prompt, quizType }),
-      });
+      let response;
+      if (generateFrom === 'documents') {
+        // Multipart upload - let the browser set the Content-Type boundary
+        const formData = new FormData();
+        documents.forEach(file => formData.append('files', file));
+        formData.append('quizType', quizType);
+        formData.append('numberOfQuestions', questionCount);
+        formData.append('focus', focus);
+        response = await fetch('/api/quiz/generate/documents/jobs', {
+          method: 'POST',
+          headers: token ? { Authorization: `Bearer ${token}` } : {},
+          body: formData,
+        });
+      } else {
+        response = await fetch('/api/quiz/generate/jobs', {
+          method: 'POST',
+          headers: getAuthHeaders(),
+          body: JSON.stringify({ prompt, quizType, numberOfQuestions: questionCount }),
+        });
+      }
 
       const data = await response.json();
       
       // Check if the request was successful
       if (data.success) {
-        // Extract the actual quiz data from the response
-        setAiResult(data.data);
+        applyJob(data.data);
       } else {
         // Handle error response from backend
         setAiResult({
@@ -90,7 +160,7 @@ const CreateContentPage = () => {
         });
       }
       
-    } catch (error) {
+    } catch {
       setAiResult({
         error: true,
         message: 'Network error: Could not connect to server'
@@ -100,6 +170,81 @@ const CreateContentPage = () => {
     setIsLoading(false); // Hide loading spinner
   };
 
+  // Cancel or retry the current job ('cancel' | 'retry')
+  const handleJobAction = async (action) => {
+    try {
+      const response = await fetch(`/api/quiz/generate/jobs/${generationJob.id}/${action}`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+      });
+      const data = await response.json();
+      if (data.success) {
+        applyJob(data.data);
+      } else {
+        setGenerationJob(prev => ({ ...prev, error: data.message }));
+      }
+    } catch {
+      setGenerationJob(prev => ({ ...prev, error: 'Network error: Could not connect to server' }));
+    }
+  };
+
+  const isGenerating = isLoading || isJobActive(generationJob);
+
+  const handleDocumentsSelected = (e) => {
+    const picked = Array.from(e.target.files || []);
+    // Re-picking adds to the list; a file picked twice only counts once
+    setDocuments(prev => [
+      ...prev,
+      ...picked.filter(file => !prev.some(existing => existing.name === file.name && existing.size === file.size)),
+    ].slice(0, MAX_DOCUMENTS));
+    e.target.value = '';
+  };
+
+  const handleRemoveDocument = (index) => {
+    setDocuments(prev => prev.filter((_, i) => i !== index));
+  };
+
+  // Save the generated draft straight into the question bank
+  const handleSaveDraftToBank = async () => {
+    setBankStatus({ saving: true });
+    try {
+      const saved = await saveQuestionsToBank(token, aiResult.questions, {
+        source: 'generated',
+        topic: aiResult.title || prompt,
+      });
+      setBankStatus({ severity: 'success', message: `${saved.length} question(s) saved to the question bank.` });
+    } catch (error) {
+      setBankStatus({ severity: 'error', message: error.message });
+    }
+  };
+
+  // Save the generated draft as a quiz and open it in the editor, where its answers get checked
+  const handleSaveDraftAsQuiz = async () => {
+    setBankStatus({ saving: true });
+    try {
+      const response = await fetch('/api/quiz/manual', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({
+          title: aiResult.title || prompt || 'Generated Quiz',
+          questions: aiResult.questions,
+          timeLimit: aiResult.timeLimit,
+          generated: true
+        })
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Failed to save quiz');
+      }
+      navigate(`/admin/content/edit/${data.data._id}`);
+    } catch (error) {
+      setBankStatus({ severity: 'error', message: error.message });
+    }
+  };
+
   // Manual Quiz Creator Functions
   const handleQuestionChange = (e, qIndex) => {
     const newQuestions = [...manualQuestions];
@@ -107,9 +252,51 @@ const CreateContentPage = () => {
     setManualQuestions(newQuestions);
   };
 
+  // Numeric fields (points, numeric answers); an empty box falls back to the schema default
+  const handleNumberFieldChange = (e, qIndex) => {
+    const newQuestions = [...manualQuestions];
+    const value = parseFloat(e.target.value);
+    newQuestions[qIndex][e.target.name] = isNaN(value) ? undefined : value;
+    setManualQuestions(newQuestions);
+  };
+
+  // Textarea fields stored as one entry per line (accepted answers, patterns)
+  const handleListFieldChange = (e, qIndex) => {
+    const newQuestions = [...manualQuestions];
+    newQuestions[qIndex][e.target.name] = e.target.value.split('\n');
+    setManualQuestions(newQuestions);
+  };
+
   const handleOptionChange = (e, qIndex, oIndex) => {
     const newQuestions = [...manualQuestions];
+    const oldValue = newQuestions[qIndex].options[oIndex];
     newQuestions[qIndex].options[oIndex] = e.target.value;
+    // Keep ticked correct answers pointing at the renamed option
+    if (newQuestions[qIndex].correctAnswers) {
+      newQuestions[qIndex].correctAnswers = newQuestions[qIndex].correctAnswers.map(a => (a === oldValue ? e.target.value : a));
+    }
+    setManualQuestions(newQuestions);
+  };
+
+  // Multi-select: tick/untick an option as correct
+  const handleToggleCorrectOption = (qIndex, option) => {
+    const newQuestions = [...manualQuestions];
+    const current = newQuestions[qIndex].correctAnswers || [];
+    newQuestions[qIndex].correctAnswers = current.includes(option)
+      ? current.filter(a => a !== option)
+      : [...current, option];
+    setManualQuestions(newQuestions);
+  };
+
+  const handleRubricChange = (rubric, qIndex) => {
+    const newQuestions = [...manualQuestions];
+    newQuestions[qIndex].rubric = rubric;
+    setManualQuestions(newQuestions);
+  };
+
+  const handlePartialCreditChange = (e, qIndex) => {
+    const newQuestions = [...manualQuestions];
+    newQuestions[qIndex].partialCredit = e.target.checked;
     setManualQuestions(newQuestions);
   };
 
@@ -122,7 +309,10 @@ const CreateContentPage = () => {
   const handleDeleteOption = (qIndex, oIndex) => {
     const newQuestions = [...manualQuestions];
     if (newQuestions[qIndex].options.length > 2) {
-      newQuestions[qIndex].options.splice(oIndex, 1);
+      const [removed] = newQuestions[qIndex].options.splice(oIndex, 1);
+      if (newQuestions[qIndex].correctAnswers) {
+        newQuestions[qIndex].correctAnswers = newQuestions[qIndex].correctAnswers.filter(a => a !== removed);
+      }
       setManualQuestions(newQuestions);
     }
   };
@@ -152,10 +342,25 @@ const CreateContentPage = () => {
     } else if (newType === 'short_answer') {
       newQuestions[qIndex].options = [];
       newQuestions[qIndex].answer = 'Sample answer';
-    } else if (newType === 'mcq' && newQuestions[qIndex].options.length === 0) {
+    } else if (newType === 'numeric' || newType === 'essay') {
+      newQuestions[qIndex].options = [];
+      newQuestions[qIndex].answer = '';
+    } else if ((newType === 'mcq' || newType === 'multi_select') && newQuestions[qIndex].options.length === 0) {
       newQuestions[qIndex].options = ['Option A', 'Option B', 'Option C', 'Option D'];
       newQuestions[qIndex].answer = 'Option A';
     }
+
+    // Multi-select keeps its key in correctAnswers; seed it from the single answer
+    if (newType === 'multi_select') {
+      const { options, answer } = newQuestions[qIndex];
+      newQuestions[qIndex].correctAnswers = options.includes(answer) ? [answer] : [options[0]];
+      newQuestions[qIndex].answer = '';
+    } else {
+      newQuestions[qIndex].correctAnswers = [];
+      if (newType === 'mcq' && !newQuestions[qIndex].answer) {
+        newQuestions[qIndex].answer = newQuestions[qIndex].options[0];
+      }
+    }
     
     setManualQuestions(newQuestions);
   };
@@ -163,6 +368,28 @@ const CreateContentPage = () => {
   const handleSaveManualQuiz = async () => {
     setManualError('');
     setManualSuccess('');
+
+    const missingKey = manualQuestions.findIndex(q => q.type === 'multi_select' && !(q.correctAnswers?.length > 0));
+    if (missingKey !== -1) {
+      setManualError(`Question ${missingKey + 1}: tick at least one correct option`);
+      return;
+    }
+    const missingValue = manualQuestions.findIndex(q => q.type === 'numeric' && typeof q.numericAnswer !== 'number');
+    if (missingValue !== -1) {
+      setManualError(`Question ${missingValue + 1}: enter the correct numeric value`);
+      return;
+    }
+    const badPattern = manualQuestions.findIndex(q => q.type === 'short_answer' && !arePatternsValid(q.answerPatterns));
+    if (badPattern !== -1) {
+      setManualError(`Question ${badPattern + 1}: one of the regex patterns is invalid or uses nested or overlapping repeats like (a+)+, (a|b)* or a*a*`);
+      return;
+    }
+    const badRubric = manualQuestions.findIndex(q => q.type === 'essay' && findRubricProblem(q.rubric));
+    if (badRubric !== -1) {
+      setManualError(`Question ${badRubric + 1}: ${findRubricProblem(manualQuestions[badRubric].rubric)}`);
+      return;
+    }
+
     setIsSaving(true);
 
     try {
@@ -216,17 +443,68 @@ const CreateContentPage = () => {
             AI Content Generator
           </Typography>
           
-          {/* Gemini-like Prompt Box */}
-          <TextField
-            fullWidth
-            multiline
-            rows={4}
-            variant="outlined"
-            placeholder="e.g., 'Create a 10-question multiple-choice quiz on the Roman Republic.'"
-            value={prompt}
-            onChange={(e) => setPrompt(e.target.value)}
+          <ToggleButtonGroup
+            value={generateFrom}
+            exclusive
+            size="small"
+            onChange={(e, value) => value && setGenerateFrom(value)}
             sx={{ mb: 2, background: '#fff' }}
-          />
+          >
+            <ToggleButton value="topic">From a topic</ToggleButton>
+            <ToggleButton value="documents">From course material</ToggleButton>
+          </ToggleButtonGroup>
+
+          {generateFrom === 'topic' ? (
+            /* Gemini-like Prompt Box */
+            <TextField
+              fullWidth
+              multiline
+              rows={4}
+              variant="outlined"
+              placeholder="e.g., 'Create a 10-question multiple-choice quiz on the Roman Republic.'"
+              value={prompt}
+              onChange={(e) => setPrompt(e.target.value)}
+              sx={{ mb: 2, background: '#fff' }}
+            />
+          ) : (
+            <Box sx={{ mb: 2 }}>
+              <Button
+                variant="outlined"
+                component="label"
+                startIcon={<UploadFileIcon />}
+                disabled={documents.length >= MAX_DOCUMENTS}
+                sx={{ background: '#fff' }}
+              >
+                Upload Documents
+                <input type="file" hidden multiple accept={DOCUMENT_ACCEPT} onChange={handleDocumentsSelected} />
+              </Button>
+              <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+                PDF, Word (.docx), PowerPoint (.pptx) or text files - up to {MAX_DOCUMENTS} files, 20MB each.
+                Questions cite the page or slide they come from.
+              </Typography>
+              {documents.length > 0 && (
+                <Stack direction="row" spacing={1} sx={{ mt: 1, flexWrap: 'wrap', rowGap: 1 }}>
+                  {documents.map((file, index) => (
+                    <Chip
+                      key={`${file.name}-${file.size}`}
+                      label={file.name}
+                      onDelete={() => handleRemoveDocument(index)}
+                      sx={{ background: '#fff' }}
+                    />
+                  ))}
+                </Stack>
+              )}
+              <TextField
+                label="Focus (optional)"
+                placeholder="e.g., 'photosynthesis and the Calvin cycle'"
+                value={focus}
+                onChange={(e) => setFocus(e.target.value)}
+                helperText="Leave empty to cover all of the material"
+                fullWidth
+                sx={{ mt: 2, background: '#fff' }}
+              />
+            </Box>
+          )}
           
           {/* Form controls at the bottom */}
           <Box sx={{ display: 'flex', alignItems: 'flex-end' }}>
@@ -241,28 +519,76 @@ const CreateContentPage = () => {
                 sx={{ background: '#fff' }}
               >
                 <MenuItem value="mcq">Multiple Choice</MenuItem>
+                <MenuItem value="multi_select">Multi-Select</MenuItem>
                 <MenuItem value="short_answer">Short Answer</MenuItem>
                 <MenuItem value="true_false">True/False</MenuItem>
               </Select>
             </FormControl>
+
+            <TextField
+              label="Questions"
+              type="number"
+              value={questionCount}
+              onChange={(e) => setQuestionCount(parseInt(e.target.value) || 1)}
+              inputProps={{ min: 1, max: 50 }}
+              sx={{ width: 120, mr: 2, background: '#fff' }}
+            />
             
             {/* Generate Button */}
             <Button 
               variant="contained" 
               size="large" 
               onClick={handleGenerate}
-              disabled={isLoading}
+              disabled={isGenerating || (generateFrom === 'documents' && documents.length === 0)}
             >
-              {isLoading ? <CircularProgress size={24} color="inherit" /> : 'Generate'}
+              {isGenerating ? <CircularProgress size={24} color="inherit" /> : 'Generate'}
             </Button>
           </Box>
+
+          {/* Background job progress */}
+          {isJobActive(generationJob) && (
+            <Box sx={{ mt: 3 }}>
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+                <Typography variant="body2" color="text.secondary">
+                  {generationJob.progressMessage || 'Waiting to start...'}
+                  {' '}({generationJob.generatedCount} of {generationJob.questionCount} questions)
+                </Typography>
+                <Button size="small" color="error" onClick={() => handleJobAction('cancel')}>
+                  Cancel
+                </Button>
+              </Box>
+              <LinearProgress
+                variant={generationJob.progress > 0 ? 'determinate' : 'indeterminate'}
+                value={generationJob.progress}
+              />
+            </Box>
+          )}
+          {(generationJob?.status === 'failed' || generationJob?.status === 'cancelled') && (
+            <Alert
+              severity={generationJob.status === 'failed' ? 'error' : 'info'}
+              sx={{ mt: 3 }}
+              action={
+                <Button color="inherit" size="small" onClick={() => handleJobAction('retry')}>
+                  {generationJob.generatedCount > 0 ? 'Resume' : 'Retry'}
+                </Button>
+              }
+            >
+              {generationJob.status === 'failed'
+                ? `Generation failed: ${generationJob.error}`
+                : 'Generation cancelled.'}
+              {generationJob.generatedCount > 0 && ` ${generationJob.generatedCount} of ${generationJob.questionCount} questions were generated and kept.`}
+              {generationJob.rawText && (
+                <pre style={{ whiteSpace: 'pre-wrap', fontSize: '12px', marginBottom: 0 }}>{generationJob.rawText}</pre>
+              )}
+            </Alert>
+          )}
         </Paper>
         
         {/* "Editable Draft" Section */}
         <Box sx={{ mt: 4 }}>
           <Typography variant="h5">Editable Draft</Typography>
           <Paper sx={{ p: 3, mt: 2, minHeight: 200, border: '1px dashed grey' }}>
-            {isLoading ? (
+            {isGenerating && !aiResult ? (
               <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: 200 }}>
                 <Loader />
               </Box>
@@ -282,8 +608,66 @@ const CreateContentPage = () => {
               ) : (
                 // Display successful result
                 <Box>
-                  <Typography variant="h6">{aiResult.title}</Typography>
-                  <pre style={{ whiteSpace: 'pre-wrap' }}>{JSON.stringify(aiResult.questions, null, 2)}</pre>
+                  <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                    <Typography variant="h6">{aiResult.title}</Typography>
+                    <Box sx={{ display: 'flex', gap: 1 }}>
+                      <Button
+                        variant="outlined"
+                        onClick={handleSaveDraftToBank}
+                        disabled={isGenerating || bankStatus?.saving || bankStatus?.severity === 'success'}
+                      >
+                        Save to Question Bank
+                      </Button>
+                      <Button
+                        variant="contained"
+                        onClick={handleSaveDraftAsQuiz}
+                        disabled={isGenerating || bankStatus?.saving}
+                      >
+                        Save as Quiz
+                      </Button>
+                    </Box>
+                  </Box>
+                  {bankStatus?.message && (
+                    <Alert severity={bankStatus.severity} sx={{ mt: 2, whiteSpace: 'pre-line' }}>
+                      {bankStatus.message}
+                    </Alert>
+                  )}
+                  {aiResult.warnings?.length > 0 && (
+                    <Alert severity="warning" sx={{ mt: 2 }}>
+                      {aiResult.warnings.map((warning, index) => (
+                        <div key={index}>{warning}</div>
+                      ))}
+                    </Alert>
+                  )}
+                  {aiResult.documents ? (
+                    // Document-based drafts: show where each question came from
+                    aiResult.questions.map((q, qIndex) => (
+                      <Box key={qIndex} sx={{ mt: 2, pb: 2, borderBottom: '1px solid #eee' }}>
+                        <Typography fontWeight="bold">{qIndex + 1}. {q.text}</Typography>
+                        {q.options?.length > 0 && (
+                          <Typography variant="body2" color="text.secondary">
+                            Options: {q.options.join(' | ')}
+                          </Typography>
+                        )}
+                        <Typography variant="body2" color="success.main">
+                          Answer: {q.type === 'multi_select' ? (q.correctAnswers || []).join(', ') : q.answer}
+                        </Typography>
+                        {q.explanation && (
+                          <Typography variant="body2" color="text.secondary">
+                            Explanation: {q.explanation}
+                          </Typography>
+                        )}
+                        {(q.citations || []).map((citation, cIndex) => (
+                          <Typography key={cIndex} variant="caption" sx={{ display: 'block', mt: 0.5, color: 'text.secondary' }}>
+                            Source: {citation.document}{citation.location ? `, ${citation.location}` : ''}
+                            {citation.excerpt && <> - &ldquo;{citation.excerpt}&rdquo;</>}
+                          </Typography>
+                        ))}
+                      </Box>
+                    ))
+                  ) : (
+                    <pre style={{ whiteSpace: 'pre-wrap' }}>{JSON.stringify(aiResult.questions, null, 2)}</pre>
+                  )}
                 </Box>
               )
             ) : (
@@ -366,19 +750,57 @@ const CreateContentPage = () => {
                   onChange={(e) => handleQuestionTypeChange(e, qIndex)}
                 >
                   <MenuItem value="mcq">Multiple Choice</MenuItem>
+                  <MenuItem value="multi_select">Multi-Select (Select all that apply)</MenuItem>
                   <MenuItem value="true_false">True/False</MenuItem>
                   <MenuItem value="short_answer">Short Answer</MenuItem>
+                  <MenuItem value="numeric">Numeric</MenuItem>
+                  <MenuItem value="essay">Essay</MenuItem>
                 </Select>
               </FormControl>
 
-              {/* MCQ Options */}
-              {q.type === 'mcq' && (
+              {/* Scoring */}
+              <Stack direction="row" spacing={2} sx={{ mb: 2 }}>
+                <TextField
+                  label="Points"
+                  name="points"
+                  type="number"
+                  value={hasRubric(q) ? getRubricTotal(q.rubric) : (q.points ?? 1)}
+                  onChange={(e) => handleNumberFieldChange(e, qIndex)}
+                  inputProps={{ min: 0, step: 0.5 }}
+                  size="small"
+                  sx={{ width: 140 }}
+                  disabled={hasRubric(q)}
+                  helperText={hasRubric(q) ? 'Set by the rubric' : undefined}
+                />
+                <TextField
+                  label="Negative Marks"
+                  name="negativePoints"
+                  type="number"
+                  value={q.negativePoints ?? 0}
+                  onChange={(e) => handleNumberFieldChange(e, qIndex)}
+                  inputProps={{ min: 0, step: 0.25 }}
+                  size="small"
+                  sx={{ width: 160 }}
+                  helperText="Deducted for a wrong answer"
+                />
+              </Stack>
+
+              {/* MCQ / Multi-Select Options */}
+              {(q.type === 'mcq' || q.type === 'multi_select') && (
                 <Box sx={{ mb: 2 }}>
                   <Typography variant="subtitle2" sx={{ mb: 1, fontWeight: 600 }}>
-                    Options
+                    {q.type === 'multi_select' ? 'Options (tick every correct option)' : 'Options'}
                   </Typography>
                   {q.options.map((opt, oIndex) => (
                     <Box key={oIndex} sx={{ display: 'flex', gap: 1, mb: 1 }}>
+                      {q.type === 'multi_select' && (
+                        <Checkbox
+                          checked={(q.correctAnswers || []).includes(opt)}
+                          onChange={() => handleToggleCorrectOption(qIndex, opt)}
+                          color="success"
+                          size="small"
+                        />
+                      )}
                       <TextField
                         label={`Option ${oIndex + 1}`}
                         value={opt}
@@ -405,6 +827,18 @@ const CreateContentPage = () => {
                   >
                     Add Option
                   </Button>
+                  {q.type === 'multi_select' && (
+                    <FormControlLabel
+                      control={
+                        <Switch
+                          checked={q.partialCredit !== false}
+                          onChange={(e) => handlePartialCreditChange(e, qIndex)}
+                        />
+                      }
+                      label="Partial credit"
+                      sx={{ display: 'flex', mt: 1 }}
+                    />
+                  )}
                 </Box>
               )}
 
@@ -430,23 +864,133 @@ const CreateContentPage = () => {
                 </Box>
               )}
 
-              {/* Answer Field */}
+              {/* Essay Display */}
+              {q.type === 'essay' && (
+                <Box sx={{ mb: 2 }}>
+                  <Typography variant="subtitle2" sx={{ mb: 1, color: 'text.secondary' }}>
+                    Students write a long-form answer, graded by hand (with the rubric below, if any)
+                  </Typography>
+                </Box>
+              )}
+
+              {/* Numeric Answer */}
+              {q.type === 'numeric' && (
+                <Stack direction="row" spacing={2} sx={{ flexWrap: 'wrap' }}>
+                  <TextField
+                    label="Correct Value"
+                    name="numericAnswer"
+                    type="number"
+                    value={q.numericAnswer ?? ''}
+                    onChange={(e) => handleNumberFieldChange(e, qIndex)}
+                    required
+                    sx={{ width: 180 }}
+                  />
+                  <TextField
+                    label="Tolerance"
+                    name="tolerance"
+                    type="number"
+                    value={q.tolerance ?? 0}
+                    onChange={(e) => handleNumberFieldChange(e, qIndex)}
+                    inputProps={{ min: 0 }}
+                    sx={{ width: 140 }}
+                  />
+                  <FormControl sx={{ width: 170 }}>
+                    <InputLabel>Tolerance Type</InputLabel>
+                    <Select
+                      name="toleranceType"
+                      value={q.toleranceType || 'absolute'}
+                      label="Tolerance Type"
+                      onChange={(e) => handleQuestionChange(e, qIndex)}
+                    >
+                      <MenuItem value="absolute">± value</MenuItem>
+                      <MenuItem value="relative">± percent</MenuItem>
+                    </Select>
+                  </FormControl>
+                  <TextField
+                    label="Unit (optional)"
+                    name="unit"
+                    value={q.unit || ''}
+                    onChange={(e) => handleQuestionChange(e, qIndex)}
+                    placeholder="e.g., m/s"
+                    sx={{ width: 160 }}
+                  />
+                </Stack>
+              )}
+
+              {/* Answer Field (multi-select and numeric answers are set above) */}
+              {q.type !== 'multi_select' && q.type !== 'numeric' && (
+                <TextField
+                  label={q.type === 'essay' ? 'Model Answer (optional)' : 'Correct Answer'}
+                  name="answer"
+                  value={q.answer}
+                  onChange={(e) => handleQuestionChange(e, qIndex)}
+                  fullWidth
+                  multiline={q.type === 'short_answer' || q.type === 'essay'}
+                  rows={q.type === 'short_answer' || q.type === 'essay' ? 3 : 1}
+                  variant="outlined"
+                  helperText={
+                    q.type === 'mcq' 
+                      ? "Must exactly match one of the options above"
+                      : q.type === 'true_false'
+                      ? "Must be either 'True' or 'False'"
+                      : q.type === 'essay'
+                      ? "Optional model answer or grading notes, shown to graders only"
+                      : "Provide a sample correct answer"
+                  }
+                />
+              )}
+
+              {/* Essay rubric */}
+              {q.type === 'essay' && (
+                <RubricEditor rubric={q.rubric || []} onChange={(rubric) => handleRubricChange(rubric, qIndex)} />
+              )}
+
+              {/* Short-answer matching rules */}
+              {q.type === 'short_answer' && (
+                <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', mt: 2 }}>
+                  <TextField
+                    label="Also Accept (one per line)"
+                    name="acceptedAnswers"
+                    value={(q.acceptedAnswers || []).join('\n')}
+                    onChange={(e) => handleListFieldChange(e, qIndex)}
+                    multiline
+                    minRows={2}
+                    sx={{ flex: 1, minWidth: 220 }}
+                    helperText="Alternative answers that also count as correct"
+                  />
+                  <TextField
+                    label="Regex Patterns (one per line)"
+                    name="answerPatterns"
+                    value={(q.answerPatterns || []).join('\n')}
+                    onChange={(e) => handleListFieldChange(e, qIndex)}
+                    multiline
+                    minRows={2}
+                    sx={{ flex: 1, minWidth: 220 }}
+                    helperText="Case-insensitive, e.g. ^(co2|carbon dioxide)$"
+                  />
+                  <TextField
+                    label="Typo Tolerance"
+                    name="typoTolerance"
+                    type="number"
+                    value={q.typoTolerance ?? 0}
+                    onChange={(e) => handleNumberFieldChange(e, qIndex)}
+                    inputProps={{ min: 0, max: 5 }}
+                    sx={{ width: 150 }}
+                    helperText="Letters that may be wrong"
+                  />
+                </Box>
+              )}
+
               <TextField
-                label="Correct Answer"
-                name="answer"
-                value={q.answer}
+                label="Explanation (optional)"
+                name="explanation"
+                value={q.explanation || ''}
                 onChange={(e) => handleQuestionChange(e, qIndex)}
                 fullWidth
-                multiline={q.type === 'short_answer'}
-                rows={q.type === 'short_answer' ? 3 : 1}
-                variant="outlined"
-                helperText={
-                  q.type === 'mcq' 
-                    ? "Must exactly match one of the options above"
-                    : q.type === 'true_false'
-                    ? "Must be either 'True' or 'False'"
-                    : "Provide a sample correct answer"
-                }
+                multiline
+                minRows={2}
+                sx={{ mt: 2 }}
+                helperText="Why the answer is right - candidates see it when answers are released for review"
               />
             </Paper>
           ))}
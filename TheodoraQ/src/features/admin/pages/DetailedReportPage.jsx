@@ -14,17 +14,39 @@ import {
   Chip,
   Alert,
   Grid,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
 } from '@mui/material';
 import CheckCircleIcon from '@mui/icons-material/CheckCircle';
 import CancelIcon from '@mui/icons-material/Cancel';
 import ArrowBackIcon from '@mui/icons-material/ArrowBack';
+import EditIcon from '@mui/icons-material/Edit';
 import { useAuth } from '../../auth/contexts/AuthContext';
 import Loader from '../../../components/Loader';
 
+// How a short answer that wasn't an exact match got accepted
+const MATCH_RULE_LABELS = {
+  accepted: 'Accepted as an alternative answer',
+  pattern: 'Accepted by pattern',
+  fuzzy: 'Accepted with a typo, close to',
+};
+
 const DetailedReportPage = () => {
   const [reportData, setReportData] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState('');
+  const [reloadKey, setReloadKey] = useState(0);
+  const [gradingItem, setGradingItem] = useState(null);
+  const [gradeForm, setGradeForm] = useState({ pointsEarned: '', comment: '', rubricScores: {} });
+  const [gradeError, setGradeError] = useState('');
+  const [isSavingGrade, setIsSavingGrade] = useState(false);
   const { assignmentId, submissionId } = useParams();
   const { token } = useAuth();
   const navigate = useNavigate();
@@ -70,7 +92,58 @@ const DetailedReportPage = () => {
     if (token && assignmentId && submissionId) {
       fetchReport();
     }
-  }, [assignmentId, submissionId, token]);
+  }, [assignmentId, submissionId, token, reloadKey]);
+
+  const handleOpenGrade = (item) => {
+    setGradingItem(item);
+    setGradeForm({
+      pointsEarned: String(item.pointsEarned),
+      comment: item.teacherComment || '',
+      // criterionId -> points of the chosen level
+      rubricScores: Object.fromEntries((item.rubricScores || []).map(score => [score.criterionId, score.points])),
+    });
+    setGradeError('');
+  };
+
+  // Save a teacher's grade for one answer; the server recomputes the score and logs the change
+  const handleSaveGrade = async () => {
+    setIsSavingGrade(true);
+    setGradeError('');
+    try {
+      const response = await fetch(
+        `http://localhost:5000/api/assignments/${assignmentId}/submissions/${submissionId}/answers/${gradingItem.questionId}`,
+        {
+          method: 'PUT',
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify(gradingItem.rubric?.length > 0
+            ? {
+                rubricScores: Object.entries(gradeForm.rubricScores).map(([criterionId, points]) => ({ criterionId, points })),
+                comment: gradeForm.comment,
+              }
+            : {
+                pointsEarned: parseFloat(gradeForm.pointsEarned),
+                comment: gradeForm.comment,
+              }),
+        }
+      );
+
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to save grade');
+      }
+
+      setGradingItem(null);
+      setReloadKey(key => key + 1);
+    } catch (error) {
+      console.error('Error saving grade:', error);
+      setGradeError(error.message);
+    } finally {
+      setIsSavingGrade(false);
+    }
+  };
 
   if (isLoading) {
     return (
@@ -111,7 +184,12 @@ const DetailedReportPage = () => {
     );
   }
 
-  const { candidate, quiz, class: classInfo, score, submittedAt, statistics, questions } = reportData;
+  const { candidate, quiz, class: classInfo, score, submittedAt, statistics, questions, gradingStatus, gradingHistory = [], scoreHistory = [] } = reportData;
+  const getQuestionNumber = (questionId) => questions.findIndex(q => q.questionId === questionId) + 1;
+  const isRubricGrading = gradingItem?.rubric?.length > 0;
+  const isGradeReady = isRubricGrading
+    ? gradingItem.rubric.every(criterion => gradeForm.rubricScores[criterion._id] !== undefined)
+    : gradeForm.pointsEarned !== '';
 
   // Check if this is an old submission without detailed answers
   const hasDetailedAnswers = questions && questions.some(q => q.candidateAnswer !== '');
@@ -133,6 +211,13 @@ const DetailedReportPage = () => {
         Detailed Grading Report
       </Typography>
 
+      {gradingStatus === 'pending_review' && (
+        <Alert severity="warning" sx={{ mb: 3 }}>
+          Some answers are waiting to be graded. The score below is provisional until every answer marked
+          "Needs grading" has been reviewed.
+        </Alert>
+      )}
+
       {/* Warning for old submissions */}
       {isOldSubmission && (
         <Alert severity="warning" sx={{ mb: 3 }}>
@@ -178,6 +263,7 @@ const DetailedReportPage = () => {
             </Typography>
             <Typography variant="body1">
               <strong>Quiz:</strong> {quiz.title}
+              {quiz.version && ` (version ${quiz.version})`}
             </Typography>
             <Typography variant="body1" color="text.secondary">
               <strong>Class:</strong> {classInfo.title} ({classInfo.courseCode})
@@ -205,6 +291,14 @@ const DetailedReportPage = () => {
             </Typography>
           </Box>
           <Divider orientation="vertical" flexItem />
+          <Box>
+            <Typography variant="body2" color="text.secondary">
+              Points
+            </Typography>
+            <Typography variant="h4" color="primary.main">
+              {isOldSubmission ? '—' : `${statistics.pointsEarned} / ${statistics.pointsPossible}`}
+            </Typography>
+          </Box>
           <Box>
             <Typography variant="body2" color="text.secondary">
               Correct Answers
@@ -269,33 +363,68 @@ const DetailedReportPage = () => {
                       <CancelIcon color="error" sx={{ fontSize: 28, flexShrink: 0 }} />
                     )}
                     <Box sx={{ flex: 1 }}>
-                      <Typography variant="h6" component="div">
-                        Question {index + 1}
-                      </Typography>
+                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                        <Typography variant="h6" component="div">
+                          Question {index + 1}
+                        </Typography>
+                        <Chip
+                          label={`${item.pointsEarned} / ${item.pointsPossible} pts`}
+                          color={item.isCorrect ? 'success' : item.pointsEarned > 0 ? 'warning' : item.pointsEarned < 0 ? 'error' : 'default'}
+                          size="small"
+                          variant="outlined"
+                        />
+                        {item.reviewStatus === 'pending' && (
+                          <Chip label="Needs grading" color="warning" size="small" />
+                        )}
+                        {item.reviewStatus === 'flagged' && (
+                          <Chip label="Flagged for review" color="info" size="small" variant="outlined" />
+                        )}
+                        {item.reviewStatus === 'reviewed' && (
+                          <Chip label="Teacher graded" color="primary" size="small" variant="outlined" />
+                        )}
+                        <Button
+                          size="small"
+                          startIcon={<EditIcon />}
+                          onClick={() => handleOpenGrade(item)}
+                          sx={{ ml: 'auto' }}
+                        >
+                          {item.reviewStatus === 'pending' ? 'Grade' : 'Override'}
+                        </Button>
+                      </Box>
                       <Typography variant="body1" sx={{ mt: 1 }}>
                         {item.questionText}
                       </Typography>
-                      {item.questionType === 'multiple_choice' && item.options.length > 0 && (
+                      {['mcq', 'multi_select'].includes(item.questionType) && item.options.length > 0 && (
                         <Box sx={{ mt: 2, ml: 2 }}>
                           <Typography variant="body2" color="text.secondary" gutterBottom>
-                            Options:
+                            {item.optionOrder ? 'Options (in the order this candidate saw them):' : 'Options:'}
                           </Typography>
-                          {item.options.map((option, optIndex) => (
-                            <Typography 
-                              key={optIndex} 
-                              variant="body2" 
-                              sx={{ 
-                                ml: 1,
-                                color: option === item.correctAnswer ? 'success.main' : 
-                                       option === item.candidateAnswer && !item.isCorrect ? 'error.main' : 
-                                       'text.secondary'
-                              }}
-                            >
-                              • {option}
-                              {option === item.correctAnswer && ' ✓ (Correct)'}
-                              {option === item.candidateAnswer && !item.isCorrect && ' ✗ (Your Answer)'}
-                            </Typography>
-                          ))}
+                          {(item.optionOrder || item.options.map((_, optIndex) => optIndex)).map((optIndex, position) => {
+                            const option = item.options[optIndex];
+                            const isCorrectOption = item.questionType === 'multi_select'
+                              ? item.correctAnswers.includes(option)
+                              : option === item.correctAnswer;
+                            const isPicked = item.questionType === 'multi_select'
+                              ? item.candidateAnswers.includes(option)
+                              : option === item.candidateAnswer;
+                            return (
+                              <Typography 
+                                key={optIndex} 
+                                variant="body2" 
+                                sx={{ 
+                                  ml: 1,
+                                  color: isCorrectOption ? 'success.main' : 
+                                         isPicked ? 'error.main' : 
+                                         'text.secondary'
+                                }}
+                              >
+                                • {option}
+                                {item.optionOrder && optIndex !== position && ` (authored as option ${optIndex + 1})`}
+                                {isCorrectOption && ' ✓ (Correct)'}
+                                {isPicked && !isCorrectOption && ' ✗ (Your Answer)'}
+                              </Typography>
+                            );
+                          })}
                         </Box>
                       )}
                     </Box>
@@ -309,12 +438,42 @@ const DetailedReportPage = () => {
                       </Typography>
                       <Typography 
                         variant="body1"
-                        color={item.isCorrect ? 'success.dark' : 'error.dark'}
+                        color={item.questionType === 'essay' ? 'text.primary' : item.isCorrect ? 'success.dark' : 'error.dark'}
+                        sx={{ whiteSpace: 'pre-wrap' }}
                       >
                         {item.candidateAnswer || '(No answer provided)'}
                       </Typography>
+                      {item.rubric?.length > 0 && item.rubricScores.length > 0 && (
+                        <Box sx={{ mt: 1 }}>
+                          {item.rubric.map(criterion => {
+                            const scored = item.rubricScores.find(score => score.criterionId === criterion._id);
+                            const level = criterion.levels.find(l => l.points === scored?.points);
+                            const maxPoints = Math.max(0, ...criterion.levels.map(l => l.points));
+                            return (
+                              <Typography key={criterion._id} variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+                                {criterion.criterion}: {level ? `${level.label} - ` : ''}{scored?.points ?? '—'} / {maxPoints}
+                              </Typography>
+                            );
+                          })}
+                        </Box>
+                      )}
+                      {item.matchedRule && item.matchedRule !== 'exact' && (
+                        <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+                          {MATCH_RULE_LABELS[item.matchedRule]}: <code>{item.matchedAgainst}</code>
+                        </Typography>
+                      )}
                     </Paper>
-                    {!item.isCorrect && (
+                    {item.teacherComment && (
+                      <Paper variant="outlined" sx={{ p: 2, mb: 1 }}>
+                        <Typography variant="body2" fontWeight="bold" gutterBottom>
+                          Teacher's Comment:
+                        </Typography>
+                        <Typography variant="body2">
+                          {item.teacherComment}
+                        </Typography>
+                      </Paper>
+                    )}
+                    {!item.isCorrect && item.correctAnswer && (
                       <Paper variant="outlined" sx={{ p: 2, bgcolor: 'info.lighter' }}>
                         <Typography variant="body2" fontWeight="bold" gutterBottom>
                           Correct Answer:
@@ -334,6 +493,141 @@ const DetailedReportPage = () => {
       </List>
       )}
 
+      {/* Grading History (audit trail of teacher overrides) */}
+      {gradingHistory.length > 0 && (
+        <Paper sx={{ p: 3, mt: 3 }}>
+          <Typography variant="h6" gutterBottom>
+            Grading History
+          </Typography>
+          <List dense>
+            {[...gradingHistory].reverse().map((entry, index) => (
+              <ListItem key={index} disableGutters>
+                <ListItemText
+                  primary={`Question ${getQuestionNumber(entry.questionId)}: ${entry.previousPoints} → ${entry.newPoints} pts (score ${entry.previousScore?.toFixed(2)}% → ${entry.newScore?.toFixed(2)}%)`}
+                  secondary={
+                    <>
+                      {entry.changedBy?.name || 'Unknown'} · {new Date(entry.changedAt).toLocaleString()}
+                      {entry.comment && ` · "${entry.comment}"`}
+                    </>
+                  }
+                />
+              </ListItem>
+            ))}
+          </List>
+        </Paper>
+      )}
+
+      {/* Score History (totals replaced by a regrade) */}
+      {scoreHistory.length > 0 && (
+        <Paper sx={{ p: 3, mt: 3 }}>
+          <Typography variant="h6" gutterBottom>
+            Score History
+          </Typography>
+          <List dense>
+            {[...scoreHistory].reverse().map((entry, index) => (
+              <ListItem key={index} disableGutters>
+                <ListItemText
+                  primary={`${entry.score?.toFixed(2)}% (${entry.pointsEarned ?? '—'} / ${entry.pointsPossible ?? '—'} pts)`}
+                  secondary={`Replaced by a ${entry.reason} on ${new Date(entry.replacedAt).toLocaleString()}`}
+                />
+              </ListItem>
+            ))}
+          </List>
+        </Paper>
+      )}
+
+      {/* Grade Override Dialog */}
+      <Dialog open={!!gradingItem} onClose={() => setGradingItem(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>
+          Grade Question {gradingItem ? getQuestionNumber(gradingItem.questionId) : ''}
+        </DialogTitle>
+        <DialogContent>
+          {gradeError && <Alert severity="error" sx={{ mb: 2 }}>{gradeError}</Alert>}
+          {gradingItem && (
+            <>
+              <Typography variant="body2" color="text.secondary" gutterBottom sx={{ whiteSpace: 'pre-wrap', maxHeight: 240, overflowY: 'auto' }}>
+                Candidate's answer: {gradingItem.candidateAnswer || '(No answer provided)'}
+              </Typography>
+              {gradingItem.correctAnswer && (
+                <Typography variant="body2" color="text.secondary" sx={{ mb: 2, whiteSpace: 'pre-wrap' }}>
+                  Expected: {gradingItem.correctAnswer}
+                </Typography>
+              )}
+              {isRubricGrading ? (
+                <Box sx={{ mb: 2 }}>
+                  {gradingItem.rubric.map(criterion => (
+                    <FormControl key={criterion._id} fullWidth size="small" sx={{ mb: 2 }}>
+                      <InputLabel>{criterion.criterion}</InputLabel>
+                      <Select
+                        value={gradeForm.rubricScores[criterion._id] ?? ''}
+                        label={criterion.criterion}
+                        onChange={(e) => setGradeForm({
+                          ...gradeForm,
+                          rubricScores: { ...gradeForm.rubricScores, [criterion._id]: e.target.value },
+                        })}
+                      >
+                        {criterion.levels.map((level, lIndex) => (
+                          <MenuItem key={lIndex} value={level.points}>
+                            {level.label} ({level.points} pts)
+                          </MenuItem>
+                        ))}
+                      </Select>
+                    </FormControl>
+                  ))}
+                  <Typography variant="body2">
+                    Total: {Object.values(gradeForm.rubricScores).reduce((sum, points) => sum + points, 0)} / {gradingItem.pointsPossible}
+                  </Typography>
+                </Box>
+              ) : (
+                <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', mb: 2 }}>
+                  <TextField
+                    label="Points"
+                    type="number"
+                    value={gradeForm.pointsEarned}
+                    onChange={(e) => setGradeForm({ ...gradeForm, pointsEarned: e.target.value })}
+                    inputProps={{ min: -(gradingItem.negativePoints || 0), max: gradingItem.pointsPossible, step: 0.5 }}
+                    helperText={`Out of ${gradingItem.pointsPossible}`}
+                    sx={{ width: 140 }}
+                  />
+                  <Button
+                    variant="outlined"
+                    color="success"
+                    onClick={() => setGradeForm({ ...gradeForm, pointsEarned: String(gradingItem.pointsPossible) })}
+                  >
+                    Full Marks
+                  </Button>
+                  <Button
+                    variant="outlined"
+                    color="error"
+                    onClick={() => setGradeForm({ ...gradeForm, pointsEarned: '0' })}
+                  >
+                    Zero
+                  </Button>
+                </Box>
+              )}
+              <TextField
+                label="Comment (optional)"
+                value={gradeForm.comment}
+                onChange={(e) => setGradeForm({ ...gradeForm, comment: e.target.value })}
+                fullWidth
+                multiline
+                rows={2}
+              />
+            </>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setGradingItem(null)}>Cancel</Button>
+          <Button
+            variant="contained"
+            onClick={handleSaveGrade}
+            disabled={isSavingGrade || !isGradeReady}
+          >
+            {isSavingGrade ? <CircularProgress size={20} /> : 'Save Grade'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
       {/* Footer Actions */}
       <Box sx={{ mt: 4, display: 'flex', justifyContent: 'space-between' }}>
         <Button
@@ -1,18 +1,43 @@
 // src/features/admin/pages/EditQuizPage.jsx
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import {
   Box, Typography, Button, TextField, Paper, IconButton,
   CircularProgress, Alert, Select, MenuItem, FormControl, InputLabel,
-  Card, CardMedia, Chip
+  Card, CardMedia, Chip, Checkbox, FormControlLabel, Switch
 } from '@mui/material';
 import DeleteIcon from '@mui/icons-material/Delete';
 import AddIcon from '@mui/icons-material/Add';
 import ArrowBackIcon from '@mui/icons-material/ArrowBack';
 import ImageIcon from '@mui/icons-material/Image';
 import CloseIcon from '@mui/icons-material/Close';
+import HistoryIcon from '@mui/icons-material/History';
+import LibraryAddIcon from '@mui/icons-material/LibraryAdd';
+import BookmarkAddIcon from '@mui/icons-material/BookmarkAdd';
+import PushPinIcon from '@mui/icons-material/PushPin';
+import PushPinOutlinedIcon from '@mui/icons-material/PushPinOutlined';
 import { useAuth } from '../../auth/contexts/AuthContext';
 import Loader from '../../../components/Loader';
+import { arePatternsValid } from '../../../utils/answerPatterns';
+import { findRubricProblem, getRubricTotal } from '../../../utils/rubric';
+import RubricEditor from '../components/RubricEditor';
+import QuizVersionHistory from '../components/QuizVersionHistory';
+import AddFromBankDialog from '../components/AddFromBankDialog';
+import QuizReviewPanel, { QuestionReviewChips } from '../components/QuizReviewPanel';
+import { saveQuestionsToBank } from '../../../utils/questionBank';
+import { removePinnedOption, togglePinnedOption } from '../../../utils/pinnedOptions';
+
+const hasRubric = (question) => question.type === 'essay' && question.rubric?.length > 0;
+
+// Ensure all questions have image fields (for backward compatibility)
+const withImageFields = (quizData) => ({
+  ...quizData,
+  questions: (quizData.questions || []).map(q => ({
+    ...q,
+    questionImage: q.questionImage || '',
+    optionImages: q.optionImages || (q.options ? new Array(q.options.length).fill('') : [])
+  })),
+});
 
 const EditQuizPage = () => {
   const { quizId } = useParams();
@@ -24,6 +49,9 @@ const EditQuizPage = () => {
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [isSaving, setIsSaving] = useState(false);
+  const [regradeOnSave, setRegradeOnSave] = useState(false);
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [bankDialogOpen, setBankDialogOpen] = useState(false);
 
   // Fetch quiz data on load
   useEffect(() => {
@@ -43,18 +71,7 @@ const EditQuizPage = () => {
         }
         
         const result = await response.json();
-        const quizData = result.data || result;
-        
-        // Ensure all questions have image fields (for backward compatibility)
-        if (quizData.questions) {
-          quizData.questions = quizData.questions.map(q => ({
-            ...q,
-            questionImage: q.questionImage || '',
-            optionImages: q.optionImages || (q.options ? new Array(q.options.length).fill('') : [])
-          }));
-        }
-        
-        setQuiz(quizData);
+        setQuiz(withImageFields(result.data || result));
       } catch (err) {
         console.error('Error fetching quiz:', err);
         setError(err.message);
@@ -72,6 +89,28 @@ const EditQuizPage = () => {
   const handleSaveQuiz = async () => {
     setError('');
     setSuccess('');
+    
+    const missingKey = quiz.questions.findIndex(q => q.type === 'multi_select' && !(q.correctAnswers?.length > 0));
+    if (missingKey !== -1) {
+      setError(`Question ${missingKey + 1}: tick at least one correct option`);
+      return;
+    }
+    const missingValue = quiz.questions.findIndex(q => q.type === 'numeric' && typeof q.numericAnswer !== 'number');
+    if (missingValue !== -1) {
+      setError(`Question ${missingValue + 1}: enter the correct numeric value`);
+      return;
+    }
+    const badPattern = quiz.questions.findIndex(q => q.type === 'short_answer' && !arePatternsValid(q.answerPatterns));
+    if (badPattern !== -1) {
+      setError(`Question ${badPattern + 1}: one of the regex patterns is invalid or uses nested or overlapping repeats like (a+)+, (a|b)* or a*a*`);
+      return;
+    }
+    const badRubric = quiz.questions.findIndex(q => q.type === 'essay' && findRubricProblem(q.rubric));
+    if (badRubric !== -1) {
+      setError(`Question ${badRubric + 1}: ${findRubricProblem(quiz.questions[badRubric].rubric)}`);
+      return;
+    }
+    
     setIsSaving(true);
     
     try {
@@ -98,7 +137,8 @@ const EditQuizPage = () => {
           title: quiz.title, 
           questions: quiz.questions,
           timeLimit: quiz.timeLimit,
-          subgroup: quiz.subgroup || ''
+          subgroup: quiz.subgroup || '',
+          regrade: regradeOnSave
         })
       });
       
@@ -110,11 +150,19 @@ const EditQuizPage = () => {
       
       const result = await response.json();
       console.log('Quiz saved successfully:', result);
+      // Keep the saved question ids so the next save is diffed as edits, not new questions
+      setQuiz(withImageFields(result.data));
       
-      setSuccess('Quiz saved successfully!');
+      if (result.regrade) {
+        const changed = result.regrade.reduce((sum, r) => sum + r.changes.length, 0);
+        setSuccess(`Quiz saved as version ${result.data.currentVersion}. ${result.regrade.length} assignment(s) moved to it and regraded - ${changed} score(s) changed.`);
+        setRegradeOnSave(false);
+      } else {
+        setSuccess(`Quiz saved (version ${result.data.currentVersion}). Existing assignments keep the version they were created with.`);
+      }
       
-      // Clear success message after 3 seconds
-      setTimeout(() => setSuccess(''), 3000);
+      // Clear success message after 5 seconds
+      setTimeout(() => setSuccess(''), 5000);
       
     } catch (err) {
       console.error('Error saving quiz:', err);
@@ -124,6 +172,17 @@ const EditQuizPage = () => {
     }
   };
 
+  const handleReviewChange = useCallback((review) => {
+    setQuiz(current => ({ ...current, review }));
+  }, []);
+
+  const handleRolledBack = (quizData, message) => {
+    setQuiz(withImageFields(quizData));
+    setHistoryOpen(false);
+    setSuccess(message);
+    setTimeout(() => setSuccess(''), 5000);
+  };
+
   // --- Question Management Functions ---
 
   const handleTitleChange = (e) => {
@@ -140,9 +199,58 @@ const EditQuizPage = () => {
     setQuiz({ ...quiz, questions: newQuestions });
   };
 
+  // Numeric fields (points, numeric answers); an empty box falls back to the schema default
+  const handleNumberFieldChange = (e, qIndex) => {
+    const newQuestions = [...quiz.questions];
+    const value = parseFloat(e.target.value);
+    newQuestions[qIndex][e.target.name] = isNaN(value) ? undefined : value;
+    setQuiz({ ...quiz, questions: newQuestions });
+  };
+
+  // Textarea fields stored as one entry per line (accepted answers, patterns)
+  const handleListFieldChange = (e, qIndex) => {
+    const newQuestions = [...quiz.questions];
+    newQuestions[qIndex][e.target.name] = e.target.value.split('\n');
+    setQuiz({ ...quiz, questions: newQuestions });
+  };
+
   const handleOptionChange = (e, qIndex, oIndex) => {
     const newQuestions = [...quiz.questions];
+    const oldValue = newQuestions[qIndex].options[oIndex];
     newQuestions[qIndex].options[oIndex] = e.target.value;
+    // Keep ticked correct answers pointing at the renamed option
+    if (newQuestions[qIndex].correctAnswers) {
+      newQuestions[qIndex].correctAnswers = newQuestions[qIndex].correctAnswers.map(a => (a === oldValue ? e.target.value : a));
+    }
+    setQuiz({ ...quiz, questions: newQuestions });
+  };
+
+  // Multi-select: tick/untick an option as correct
+  const handleToggleCorrectOption = (qIndex, option) => {
+    const newQuestions = [...quiz.questions];
+    const current = newQuestions[qIndex].correctAnswers || [];
+    newQuestions[qIndex].correctAnswers = current.includes(option)
+      ? current.filter(a => a !== option)
+      : [...current, option];
+    setQuiz({ ...quiz, questions: newQuestions });
+  };
+
+  // Pinned options (e.g. "All of the above") stay in place when an assignment shuffles options
+  const handleTogglePinnedOption = (qIndex, oIndex) => {
+    const newQuestions = [...quiz.questions];
+    newQuestions[qIndex].pinnedOptions = togglePinnedOption(newQuestions[qIndex].pinnedOptions, oIndex);
+    setQuiz({ ...quiz, questions: newQuestions });
+  };
+
+  const handleRubricChange = (rubric, qIndex) => {
+    const newQuestions = [...quiz.questions];
+    newQuestions[qIndex].rubric = rubric;
+    setQuiz({ ...quiz, questions: newQuestions });
+  };
+
+  const handlePartialCreditChange = (e, qIndex) => {
+    const newQuestions = [...quiz.questions];
+    newQuestions[qIndex].partialCredit = e.target.checked;
     setQuiz({ ...quiz, questions: newQuestions });
   };
 
@@ -161,11 +269,15 @@ const EditQuizPage = () => {
   const handleDeleteOption = (qIndex, oIndex) => {
     const newQuestions = [...quiz.questions];
     if (newQuestions[qIndex].options.length > 2) {
-      newQuestions[qIndex].options.splice(oIndex, 1);
+      const [removed] = newQuestions[qIndex].options.splice(oIndex, 1);
+      if (newQuestions[qIndex].correctAnswers) {
+        newQuestions[qIndex].correctAnswers = newQuestions[qIndex].correctAnswers.filter(a => a !== removed);
+      }
       // Also remove image slot
       if (newQuestions[qIndex].optionImages) {
         newQuestions[qIndex].optionImages.splice(oIndex, 1);
       }
+      newQuestions[qIndex].pinnedOptions = removePinnedOption(newQuestions[qIndex].pinnedOptions, oIndex);
       setQuiz({ ...quiz, questions: newQuestions });
     }
   };
@@ -176,12 +288,35 @@ const EditQuizPage = () => {
       type: 'mcq',
       options: ['Option 1', 'Option 2', 'Option 3', 'Option 4'],
       answer: 'Option 1',
+      points: 1,
+      negativePoints: 0,
       questionImage: '', // Add image field
       optionImages: ['', '', '', ''] // Add option images
     };
     setQuiz({ ...quiz, questions: [...quiz.questions, newQuestion] });
   };
 
+  const handleAddFromBank = (bankQuestions) => {
+    setQuiz({ ...quiz, questions: [...quiz.questions, ...bankQuestions] });
+    setBankDialogOpen(false);
+  };
+
+  // Copy a question into the question bank and link it, so the link is kept on the next save
+  const handleSaveToBank = async (qIndex) => {
+    setError('');
+    try {
+      const [saved] = await saveQuestionsToBank(token, [quiz.questions[qIndex]], { source: 'quiz', topic: quiz.title });
+      const newQuestions = [...quiz.questions];
+      newQuestions[qIndex] = { ...newQuestions[qIndex], bankQuestionId: saved._id };
+      setQuiz({ ...quiz, questions: newQuestions });
+      setSuccess(`Question ${qIndex + 1} saved to the question bank.`);
+      setTimeout(() => setSuccess(''), 5000);
+    } catch (err) {
+      console.error('Error saving question to bank:', err);
+      setError(err.message);
+    }
+  };
+
   const handleDeleteQuestion = (qIndex) => {
     if (quiz.questions.length > 1) {
       const newQuestions = quiz.questions.filter((_, index) => index !== qIndex);
@@ -197,21 +332,34 @@ const EditQuizPage = () => {
     const newType = e.target.value;
     
     newQuestions[qIndex].type = newType;
+    newQuestions[qIndex].pinnedOptions = [];
     
     // Update options based on type
     if (newType === 'true_false') {
       newQuestions[qIndex].options = ['True', 'False'];
       newQuestions[qIndex].answer = 'True';
       newQuestions[qIndex].optionImages = ['', ''];
-    } else if (newType === 'short_answer') {
+    } else if (newType === 'short_answer' || newType === 'numeric' || newType === 'essay') {
       newQuestions[qIndex].options = [];
       newQuestions[qIndex].optionImages = [];
       newQuestions[qIndex].answer = '';
-    } else if (newType === 'mcq' && newQuestions[qIndex].options.length === 0) {
+    } else if ((newType === 'mcq' || newType === 'multi_select') && newQuestions[qIndex].options.length === 0) {
       newQuestions[qIndex].options = ['Option 1', 'Option 2', 'Option 3', 'Option 4'];
       newQuestions[qIndex].answer = 'Option 1';
       newQuestions[qIndex].optionImages = ['', '', '', ''];
     }
+
+    // Multi-select keeps its key in correctAnswers; seed it from the single answer
+    if (newType === 'multi_select') {
+      const { options, answer } = newQuestions[qIndex];
+      newQuestions[qIndex].correctAnswers = options.includes(answer) ? [answer] : [options[0]];
+      newQuestions[qIndex].answer = '';
+    } else {
+      newQuestions[qIndex].correctAnswers = [];
+      if (newType === 'mcq' && !newQuestions[qIndex].answer) {
+        newQuestions[qIndex].answer = newQuestions[qIndex].options[0];
+      }
+    }
     
     setQuiz({ ...quiz, questions: newQuestions });
   };
@@ -305,7 +453,13 @@ const EditQuizPage = () => {
           Back to Library
         </Button>
         <Typography variant="h4">Edit Quiz</Typography>
-        <Box sx={{ width: 150 }} /> {/* Spacer for centering */}
+        <Button
+          onClick={() => setHistoryOpen(true)}
+          startIcon={<HistoryIcon />}
+          variant="outlined"
+        >
+          {quiz.currentVersion ? `Version ${quiz.currentVersion}` : 'History'}
+        </Button>
       </Box>
 
       {/* Success/Error Messages */}
@@ -345,20 +499,39 @@ const EditQuizPage = () => {
         />
       </Paper>
 
+      <QuizReviewPanel
+        quizId={quizId}
+        review={quiz.review}
+        questions={quiz.questions}
+        currentVersion={quiz.currentVersion}
+        onChange={handleReviewChange}
+      />
+
       {/* Questions */}
       <Typography variant="h5" gutterBottom>Questions ({quiz.questions.length})</Typography>
       
       {quiz.questions.map((q, qIndex) => (
         <Paper key={qIndex} sx={{ p: 3, mb: 3, border: '1px solid #e0e0e0' }}>
           <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
-            <Typography variant="h6">Question {qIndex + 1}</Typography>
-            <IconButton 
-              onClick={() => handleDeleteQuestion(qIndex)} 
-              color="error"
-              disabled={quiz.questions.length === 1}
-            >
-              <DeleteIcon />
-            </IconButton>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+              <Typography variant="h6">Question {qIndex + 1}</Typography>
+              {q.bankQuestionId && <Chip label="In question bank" size="small" variant="outlined" />}
+              <QuestionReviewChips review={quiz.review} questionId={q._id} />
+            </Box>
+            <Box>
+              {!q.bankQuestionId && (
+                <IconButton onClick={() => handleSaveToBank(qIndex)} title="Save to question bank">
+                  <BookmarkAddIcon />
+                </IconButton>
+              )}
+              <IconButton 
+                onClick={() => handleDeleteQuestion(qIndex)} 
+                color="error"
+                disabled={quiz.questions.length === 1}
+              >
+                <DeleteIcon />
+              </IconButton>
+            </Box>
           </Box>
           
           <TextField
@@ -422,18 +595,58 @@ const EditQuizPage = () => {
               onChange={(e) => handleTypeChange(e, qIndex)}
             >
               <MenuItem value="mcq">Multiple Choice</MenuItem>
+              <MenuItem value="multi_select">Multi-Select (Select all that apply)</MenuItem>
               <MenuItem value="true_false">True/False</MenuItem>
               <MenuItem value="short_answer">Short Answer</MenuItem>
+              <MenuItem value="numeric">Numeric</MenuItem>
+              <MenuItem value="essay">Essay</MenuItem>
             </Select>
           </FormControl>
 
-          {/* MCQ Options */}
-          {q.type === 'mcq' && (
+          {/* Scoring */}
+          <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
+            <TextField
+              label="Points"
+              name="points"
+              type="number"
+              value={hasRubric(q) ? getRubricTotal(q.rubric) : (q.points ?? 1)}
+              onChange={(e) => handleNumberFieldChange(e, qIndex)}
+              inputProps={{ min: 0, step: 0.5 }}
+              size="small"
+              sx={{ width: 140 }}
+              disabled={hasRubric(q)}
+              helperText={hasRubric(q) ? 'Set by the rubric' : undefined}
+            />
+            <TextField
+              label="Negative Marks"
+              name="negativePoints"
+              type="number"
+              value={q.negativePoints ?? 0}
+              onChange={(e) => handleNumberFieldChange(e, qIndex)}
+              inputProps={{ min: 0, step: 0.25 }}
+              size="small"
+              sx={{ width: 160 }}
+              helperText="Deducted for a wrong answer"
+            />
+          </Box>
+
+          {/* MCQ / Multi-Select Options */}
+          {(q.type === 'mcq' || q.type === 'multi_select') && (
             <Box sx={{ mb: 2 }}>
-              <Typography variant="subtitle2" gutterBottom>Options:</Typography>
+              <Typography variant="subtitle2" gutterBottom>
+                {q.type === 'multi_select' ? 'Options (tick every correct option):' : 'Options:'}
+              </Typography>
               {q.options.map((opt, oIndex) => (
                 <Box key={oIndex} sx={{ mb: 2, p: 2, border: '1px solid #e0e0e0', borderRadius: 1 }}>
                   <Box sx={{ display: 'flex', gap: 1, mb: 1 }}>
+                    {q.type === 'multi_select' && (
+                      <Checkbox
+                        checked={(q.correctAnswers || []).includes(opt)}
+                        onChange={() => handleToggleCorrectOption(qIndex, opt)}
+                        color="success"
+                        size="small"
+                      />
+                    )}
                     <TextField
                       label={`Option ${oIndex + 1}`}
                       value={opt}
@@ -442,6 +655,18 @@ const EditQuizPage = () => {
                       variant="outlined"
                       size="small"
                     />
+                    <IconButton
+                      onClick={() => handleTogglePinnedOption(qIndex, oIndex)}
+                      color={(q.pinnedOptions || []).includes(oIndex) ? 'primary' : 'default'}
+                      size="small"
+                      title={(q.pinnedOptions || []).includes(oIndex)
+                        ? 'Pinned: stays in this position when options are shuffled'
+                        : 'Pin to this position when options are shuffled (e.g. "All of the above")'}
+                    >
+                      {(q.pinnedOptions || []).includes(oIndex)
+                        ? <PushPinIcon fontSize="small" />
+                        : <PushPinOutlinedIcon fontSize="small" />}
+                    </IconButton>
                     {q.options.length > 2 && (
                       <IconButton 
                         onClick={() => handleDeleteOption(qIndex, oIndex)} 
@@ -502,6 +727,18 @@ const EditQuizPage = () => {
               >
                 Add Option
               </Button>
+              {q.type === 'multi_select' && (
+                <FormControlLabel
+                  control={
+                    <Switch
+                      checked={q.partialCredit !== false}
+                      onChange={(e) => handlePartialCreditChange(e, qIndex)}
+                    />
+                  }
+                  label="Partial credit (each correct tick earns a share of the points, each wrong tick loses one)"
+                  sx={{ display: 'flex', mt: 1 }}
+                />
+              )}
             </Box>
           )}
 
@@ -529,8 +766,52 @@ const EditQuizPage = () => {
             </Box>
           )}
 
-          {/* Answer Field */}
-          {q.type === 'short_answer' ? (
+          {/* Numeric Answer */}
+          {q.type === 'numeric' && (
+            <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', mt: 2 }}>
+              <TextField
+                label="Correct Value"
+                name="numericAnswer"
+                type="number"
+                value={q.numericAnswer ?? ''}
+                onChange={(e) => handleNumberFieldChange(e, qIndex)}
+                required
+                sx={{ width: 180 }}
+              />
+              <TextField
+                label="Tolerance"
+                name="tolerance"
+                type="number"
+                value={q.tolerance ?? 0}
+                onChange={(e) => handleNumberFieldChange(e, qIndex)}
+                inputProps={{ min: 0 }}
+                sx={{ width: 140 }}
+              />
+              <FormControl sx={{ width: 170 }}>
+                <InputLabel>Tolerance Type</InputLabel>
+                <Select
+                  name="toleranceType"
+                  value={q.toleranceType || 'absolute'}
+                  label="Tolerance Type"
+                  onChange={(e) => handleQuestionChange(e, qIndex)}
+                >
+                  <MenuItem value="absolute">± value</MenuItem>
+                  <MenuItem value="relative">± percent</MenuItem>
+                </Select>
+              </FormControl>
+              <TextField
+                label="Unit (optional)"
+                name="unit"
+                value={q.unit || ''}
+                onChange={(e) => handleQuestionChange(e, qIndex)}
+                placeholder="e.g., m/s"
+                sx={{ width: 160 }}
+              />
+            </Box>
+          )}
+
+          {/* Answer Field (multi-select and numeric answers are set above) */}
+          {q.type === 'multi_select' || q.type === 'numeric' ? null : q.type === 'short_answer' ? (
             <TextField
               label="Expected Answer (for reference)"
               name="answer"
@@ -541,8 +822,24 @@ const EditQuizPage = () => {
               rows={4}
               variant="outlined"
               sx={{ mt: 2 }}
-              helperText="This is the model answer you expect. Students can write their own response."
+              helperText="This is the model answer you expect. Capitalization, punctuation and extra spaces are ignored when grading."
             />
+          ) : q.type === 'essay' ? (
+            <>
+              <TextField
+                label="Model Answer / Grading Notes (optional)"
+                name="answer"
+                value={q.answer}
+                onChange={(e) => handleQuestionChange(e, qIndex)}
+                fullWidth
+                multiline
+                rows={4}
+                variant="outlined"
+                sx={{ mt: 2 }}
+                helperText="Shown to graders only. Essays are always graded by hand."
+              />
+              <RubricEditor rubric={q.rubric || []} onChange={(rubric) => handleRubricChange(rubric, qIndex)} />
+            </>
           ) : (
             <TextField
               label="Correct Answer"
@@ -559,21 +856,89 @@ const EditQuizPage = () => {
               }
             />
           )}
+
+          {/* Short-answer matching rules */}
+          {q.type === 'short_answer' && (
+            <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', mt: 2 }}>
+              <TextField
+                label="Also Accept (one per line)"
+                name="acceptedAnswers"
+                value={(q.acceptedAnswers || []).join('\n')}
+                onChange={(e) => handleListFieldChange(e, qIndex)}
+                multiline
+                minRows={2}
+                sx={{ flex: 1, minWidth: 220 }}
+                helperText="Alternative answers that also count as correct"
+              />
+              <TextField
+                label="Regex Patterns (one per line)"
+                name="answerPatterns"
+                value={(q.answerPatterns || []).join('\n')}
+                onChange={(e) => handleListFieldChange(e, qIndex)}
+                multiline
+                minRows={2}
+                sx={{ flex: 1, minWidth: 220 }}
+                helperText="Case-insensitive, e.g. ^(co2|carbon dioxide)$"
+              />
+              <TextField
+                label="Typo Tolerance"
+                name="typoTolerance"
+                type="number"
+                value={q.typoTolerance ?? 0}
+                onChange={(e) => handleNumberFieldChange(e, qIndex)}
+                inputProps={{ min: 0, max: 5 }}
+                sx={{ width: 150 }}
+                helperText="Letters that may be wrong"
+              />
+            </Box>
+          )}
+
+          <TextField
+            label="Explanation (optional)"
+            name="explanation"
+            value={q.explanation || ''}
+            onChange={(e) => handleQuestionChange(e, qIndex)}
+            fullWidth
+            multiline
+            minRows={2}
+            sx={{ mt: 2 }}
+            helperText="Why the answer is right - candidates see it when answers are released for review"
+          />
         </Paper>
       ))}
 
       {/* Action Buttons */}
       <Box sx={{ display: 'flex', gap: 2, justifyContent: 'space-between', mt: 4 }}>
-        <Button
-          startIcon={<AddIcon />}
-          onClick={handleAddQuestion}
-          variant="outlined"
-          size="large"
-        >
-          Add Question
-        </Button>
-        
         <Box sx={{ display: 'flex', gap: 2 }}>
+          <Button
+            startIcon={<AddIcon />}
+            onClick={handleAddQuestion}
+            variant="outlined"
+            size="large"
+          >
+            Add Question
+          </Button>
+          <Button
+            startIcon={<LibraryAddIcon />}
+            onClick={() => setBankDialogOpen(true)}
+            variant="outlined"
+            size="large"
+          >
+            Add from Bank
+          </Button>
+        </Box>
+        
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
+          <FormControlLabel
+            control={
+              <Checkbox
+                checked={regradeOnSave}
+                onChange={(e) => setRegradeOnSave(e.target.checked)}
+              />
+            }
+            label="Regrade existing submissions"
+            title="Move every assignment using this quiz to the saved version and re-score its submissions"
+          />
           <Button
             onClick={() => navigate('/admin/content')}
             variant="outlined"
@@ -592,6 +957,20 @@ const EditQuizPage = () => {
           </Button>
         </Box>
       </Box>
+
+      <QuizVersionHistory
+        open={historyOpen}
+        onClose={() => setHistoryOpen(false)}
+        quizId={quizId}
+        onRolledBack={handleRolledBack}
+      />
+
+      <AddFromBankDialog
+        open={bankDialogOpen}
+        onClose={() => setBankDialogOpen(false)}
+        token={token}
+        onAdd={handleAddFromBank}
+      />
     </Box>
   );
 };
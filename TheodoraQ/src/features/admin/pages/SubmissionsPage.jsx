@@ -17,11 +17,16 @@ import {
   Alert,
 } from '@mui/material';
 import ArrowBackIcon from '@mui/icons-material/ArrowBack';
+import RefreshIcon from '@mui/icons-material/Refresh';
 import { useAuth } from '../../auth/contexts/AuthContext';
 import Loader from '../../../components/Loader';
 
 const SubmissionsPage = () => {
   const [submissionData, setSubmissionData] = useState(null);
+  const [reviewQueue, setReviewQueue] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [isRegrading, setIsRegrading] = useState(false);
+  const [regradeResult, setRegradeResult] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState('');
   const { assignmentId } = useParams();
@@ -46,6 +51,18 @@ const SubmissionsPage = () => {
 
         const result = await response.json();
         setSubmissionData(result.data);
+
+        // The review queue is secondary - the page still works if it fails to load
+        const queueResponse = await fetch(`http://localhost:5000/api/assignments/${assignmentId}/review-queue`, {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          }
+        });
+        if (queueResponse.ok) {
+          const queueResult = await queueResponse.json();
+          setReviewQueue(queueResult.data);
+        }
       } catch (error) {
         console.error('Error fetching submissions:', error);
         setError(error.message);
@@ -57,7 +74,38 @@ const SubmissionsPage = () => {
     if (token && assignmentId) {
       fetchSubmissions();
     }
-  }, [assignmentId, token]);
+  }, [assignmentId, token, reloadKey]);
+
+  // Move the assignment to the quiz's latest version and re-score every submission against it
+  const handleRegrade = async () => {
+    if (!window.confirm('Regrade all submissions against the latest version of the quiz? The assignment will use that version from now on. Answers you graded by hand keep their grades.')) {
+      return;
+    }
+    setIsRegrading(true);
+    setRegradeResult(null);
+    try {
+      const response = await fetch(`http://localhost:5000/api/assignments/${assignmentId}/regrade`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || 'Failed to regrade submissions');
+      }
+
+      setRegradeResult({ severity: 'success', message: result.message, changes: result.data.changes });
+      setReloadKey(key => key + 1);
+    } catch (error) {
+      console.error('Error regrading submissions:', error);
+      setRegradeResult({ severity: 'error', message: error.message, changes: [] });
+    } finally {
+      setIsRegrading(false);
+    }
+  };
 
   // Calculate statistics
   const calculateStats = (submissions) => {
@@ -132,9 +180,22 @@ const SubmissionsPage = () => {
 
       {/* Assignment Info */}
       <Paper sx={{ p: 3, mb: 3, bgcolor: 'background.default' }}>
-        <Typography variant="h6" gutterBottom>
-          {submissionData.quizTitle}
-        </Typography>
+        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 2 }}>
+          <Typography variant="h6" gutterBottom>
+            {submissionData.quizTitle}
+          </Typography>
+          {submissions.length > 0 && (
+            <Button
+              variant="outlined"
+              size="small"
+              startIcon={isRegrading ? <CircularProgress size={16} /> : <RefreshIcon />}
+              onClick={handleRegrade}
+              disabled={isRegrading}
+            >
+              Regrade All
+            </Button>
+          )}
+        </Box>
         <Typography variant="body2" color="text.secondary">
           Class: {submissionData.classTitle} ({submissionData.courseCode})
         </Typography>
@@ -150,6 +211,11 @@ const SubmissionsPage = () => {
         <Typography variant="body2" color="text.secondary">
           Time Limit: {submissionData.timeLimit} minutes
         </Typography>
+        {submissionData.maxAttempts > 1 && (
+          <Typography variant="body2" color="text.secondary">
+            Attempts Allowed: {submissionData.maxAttempts} ({submissionData.scoringPolicy === 'average' ? 'average of all attempts' : `${submissionData.scoringPolicy} attempt`} counts)
+          </Typography>
+        )}
       </Paper>
 
       {/* Statistics */}
@@ -195,6 +261,73 @@ const SubmissionsPage = () => {
         </Paper>
       )}
 
+      {regradeResult && (
+        <Alert severity={regradeResult.severity} sx={{ mb: 3 }} onClose={() => setRegradeResult(null)}>
+          {regradeResult.message}
+          {regradeResult.changes.map(change => (
+            <Typography key={change.submissionId} variant="body2">
+              {change.candidateName}
+              {submissionData.maxAttempts > 1 && ` (attempt ${change.attemptNumber})`}
+              : {change.previousScore.toFixed(2)}% → {change.newScore.toFixed(2)}%
+            </Typography>
+          ))}
+        </Alert>
+      )}
+
+      {/* Review Queue */}
+      {reviewQueue && reviewQueue.items.length > 0 && (
+        <Paper sx={{ p: 3, mb: 3 }}>
+          <Typography variant="h6" gutterBottom>
+            Review Queue
+          </Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+            {reviewQueue.pendingCount} answer(s) waiting to be graded, {reviewQueue.flaggedCount} auto-graded answer(s) flagged for a second look.
+            Scores of submissions with ungraded answers are provisional.
+          </Typography>
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell><strong>Candidate</strong></TableCell>
+                  <TableCell><strong>Question</strong></TableCell>
+                  <TableCell><strong>Answer</strong></TableCell>
+                  <TableCell><strong>Expected</strong></TableCell>
+                  <TableCell><strong>Status</strong></TableCell>
+                  <TableCell align="right"><strong>Points</strong></TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {reviewQueue.items.map((item) => (
+                  <TableRow
+                    key={`${item.submissionId}-${item.questionId}`}
+                    hover
+                    onClick={() => navigate(`/admin/submission/${assignmentId}/${item.submissionId}`)}
+                    sx={{ cursor: 'pointer' }}
+                  >
+                    <TableCell>
+                      {item.candidate?.name || 'Unknown'}
+                      {submissionData.maxAttempts > 1 && ` (attempt ${item.attemptNumber})`}
+                    </TableCell>
+                    <TableCell sx={{ maxWidth: 260 }}>{item.questionText}</TableCell>
+                    <TableCell sx={{ maxWidth: 220 }}>{item.candidateAnswer}</TableCell>
+                    <TableCell sx={{ maxWidth: 180 }}>{item.correctAnswer}</TableCell>
+                    <TableCell>
+                      <Chip
+                        label={item.reviewStatus === 'pending' ? 'Needs grading' : 'Flagged'}
+                        color={item.reviewStatus === 'pending' ? 'warning' : 'info'}
+                        size="small"
+                        variant={item.reviewStatus === 'pending' ? 'filled' : 'outlined'}
+                      />
+                    </TableCell>
+                    <TableCell align="right">{item.pointsEarned} / {item.pointsPossible}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+        </Paper>
+      )}
+
       {/* Submissions Table */}
       <Typography variant="body1" color="text.secondary" sx={{ mb: 2 }}>
         Click on a candidate's row to see a detailed report.
@@ -250,7 +383,7 @@ const SubmissionsPage = () => {
                     <TableCell>
                       {sub.isLateSubmission ? (
                         <Chip
-                          label="Late"
+                          label={sub.latePenalty > 0 ? `Late (-${sub.latePenalty}%)` : 'Late'}
                           color="warning"
                           size="small"
                         />
@@ -262,6 +395,31 @@ const SubmissionsPage = () => {
                           variant="outlined"
                         />
                       )}
+                      {submissionData.maxAttempts > 1 && (
+                        <Chip
+                          label={`Attempt ${sub.attemptNumber || 1}`}
+                          size="small"
+                          variant="outlined"
+                          sx={{ ml: 0.5 }}
+                        />
+                      )}
+                      {sub.isAutoSubmitted && (
+                        <Chip
+                          label="Auto-submitted"
+                          color="info"
+                          size="small"
+                          variant="outlined"
+                          sx={{ ml: 0.5 }}
+                        />
+                      )}
+                      {sub.gradingStatus === 'pending_review' && (
+                        <Chip
+                          label="Needs grading"
+                          color="warning"
+                          size="small"
+                          sx={{ ml: 0.5 }}
+                        />
+                      )}
                     </TableCell>
                     <TableCell>
                       {isSuspicious ? (
@@ -0,0 +1,59 @@
+import React from 'react';
+import { Box, Typography, Paper, Chip } from '@mui/material';
+import CheckCircleIcon from '@mui/icons-material/CheckCircle';
+import CancelIcon from '@mui/icons-material/Cancel';
+import HourglassTopIcon from '@mui/icons-material/HourglassTop';
+
+const statusOf = (item) => {
+  if (item.reviewStatus === 'pending') {
+    return { label: 'Awaiting grading', color: 'warning', icon: <HourglassTopIcon fontSize="small" /> };
+  }
+  return item.isCorrect
+    ? { label: 'Correct', color: 'success', icon: <CheckCircleIcon fontSize="small" /> }
+    : { label: item.selectedAnswer ? 'Incorrect' : 'Not answered', color: 'error', icon: <CancelIcon fontSize="small" /> };
+};
+
+/**
+ * A candidate's answers next to the correct answers, with each question's explanation
+ * @param {Array} review - Items from the submit or review endpoint (see backend utils/answerReview.js)
+ */
+const AnswerReviewList = ({ review }) => (
+  <Box sx={{ textAlign: 'left' }}>
+    {review.map((item, index) => {
+      const status = statusOf(item);
+      return (
+        <Paper key={item.questionId} variant="outlined" sx={{ p: 2, mb: 1.5 }}>
+          <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 1, mb: 1 }}>
+            <Typography variant="subtitle1" sx={{ fontWeight: 'medium' }}>
+              {index + 1}. {item.text}
+            </Typography>
+            <Chip icon={status.icon} label={status.label} color={status.color} size="small" variant="outlined" />
+          </Box>
+          {item.questionImage && (
+            <Box component="img" src={item.questionImage} alt={`Question ${index + 1}`} sx={{ maxWidth: '100%', maxHeight: 200, mb: 1 }} />
+          )}
+          <Typography variant="body2">
+            <strong>Your answer:</strong> {item.selectedAnswer || '(no answer)'}
+          </Typography>
+          {item.type !== 'essay' && (
+            <Typography variant="body2">
+              <strong>Correct answer:</strong> {item.correctAnswer}
+            </Typography>
+          )}
+          <Typography variant="caption" color="text.secondary">
+            {item.pointsEarned} / {item.pointsPossible} points
+          </Typography>
+          {item.explanation && (
+            <Box sx={{ mt: 1, p: 1.5, bgcolor: 'grey.50', borderRadius: 1 }}>
+              <Typography variant="body2" color="text.secondary">
+                {item.explanation}
+              </Typography>
+            </Box>
+          )}
+        </Paper>
+      );
+    })}
+  </Box>
+);
+
+export default AnswerReviewList;
@@ -0,0 +1,129 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import {
+  Box, Typography, Button, Paper, Alert, Chip, TextField, MenuItem
+} from '@mui/material';
+import ArrowBackIcon from '@mui/icons-material/ArrowBack';
+import { useAuth } from '../../auth/contexts/AuthContext';
+import Loader from '../../../components/Loader';
+import AnswerReviewList from '../components/AnswerReviewList';
+
+/**
+ * Answer Review Page for Candidates
+ * A submitted quiz with the correct answers and explanations, once the instructor releases them
+ */
+const AssignmentReviewPage = () => {
+  const { assignmentId } = useParams();
+  const navigate = useNavigate();
+  const { token } = useAuth();
+
+  const [data, setData] = useState(null);
+  const [attempt, setAttempt] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [availableAt, setAvailableAt] = useState(null);
+
+  useEffect(() => {
+    const fetchReview = async () => {
+      setIsLoading(true);
+      setError('');
+      setAvailableAt(null);
+      try {
+        const query = attempt ? `?attempt=${attempt}` : '';
+        const response = await fetch(`/api/candidate/review/${assignmentId}${query}`, {
+          headers: { 'Authorization': `Bearer ${token}` }
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+          setAvailableAt(result.availableAt || null);
+          throw new Error(result.message || 'Failed to load your answers');
+        }
+        setData(result.data);
+      } catch (err) {
+        console.error('Error fetching answer review:', err);
+        setError(err.message);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    if (token && assignmentId) {
+      fetchReview();
+    }
+  }, [assignmentId, attempt, token]);
+
+  const handleBack = () => {
+    if (data?.classId) {
+      navigate(`/candidate/class/${data.classId}/assignments`);
+    } else {
+      navigate(-1);
+    }
+  };
+
+  return (
+    <Box sx={{ p: 3, maxWidth: 900, mx: 'auto' }}>
+      <Button startIcon={<ArrowBackIcon />} onClick={handleBack} sx={{ mb: 2 }}>
+        Back to Assignments
+      </Button>
+
+      {isLoading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', minHeight: '50vh' }}>
+          <Loader />
+        </Box>
+      ) : error ? (
+        <Alert severity="info">
+          {error}
+          {availableAt && ` (${new Date(availableAt).toLocaleString()})`}
+        </Alert>
+      ) : data && (
+        <>
+          <Paper sx={{ p: 3, mb: 3 }}>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: 2, flexWrap: 'wrap' }}>
+              <Box>
+                <Typography variant="h5" component="h1">{data.quizTitle}</Typography>
+                <Typography variant="body2" color="text.secondary">
+                  Submitted {new Date(data.submittedAt).toLocaleString()}
+                </Typography>
+              </Box>
+              {data.attempts.length > 1 && (
+                <TextField
+                  select
+                  size="small"
+                  label="Attempt"
+                  value={data.attemptNumber}
+                  onChange={(e) => setAttempt(e.target.value)}
+                  sx={{ minWidth: 200 }}
+                >
+                  {data.attempts.map(item => (
+                    <MenuItem key={item.attemptNumber} value={item.attemptNumber}>
+                      Attempt {item.attemptNumber}{item.score !== null ? ` - ${item.score.toFixed(2)}%` : ''}
+                    </MenuItem>
+                  ))}
+                </TextField>
+              )}
+            </Box>
+            {data.score !== null && (
+              <Box sx={{ mt: 2, display: 'flex', gap: 1, alignItems: 'center' }}>
+                <Chip label={`Score: ${data.score.toFixed(2)}%`} color="primary" />
+                {data.pointsPossible !== null && (
+                  <Typography variant="body2" color="text.secondary">
+                    {data.pointsEarned} / {data.pointsPossible} points
+                  </Typography>
+                )}
+              </Box>
+            )}
+            {data.gradingStatus === 'pending_review' && (
+              <Alert severity="warning" sx={{ mt: 2 }}>
+                Some answers are still being graded by your instructor.
+              </Alert>
+            )}
+          </Paper>
+
+          <AnswerReviewList review={data.review} />
+        </>
+      )}
+    </Box>
+  );
+};
+
+export default AssignmentReviewPage;
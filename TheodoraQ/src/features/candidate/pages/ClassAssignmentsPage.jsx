@@ -7,8 +7,10 @@ import {
 import ArrowBackIcon from '@mui/icons-material/ArrowBack';
 import PlayArrowIcon from '@mui/icons-material/PlayArrow';
 import CheckCircleIcon from '@mui/icons-material/CheckCircle';
+import ReplayIcon from '@mui/icons-material/Replay';
 import PeopleIcon from '@mui/icons-material/People';
 import LeaderboardIcon from '@mui/icons-material/Leaderboard';
+import FactCheckIcon from '@mui/icons-material/FactCheck';
 import { useAuth } from '../../auth/contexts/AuthContext';
 import Loader from '../../../components/Loader';
 
@@ -51,9 +53,9 @@ const ClassAssignmentsPage = () => {
     }
   }, [classId, token]);
 
-  const handleStartQuiz = (assignmentId, quizId) => {
+  const handleStartQuiz = (assignmentId, quizId, isRetake = false) => {
     // Navigate to quiz taking page
-    navigate(`/candidate/assignment/${assignmentId}`);
+    navigate(`/candidate/assignment/${assignmentId}${isRetake ? '?retake=true' : ''}`);
   };
 
   return (
@@ -110,11 +112,24 @@ const ClassAssignmentsPage = () => {
                   const hasSubmitted = assignment.hasSubmitted;
                   const submissionScore = assignment.submissionScore;
                   const isLateSubmission = assignment.isLateSubmission;
-                  const allowLateSubmissions = assignment.allowLateSubmissions;
+                  // Late work is accepted until the assignment closes
+                  const allowLateSubmissions = assignment.windowStatus !== 'closed';
+                  const attemptsUsed = assignment.attemptsUsed || 0;
+                  const maxAttempts = assignment.maxAttempts || 1;
+                  const attemptsLeft = maxAttempts - attemptsUsed;
                   
                   // Determine button state
                   let buttonProps = {};
-                  if (hasSubmitted) {
+                  if (assignment.canRetake && (!isOverdue || allowLateSubmissions)) {
+                    buttonProps = {
+                      variant: 'outlined',
+                      color: isOverdue ? 'warning' : 'primary',
+                      startIcon: <ReplayIcon />,
+                      onClick: () => handleStartQuiz(assignment._id, assignment.quizId?._id, true),
+                      children: `Retake (${attemptsLeft} left)`,
+                      disabled: !assignment.quizId
+                    };
+                  } else if (hasSubmitted) {
                     buttonProps = {
                       variant: 'outlined',
                       color: 'success',
@@ -155,7 +170,18 @@ const ClassAssignmentsPage = () => {
                       key={assignment._id}
                       divider
                       secondaryAction={
-                        <Button {...buttonProps} />
+                        <Box sx={{ display: 'flex', gap: 1 }}>
+                          {assignment.reviewAvailable && (
+                            <Button
+                              variant="outlined"
+                              startIcon={<FactCheckIcon />}
+                              onClick={() => navigate(`/candidate/assignment/${assignment._id}/review`)}
+                            >
+                              Review Answers
+                            </Button>
+                          )}
+                          <Button {...buttonProps} />
+                        </Box>
                       }
                     >
                       <ListItemText
@@ -198,18 +224,41 @@ const ClassAssignmentsPage = () => {
                           <Box component="span" sx={{ mt: 1, display: 'block' }}>
                             <Typography component="span" variant="body2" color="text.secondary" sx={{ display: 'block' }}>
                               <strong>Due:</strong> {dueDate.toLocaleString()}
+                              {assignment.hasExtension && ' (extended for you)'}
                             </Typography>
+                            {assignment.closesAt && new Date(assignment.closesAt) > dueDate && (
+                              <Typography component="span" variant="body2" color="text.secondary" sx={{ display: 'block' }}>
+                                <strong>Late submissions until:</strong> {new Date(assignment.closesAt).toLocaleString()}
+                                {assignment.latePenalty?.perDay > 0 && ` (${assignment.latePenalty.perDay}% off per day late, up to ${assignment.latePenalty.max}%)`}
+                              </Typography>
+                            )}
                             <Typography component="span" variant="body2" color="text.secondary" sx={{ display: 'block' }}>
                               <strong>Time Limit:</strong> {assignment.timeLimit} minutes
                             </Typography>
                             <Typography component="span" variant="body2" color="text.secondary" sx={{ display: 'block' }}>
                               <strong>Questions:</strong> {assignment.quizId?.questions?.length || 0}
                             </Typography>
+                            {assignment.requiresAccessCode && (
+                              <Typography component="span" variant="body2" color="text.secondary" sx={{ display: 'block' }}>
+                                🔑 Your invigilator will give you an access code to start
+                              </Typography>
+                            )}
+                            {maxAttempts > 1 && (
+                              <Typography component="span" variant="body2" color="text.secondary" sx={{ display: 'block' }}>
+                                <strong>Attempts:</strong> {attemptsUsed} of {maxAttempts} used
+                              </Typography>
+                            )}
                             {hasSubmitted && (
                               <Typography component="span" variant="body2" color="success.main" sx={{ display: 'block', fontWeight: 'bold' }}>
                                 ✓ Your Score: {submissionScore?.toFixed(2)}%
                               </Typography>
                             )}
+                            {hasSubmitted && !assignment.reviewAvailable && assignment.reviewMessage && (
+                              <Typography component="span" variant="body2" color="text.secondary" sx={{ display: 'block' }}>
+                                {assignment.reviewMessage}
+                                {assignment.reviewAvailableAt && ` (${new Date(assignment.reviewAvailableAt).toLocaleString()})`}
+                              </Typography>
+                            )}
                           </Box>
                         }
                         secondaryTypographyProps={{ component: 'div' }}
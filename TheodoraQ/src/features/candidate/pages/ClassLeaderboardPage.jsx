@@ -194,6 +194,11 @@ function ClassLeaderboardPage() {
                               <p className="text-sm font-semibold text-gray-900">
                                 {student.completedAssignments}/{student.totalAssignments}
                               </p>
+                              {student.pendingAssignments > 0 && (
+                                <p className="text-xs text-amber-600" title="Submitted, but not counted until grading finishes">
+                                  +{student.pendingAssignments} being graded
+                                </p>
+                              )}
                             </div>
                             
                             {/* Average Score */}
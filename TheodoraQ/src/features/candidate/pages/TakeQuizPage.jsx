@@ -1,15 +1,16 @@
 // src/pages/candidate/TakeQuizPage.jsx
 import React, { useState, useEffect, useRef } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import {
-  Box, Typography, Button, CircularProgress, Radio, RadioGroup,
+  Box, Typography, Button, CircularProgress, Radio, RadioGroup, Checkbox, FormGroup,
   FormControlLabel, FormControl, Paper, LinearProgress, Chip, Alert,
-  Dialog, DialogTitle, DialogContent, DialogActions, DialogContentText, TextField
+  Dialog, DialogTitle, DialogContent, DialogActions, DialogContentText, TextField, InputAdornment
 } from '@mui/material';
 import AccessTimeIcon from '@mui/icons-material/AccessTime';
 import { useAuth } from '../../auth/contexts/AuthContext';
 import Loader from '../../../components/Loader';
 import ProctoringSys from '../../../utils/ProctoringSys';
+import AnswerReviewList from '../components/AnswerReviewList';
 
 // --- QuestionRenderer Component ---
 // This component decides which input to show based on question type
@@ -61,6 +62,65 @@ const QuestionRenderer = ({ question, answer, onAnswerChange }) => {
         </FormControl>
       );
     
+    case 'multi_select': {
+      // Answer is the list of ticked options
+      const selected = Array.isArray(answer) ? answer : [];
+      const toggleOption = (option) => {
+        const next = selected.includes(option)
+          ? selected.filter(o => o !== option)
+          : question.options.filter(o => o === option || selected.includes(o)); // keep option order
+        onAnswerChange({ target: { value: next } });
+      };
+      return (
+        <FormControl component="fieldset" fullWidth>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+            Select all that apply
+          </Typography>
+          <FormGroup>
+            {question.options.map((option, index) => (
+              <FormControlLabel
+                key={index}
+                control={
+                  <Checkbox
+                    checked={selected.includes(option)}
+                    onChange={() => toggleOption(option)}
+                  />
+                }
+                label={
+                  <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1, width: '100%' }}>
+                    <Typography>{option}</Typography>
+                    {question.optionImages && question.optionImages[index] && (
+                      <Box sx={{ maxWidth: 300 }}>
+                        <img 
+                          src={question.optionImages[index]} 
+                          alt={`Option ${index + 1}`}
+                          style={{ 
+                            width: '100%', 
+                            maxHeight: '200px', 
+                            objectFit: 'contain',
+                            borderRadius: '4px',
+                            border: '1px solid #e0e0e0'
+                          }} 
+                        />
+                      </Box>
+                    )}
+                  </Box>
+                }
+                sx={{ 
+                  mb: 1, 
+                  p: 2, 
+                  border: '1px solid #e0e0e0', 
+                  borderRadius: 1,
+                  alignItems: 'flex-start',
+                  '&:hover': { bgcolor: '#f5f5f5' }
+                }}
+              />
+            ))}
+          </FormGroup>
+        </FormControl>
+      );
+    }
+
     case 'true_false':
       return (
         <FormControl component="fieldset" fullWidth>
@@ -98,7 +158,7 @@ const QuestionRenderer = ({ question, answer, onAnswerChange }) => {
           value={answer || ''}
           onChange={onAnswerChange}
           placeholder="Type your answer here..."
-          helperText="Note: Capitalization doesn't matter, but spelling must be exact."
+          helperText="Note: Capitalization and punctuation don't matter."
           sx={{
             '& .MuiOutlinedInput-root': {
               '&:hover fieldset': {
@@ -109,6 +169,52 @@ const QuestionRenderer = ({ question, answer, onAnswerChange }) => {
         />
       );
       
+    case 'numeric':
+      return (
+        <TextField
+          label="Your Answer"
+          variant="outlined"
+          value={answer || ''}
+          onChange={onAnswerChange}
+          placeholder="Enter a number, e.g. 3.14 or 1e3"
+          helperText="Numbers only - scientific notation such as 1.5e3 is accepted."
+          inputProps={{ inputMode: 'decimal' }}
+          InputProps={question.unit ? {
+            endAdornment: <InputAdornment position="end">{question.unit}</InputAdornment>
+          } : undefined}
+          sx={{ minWidth: 280 }}
+        />
+      );
+
+    case 'essay': {
+      const wordCount = (answer || '').trim().split(/\s+/).filter(Boolean).length;
+      return (
+        <Box>
+          {question.rubric?.length > 0 && (
+            <Alert severity="info" sx={{ mb: 2 }}>
+              <Typography variant="body2" fontWeight="bold">Graded on:</Typography>
+              {question.rubric.map((criterion, index) => (
+                <Typography key={index} variant="body2">
+                  • {criterion.criterion}{criterion.description ? ` - ${criterion.description}` : ''}
+                </Typography>
+              ))}
+            </Alert>
+          )}
+          <TextField
+            label="Your Essay"
+            variant="outlined"
+            fullWidth
+            multiline
+            minRows={10}
+            value={answer || ''}
+            onChange={onAnswerChange}
+            placeholder="Write your answer here..."
+            helperText={`${wordCount} ${wordCount === 1 ? 'word' : 'words'} - this answer will be graded by your instructor.`}
+          />
+        </Box>
+      );
+    }
+
     default:
       return (
         <Alert severity="error">
@@ -121,6 +227,8 @@ const QuestionRenderer = ({ question, answer, onAnswerChange }) => {
 
 const TakeQuizPage = () => {
   const { assignmentId } = useParams();
+  const [searchParams] = useSearchParams();
+  const isRetake = searchParams.get('retake') === 'true';
   const { token } = useAuth();
   const navigate = useNavigate();
 
@@ -133,6 +241,14 @@ const TakeQuizPage = () => {
   const [confirmDialogOpen, setConfirmDialogOpen] = useState(false);
   const [resultDialogOpen, setResultDialogOpen] = useState(false);
   const [quizResult, setQuizResult] = useState(null);
+  const [autosaveStatus, setAutosaveStatus] = useState(null); // 'saving' | 'saved' | 'error'
+  const [lastSavedAt, setLastSavedAt] = useState(null);
+
+  // Exam hall access code, kept for this tab so a refresh doesn't ask again
+  const [accessCode, setAccessCode] = useState(() => sessionStorage.getItem(`quizAccessCode:${assignmentId}`) || '');
+  const [accessCodeInput, setAccessCodeInput] = useState('');
+  const [accessCodePrompt, setAccessCodePrompt] = useState(''); // Message shown with the code form ('' = hidden)
+  const [accessCodeTries, setAccessCodeTries] = useState(0); // Bumped on each entry so the same code can be retried
   
   // Anti-cheat tracking states
   const [tabSwitchCount, setTabSwitchCount] = useState(0);
@@ -155,6 +271,8 @@ const TakeQuizPage = () => {
   const warningTimeoutRef = useRef(null); // For warning display timeout
   const quizContainerRef = useRef(null); // For fullscreen container
   const intentionalExitRef = useRef(false); // Track intentional fullscreen exits
+  const serverTimerRef = useRef(null); // Server deadline, measured against a monotonic clock
+  const lastSavedAnswersRef = useRef({}); // Answers the server already has (for incremental autosave)
   
   // Handle submit - defined before using in effects
   const handleSubmit = async (isAutoSubmit = false) => {
@@ -199,7 +317,8 @@ const TakeQuizPage = () => {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
+          'Authorization': `Bearer ${token}`,
+          ...(accessCode ? { 'X-Access-Code': accessCode } : {}),
         },
         body: JSON.stringify({ 
           answers: answers,
@@ -216,19 +335,22 @@ const TakeQuizPage = () => {
         throw new Error(data.message || 'Failed to submit quiz');
       }
 
-      // Clean up localStorage
-      localStorage.removeItem(`quizEndTime_${assignmentId}`);
-      localStorage.removeItem(`quizTimeLimit_${assignmentId}`);
-      localStorage.removeItem(`quizUpdatedAt_${assignmentId}`);
-
       // Store result and show result dialog
       setQuizResult({
         score: data.score,
         correctCount: data.correctCount,
         totalQuestions: data.totalQuestions,
+        pointsEarned: data.pointsEarned,
+        pointsPossible: data.pointsPossible,
         isAutoSubmit: isAutoSubmit,
         showResults: data.showResults,
-        isLateSubmission: data.isLateSubmission
+        isLateSubmission: data.isLateSubmission,
+        latePenalty: data.latePenalty,
+        attemptNumber: data.attemptNumber,
+        attemptsRemaining: data.attemptsRemaining,
+        gradingStatus: data.gradingStatus,
+        review: data.review,
+        reviewAvailableAt: data.reviewAvailableAt
       });
 
       // Exit fullscreen after submission
@@ -236,10 +358,14 @@ const TakeQuizPage = () => {
 
       setResultDialogOpen(true);
 
-        // Force page reload after short delay to restore all permissions
+      // Force page reload after short delay to restore all permissions
+      // (dropping ?retake so the reload doesn't start another attempt)
+      // With an answer review in the dialog, the reload waits until the dialog is closed
+      if (!data.review) {
         setTimeout(() => {
-          window.location.reload();
+          window.location.replace(window.location.pathname);
         }, 1500); // 1.5s delay to allow result dialog to show
+      }
 
     } catch (error) {
       console.error('Submit error:', error);
@@ -253,10 +379,12 @@ const TakeQuizPage = () => {
     setResultDialogOpen(false);
     
     // Navigate back after closing
-    if (quiz?.classId) {
-      navigate(`/candidate/class/${quiz.classId}/assignments`);
+    const backPath = quiz?.classId ? `/candidate/class/${quiz.classId}/assignments` : '/candidate/my-classes';
+    if (quizResult?.review) {
+      // The page wasn't reloaded after submitting, so load this one fresh to restore all permissions
+      window.location.replace(backPath);
     } else {
-      navigate('/candidate/my-classes');
+      navigate(backPath);
     }
   };
 
@@ -282,28 +410,43 @@ const TakeQuizPage = () => {
     const fetchQuiz = async () => {
       setIsLoading(true);
       setError('');
+      setAccessCodePrompt('');
       try {
-        const response = await fetch(`/api/candidate/assignment/${assignmentId}`, {
+        const response = await fetch(`/api/candidate/assignment/${assignmentId}${isRetake ? '?retake=true' : ''}`, {
           headers: { 
             'Authorization': `Bearer ${token}`,
-            'Content-Type': 'application/json'
+            'Content-Type': 'application/json',
+            ...(accessCode ? { 'X-Access-Code': accessCode } : {}),
           }
         });
         
+        const result = await response.json();
+        // The quiz needs the invigilator's access code (or the one entered was wrong)
+        if (result.accessDenied === 'code_required' || result.accessDenied === 'wrong_code') {
+          sessionStorage.removeItem(`quizAccessCode:${assignmentId}`);
+          setAccessCodePrompt(result.message);
+          return;
+        }
         if (!response.ok) {
-          throw new Error('Failed to fetch quiz');
+          throw new Error(result.opensAt
+            ? `${result.message}. It opens on ${new Date(result.opensAt).toLocaleString()}.`
+            : result.message || 'Failed to fetch quiz');
         }
-        
-        const result = await response.json();
+
+        if (accessCode) {
+          sessionStorage.setItem(`quizAccessCode:${assignmentId}`, accessCode);
+        }
+
         console.log('📝 Fetched quiz data:', result.data);
         console.log('⏱️ Time limit from server:', result.data.timeLimit, 'minutes');
-        console.log('📊 Has submitted:', result.data.hasSubmitted);
+        console.log('📊 Has submitted:', result.data.hasSubmitted, '| Attempts used:', result.data.attemptsUsed, '/', result.data.maxAttempts);
         console.log('📅 Is past due:', result.data.isPastDue);
-        console.log('🔓 Allow late submissions:', result.data.allowLateSubmissions);
+        console.log('🔒 Closed:', result.data.isClosed, '| Closes at:', result.data.closesAt);
         
-        // Check if candidate has already submitted - redirect back to assignments
-        if (result.data.hasSubmitted) {
-          console.log('❌ Candidate has already submitted this quiz, redirecting...');
+        // Check if candidate has used up their attempts - redirect back to assignments
+        // (a retake in progress comes back with an open attempt session)
+        if (result.data.hasSubmitted && result.data.attemptSession?.status !== 'in_progress') {
+          console.log('❌ Candidate has no attempts left on this quiz, redirecting...');
           // Redirect back to assignments page
           if (result.data.classId) {
             navigate(`/candidate/class/${result.data.classId}/assignments`);
@@ -313,15 +456,42 @@ const TakeQuizPage = () => {
           return;
         }
 
-        // Check if quiz is past due date AND late submissions are not allowed
-        if (result.data.isPastDue && !result.data.allowLateSubmissions) {
-          console.log('❌ Quiz is past due date and late submissions not allowed');
-          setError('This quiz is past the due date and late submissions are not allowed.');
+        // Check if the quiz has closed (no open attempt to finish)
+        if (result.data.isClosed && result.data.attemptSession?.status !== 'in_progress') {
+          console.log('❌ Quiz is closed');
+          setError('This quiz is closed and no longer accepts submissions.');
           setIsLoading(false);
           return;
         }
+
+        // The server owns the deadline - reopening the page does not reset it
+        const session = result.data.attemptSession;
+        if (!session || session.status !== 'in_progress') {
+          console.log('❌ Attempt session is not active:', session?.status);
+          setError('Your time for this quiz has run out.');
+          setIsLoading(false);
+          return;
+        }
+        serverTimerRef.current = {
+          remainingMs: new Date(session.deadline) - new Date(result.data.serverTime),
+          receivedAt: performance.now(),
+        };
         
         setQuiz(result.data);
+
+        // Initialize answers state, restoring anything autosaved earlier in this attempt
+        const draftAnswers = result.data.draftAnswers || {};
+        const initialAnswers = {};
+        result.data.questions.forEach(q => { 
+          initialAnswers[q._id] = draftAnswers[q._id] ?? '';
+        });
+        setAnswers(initialAnswers);
+        lastSavedAnswersRef.current = { ...initialAnswers };
+        if (session.lastSavedAt) {
+          console.log('💾 Restored', Object.keys(draftAnswers).length, 'autosaved answers');
+          setLastSavedAt(session.lastSavedAt);
+          setAutosaveStatus('saved');
+        }
         
         // Check if proctoring is enabled - show permission dialog
         if (result.data.proctoringEnabled) {
@@ -338,13 +508,6 @@ const TakeQuizPage = () => {
           setQuizReadyToStart(true);
         }
         
-        // Initialize answers state
-        const initialAnswers = {};
-        result.data.questions.forEach(q => { 
-          initialAnswers[q._id] = '' 
-        });
-        setAnswers(initialAnswers);
-        
       } catch (error) {
         console.error('Error fetching quiz:', error);
         setError(error.message);
@@ -372,7 +535,7 @@ const TakeQuizPage = () => {
         clearTimeout(warningTimeoutRef.current);
       }
     };
-  }, [assignmentId, token]);
+  }, [assignmentId, token, isRetake, accessCode, accessCodeTries]);
 
   // Anti-Cheat: Fullscreen enforcement (Quiz container only)
   const enterFullscreen = async () => {
@@ -422,70 +585,16 @@ const TakeQuizPage = () => {
 
     console.log('⏱️ Starting quiz timer...');
     
-    // --- REFRESH-PROOF TIMER SETUP ---
-    const storageKey = `quizEndTime_${assignmentId}`;
-    const timeLimitKey = `quizTimeLimit_${assignmentId}`;
-    const updatedAtKey = `quizUpdatedAt_${assignmentId}`;
-    
-    let quizEndTime = localStorage.getItem(storageKey);
-    const storedTimeLimit = localStorage.getItem(timeLimitKey);
-    const storedUpdatedAt = localStorage.getItem(updatedAtKey);
-
-    // Check if timeLimit is valid
-    if (!quiz.timeLimit || quiz.timeLimit <= 0) {
-      console.error('❌ Invalid time limit:', quiz.timeLimit);
-      setError('Invalid quiz time limit. Please contact your instructor.');
-      return;
-    }
-
-    // Check if assignment was updated after timer was started
-    const assignmentWasUpdated = storedUpdatedAt && quiz.updatedAt && 
-                                  new Date(quiz.updatedAt) > new Date(storedUpdatedAt);
-    
-    // Check if time limit changed
-    const timeLimitChanged = storedTimeLimit && parseInt(storedTimeLimit) !== quiz.timeLimit;
-
-    if (assignmentWasUpdated || timeLimitChanged) {
-      console.log('⚠️ Assignment was updated! Clearing old timer and restarting...');
-      console.log('   Old time limit:', storedTimeLimit, 'minutes');
-      console.log('   New time limit:', quiz.timeLimit, 'minutes');
-      localStorage.removeItem(storageKey);
-      quizEndTime = null;
-    }
-
-    if (!quizEndTime) {
-      // Timer not started yet - create end time
-      const endTime = Date.now() + quiz.timeLimit * 60 * 1000;
-      localStorage.setItem(storageKey, endTime);
-      localStorage.setItem(timeLimitKey, quiz.timeLimit.toString());
-      localStorage.setItem(updatedAtKey, quiz.updatedAt || new Date().toISOString());
-      quizEndTime = endTime;
-      console.log('✅ Timer started. End time:', new Date(endTime).toLocaleTimeString());
-      console.log('✅ Quiz duration:', quiz.timeLimit, 'minutes');
-    } else {
-      // Timer was already started (e.g., after refresh)
-      quizEndTime = parseInt(quizEndTime, 10);
-      const timeRemaining = Math.round((quizEndTime - Date.now()) / 1000);
-      console.log('🔄 Resuming timer. Time remaining:', timeRemaining, 'seconds');
-      
-      // If stored time has already expired, clear it and restart
-      if (timeRemaining <= 0) {
-        console.log('⚠️ Stored timer expired, restarting with fresh time');
-        localStorage.removeItem(storageKey);
-        localStorage.removeItem(timeLimitKey);
-        localStorage.removeItem(updatedAtKey);
-        const endTime = Date.now() + quiz.timeLimit * 60 * 1000;
-        localStorage.setItem(storageKey, endTime);
-        localStorage.setItem(timeLimitKey, quiz.timeLimit.toString());
-        localStorage.setItem(updatedAtKey, quiz.updatedAt || new Date().toISOString());
-        quizEndTime = endTime;
-      }
-    }
+    // --- SERVER-AUTHORITATIVE TIMER ---
+    // Remaining time comes from the server deadline and is counted down with
+    // performance.now(), so changing the system clock has no effect
+    const { remainingMs, receivedAt } = serverTimerRef.current;
+    const getRemainingSeconds = () => Math.round((remainingMs - (performance.now() - receivedAt)) / 1000);
+    console.log('✅ Timer started. Time remaining:', getRemainingSeconds(), 'seconds');
 
     // Start the countdown interval
     timerIntervalRef.current = setInterval(() => {
-      const now = Date.now();
-      const remaining = Math.round((quizEndTime - now) / 1000); // in seconds
+      const remaining = getRemainingSeconds();
 
       if (remaining <= 0) {
         setTimeLeft(0);
@@ -502,6 +611,58 @@ const TakeQuizPage = () => {
     
   }, [quiz, quizReadyToStart, assignmentId]);
 
+  // Autosave: send changed answers to the server shortly after the candidate stops answering
+  useEffect(() => {
+    if (!quiz || !quizReadyToStart || hasSubmittedRef.current) return;
+
+    const changedAnswers = {};
+    Object.entries(answers).forEach(([questionId, value]) => {
+      if (lastSavedAnswersRef.current[questionId] !== value) {
+        changedAnswers[questionId] = value;
+      }
+    });
+    if (Object.keys(changedAnswers).length === 0) return;
+
+    const saveTimeout = setTimeout(async () => {
+      setAutosaveStatus('saving');
+      try {
+        const response = await fetch(`/api/candidate/save-draft/${assignmentId}`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`,
+            ...(accessCode ? { 'X-Access-Code': accessCode } : {}),
+          },
+          body: JSON.stringify({ answers: changedAnswers, tabSwitchCount, escCount })
+        });
+        const data = await response.json();
+
+        // The server already submitted the saved draft because time ran out
+        if (data.autoSubmitted) {
+          hasSubmittedRef.current = true;
+          if (timerIntervalRef.current) {
+            clearInterval(timerIntervalRef.current);
+          }
+          setError('Your time for this quiz has run out. Your last saved answers were submitted.');
+          return;
+        }
+
+        if (!response.ok) {
+          throw new Error(data.message || 'Failed to save answers');
+        }
+
+        lastSavedAnswersRef.current = { ...lastSavedAnswersRef.current, ...changedAnswers };
+        setLastSavedAt(data.lastSavedAt);
+        setAutosaveStatus('saved');
+      } catch (error) {
+        console.error('Autosave error:', error);
+        setAutosaveStatus('error');
+      }
+    }, 1500);
+
+    return () => clearTimeout(saveTimeout);
+  }, [answers, quiz, quizReadyToStart, assignmentId, token, tabSwitchCount, escCount, accessCode]);
+
   // Handle proctoring permission request
   const handleGrantProctoringPermission = async () => {
     console.log('🎥 User clicked Grant Permissions button');
@@ -766,6 +927,43 @@ const TakeQuizPage = () => {
     );
   }
 
+  if (accessCodePrompt) {
+    const handleAccessCodeSubmit = (event) => {
+      event.preventDefault();
+      setAccessCode(accessCodeInput.trim());
+      setAccessCodeTries(tries => tries + 1);
+    };
+
+    return (
+      <Box sx={{ p: 3, maxWidth: 600, mx: 'auto', mt: 4 }}>
+        <Paper component="form" onSubmit={handleAccessCodeSubmit} sx={{ p: 4, textAlign: 'center' }}>
+          <Typography variant="h5" gutterBottom>
+            🔑 Access Code Required
+          </Typography>
+          <Typography variant="body1" color="text.secondary" sx={{ mb: 3 }}>
+            {accessCodePrompt}
+          </Typography>
+          <TextField
+            autoFocus
+            fullWidth
+            label="Access Code"
+            value={accessCodeInput}
+            onChange={(e) => setAccessCodeInput(e.target.value)}
+            inputProps={{ autoComplete: 'off', style: { textTransform: 'uppercase', letterSpacing: 2 } }}
+          />
+          <Box sx={{ display: 'flex', gap: 2, justifyContent: 'center', mt: 3 }}>
+            <Button variant="outlined" onClick={() => navigate(-1)}>
+              Go Back
+            </Button>
+            <Button type="submit" variant="contained" disabled={!accessCodeInput.trim()}>
+              Start Quiz
+            </Button>
+          </Box>
+        </Paper>
+      </Box>
+    );
+  }
+
   if (error) {
     return (
       <Box sx={{ p: 3, maxWidth: 600, mx: 'auto', mt: 4 }}>
@@ -783,7 +981,7 @@ const TakeQuizPage = () => {
                   You cannot retake this quiz unless your instructor allows retakes or changes the quiz questions.
                 </Typography>
               </>
-            ) : error.includes('past due') ? (
+            ) : error.includes('past due') || error.includes('run out') ? (
               <>
                 <Typography variant="h5" color="error.main" gutterBottom>
                   ⏰ Quiz Closed
@@ -940,9 +1138,13 @@ const TakeQuizPage = () => {
       </Alert>
 
       {/* Late Submission Warning */}
-      {isPastDue && quiz.allowLateSubmissions && (
+      {isPastDue && (
         <Alert severity="warning" sx={{ mb: 3 }}>
           <strong>Late Submission:</strong> This quiz is past the due date. Your submission will be marked as late.
+          {quiz.latePenalty?.perDay > 0 && (
+            <> A penalty of {quiz.latePenalty.perDay}% per day late applies (up to {quiz.latePenalty.max}%).</>
+          )}
+          {quiz.closesAt && <> Late submissions close on {new Date(quiz.closesAt).toLocaleString()}.</>}
         </Alert>
       )}
 
@@ -960,6 +1162,8 @@ const TakeQuizPage = () => {
         <LinearProgress variant="determinate" value={progress} sx={{ height: 8, borderRadius: 4 }} />
         <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
           Question {currentQuestionIndex + 1} of {quiz.questions.length}
+          {' · '}{currentQuestion.points ?? 1} {(currentQuestion.points ?? 1) === 1 ? 'point' : 'points'}
+          {currentQuestion.negativePoints > 0 && ` (−${currentQuestion.negativePoints} for a wrong answer)`}
         </Typography>
       </Paper>
 
@@ -1005,9 +1209,21 @@ const TakeQuizPage = () => {
           Previous
         </Button>
         
-        <Typography variant="body2" color="text.secondary">
-          {Object.values(answers).filter(a => a !== '').length} of {quiz.questions.length} answered
-        </Typography>
+        <Box sx={{ textAlign: 'center' }}>
+          <Typography variant="body2" color="text.secondary">
+            {Object.values(answers).filter(a => a !== '').length} of {quiz.questions.length} answered
+          </Typography>
+          {autosaveStatus && (
+            <Typography
+              variant="caption"
+              color={autosaveStatus === 'error' ? 'error.main' : 'text.secondary'}
+            >
+              {autosaveStatus === 'saving' && 'Saving...'}
+              {autosaveStatus === 'saved' && lastSavedAt && `Saved at ${new Date(lastSavedAt).toLocaleTimeString()}`}
+              {autosaveStatus === 'error' && 'Autosave failed - your answers will be sent when you submit'}
+            </Typography>
+          )}
+        </Box>
         
         {currentQuestionIndex === quiz.questions.length - 1 ? (
           <Button 
@@ -1163,7 +1379,7 @@ const TakeQuizPage = () => {
       <Dialog
         open={resultDialogOpen}
         onClose={handleCloseResult}
-        maxWidth="sm"
+        maxWidth={quizResult?.review ? 'md' : 'sm'}
         fullWidth
         PaperProps={{
           sx: {
@@ -1199,6 +1415,7 @@ const TakeQuizPage = () => {
               {quizResult.isLateSubmission && (
                 <Alert severity="warning" sx={{ mb: 2, textAlign: 'left' }}>
                   <strong>Late Submission</strong> - This quiz was submitted after the due date.
+                  {quizResult.latePenalty > 0 && ` A late penalty of ${quizResult.latePenalty}% was taken off your score.`}
                 </Alert>
               )}
 
@@ -1211,7 +1428,8 @@ const TakeQuizPage = () => {
                       {quizResult.score.toFixed(1)}%
                     </Typography>
                     <Typography variant="body1" color="text.secondary">
-                      You got <strong>{quizResult.correctCount}</strong> out of <strong>{quizResult.totalQuestions}</strong> questions correct
+                      You scored <strong>{quizResult.pointsEarned}</strong> out of <strong>{quizResult.pointsPossible}</strong> points
+                      ({quizResult.correctCount} of {quizResult.totalQuestions} questions correct)
                     </Typography>
                   </Box>
 
@@ -1251,11 +1469,34 @@ const TakeQuizPage = () => {
               )}
 
               {/* Additional Info */}
+              {quizResult.showResults && quizResult.gradingStatus === 'pending_review' && (
+                <Alert severity="warning" sx={{ mb: 2, textAlign: 'left' }}>
+                  Some of your answers will be graded by your instructor, so this score may change.
+                </Alert>
+              )}
+              {quizResult.attemptsRemaining > 0 && (
+                <Alert severity="info" sx={{ mb: 2, textAlign: 'left' }}>
+                  This was attempt {quizResult.attemptNumber}. You have {quizResult.attemptsRemaining} {quizResult.attemptsRemaining === 1 ? 'attempt' : 'attempts'} left.
+                </Alert>
+              )}
               {quizResult.isAutoSubmit && (
                 <Alert severity="info" sx={{ mb: 2, textAlign: 'left' }}>
                   Your quiz was automatically submitted because time ran out.
                 </Alert>
               )}
+              {quizResult.reviewAvailableAt && (
+                <Alert severity="info" sx={{ mb: 2, textAlign: 'left' }}>
+                  Answers and explanations will be available after {new Date(quizResult.reviewAvailableAt).toLocaleString()}.
+                </Alert>
+              )}
+
+              {/* Answers with the correct ones and explanations, when the class releases them now */}
+              {quizResult.review && (
+                <Box sx={{ mt: 3 }}>
+                  <Typography variant="h6" sx={{ mb: 2, textAlign: 'left' }}>Review Your Answers</Typography>
+                  <AnswerReviewList review={quizResult.review} />
+                </Box>
+              )}
             </Box>
           )}
         </DialogContent>
@@ -31,6 +31,7 @@ import JoinClassPage from '../features/candidate/pages/JoinClassPage';
 import CandidateMyClassesPage from '../features/candidate/pages/MyClassesPage';
 import ClassAssignmentsPage from '../features/candidate/pages/ClassAssignmentsPage';
 import TakeQuizPage from '../features/candidate/pages/TakeQuizPage';
+import AssignmentReviewPage from '../features/candidate/pages/AssignmentReviewPage';
 import CandidateDashboard from '../features/candidate/pages/CandidateDashboard';
 import CandidateProfilePage from '../features/candidate/pages/ProfilePage';
 import ClassRosterPage from '../features/candidate/pages/ClassRosterPage';
@@ -93,6 +94,7 @@ const AppRoutes = () => {
         <Route path="class/:classId/roster" element={<ClassRosterPage />} />
         <Route path="class/:classId/leaderboard" element={<ClassLeaderboardPage />} />
         <Route path="assignment/:assignmentId" element={<TakeQuizPage />} />
+        <Route path="assignment/:assignmentId/review" element={<AssignmentReviewPage />} />
         <Route path="profile" element={<CandidateProfilePage />} />
       </Route>
 
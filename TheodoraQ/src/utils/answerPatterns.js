@@ -0,0 +1,114 @@
+// Longest pattern the server accepts
+export const MAX_PATTERN_LENGTH = 200;
+
+// Reads a quantifier at `index`; returns { length, repeats, unbounded } or null if there is none
+const readQuantifier = (pattern, index) => {
+  const char = pattern[index];
+  let quantifier = null;
+  if (char === '*' || char === '+') {
+    quantifier = { length: 1, repeats: true, unbounded: true };
+  } else if (char === '?') {
+    quantifier = { length: 1, repeats: false, unbounded: false };
+  } else if (char === '{') {
+    const match = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(index));
+    if (!match) return null;
+    const max = match[2] === undefined ? Number(match[1]) : (match[3] === '' ? Infinity : Number(match[3]));
+    quantifier = { length: match[0].length, repeats: max > 1, unbounded: max === Infinity };
+  }
+  // A lazy "?" after the quantifier doesn't change how much it can backtrack
+  if (quantifier && pattern[index + quantifier.length] === '?') quantifier.length += 1;
+  return quantifier;
+};
+
+// Atoms that match nearly any character, so they overlap whatever repeats next to them
+const isWideAtom = (atom) => /^(\.|\\[DSW]|\[\^)/.test(atom);
+
+// Whether two repeated atoms can match the same text, e.g. "a" and "a", or "." and anything
+const canOverlap = (first, second) => first === second || isWideAtom(first) || isWideAtom(second);
+
+/**
+ * Whether a pattern has a shape the server refuses because it can take exponential
+ * (or high polynomial) time to grade: a repeated group containing a repeat, like (a+)+, or an alternation,
+ * like (a|a)*, or overlapping unbounded repeats right next to each other, like a*a* or .*\w+
+ * @param {String} pattern - Regex source
+ * @returns {Boolean}
+ */
+const hasRiskyRepeats = (pattern) => {
+  // One entry per open group: where it starts, whether anything inside repeats, whether it has
+  // a "|", the unbounded atom read last (carried in from before the group) and the one an
+  // earlier branch ended on
+  const newGroup = (start, carried = null) => ({
+    start, repeats: false, alternates: false, carried, lastUnbounded: carried, branchUnbounded: null,
+  });
+  const groups = [newGroup(0)];
+
+  for (let i = 0; i < pattern.length; i++) {
+    const current = groups[groups.length - 1];
+    const char = pattern[i];
+    let atomStart = i;
+    let closedGroup = null;
+
+    if (char === '(') {
+      groups.push(newGroup(i, current.lastUnbounded));
+      // "(?:", "(?=", "(?<name>" - the "?" here is group syntax, not a repeat
+      if (pattern[i + 1] === '?') i += 2;
+      continue;
+    }
+    if (char === '|') {
+      current.alternates = true;
+      current.branchUnbounded = current.branchUnbounded || current.lastUnbounded;
+      current.lastUnbounded = current.carried;
+      continue;
+    }
+    if (char === '^' || char === '$') {
+      current.lastUnbounded = null;
+      continue;
+    }
+
+    if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      // Skip to the end of the character class
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+    } else if (char === ')' && groups.length > 1) {
+      closedGroup = groups.pop();
+      atomStart = closedGroup.start;
+    }
+
+    // The atom just read is the innermost group's last item, now that any group has closed
+    const parent = groups[groups.length - 1];
+    const atom = pattern.slice(atomStart, i + 1);
+    const quantifier = readQuantifier(pattern, i + 1);
+    if (!quantifier) {
+      if (closedGroup?.repeats) parent.repeats = true;
+      parent.lastUnbounded = closedGroup ? closedGroup.lastUnbounded || closedGroup.branchUnbounded : null;
+      continue;
+    }
+
+    if (closedGroup && quantifier.repeats && (closedGroup.repeats || closedGroup.alternates)) return true;
+    if (quantifier.unbounded && parent.lastUnbounded && canOverlap(parent.lastUnbounded, atom)) return true;
+    parent.repeats = true;
+    parent.lastUnbounded = quantifier.unbounded ? atom : null;
+    i += quantifier.length;
+  }
+  return false;
+};
+
+/**
+ * Check that every short-answer regex pattern compiles, is short enough and has no risky repeats
+ * Mirrors the server-side validation on the question schema.
+ * @param {Array} patterns - Regex sources, one per line in the editor
+ * @returns {Boolean} True if all non-blank patterns are valid
+ */
+export const arePatternsValid = (patterns = []) => patterns.every(pattern => {
+  if (!pattern.trim()) return true;
+  if (pattern.length > MAX_PATTERN_LENGTH || hasRiskyRepeats(pattern)) return false;
+  try {
+    new RegExp(pattern, 'i');
+    return true;
+  } catch {
+    return false;
+  }
+});
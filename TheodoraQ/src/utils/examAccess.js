@@ -0,0 +1,26 @@
+// Letters and digits that can't be confused when read out loud or off a board (no 0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+/**
+ * A random access code for the invigilator to reveal at the start of an exam
+ * @param {Number} length - Number of characters
+ * @returns {String}
+ */
+export const generateAccessCode = (length = 6) => {
+  const values = crypto.getRandomValues(new Uint32Array(length));
+  return Array.from(values, value => CODE_ALPHABET[value % CODE_ALPHABET.length]).join('');
+};
+
+/**
+ * Split the allowed-networks text box into entries
+ * @param {String} text - IP addresses / CIDR ranges, one per line or comma-separated
+ * @returns {Array}
+ */
+export const parseNetworksText = (text) => text.split(/[\s,]+/).map(entry => entry.trim()).filter(Boolean);
+
+// Labels for the reasons the server gives when it turns a candidate away
+export const ACCESS_DENIAL_LABELS = {
+  network: 'Outside allowed network',
+  code_required: 'No access code',
+  wrong_code: 'Wrong access code',
+};
@@ -0,0 +1,21 @@
+/**
+ * Pin or unpin an option so it keeps its position when options are shuffled
+ * @param {Array} pinnedOptions - Indices of the question's pinned options
+ * @param {Number} index - Option to toggle
+ * @returns {Array} New pinned indices, sorted
+ */
+export const togglePinnedOption = (pinnedOptions = [], index) => (
+  pinnedOptions.includes(index)
+    ? pinnedOptions.filter(pinned => pinned !== index)
+    : [...pinnedOptions, index].sort((a, b) => a - b)
+);
+
+/**
+ * Keep pinned indices pointing at the same options after one is deleted
+ * @param {Array} pinnedOptions - Indices of the question's pinned options
+ * @param {Number} index - Option being deleted
+ * @returns {Array} New pinned indices
+ */
+export const removePinnedOption = (pinnedOptions = [], index) => pinnedOptions
+  .filter(pinned => pinned !== index)
+  .map(pinned => (pinned > index ? pinned - 1 : pinned));
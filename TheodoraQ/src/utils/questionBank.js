@@ -0,0 +1,54 @@
+export const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
+export const BLOOM_LEVELS = ['remember', 'understand', 'apply', 'analyze', 'evaluate', 'create'];
+
+export const QUESTION_TYPE_LABELS = {
+  mcq: 'Multiple Choice',
+  multi_select: 'Multi-Select',
+  short_answer: 'Short Answer',
+  true_false: 'True/False',
+  numeric: 'Numeric',
+  essay: 'Essay',
+};
+
+// Fields that only exist on bank questions (or are added by the bank listing)
+const BANK_ONLY_FIELDS = [
+  '_id', 'adminId', 'tags', 'topic', 'difficulty', 'bloomLevel', 'source',
+  'createdAt', 'updatedAt', '__v', 'usedInQuizzes',
+];
+
+/**
+ * Copy a bank question into a new quiz question that remembers where it came from
+ * Mirrors the server's toQuizQuestion.
+ * @param {Object} bankQuestion - Question from GET /api/bank
+ * @returns {Object} Quiz question with bankQuestionId set
+ */
+export const toQuizQuestion = (bankQuestion) => {
+  const question = { ...bankQuestion, bankQuestionId: bankQuestion._id };
+  BANK_ONLY_FIELDS.forEach(field => delete question[field]);
+  return question;
+};
+
+/**
+ * Save questions to the admin's question bank
+ * @param {String} token - Auth token
+ * @param {Array} questions - Quiz or generated questions
+ * @param {Object} metadata - Defaults for every question: { tags, topic, difficulty, bloomLevel, source }
+ * @returns {Array} The saved bank questions, in the same order
+ */
+export const saveQuestionsToBank = async (token, questions, metadata = {}) => {
+  const response = await fetch('http://localhost:5000/api/bank', {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ questions, ...metadata }),
+  });
+
+  const result = await response.json();
+  if (!response.ok) {
+    const details = (result.errors || []).map(error => `Question ${error.index + 1}: ${error.message}`);
+    throw new Error([result.message || 'Failed to save questions to the bank', ...details].join('\n'));
+  }
+  return result.data;
+};
@@ -0,0 +1,24 @@
+/**
+ * Total points an essay rubric is worth (the best level of every criterion)
+ * Mirrors the server, which sets an essay's points from its rubric on save.
+ * @param {Array} rubric - [{ criterion, description, levels: [{ label, points }] }]
+ * @returns {Number} Total points
+ */
+export const getRubricTotal = (rubric = []) => rubric.reduce(
+  (sum, criterion) => sum + Math.max(0, ...criterion.levels.map(level => Number(level.points) || 0)),
+  0
+);
+
+/**
+ * Find the first thing stopping a rubric from being saved
+ * @param {Array} rubric - Rubric criteria
+ * @returns {String|null} A message describing the problem, or null if the rubric is valid
+ */
+export const findRubricProblem = (rubric = []) => {
+  for (const criterion of rubric) {
+    if (!criterion.criterion?.trim()) return 'every rubric criterion needs a name';
+    if (criterion.levels.length === 0) return `"${criterion.criterion}" needs at least one level`;
+    if (criterion.levels.some(level => !level.label?.trim())) return `every level of "${criterion.criterion}" needs a label`;
+  }
+  return null;
+};